@@ -0,0 +1,1865 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { computeCrashPoint } = require('../utils/provablyFair');
+const { multiplierAt, timeToReach } = require('../utils/multiplierCurve');
+const { createAutoBet, applyAutoBetResult } = require('../utils/autoBet');
+const { validateBetPayload, validateCashoutPayload, MIN_BET_USD } = require('../utils/betPayload');
+const { convertUSDToCrypto, convertCryptoToUSD, multiplyAmount, limitMultiplier, proportionalAmount, toUnits, toDecimal, formatAmount } = require('../utils/money');
+const { currentControls, activeBreak, limitedPeriods, findLimitBreach, windowStart } = require('../utils/responsibleGambling');
+
+/**
+ * Crash game engine
+ *
+ * Owns the round loop, bets, cashouts and auto-bets. Everything it touches
+ * outside its own state is injected: the clock, the seed chain, the price
+ * source and the repository. It knows nothing about sockets; the transport
+ * subscribes to its events instead.
+ *
+ * Operators can pause the loop between rounds and change its settings at
+ * runtime; settings changes apply from the next round, whose crash point is
+ * committed with the house edge and cap it was generated with.
+ *
+ * Players may hold several independent bets in a round, each with its own
+ * id, currency and auto-cashout target. A bet can be cashed out in part: the
+ * chosen fraction of its stake is paid at the current multiplier and the
+ * rest stays riding, so one bet may be settled by several cashouts.
+ *
+ * Payout limits never touch the crash point. A bet that reaches the maximum
+ * payout, or the multiplier at which a currency's open bets would pay out the
+ * round's limit, is cashed out for the player at exactly that multiplier. The
+ * limits are fixed when betting opens and published with the round.
+ *
+ * Players' own responsible gambling controls are checked on every bet,
+ * including queued and auto bets: a cooldown or self-exclusion blocks
+ * betting, and loss and wager limits are checked against the bets stored
+ * over each window. Every refusal is added to the player's history.
+ *
+ * Balances, stakes and payouts are integer minor units and USD amounts are
+ * cents (see utils/money.js); settings and limits stay plain numbers in whole
+ * units. Events carry every amount as a decimal string.
+ *
+ * Broadcast events: gameState, countdown, roundStart, crashed, roundSummary,
+ * roundAborted, playerBet, playerCashout, payoutLimitReached. Player events, emitted as
+ * `(playerId, payload)`: betPlaced, betRefunded, cashedOutSuccess,
+ * cashedOutFail, autoBetUpdated, autoBetStopped, queuedBetCancelled,
+ * sessionReminder. Operator event: exposure. Server event: roundSettled, once a round's result
+ * and bets are stored, cashouts still being written at the crash included.
+ */
+
+// Round lifecycle: BETTING → RUNNING → CRASHED → SETTLING → BETTING ...
+const GAME_STATES = {
+  BETTING: 'BETTING', // countdown, bets accepted for the upcoming flight
+  RUNNING: 'RUNNING', // multiplier rising, bets locked, cashouts accepted
+  CRASHED: 'CRASHED', // crash point reached and seed revealed
+  SETTLING: 'SETTLING' // round result persisted and bets cleared
+};
+
+const ROUND_RETRY_MS = 5000;
+const MAX_BETS_PER_ROUND = 3;
+const SHUTDOWN_GRACE_MS = 20000;
+
+/**
+ * Whether a value is a USD or crypto limit: a positive number, or null for no limit
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a valid limit
+ */
+function isLimit(value) {
+  return value === null || (typeof value === 'number' && Number.isFinite(value) && value > 0);
+}
+
+// Settings operators may change at runtime, with their validation
+const SETTINGS_RULES = {
+  bettingSeconds: {
+    valid: value => Number.isInteger(value) && value >= 3 && value <= 120,
+    message: 'Countdown must be a whole number of seconds between 3 and 120'
+  },
+  houseEdge: {
+    valid: value => typeof value === 'number' && value >= 0 && value <= 0.1,
+    message: 'House edge must be between 0 and 0.1'
+  },
+  maxCrash: {
+    valid: value => typeof value === 'number' && value >= 2 && value <= 10000,
+    message: 'Maximum crash point must be between 2 and 10000'
+  },
+  maxBetUSD: {
+    valid: isLimit,
+    message: 'Maximum bet must be a positive USD amount or null'
+  },
+  maxPayoutUSD: {
+    valid: isLimit,
+    message: 'Maximum payout must be a positive USD amount or null'
+  },
+  // Crypto amounts by currency, e.g. { BTC: 2, USDT: 100000 }
+  maxRoundPayout: {
+    valid: (value, currencies) => value === null || (
+      typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(value).every(([currency, limit]) => currencies.includes(currency) && isLimit(limit))
+    ),
+    message: 'Round payout limits must map supported currencies to positive amounts or null'
+  }
+};
+
+// Why a player who is not `active` cannot bet
+const ACCOUNT_STATUS_MESSAGES = {
+  frozen: 'Your account is frozen, please contact support',
+  banned: 'Your account is banned'
+};
+
+// Real time; tests and simulations pass their own clock
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: id => clearTimeout(id),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: id => clearInterval(id)
+};
+
+/**
+ * ID of a new bet, unique across rounds and instances
+ * @param {number} roundNumber - Round the bet is for
+ * @returns {string} E.g. `1042-9f86d081a3c4`
+ */
+function generateBetId(roundNumber) {
+  return `${roundNumber}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Error for a bet the player can fix (shown to them as-is)
+ * @param {string} message - Reason shown to the player
+ * @returns {Error} Error with code BET_REJECTED
+ */
+function rejectBet(message) {
+  const error = new Error(message);
+  error.code = 'BET_REJECTED';
+  return error;
+}
+
+/**
+ * Error for settings an operator cannot apply
+ * @param {string} message - Reason shown to the operator
+ * @returns {Error} Error with code SETTINGS_REJECTED
+ */
+function rejectSettings(message) {
+  const error = new Error(message);
+  error.code = 'SETTINGS_REJECTED';
+  return error;
+}
+
+/**
+ * Error for a cashout that is not allowed right now
+ * @param {string} message - Reason
+ * @returns {Error} Error with code CASHOUT_REJECTED
+ */
+function rejectCashout(message) {
+  const error = new Error(message);
+  error.code = 'CASHOUT_REJECTED';
+  return error;
+}
+
+class GameEngine extends EventEmitter {
+  /**
+   * @param {Object} options - Engine dependencies and settings
+   * @param {Object} options.repository - Persistence (see game/mongoRepository.js)
+   * @param {Object} options.priceProvider - Anything with `getFreshPrice(symbol)`, e.g. the price oracle
+   * @param {Object} options.seedSource - Seed chains with `getRoundSeed(n)` and `getCommitment(n)` (see utils/provablyFair.js)
+   * @param {string} options.clientSeed - Public salt mixed into every crash point
+   * @param {Object} options.supportedCryptos - Asset registry by symbol (see utils/assets.js)
+   * @param {Object} [options.clock] - now/setTimeout/clearTimeout/setInterval/clearInterval
+   * @param {Object} [options.logger] - console-like logger; round and player context is passed as a trailing fields object (see utils/logger.js)
+   * @param {number} [options.houseEdge] - House edge, 0.01 = 1%
+   * @param {number} [options.maxCrash] - Highest possible crash point
+   * @param {number} [options.growthRate] - k in e^(k·t), per second
+   * @param {number} [options.bettingSeconds] - Length of the betting countdown
+   * @param {number} [options.resultDisplayMs] - Pause between the crash and settlement
+   * @param {number} [options.autoCashoutTickMs] - How often auto-cashout targets are checked
+   * @param {number} [options.maxBetsPerRound] - Bets a player may place in one round, and queue for the next
+   * @param {number} [options.minBetUSD] - Smallest bet accepted
+   * @param {number|null} [options.maxBetUSD] - Largest bet accepted, null for no limit
+   * @param {number|null} [options.maxPayoutUSD] - Largest payout of a single bet, null for no limit
+   * @param {Object|null} [options.maxRoundPayout] - Largest total payout of a round, in crypto by currency
+   * @param {number} [options.exposureIntervalMs] - How often operators get the exposure during a flight
+   * @param {number} [options.roundNumber] - First round to play
+   */
+  constructor({
+    repository,
+    priceProvider,
+    seedSource,
+    clientSeed,
+    supportedCryptos,
+    clock = systemClock,
+    logger = console,
+    houseEdge = 0.01,
+    maxCrash = 120,
+    growthRate = 0.06,
+    bettingSeconds = 10,
+    resultDisplayMs = 5000,
+    autoCashoutTickMs = 100,
+    maxBetsPerRound = MAX_BETS_PER_ROUND,
+    minBetUSD = MIN_BET_USD,
+    maxBetUSD = null,
+    maxPayoutUSD = null,
+    maxRoundPayout = null,
+    exposureIntervalMs = 500,
+    roundNumber = 1
+  }) {
+    super();
+    this.repository = repository;
+    this.priceProvider = priceProvider;
+    this.seedSource = seedSource;
+    this.clientSeed = clientSeed;
+    this.supportedCryptos = supportedCryptos;
+    this.clock = clock;
+    this.logger = logger;
+    this.houseEdge = houseEdge;
+    this.maxCrash = maxCrash;
+    this.growthRate = growthRate;
+    this.bettingSeconds = bettingSeconds;
+    this.resultDisplayMs = resultDisplayMs;
+    this.autoCashoutTickMs = autoCashoutTickMs;
+    this.maxBetsPerRound = maxBetsPerRound;
+    this.minBetUSD = minBetUSD;
+    this.maxBetUSD = maxBetUSD;
+    this.maxPayoutUSD = maxPayoutUSD;
+    this.maxRoundPayout = maxRoundPayout;
+    this.exposureIntervalMs = exposureIntervalMs;
+
+    this.roundNumber = roundNumber;
+    this.gameState = GAME_STATES.SETTLING;
+    this.currentMultiplier = 1.0;
+    this.crashPoint = 0;
+    this.roundStartTime = null;
+    this.crashAt = null; // Instant the curve reaches the crash point
+    this.bettingEndsAt = null;
+    this.currentRoundSeed = null;
+    this.players = {}; // Logged-in players' balances and bets, keyed by player id
+    this.roundTotals = {}; // Bets and payouts of the current round, keyed by currency
+    this.roundBets = new Map(); // Live bets roster of the current round, keyed by bet id
+    this.roundLimits = this.currentPayoutLimits(); // Payout limits of the current round
+    this.limitsReached = new Set(); // Currencies whose round payout limit was reached
+    this.lastExposureAt = 0;
+
+    this.running = false;
+    this.paused = false; // No new rounds until resumed
+    this.idle = false; // Paused and waiting between rounds
+    this.acceptingBets = true;
+    this.timers = {};
+    this.loadingPlayers = {};
+    this.pendingWrites = new Set();
+  }
+
+  /**
+   * Remember a repository write until it settles, so shutdown can wait for it
+   * @param {Promise} write - Pending write
+   * @returns {Promise} The same write
+   */
+  track(write) {
+    this.pendingWrites.add(write);
+    const forget = () => this.pendingWrites.delete(write);
+    write.then(forget, forget);
+    return write;
+  }
+
+  /**
+   * Wait until every tracked write has settled, including writes started meanwhile
+   */
+  async flushWrites() {
+    while (this.pendingWrites.size > 0) {
+      await Promise.allSettled([...this.pendingWrites]);
+    }
+  }
+
+  /**
+   * Resume numbering after the last stored round and void rounds a previous process left open
+   * Call before start().
+   */
+  async recover() {
+    // Settings and pause state survive restarts and leader changes
+    const settings = await this.repository.loadSettings();
+    if (settings) {
+      this.applySettings(settings);
+      this.paused = Boolean(settings.paused);
+    }
+
+    const lastRound = await this.repository.getLastRoundNumber();
+    this.roundNumber = Math.max(this.roundNumber, lastRound + 1);
+
+    for (const roundNumber of await this.repository.findOpenRounds()) {
+      await this.voidRound(roundNumber);
+    }
+    this.logger.log(`🔄 Recovered, resuming at round ${this.roundNumber}`, { roundNumber: this.roundNumber });
+  }
+
+  /**
+   * Refund the stake still riding on every bet of a round that was neither cashed out nor refunded, and mark it aborted
+   * @param {number} roundNumber - Round number
+   * @returns {Promise<number>} Number of refunded bets
+   */
+  async voidRound(roundNumber) {
+    const bets = await this.repository.findOrphanedBets(roundNumber);
+
+    for (const bet of bets) {
+      const result = await this.track(this.repository.applyBalanceChange({
+        playerId: bet.playerId,
+        currency: bet.currency,
+        cryptoAmount: bet.cryptoAmount,
+        usdAmount: bet.usdAmount,
+        priceAtTime: bet.priceAtTime,
+        transactionType: 'refund',
+        roundNumber,
+        betId: bet.betId,
+        idempotencyKey: `refund:${bet.betId}`
+      }));
+
+      const rosterEntry = this.roundBets.get(bet.betId);
+      if (rosterEntry && this.roundNumber === roundNumber) {
+        rosterEntry.status = 'refunded';
+      }
+
+      const player = this.players[bet.playerId];
+      if (player) {
+        player.wallets[bet.currency].balance = result.balance;
+        if (player.bets.delete(bet.betId)) {
+          if (player.session) {
+            player.session.wageredUSD -= bet.usdAmount;
+            player.session.profitUSD += bet.usdAmount;
+          }
+        }
+        this.emit('betRefunded', bet.playerId, {
+          roundNumber,
+          betId: bet.betId,
+          cryptoType: bet.currency,
+          cryptoAmount: formatAmount(bet.cryptoAmount, bet.currency),
+          usdAmount: formatAmount(bet.usdAmount, 'USD'),
+          balance: formatAmount(result.balance, bet.currency)
+        });
+      }
+    }
+
+    await this.track(this.repository.abortRound(roundNumber, { endTime: new Date(this.clock.now()) }));
+    this.logger.warn(`⚠️ Round ${roundNumber} aborted, ${bets.length} bet(s) refunded`, { roundNumber });
+    return bets.length;
+  }
+
+  /**
+   * Stop accepting bets, finish or void the current round and flush pending writes
+   * A flight that crashes within the grace period is played out; a longer one is voided.
+   * @param {Object} [options] - `graceMs`: how long to wait for the flight to crash
+   */
+  async shutdown({ graceMs = SHUTDOWN_GRACE_MS } = {}) {
+    this.acceptingBets = false;
+    this.running = false;
+    this.clock.clearTimeout(this.timers.retry);
+    for (const player of Object.values(this.players)) {
+      player.queuedBets = [];
+    }
+
+    if (this.gameState === GAME_STATES.RUNNING && this.crashAt - this.clock.now() <= graceMs) {
+      this.logger.log(`🛑 Finishing round ${this.roundNumber} before shutdown`, { roundNumber: this.roundNumber });
+      await new Promise(resolve => this.once('crashed', resolve));
+    }
+
+    if (this.gameState === GAME_STATES.BETTING || this.gameState === GAME_STATES.RUNNING) {
+      await this.voidCurrentRound('Server is shutting down');
+    } else if (this.gameState === GAME_STATES.CRASHED) {
+      // Skip the result display and settle right away
+      this.clock.clearTimeout(this.timers.settle);
+      await this.settleRound();
+    }
+
+    await this.flushWrites();
+    this.stop();
+    this.logger.log('🛑 Game engine stopped');
+  }
+
+  /**
+   * Abort the round in progress, refunding bets that were not cashed out
+   * @param {string} reason - Shown to players
+   */
+  async voidCurrentRound(reason) {
+    this.clock.clearInterval(this.timers.countdown);
+    this.clock.clearInterval(this.timers.tick);
+    this.clock.clearTimeout(this.timers.crash);
+    const roundNumber = this.roundNumber;
+
+    // No cashouts from here on; let the ones already accepted land before refunding the rest
+    this.setGameState(GAME_STATES.SETTLING);
+    await this.flushWrites();
+    await this.voidRound(roundNumber);
+
+    for (const player of Object.values(this.players)) {
+      player.bets.clear();
+    }
+    this.emit('roundAborted', { roundNumber, reason });
+  }
+
+  /**
+   * Start playing rounds
+   */
+  start() {
+    this.running = true;
+    this.startNewRound();
+  }
+
+  /**
+   * Stop scheduling rounds and clear every timer
+   */
+  stop() {
+    this.running = false;
+    this.clock.clearInterval(this.timers.countdown);
+    this.clock.clearInterval(this.timers.tick);
+    this.clock.clearTimeout(this.timers.crash);
+    this.clock.clearTimeout(this.timers.settle);
+    this.clock.clearTimeout(this.timers.retry);
+    this.timers = {};
+    for (const player of Object.values(this.players)) {
+      this.clock.clearInterval(player.reminderTimer);
+      player.reminderTimer = null;
+    }
+  }
+
+  /**
+   * Finish the current round, then wait for resume() before starting another
+   */
+  async pause() {
+    if (this.paused) return;
+    this.paused = true;
+    await this.saveSettings();
+    this.emit('gameState', this.getSnapshot());
+    this.logger.log('⏸️ Game paused, the current round will finish');
+  }
+
+  /**
+   * Start rounds again after pause()
+   */
+  async resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    await this.saveSettings();
+    this.logger.log('▶️ Game resumed');
+
+    // Otherwise the round still finishing starts the next one itself
+    if (this.idle) {
+      this.idle = false;
+      this.startNewRound();
+    } else {
+      this.emit('gameState', this.getSnapshot());
+    }
+  }
+
+  /**
+   * Settings operators may change at runtime
+   * @returns {Object} Current settings and pause state
+   */
+  getSettings() {
+    const settings = {};
+    for (const name of Object.keys(SETTINGS_RULES)) {
+      settings[name] = this[name];
+    }
+    return { ...settings, paused: this.paused };
+  }
+
+  /**
+   * Change runtime settings; they apply from the next round
+   * @param {Object} changes - Any of bettingSeconds, houseEdge, maxCrash, maxBetUSD, maxPayoutUSD, maxRoundPayout
+   * @returns {Promise<Object>} Updated settings
+   * @throws {Error} SETTINGS_REJECTED for unknown or invalid settings
+   */
+  async updateSettings(changes = {}) {
+    const names = Object.keys(changes);
+    if (names.length === 0) {
+      throw rejectSettings('No settings to change');
+    }
+    for (const name of names) {
+      const rule = SETTINGS_RULES[name];
+      if (!rule) {
+        throw rejectSettings(`Unknown setting: ${name}`);
+      }
+      if (!rule.valid(changes[name], Object.keys(this.supportedCryptos))) {
+        throw rejectSettings(rule.message);
+      }
+    }
+
+    this.applySettings(changes);
+    await this.saveSettings();
+    this.logger.log('⚙️ Settings updated', { changes });
+    return this.getSettings();
+  }
+
+  /**
+   * Copy known settings onto the engine
+   * @param {Object} settings - Settings to apply
+   */
+  applySettings(settings) {
+    for (const name of Object.keys(SETTINGS_RULES)) {
+      if (settings[name] !== undefined) {
+        this[name] = settings[name];
+      }
+    }
+  }
+
+  /**
+   * Persist settings and pause state for the next process or leader
+   */
+  async saveSettings() {
+    await this.track(this.repository.saveSettings(this.getSettings()));
+  }
+
+  /**
+   * Payout limits as currently configured, to be fixed for the next round
+   * @returns {Object} `maxPayoutUSD` and `maxRoundPayout`
+   */
+  currentPayoutLimits() {
+    return {
+      maxPayoutUSD: this.maxPayoutUSD,
+      maxRoundPayout: { ...this.maxRoundPayout }
+    };
+  }
+
+  /**
+   * The current round's payout limit for a currency
+   * @param {string} currency - Currency type
+   * @returns {number|null} Crypto amount in minor units, null for no limit
+   */
+  roundPayoutLimit(currency) {
+    const limit = this.roundLimits.maxRoundPayout[currency];
+    return limit === undefined || limit === null ? null : toUnits(limit, currency);
+  }
+
+  /**
+   * Multiplier at which a currency's open bets would take the round's payouts to its limit
+   * Paying every open bet at this multiplier pays out at most the limit; it is
+   * rounded down so the payouts' rounding cannot take them past it. Bets never
+   * stake more than the limit, so it is at least 1.
+   * @param {string} currency - Currency type
+   * @returns {number} Multiplier, Infinity without a limit or open bets
+   */
+  roundLimitMultiplier(currency) {
+    const limit = this.roundPayoutLimit(currency);
+    if (limit === null) return Infinity;
+
+    let openStake = 0;
+    for (const { bet } of this.openBets()) {
+      if (bet.cryptoType === currency) {
+        openStake += bet.cryptoAmount;
+      }
+    }
+    if (openStake === 0) return Infinity;
+
+    const paidOut = this.roundTotals[currency] ? this.roundTotals[currency].paidOut : 0;
+    return Math.max(1, limitMultiplier(openStake, limit - paidOut));
+  }
+
+  /**
+   * Every bet of the current round with stake still riding
+   * @returns {Iterable<Object>} `{ playerId, player, bet }`
+   */
+  *openBets() {
+    for (const [playerId, player] of Object.entries(this.players)) {
+      for (const bet of player.bets.values()) {
+        yield { playerId, player, bet };
+      }
+    }
+  }
+
+  /**
+   * Multiplier an open bet is settled at without the player cashing out
+   * @param {Object} bet - Open bet
+   * @param {number} roundLimitMultiplier - roundLimitMultiplier() of the bet's currency
+   * @returns {Object} `multiplier` and `limit`: null for the auto-cashout target, `bet` or `round` for a payout limit
+   */
+  automaticExit(bet, roundLimitMultiplier) {
+    let exit = { multiplier: bet.autoCashoutAt || Infinity, limit: null };
+    if (bet.maxMultiplier < exit.multiplier) {
+      exit = { multiplier: bet.maxMultiplier, limit: 'bet' };
+    }
+    if (roundLimitMultiplier < exit.multiplier) {
+      exit = { multiplier: roundLimitMultiplier, limit: 'round' };
+    }
+    return exit;
+  }
+
+  /**
+   * Money at stake in the current round, per currency
+   * `liability` is what the open bets would pay if all cashed out now;
+   * `limitMultiplier` is where the round's payout limit forces them out.
+   * @returns {Object} Round number, state, multiplier and per-currency totals, amounts as strings in crypto and USD
+   */
+  getExposure() {
+    const multiplier = this.gameState === GAME_STATES.RUNNING ? this.currentMultiplier : 1;
+    const exposures = {};
+    for (const currency of Object.keys(this.supportedCryptos)) {
+      exposures[currency] = { openBets: 0, openStake: 0, liability: 0, liabilityUSD: 0 };
+    }
+
+    for (const { bet } of this.openBets()) {
+      const exposure = exposures[bet.cryptoType];
+      exposure.openBets++;
+      exposure.openStake += bet.cryptoAmount;
+      exposure.liability += multiplyAmount(bet.cryptoAmount, multiplier);
+      exposure.liabilityUSD += multiplyAmount(bet.usdAmount, multiplier);
+    }
+
+    const currencies = {};
+    for (const [currency, exposure] of Object.entries(exposures)) {
+      const totals = this.roundTotals[currency] || { bets: 0, staked: 0, paidOut: 0 };
+      const limitMultiplier = this.roundLimitMultiplier(currency);
+      currencies[currency] = {
+        bets: totals.bets,
+        staked: formatAmount(totals.staked, currency),
+        paidOut: formatAmount(totals.paidOut, currency),
+        openBets: exposure.openBets,
+        openStake: formatAmount(exposure.openStake, currency),
+        liability: formatAmount(exposure.liability, currency),
+        liabilityUSD: formatAmount(exposure.liabilityUSD, 'USD'),
+        limit: formatAmount(this.roundPayoutLimit(currency), currency),
+        limitMultiplier: Number.isFinite(limitMultiplier) ? limitMultiplier : null
+      };
+    }
+
+    return {
+      roundNumber: this.roundNumber,
+      state: this.gameState,
+      multiplier,
+      currencies
+    };
+  }
+
+  /**
+   * A roster entry as sent to clients, with USD amounts as strings
+   * @param {Object} entry - Roster entry, USD amounts in cents
+   * @returns {Object} Entry for clients
+   */
+  formatRosterEntry(entry) {
+    return {
+      ...entry,
+      usdAmount: formatAmount(entry.usdAmount, 'USD'),
+      winningsUSD: formatAmount(entry.winningsUSD, 'USD')
+    };
+  }
+
+  /**
+   * Live bets of the current round, biggest first, as sent to newly connected clients
+   * @returns {Object} Round number and roster entries
+   */
+  getRoster() {
+    const bets = [...this.roundBets.values()]
+      .sort((a, b) => b.usdAmount - a.usdAmount)
+      .map(entry => this.formatRosterEntry(entry));
+    return { roundNumber: this.roundNumber, bets };
+  }
+
+  /**
+   * Outcome of the current round once it crashed
+   * @param {number} [topWinners] - How many winners to list
+   * @returns {Object} Totals in USD and the biggest winning bets
+   */
+  getRoundSummary(topWinners = 5) {
+    const entries = [...this.roundBets.values()].filter(entry => entry.status !== 'refunded');
+    // Bets cashed out in part before losing the rest were paid too
+    const winners = entries.filter(entry => entry.winningsUSD !== null);
+    const wageredUSD = entries.reduce((sum, entry) => sum + entry.usdAmount, 0);
+    const paidOutUSD = winners.reduce((sum, entry) => sum + entry.winningsUSD, 0);
+
+    return {
+      roundNumber: this.roundNumber,
+      crashPoint: this.crashPoint.toFixed(2),
+      players: new Set(entries.map(entry => entry.playerId)).size,
+      bets: entries.length,
+      winners: winners.length,
+      wageredUSD: formatAmount(wageredUSD, 'USD'),
+      paidOutUSD: formatAmount(paidOutUSD, 'USD'),
+      topWinners: winners
+        .map(entry => ({ ...entry, profitUSD: entry.winningsUSD - entry.usdAmount }))
+        .sort((a, b) => b.profitUSD - a.profitUSD)
+        .slice(0, topWinners)
+        .map(entry => ({ ...this.formatRosterEntry(entry), profitUSD: formatAmount(entry.profitUSD, 'USD') }))
+    };
+  }
+
+  /**
+   * Send operators the current exposure
+   */
+  emitExposure() {
+    this.lastExposureAt = this.clock.now();
+    this.emit('exposure', this.getExposure());
+  }
+
+  /**
+   * Add a bet or payout to the current round's totals
+   * @param {string} currency - Currency type
+   * @param {Object} change - `bets`, `staked` and `paidOut` increments
+   */
+  addToRoundTotals(currency, { bets = 0, staked = 0, paidOut = 0 }) {
+    const totals = this.roundTotals[currency] || { bets: 0, staked: 0, paidOut: 0 };
+    this.roundTotals[currency] = {
+      bets: totals.bets + bets,
+      staked: totals.staked + staked,
+      paidOut: totals.paidOut + paidOut
+    };
+  }
+
+  /**
+   * Mirror a ban or freeze of a loaded player
+   * Restricted players keep bets already in flight but cannot place new ones.
+   * @param {string} playerId - Player account ID
+   * @param {string} status - active, frozen or banned
+   * @returns {Promise<boolean>} Whether the player is loaded
+   */
+  async setPlayerStatus(playerId, status) {
+    const player = this.players[playerId];
+    if (!player) return false;
+    player.status = status;
+
+    if (status !== 'active') {
+      player.queuedBets = [];
+      await this.stopAutoBet(playerId, ACCOUNT_STATUS_MESSAGES[status]);
+    }
+    return true;
+  }
+
+  /**
+   * Mirror a change of a loaded player's responsible gambling controls
+   * A new cooldown or self-exclusion drops their queued bets and stops their auto-bet;
+   * bets already in flight are kept.
+   * @param {string} playerId - Player account ID
+   * @param {Object} controls - Controls as stored on the player
+   * @returns {Promise<boolean>} Whether the player is loaded
+   */
+  async setResponsibleGambling(playerId, controls) {
+    const player = this.players[playerId];
+    if (!player) return false;
+    player.responsibleGambling = controls;
+    if (player.session) {
+      this.scheduleSessionReminder(playerId);
+    }
+
+    const block = activeBreak(currentControls(controls, this.clock.now()).controls, this.clock.now());
+    if (block) {
+      player.queuedBets = [];
+      await this.stopAutoBet(playerId, block.message);
+    }
+    return true;
+  }
+
+  /**
+   * Check a bet against the player's cooldown, self-exclusion, loss and wager limits
+   * Losses count the whole stake, since the bet may lose it. The player's open bets
+   * count from memory, as lost less what they already cashed out, since their stored
+   * records settle later or may not be written yet. Run it through sequenceBet so
+   * bets placed before it are open by then. Refusals are added to the history.
+   * @param {string} playerId - Player account ID
+   * @param {Object} player - In-memory player state
+   * @param {number} usdAmount - Bet amount in cents
+   * @throws {Error} BET_REJECTED
+   */
+  async checkResponsibleGambling(playerId, player, usdAmount) {
+    const now = this.clock.now();
+    // Limits are set in dollars
+    const amountUSD = toDecimal(usdAmount, 'USD');
+    const { controls } = currentControls(player.responsibleGambling, now);
+
+    const block = activeBreak(controls, now);
+    if (block) {
+      this.recordGamblingEvent(playerId, {
+        action: 'betBlocked',
+        rule: block.rule,
+        details: { usdAmount: formatAmount(usdAmount, 'USD'), until: block.until },
+        message: block.message
+      });
+      throw rejectBet(block.message);
+    }
+
+    const periods = new Set([...limitedPeriods(controls, 'loss'), ...limitedPeriods(controls, 'wager')]);
+    if (periods.size === 0) return;
+
+    let openWageredUSD = 0;
+    let openLostUSD = 0;
+    for (const bet of player.bets.values()) {
+      openWageredUSD += bet.placedUSD;
+      openLostUSD += bet.placedUSD - bet.paidOutUSD;
+    }
+    const openBetIds = [...player.bets.keys()];
+
+    const wagered = {};
+    const lost = {};
+    for (const period of periods) {
+      const totals = await this.repository.getBettingTotals(playerId, windowStart(period, now), openBetIds);
+      wagered[period] = toDecimal(totals.wageredUSD + openWageredUSD, 'USD');
+      lost[period] = toDecimal(openLostUSD - totals.profitUSD, 'USD');
+    }
+
+    const breach = findLimitBreach(controls, 'loss', lost, amountUSD) ||
+      findLimitBreach(controls, 'wager', wagered, amountUSD);
+    if (breach) {
+      this.recordGamblingEvent(playerId, {
+        action: 'betBlocked',
+        rule: breach.rule,
+        period: breach.period,
+        details: { usdAmount: formatAmount(usdAmount, 'USD'), limitUSD: breach.limitUSD, usedUSD: breach.usedUSD },
+        message: breach.message
+      });
+      throw rejectBet(breach.message);
+    }
+  }
+
+  /**
+   * (Re)start the reminder timer of a player's session from their current setting
+   * @param {string} playerId - Player account ID
+   */
+  scheduleSessionReminder(playerId) {
+    const player = this.players[playerId];
+    this.clock.clearInterval(player.reminderTimer);
+    player.reminderTimer = null;
+
+    const controls = player.responsibleGambling;
+    const minutes = controls && controls.sessionReminderMinutes;
+    if (minutes) {
+      player.reminderTimer = this.clock.setInterval(() => this.remindSession(playerId), minutes * 60 * 1000);
+    }
+  }
+
+  /**
+   * Tell a player how long they have been playing and their result this session
+   * @param {string} playerId - Player account ID
+   */
+  remindSession(playerId) {
+    const player = this.players[playerId];
+    if (!player || !player.session) return;
+
+    const { startedAt, wageredUSD, profitUSD } = player.session;
+    const minutes = Math.floor((this.clock.now() - startedAt) / 60000);
+    const reminder = {
+      startedAt: new Date(startedAt),
+      minutes,
+      wageredUSD: formatAmount(wageredUSD, 'USD'),
+      profitUSD: formatAmount(profitUSD, 'USD')
+    };
+    this.emit('sessionReminder', playerId, reminder);
+    this.recordGamblingEvent(playerId, {
+      action: 'sessionReminder',
+      details: reminder,
+      message: `Playing for ${minutes} minutes, net result $${reminder.profitUSD}`
+    });
+  }
+
+  /**
+   * Check a bet against the account status, the maximum bet and the maximum payout
+   * @param {Object} player - In-memory player state
+   * @param {number} usdAmount - Bet amount in cents
+   * @throws {Error} BET_REJECTED
+   */
+  checkBetAllowed(player, usdAmount) {
+    if (player.status !== 'active') {
+      throw rejectBet(ACCOUNT_STATUS_MESSAGES[player.status]);
+    }
+    if (this.maxBetUSD !== null && usdAmount > toUnits(this.maxBetUSD, 'USD')) {
+      throw rejectBet(`Maximum bet is $${this.maxBetUSD}`);
+    }
+    // Such a bet could only ever be paid out at a loss
+    const { maxPayoutUSD } = this.roundLimits;
+    if (maxPayoutUSD !== null && usdAmount >= toUnits(maxPayoutUSD, 'USD')) {
+      throw rejectBet(`Bets must be below the maximum payout of $${maxPayoutUSD}`);
+    }
+  }
+
+  /**
+   * Public view of the round state machine
+   * @returns {Object} Game state snapshot
+   */
+  getSnapshot() {
+    return {
+      state: this.gameState,
+      paused: this.paused,
+      roundNumber: this.roundNumber,
+      limits: { maxBetUSD: this.maxBetUSD, ...this.roundLimits },
+      seedHash: this.currentRoundSeed ? this.currentRoundSeed.seedHash : null,
+      bettingEndsAt: this.gameState === GAME_STATES.BETTING ? this.bettingEndsAt : null,
+      roundStartTime: this.gameState === GAME_STATES.RUNNING ? this.roundStartTime : null,
+      curve: { type: 'exponential', growthRate: this.growthRate },
+      serverTime: this.clock.now()
+    };
+  }
+
+  /**
+   * Move the round state machine and broadcast the new state
+   * @param {string} state - One of GAME_STATES
+   */
+  setGameState(state) {
+    this.gameState = state;
+    this.emit('gameState', this.getSnapshot());
+    this.logger.log(`🔄 Round ${this.roundNumber} → ${state}`, { roundNumber: this.roundNumber, state });
+  }
+
+  /**
+   * Crash point of a round from its committed server seed
+   * @param {number} roundNumber - Round number
+   * @returns {Object} Crash point and the seed data it was derived from
+   */
+  generateProvablyFairCrashPoint(roundNumber) {
+    const roundSeed = this.seedSource.getRoundSeed(roundNumber);
+    return {
+      ...roundSeed,
+      crashPoint: computeCrashPoint(roundSeed.serverSeed, this.clientSeed, {
+        houseEdge: this.houseEdge,
+        maxCrash: this.maxCrash
+      })
+    };
+  }
+
+  /**
+   * Count down the betting window, then run the round
+   * @param {number} seconds - Countdown seconds
+   * @param {Function} callback - Called when the countdown ends
+   */
+  countdownBeforeRound(seconds, callback) {
+    let remaining = seconds;
+    this.timers.countdown = this.clock.setInterval(() => {
+      try {
+        this.emit('countdown', remaining);
+        remaining--;
+
+        if (remaining < 0) {
+          this.clock.clearInterval(this.timers.countdown);
+          callback();
+        }
+      } catch (error) {
+        this.logger.error('❌ Error in countdown', { roundNumber: this.roundNumber, error });
+        this.clock.clearInterval(this.timers.countdown);
+        callback();
+      }
+    }, 1000);
+  }
+
+  /**
+   * Start a new round with a provably fair crash point and open its betting window
+   */
+  startNewRound() {
+    if (!this.running) return;
+    if (this.paused) {
+      this.idle = true;
+      this.emit('gameState', this.getSnapshot());
+      this.logger.log('⏸️ Game paused, waiting to resume');
+      return;
+    }
+
+    try {
+      // Only the seed hash is published before the crash
+      this.currentRoundSeed = this.generateProvablyFairCrashPoint(this.roundNumber);
+      this.crashPoint = this.currentRoundSeed.crashPoint;
+
+      this.logger.log(`🎮 Starting round ${this.roundNumber}`);
+      if (this.currentRoundSeed.chainPosition === 1) {
+        const { next } = this.seedSource.getCommitment(this.roundNumber);
+        this.logger.log(`🔐 Seed chain ${this.currentRoundSeed.chainIndex} starts, next terminal hash: ${next.terminalHash}`, { roundNumber: this.roundNumber, terminalHash: this.currentRoundSeed.terminalHash });
+      }
+      this.logger.log(`🔐 Committed seed hash: ${this.currentRoundSeed.seedHash}`, { roundNumber: this.roundNumber, seedHash: this.currentRoundSeed.seedHash });
+
+      this.roundTotals = {};
+      this.roundBets = new Map();
+      this.roundLimits = this.currentPayoutLimits();
+      this.limitsReached = new Set();
+      this.bettingEndsAt = this.clock.now() + this.bettingSeconds * 1000;
+      this.setGameState(GAME_STATES.BETTING);
+
+      this.saveRound(this.roundNumber, this.currentRoundSeed);
+
+      this.placeQueuedBets()
+        .then(() => this.placeAutoBets())
+        .catch(error => {
+          this.logger.error('❌ Error placing queued bets', { roundNumber: this.roundNumber, error });
+        });
+
+      this.countdownBeforeRound(this.bettingSeconds, () => this.runRound());
+    } catch (error) {
+      this.logger.error('❌ Error starting new round', { roundNumber: this.roundNumber, error });
+      this.timers.retry = this.clock.setTimeout(() => this.startNewRound(), ROUND_RETRY_MS);
+    }
+  }
+
+  /**
+   * Lock bets and fly the multiplier until the crash point
+   */
+  runRound() {
+    this.currentMultiplier = 1.0;
+    this.roundStartTime = this.clock.now();
+    this.crashAt = this.roundStartTime + timeToReach(this.crashPoint, this.growthRate);
+    this.setGameState(GAME_STATES.RUNNING);
+
+    // Clients render the curve from the start time; serverTime lets them correct clock skew
+    this.emit('roundStart', {
+      roundNumber: this.roundNumber,
+      seedHash: this.currentRoundSeed.seedHash,
+      clientSeed: this.clientSeed,
+      chainPosition: this.currentRoundSeed.chainPosition,
+      terminalHash: this.currentRoundSeed.terminalHash,
+      startTime: this.roundStartTime,
+      serverTime: this.clock.now(),
+      curve: { type: 'exponential', growthRate: this.growthRate },
+      limits: this.roundLimits
+    });
+    this.emitExposure();
+
+    this.logger.log(`🚀 Round ${this.roundNumber} started`, { roundNumber: this.roundNumber });
+
+    // The crash fires at the exact instant the curve reaches the crash point
+    this.timers.crash = this.clock.setTimeout(() => this.crashRound(), this.crashAt - this.clock.now());
+
+    this.timers.tick = this.clock.setInterval(() => {
+      try {
+        if (this.gameState !== GAME_STATES.RUNNING) return;
+
+        this.currentMultiplier = multiplierAt(this.clock.now() - this.roundStartTime, this.growthRate);
+        this.settleDueCashouts();
+        if (this.clock.now() - this.lastExposureAt >= this.exposureIntervalMs) {
+          this.emitExposure();
+        }
+      } catch (error) {
+        this.logger.error('❌ Error in multiplier update', { roundNumber: this.roundNumber, error });
+      }
+    }, this.autoCashoutTickMs);
+  }
+
+  /**
+   * Multiplier for a cashout received at a given instant of the running round
+   * @param {number} receivedAt - Server receive time in ms
+   * @returns {number|null} Multiplier, or null when the instant is past the crash
+   */
+  multiplierForCashout(receivedAt) {
+    if (this.gameState !== GAME_STATES.RUNNING || receivedAt > this.crashAt) return null;
+    return Math.min(multiplierAt(receivedAt - this.roundStartTime, this.growthRate), this.crashPoint);
+  }
+
+  /**
+   * End the flight, reveal the server seed and schedule settlement
+   */
+  crashRound() {
+    this.clock.clearInterval(this.timers.tick);
+    this.clock.clearTimeout(this.timers.crash);
+
+    // Auto-cashout targets and payout limits up to the crash point that the last tick did not reach still win
+    this.currentMultiplier = this.crashPoint;
+    this.settleDueCashouts();
+    this.emitExposure();
+
+    // Every cashout is claimed by now, so whatever is still playing lost
+    for (const entry of this.roundBets.values()) {
+      if (entry.status === 'playing') entry.status = 'lost';
+    }
+
+    this.setGameState(GAME_STATES.CRASHED);
+
+    // Reveal the server seed so the crash point can be verified
+    this.emit('crashed', {
+      roundNumber: this.roundNumber,
+      crashPoint: this.crashPoint,
+      serverSeed: this.currentRoundSeed.serverSeed,
+      seedHash: this.currentRoundSeed.seedHash,
+      clientSeed: this.clientSeed
+    });
+    this.logger.log(`💥 Round ${this.roundNumber} crashed at ${this.crashPoint.toFixed(2)}x`, { roundNumber: this.roundNumber, crashPoint: this.crashPoint });
+    this.emit('roundSummary', this.getRoundSummary());
+
+    this.timers.settle = this.clock.setTimeout(() => {
+      this.settleRound().catch(error => {
+        this.logger.error('❌ Error settling round', { roundNumber: this.roundNumber, error });
+      });
+    }, this.resultDisplayMs);
+  }
+
+  /**
+   * Persist the round result, clear bets and move on to the next round
+   */
+  async settleRound() {
+    this.setGameState(GAME_STATES.SETTLING);
+
+    try {
+      await this.completeRound(this.roundNumber, this.crashPoint, this.currentRoundSeed.serverSeed);
+      // Listeners read the round's bets, so cashouts still being written land first; the next round does not wait
+      const settled = { roundNumber: this.roundNumber, crashPoint: this.crashPoint };
+      this.flushWrites()
+        .then(() => this.emit('roundSettled', settled))
+        .catch(error => this.logger.error('❌ Error in a roundSettled listener', { roundNumber: settled.roundNumber, error }));
+    } finally {
+      // Stakes still riding at the crash are lost; an auto bet keeps what it cashed out in part
+      for (const id in this.players) {
+        const player = this.players[id];
+        for (const lostBet of player.bets.values()) {
+          if (lostBet.auto) {
+            this.recordAutoBetResult(id, lostBet.placedUSD, lostBet.paidOutUSD).catch(error => {
+              this.logger.error('❌ Error recording auto-bet result', { playerId: id, error });
+            });
+          }
+        }
+        player.bets.clear();
+        // Players that disconnected mid-round are no longer needed in memory
+        if (player.connections.size === 0) {
+          delete this.players[id];
+        }
+      }
+      this.roundNumber++;
+      this.startNewRound();
+    }
+  }
+
+  /**
+   * Save the round with its seed commitment (the crash point stays secret)
+   * @param {number} roundNumber - Round number
+   * @param {Object} roundSeed - Committed seed data
+   */
+  async saveRound(roundNumber, roundSeed) {
+    try {
+      await this.track(this.repository.saveRound({
+        roundNumber,
+        seedHash: roundSeed.seedHash,
+        clientSeed: this.clientSeed,
+        chainPosition: roundSeed.chainPosition,
+        terminalHash: roundSeed.terminalHash,
+        // Verification needs the parameters this round's crash point was generated with
+        houseEdge: this.houseEdge,
+        maxCrash: this.maxCrash,
+        startTime: new Date(this.clock.now())
+      }));
+      this.logger.log(`💾 Round ${roundNumber} saved to database`, { roundNumber });
+    } catch (error) {
+      this.logger.error('❌ Error saving round to database, the game continues', { roundNumber, error });
+    }
+  }
+
+  /**
+   * Store the round result and reveal its server seed
+   * @param {number} roundNumber - Round number
+   * @param {number} crashPoint - Crash point
+   * @param {string} serverSeed - Revealed server seed
+   */
+  async completeRound(roundNumber, crashPoint, serverSeed) {
+    try {
+      await this.track(this.repository.completeRound(roundNumber, {
+        crashPoint: parseFloat(crashPoint.toFixed(2)),
+        serverSeed,
+        endTime: new Date(this.clock.now())
+      }));
+      this.logger.log(`💾 Round ${roundNumber} result updated in database`, { roundNumber });
+    } catch (error) {
+      this.logger.error('❌ Error updating round result, the game continues', { roundNumber, error });
+    }
+  }
+
+  /**
+   * Store a bet entry for history and stats (balances are in the ledger)
+   * @param {Object} bet - Bet entry, see repository.recordBet
+   */
+  async recordBet(bet) {
+    try {
+      await this.track(this.repository.recordBet(bet));
+    } catch (error) {
+      this.logger.error('❌ Error recording bet', { roundNumber: bet.roundNumber, playerId: bet.playerId, betId: bet.betId, error });
+    }
+  }
+
+  /**
+   * Store a full or partial cashout of a bet for history and stats
+   * @param {Object} bet - Open bet
+   * @param {Object} cashout - Cashout details, see repository.recordCashout
+   */
+  async recordCashout(bet, cashout) {
+    try {
+      await this.track(this.repository.recordCashout(bet.betId, cashout));
+    } catch (error) {
+      this.logger.error('❌ Error recording cashout', { roundNumber: bet.roundNumber, playerId: bet.playerId, betId: bet.betId, error });
+    }
+  }
+
+  /**
+   * Add an entry to a player's responsible gambling history
+   * @param {string} playerId - Player account ID
+   * @param {Object} event - Action, rule, period, details and message
+   */
+  async recordGamblingEvent(playerId, event) {
+    try {
+      await this.track(this.repository.recordGamblingEvent({
+        playerId,
+        period: null,
+        ...event,
+        createdAt: new Date(this.clock.now())
+      }));
+    } catch (error) {
+      this.logger.error('❌ Error recording responsible gambling event', { playerId, action: event.action, error });
+    }
+  }
+
+  /**
+   * Load a player into memory and register one of their connections
+   * @param {string} playerId - Player account ID
+   * @param {string} connectionId - Transport connection (socket) ID
+   * @returns {Promise<Object|null>} In-memory player state, or null for unknown players
+   */
+  async connectPlayer(playerId, connectionId) {
+    const player = await this.loadPlayer(playerId);
+    if (player) {
+      player.connections.add(connectionId);
+      // A session lasts while the player has at least one connection
+      if (!player.session) {
+        player.session = { startedAt: this.clock.now(), wageredUSD: 0, profitUSD: 0 };
+        this.scheduleSessionReminder(playerId);
+      }
+    }
+    return player;
+  }
+
+  /**
+   * Drop a player's connection, evicting them once nothing keeps them in memory
+   * @param {string} playerId - Player account ID
+   * @param {string} connectionId - Transport connection (socket) ID
+   */
+  disconnectPlayer(playerId, connectionId) {
+    const player = this.players[playerId];
+    if (!player) return;
+    player.connections.delete(connectionId);
+
+    // Keep players with bets in flight until the round settles; queued bets are dropped
+    if (player.connections.size === 0) {
+      player.queuedBets = [];
+      player.session = null;
+      this.clock.clearInterval(player.reminderTimer);
+      player.reminderTimer = null;
+      if (player.bets.size === 0 && player.pendingBets === 0) {
+        delete this.players[playerId];
+      }
+    }
+  }
+
+  /**
+   * Load a player account into memory, reusing the entry if already loaded
+   * @param {string} playerId - Player account ID
+   * @returns {Promise<Object|null>} In-memory player state
+   */
+  async loadPlayer(playerId) {
+    if (this.players[playerId]) return this.players[playerId];
+
+    // Concurrent connections of the same player share one load
+    if (!this.loadingPlayers[playerId]) {
+      this.loadingPlayers[playerId] = this.repository.findPlayer(playerId).finally(() => {
+        delete this.loadingPlayers[playerId];
+      });
+    }
+    const account = await this.loadingPlayers[playerId];
+    if (!account) return null;
+
+    if (!this.players[playerId]) {
+      const wallets = {};
+      for (const currency of Object.keys(this.supportedCryptos)) {
+        wallets[currency] = { balance: account.wallet[currency] || 0, currency };
+      }
+      this.players[playerId] = {
+        username: account.username,
+        wallets,
+        bets: new Map(), // Open bets of the current round, keyed by bet id
+        queuedBets: [],
+        pendingBets: 0, // Bets being placed
+        betSequence: Promise.resolve(), // Bet checks and debits, see sequenceBet
+        status: account.status || 'active',
+        autoBet: account.autoBet && account.autoBet.enabled ? account.autoBet : null,
+        responsibleGambling: account.responsibleGambling || null,
+        session: null,
+        reminderTimer: null,
+        connections: new Set()
+      };
+    }
+    return this.players[playerId];
+  }
+
+  /**
+   * In-memory state of a loaded player
+   * @param {string} playerId - Player account ID
+   * @returns {Object|undefined} Player state
+   */
+  getPlayer(playerId) {
+    return this.players[playerId];
+  }
+
+  /**
+   * Mirror a balance changed outside the game (deposits, withdrawals)
+   * @param {string} playerId - Player account ID
+   * @param {string} currency - Currency type
+   * @param {number} balance - New wallet balance in minor units
+   * @returns {boolean} Whether the player is loaded
+   */
+  setWalletBalance(playerId, currency, balance) {
+    const player = this.players[playerId];
+    if (!player) return false;
+    player.wallets[currency].balance = balance;
+    return true;
+  }
+
+  /**
+   * Bet for the round taking bets, or queue it for the next round while one is in flight
+   * @param {string} playerId - Player account ID
+   * @param {Object} data - USD amount, cryptocurrency and optional auto-cashout target, see utils/betPayload.js
+   * @returns {Promise<Object>} betPlaced payload
+   * @throws {Error} BET_REJECTED, INSUFFICIENT_BALANCE or PRICE_UNAVAILABLE
+   */
+  async placeBet(playerId, data) {
+    const player = this.players[playerId];
+    if (!player) {
+      throw rejectBet('Player not connected');
+    }
+    if (!this.acceptingBets) {
+      throw rejectBet('Server is shutting down, please try again shortly');
+    }
+    const { bet, error } = validateBetPayload(data, {
+      supportedCryptos: this.supportedCryptos,
+      minBetUSD: this.minBetUSD,
+      maxCrash: this.maxCrash
+    });
+    if (error) {
+      throw rejectBet(error);
+    }
+    const { usdAmount, cryptoType, autoCashoutAt } = bet;
+    this.checkBetAllowed(player, usdAmount);
+
+    // Outside the betting window the bet waits for the next round
+    if (this.gameState !== GAME_STATES.BETTING) {
+      if (this.paused) {
+        throw rejectBet('The game is paused, please try again later');
+      }
+      if (player.queuedBets.length >= this.maxBetsPerRound) {
+        throw rejectBet(`You can queue at most ${this.maxBetsPerRound} bets for the next round`);
+      }
+      await this.sequenceBet(player, () => this.checkResponsibleGambling(playerId, player, usdAmount));
+
+      player.queuedBets.push({ usdAmount, cryptoType, autoCashoutAt });
+      this.logger.log(`🕒 ${player.username} queued a bet of $${formatAmount(usdAmount, 'USD')} (${cryptoType}) for round ${this.roundNumber + 1}`, { roundNumber: this.roundNumber + 1, playerId });
+      const queued = {
+        success: true,
+        queued: true,
+        roundNumber: this.roundNumber + 1,
+        queuedBets: player.queuedBets.length,
+        cryptoType
+      };
+      this.emit('betPlaced', playerId, queued);
+      return queued;
+    }
+
+    const payload = await this.placeBetForPlayer(playerId, { usdAmount, cryptoType, autoCashoutAt });
+    this.emit('betPlaced', playerId, payload);
+    return payload;
+  }
+
+  /**
+   * Drop the bets a player queued for the next round before they are placed
+   * @param {string} playerId - Player account ID
+   */
+  cancelQueuedBet(playerId) {
+    const player = this.players[playerId];
+    if (!player) return;
+    player.queuedBets = [];
+    this.emit('queuedBetCancelled', playerId);
+  }
+
+  /**
+   * Bets a player placed in the current round, open, settled or refunded
+   * @param {string} playerId - Player account ID
+   * @returns {number} Number of bets
+   */
+  countRoundBets(playerId) {
+    let count = 0;
+    for (const entry of this.roundBets.values()) {
+      if (entry.playerId === playerId) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Debit a new bet for the round currently taking bets
+   * @param {string} playerId - Player account ID
+   * @param {Object} bet - USD amount in cents, cryptocurrency, auto-cashout target and whether the auto-bet placed it
+   * @returns {Promise<Object>} betPlaced payload
+   */
+  async placeBetForPlayer(playerId, { usdAmount, cryptoType, autoCashoutAt = null, auto = false }) {
+    const player = this.players[playerId];
+    const betRound = this.roundNumber;
+
+    // Bets still being placed count too, so concurrent requests cannot exceed the limit together
+    if (this.countRoundBets(playerId) + player.pendingBets >= this.maxBetsPerRound) {
+      throw rejectBet(`You can place at most ${this.maxBetsPerRound} bets per round`);
+    }
+    // Queued and auto bets are checked again; status or limits may have changed since
+    this.checkBetAllowed(player, usdAmount);
+
+    player.pendingBets++;
+    try {
+      return await this.sequenceBet(player, () => this.debitBet(playerId, player, betRound, { usdAmount, cryptoType, autoCashoutAt, auto }));
+    } finally {
+      player.pendingBets--;
+    }
+  }
+
+  /**
+   * Run a player's bet checks and debits one after another
+   * Each limit check then sees the bets placed before it, so two bets cannot
+   * both pass a limit only one of them fits.
+   * @param {Object} player - In-memory player state
+   * @param {Function} task - Check or debit to run
+   * @returns {Promise<*>} Result of the task
+   */
+  sequenceBet(player, task) {
+    const run = player.betSequence.then(task);
+    player.betSequence = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Price and debit a bet, then open it; see placeBetForPlayer
+   * @param {string} playerId - Player account ID
+   * @param {Object} player - In-memory player state
+   * @param {number} betRound - Round the bet is for
+   * @param {Object} bet - USD amount in cents, cryptocurrency, auto-cashout target and auto flag
+   * @returns {Promise<Object>} betPlaced payload
+   */
+  async debitBet(playerId, player, betRound, { usdAmount, cryptoType, autoCashoutAt, auto }) {
+    await this.checkResponsibleGambling(playerId, player, usdAmount);
+
+    // Bets are only priced off a fresh price; throws PRICE_UNAVAILABLE otherwise
+    const priceAtTime = await this.priceProvider.getFreshPrice(cryptoType);
+
+    const cryptoAmount = convertUSDToCrypto(usdAmount, cryptoType, priceAtTime);
+    this.logger.debug(`💱 Conversion: $${formatAmount(usdAmount, 'USD')} -> ${formatAmount(cryptoAmount, cryptoType)} ${cryptoType}`, { playerId, priceAtTime });
+
+    // The betting window may have closed while prices were fetched
+    if (this.gameState !== GAME_STATES.BETTING || this.roundNumber !== betRound) {
+      throw rejectBet('Betting is closed for this round');
+    }
+
+    // Stakes above the round's payout limit could not even be paid back at 1x
+    const limit = this.roundPayoutLimit(cryptoType);
+    const staked = this.roundTotals[cryptoType] ? this.roundTotals[cryptoType].staked : 0;
+    if (limit !== null && staked + cryptoAmount > limit) {
+      throw rejectBet(`This round has reached its ${cryptoType} limit, please bet on the next round`);
+    }
+    // Counted before awaiting so concurrent bets cannot overshoot the limit together
+    this.addToRoundTotals(cryptoType, { bets: 1, staked: cryptoAmount });
+
+    // The idempotency key makes a retried debit of this bet a no-op
+    const betId = generateBetId(betRound);
+    let result;
+    try {
+      result = await this.track(this.repository.applyBalanceChange({
+        playerId,
+        currency: cryptoType,
+        cryptoAmount,
+        usdAmount,
+        priceAtTime,
+        transactionType: 'bet',
+        roundNumber: betRound,
+        betId,
+        idempotencyKey: `bet:${betId}`
+      }));
+    } catch (error) {
+      this.addToRoundTotals(cryptoType, { bets: -1, staked: -cryptoAmount });
+      throw error;
+    }
+    player.wallets[cryptoType].balance = result.balance;
+
+    if (result.duplicate) {
+      this.addToRoundTotals(cryptoType, { bets: -1, staked: -cryptoAmount });
+    } else {
+      const { maxPayoutUSD } = this.roundLimits;
+      player.bets.set(betId, {
+        betId,
+        playerId,
+        // What still rides; partial cashouts lower both
+        usdAmount,
+        cryptoAmount,
+        cryptoType,
+        priceAtTime,
+        autoCashoutAt,
+        // Multiplier at which the bet reaches the maximum payout; kept through partial
+        // cashouts, so all payouts of the bet together stay within the maximum
+        maxMultiplier: maxPayoutUSD === null ? Infinity : toUnits(maxPayoutUSD, 'USD') / usdAmount,
+        auto,
+        roundNumber: betRound,
+        placedUSD: usdAmount,
+        placedCrypto: cryptoAmount,
+        paidOutUSD: 0,
+        cashouts: 0
+      });
+      this.recordBet({
+        betId,
+        roundNumber: betRound,
+        playerId,
+        username: player.username,
+        currency: cryptoType,
+        cryptoAmount,
+        usdAmount,
+        priceAtTime,
+        autoCashoutAt,
+        auto,
+        placedAt: new Date(this.clock.now())
+      });
+
+      const rosterEntry = {
+        betId,
+        playerId,
+        username: player.username,
+        usdAmount,
+        cryptoType,
+        status: 'playing',
+        multiplier: null,
+        winningsUSD: null
+      };
+      this.roundBets.set(betId, rosterEntry);
+      if (player.session) {
+        player.session.wageredUSD += usdAmount;
+        player.session.profitUSD -= usdAmount;
+      }
+      this.emit('playerBet', { roundNumber: betRound, ...this.formatRosterEntry(rosterEntry) });
+      this.logger.log(`🎯 ${player.username} placed a bet of $${formatAmount(usdAmount, 'USD')} (${formatAmount(cryptoAmount, cryptoType)} ${cryptoType})`, { roundNumber: betRound, playerId, betId });
+    }
+
+    return {
+      success: true,
+      betId,
+      usdAmount: formatAmount(usdAmount, 'USD'),
+      balance: formatAmount(result.balance, cryptoType),
+      roundNumber: betRound,
+      autoCashoutAt,
+      auto,
+      cryptoType
+    };
+  }
+
+  /**
+   * Cash out one of a player's open bets, in full or in part, at the multiplier of the instant it was received
+   * @param {string} playerId - Player account ID
+   * @param {number} [receivedAt] - Server receive time in ms
+   * @param {Object} [data] - `betId`, needed with several open bets, and `fraction` of the riding stake, see utils/betPayload.js
+   * @returns {Promise<Object>} cashedOutSuccess payload
+   * @throws {Error} CASHOUT_REJECTED when there is nothing to cash out or the round crashed first
+   */
+  async cashOut(playerId, receivedAt = this.clock.now(), data = null) {
+    const { cashout, error } = validateCashoutPayload(data);
+    if (error) {
+      throw rejectCashout(error);
+    }
+
+    // Settled from the receive time against the curve, not the last tick
+    const multiplier = this.multiplierForCashout(receivedAt);
+    if (multiplier === null) {
+      throw rejectCashout('Cannot cash out at this time');
+    }
+
+    const player = this.players[playerId];
+    const bets = player ? player.bets : new Map();
+    if (!cashout.betId && bets.size > 1) {
+      throw rejectCashout('You have several bets, choose the one to cash out');
+    }
+    const bet = cashout.betId ? bets.get(cashout.betId) : bets.values().next().value;
+    if (!bet) {
+      throw rejectCashout('Cannot cash out at this time');
+    }
+
+    // A payout limit reached before the cashout arrived but not yet settled by a tick still applies, to the whole bet
+    const exit = this.automaticExit(bet, this.roundLimitMultiplier(bet.cryptoType));
+    if (exit.limit && exit.multiplier < multiplier) {
+      return this.cashOutBet(playerId, bet.betId, exit.multiplier, exit.limit);
+    }
+    return this.cashOutBet(playerId, bet.betId, multiplier, null, cashout.fraction);
+  }
+
+  /**
+   * Settle all or part of an open bet at the given multiplier
+   * All checks run before the first await so the tick loop can settle
+   * auto-cashouts and then crash within the same tick.
+   * @param {string} playerId - Player account ID
+   * @param {string} betId - Bet ID
+   * @param {number} multiplier - Multiplier the bet is paid at
+   * @param {string|null} [limit] - `bet` or `round` when a payout limit cashed the bet out
+   * @param {number} [fraction] - Share of the riding stake to cash out; the rest keeps riding
+   * @returns {Promise<Object>} cashedOutSuccess payload
+   */
+  async cashOutBet(playerId, betId, multiplier, limit = null, fraction = 1) {
+    const player = this.players[playerId];
+    const bet = player && player.bets.get(betId);
+    if (!bet || this.gameState !== GAME_STATES.RUNNING) {
+      throw rejectCashout('Cannot cash out at this time');
+    }
+
+    const { cryptoType, priceAtTime } = bet;
+    // The share cashed out rounds down, and its USD value is what the rest is no longer worth
+    const stakeCrypto = fraction < 1 ? multiplyAmount(bet.cryptoAmount, fraction) : bet.cryptoAmount;
+    if (stakeCrypto === 0) {
+      throw rejectCashout('This bet is too small to cash out in part');
+    }
+    const partial = stakeCrypto < bet.cryptoAmount;
+    const remainingCrypto = bet.cryptoAmount - stakeCrypto;
+    const remainingUSD = proportionalAmount(bet.placedUSD, remainingCrypto, bet.placedCrypto);
+    const stakeUSD = bet.usdAmount - remainingUSD;
+    // Both round down: payouts never exceed the exact product
+    const winningsCrypto = multiplyAmount(stakeCrypto, multiplier);
+    const winningsUSD = convertCryptoToUSD(winningsCrypto, cryptoType, priceAtTime);
+
+    // Claim the stake before awaiting so a repeated event cannot pay it twice, and
+    // count the payout so round limits see it before the write lands
+    const sequence = ++bet.cashouts;
+    Object.assign(bet, { cryptoAmount: remainingCrypto, usdAmount: remainingUSD, paidOutUSD: bet.paidOutUSD + winningsUSD });
+    if (!partial) {
+      player.bets.delete(betId);
+    }
+    this.addToRoundTotals(cryptoType, { paidOut: winningsCrypto });
+    // The roster too, so a summary built right after a crash sees it
+    const rosterEntry = this.roundBets.get(betId);
+    const previousMultiplier = rosterEntry && rosterEntry.multiplier;
+    if (rosterEntry) {
+      Object.assign(rosterEntry, {
+        status: partial ? 'playing' : 'cashedOut',
+        multiplier: multiplier.toFixed(2),
+        winningsUSD: (rosterEntry.winningsUSD || 0) + winningsUSD
+      });
+    }
+
+    let result;
+    try {
+      result = await this.track(this.repository.applyBalanceChange({
+        playerId,
+        currency: cryptoType,
+        cryptoAmount: winningsCrypto,
+        usdAmount: winningsUSD,
+        priceAtTime,
+        transactionType: 'cashout',
+        roundNumber: bet.roundNumber,
+        betId,
+        stakeAmount: stakeCrypto,
+        idempotencyKey: `cashout:${betId}:${sequence}`
+      }));
+    } catch (error) {
+      // Nothing was written, so the stake is still riding
+      bet.cryptoAmount += stakeCrypto;
+      bet.usdAmount = proportionalAmount(bet.placedUSD, bet.cryptoAmount, bet.placedCrypto);
+      bet.paidOutUSD -= winningsUSD;
+      if (bet.roundNumber === this.roundNumber) {
+        player.bets.set(betId, bet);
+      }
+      this.addToRoundTotals(cryptoType, { paidOut: -winningsCrypto });
+      if (rosterEntry) {
+        const winnings = rosterEntry.winningsUSD - winningsUSD;
+        const status = this.gameState === GAME_STATES.RUNNING ? 'playing' : 'lost';
+        Object.assign(rosterEntry, { status, multiplier: winnings ? previousMultiplier : null, winningsUSD: winnings || null });
+      }
+      throw error;
+    }
+    player.wallets[cryptoType].balance = result.balance;
+    if (player.session) {
+      player.session.profitUSD += winningsUSD;
+    }
+    this.recordCashout(bet, {
+      cashoutMultiplier: multiplier,
+      payoutCrypto: winningsCrypto,
+      payoutUSD: winningsUSD,
+      partial,
+      limit,
+      settledAt: new Date(this.clock.now())
+    });
+
+    this.emit('playerCashout', {
+      roundNumber: bet.roundNumber,
+      betId,
+      playerId,
+      username: player.username,
+      usdAmount: formatAmount(stakeUSD, 'USD'),
+      multiplier: multiplier.toFixed(2),
+      winningsUSD: formatAmount(winningsUSD, 'USD'),
+      partial,
+      remainingUSD: formatAmount(remainingUSD, 'USD'),
+      limit,
+      cryptoType
+    });
+
+    const payload = {
+      betId,
+      winnings: formatAmount(winningsUSD, 'USD'),
+      balance: formatAmount(player.wallets[cryptoType].balance, cryptoType),
+      multiplier: multiplier.toFixed(2),
+      auto: Boolean(!limit && !partial && bet.autoCashoutAt && multiplier === bet.autoCashoutAt),
+      partial,
+      remainingUSD: formatAmount(remainingUSD, 'USD'),
+      limit,
+      cryptoType
+    };
+    this.emit('cashedOutSuccess', playerId, payload);
+
+    this.logger.log(`💸 ${player.username} cashed out ${partial ? 'part of a bet' : 'a bet'} at ${multiplier.toFixed(2)}x, won $${payload.winnings}`, { roundNumber: bet.roundNumber, playerId, betId });
+
+    if (bet.auto && !partial) {
+      await this.recordAutoBetResult(playerId, bet.placedUSD, bet.paidOutUSD);
+    }
+    return payload;
+  }
+
+  /**
+   * Settle every open bet that reached its auto-cashout target or a payout limit
+   * Bets are paid in full at exactly that multiplier, up to and including the crash point.
+   * Round limit multipliers are worked out before any of this tick's payouts,
+   * so bets paid out together never exceed the round's limit.
+   */
+  settleDueCashouts() {
+    const roundLimitMultipliers = {};
+    for (const currency of Object.keys(this.supportedCryptos)) {
+      roundLimitMultipliers[currency] = this.roundLimitMultiplier(currency);
+    }
+
+    for (const { playerId, player, bet } of this.openBets()) {
+      const exit = this.automaticExit(bet, roundLimitMultipliers[bet.cryptoType]);
+      if (exit.multiplier > this.currentMultiplier || exit.multiplier > this.crashPoint) continue;
+
+      if (exit.limit === 'round' && !this.limitsReached.has(bet.cryptoType)) {
+        this.limitsReached.add(bet.cryptoType);
+        this.emit('payoutLimitReached', {
+          roundNumber: this.roundNumber,
+          cryptoType: bet.cryptoType,
+          multiplier: exit.multiplier.toFixed(2)
+        });
+        this.logger.warn(`🛡️ Round ${this.roundNumber} reached its ${bet.cryptoType} payout limit at ${exit.multiplier.toFixed(2)}x`, { roundNumber: this.roundNumber, currency: bet.cryptoType });
+      }
+
+      this.cashOutBet(playerId, bet.betId, exit.multiplier, exit.limit).catch(error => {
+        this.logger.error(`❌ Error auto-cashing out ${player.username}`, { roundNumber: this.roundNumber, playerId, betId: bet.betId, error });
+        this.emit('cashedOutFail', playerId, {
+          betId: bet.betId,
+          message: 'Error processing auto cash out'
+        });
+      });
+    }
+  }
+
+  /**
+   * Configure server-side auto-betting for a player
+   * @param {string} playerId - Player account ID
+   * @param {Object} config - Auto-bet configuration from the client
+   * @returns {Promise<Object>} Saved auto-bet state
+   * @throws {Error} AUTO_BET_REJECTED for an invalid configuration
+   */
+  async setAutoBet(playerId, config) {
+    const player = this.players[playerId];
+    const { autoBet, error } = createAutoBet(config, {
+      supportedCryptos: this.supportedCryptos,
+      maxCrash: this.maxCrash
+    });
+    const now = this.clock.now();
+    const block = player && activeBreak(currentControls(player.responsibleGambling, now).controls, now);
+    const reason = error || (!player && 'Player not connected') || ACCOUNT_STATUS_MESSAGES[player.status] || (block && block.message);
+    if (reason) {
+      const rejection = new Error(reason);
+      rejection.code = 'AUTO_BET_REJECTED';
+      throw rejection;
+    }
+
+    player.autoBet = autoBet;
+    await this.saveAutoBet(playerId);
+    this.emit('autoBetUpdated', playerId, { success: true, autoBet });
+    this.logger.log(`🤖 ${player.username} enabled ${autoBet.strategy} auto-bet of $${autoBet.baseBetUSD} ${autoBet.cryptoType}`, { playerId });
+    return autoBet;
+  }
+
+  /**
+   * Persist a player's auto-bet state
+   * @param {string} playerId - Player account ID
+   */
+  async saveAutoBet(playerId) {
+    const player = this.players[playerId];
+    if (!player) return;
+
+    try {
+      await this.track(this.repository.saveAutoBet(playerId, player.autoBet || { enabled: false }));
+    } catch (error) {
+      this.logger.error('❌ Error saving auto-bet', { playerId, error });
+    }
+  }
+
+  /**
+   * Turn off a player's auto-bet and tell them why
+   * @param {string} playerId - Player account ID
+   * @param {string} reason - Why auto-betting stopped
+   */
+  async stopAutoBet(playerId, reason) {
+    const player = this.players[playerId];
+    if (!player || !player.autoBet) return;
+
+    player.autoBet = { ...player.autoBet, enabled: false };
+    await this.saveAutoBet(playerId);
+    player.autoBet = null;
+    this.emit('autoBetStopped', playerId, { reason });
+    this.logger.log(`🤖 Auto-bet stopped for ${player.username}: ${reason}`, { playerId });
+  }
+
+  /**
+   * Update auto-bet progress after one of its bets is won or lost
+   * @param {string} playerId - Player account ID
+   * @param {number} betCents - Amount wagered in cents
+   * @param {number} payoutCents - Amount paid out in cents (0 when lost)
+   */
+  async recordAutoBetResult(playerId, betCents, payoutCents) {
+    const player = this.players[playerId];
+    if (!player || !player.autoBet) return;
+
+    const { autoBet, stopReason } = applyAutoBetResult(player.autoBet, betCents, payoutCents);
+    player.autoBet = autoBet;
+    if (stopReason) {
+      return this.stopAutoBet(playerId, stopReason);
+    }
+
+    await this.saveAutoBet(playerId);
+    this.emit('autoBetUpdated', playerId, { success: true, autoBet });
+  }
+
+  /**
+   * Place this round's bet for every loaded player running an auto-bet
+   * It takes one of the player's bets of the round; players whose queued bets took them all skip a round.
+   */
+  async placeAutoBets() {
+    for (const [playerId, player] of Object.entries(this.players)) {
+      const autoBet = player.autoBet;
+      if (!autoBet || !autoBet.enabled || this.countRoundBets(playerId) >= this.maxBetsPerRound) continue;
+
+      try {
+        this.emit('betPlaced', playerId, await this.placeBetForPlayer(playerId, {
+          usdAmount: toUnits(autoBet.nextBetUSD, 'USD'),
+          cryptoType: autoBet.cryptoType,
+          autoCashoutAt: autoBet.autoCashoutAt,
+          auto: true
+        }));
+      } catch (error) {
+        await this.stopAutoBet(playerId, `Auto-bet failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Place the bets players queued while the previous round was in flight
+   */
+  async placeQueuedBets() {
+    for (const [playerId, player] of Object.entries(this.players)) {
+      const queuedBets = player.queuedBets;
+      player.queuedBets = [];
+
+      for (const queuedBet of queuedBets) {
+        try {
+          this.emit('betPlaced', playerId, await this.placeBetForPlayer(playerId, queuedBet));
+        } catch (error) {
+          this.logger.error(`❌ Error placing queued bet for ${player.username}`, { roundNumber: this.roundNumber, playerId, error });
+          this.emit('betPlaced', playerId, {
+            success: false,
+            message: `Queued bet failed: ${error.message}`
+          });
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  GameEngine,
+  GAME_STATES,
+  systemClock,
+  convertUSDToCrypto,
+  convertCryptoToUSD
+};
@@ -0,0 +1,301 @@
+/**
+ * Round coordinator for running several server instances
+ *
+ * Exactly one instance, the holder of the leader lease, runs a GameEngine.
+ * Its events are emitted on the socket.io server, whose adapter fans them out
+ * to the clients of every instance. Player commands (bets, cashouts, ...) are
+ * sent to the leader with `serverSideEmit` and answered with an ack, so every
+ * instance sees the same authoritative round state.
+ *
+ * When leadership moves, the new leader recovers the previous leader's open
+ * round (voiding it and refunding its bets) and asks every instance to
+ * register its connected players again.
+ */
+
+const COMMAND_EVENT = 'game:command';
+const LEADER_EVENT = 'game:leaderElected';
+const COMMAND_TIMEOUT_MS = 5000;
+const RECOVERY_RETRY_MS = 5000;
+
+// Players' browsers use the default namespace, bots signed with an API key their own
+const BOT_NAMESPACE = '/bot';
+const PLAYER_NAMESPACES = ['/', BOT_NAMESPACE];
+
+// Engine events sent to every client, on every player namespace
+const BROADCAST_EVENTS = ['gameState', 'countdown', 'roundStart', 'playerBet', 'playerCashout', 'payoutLimitReached', 'roundSummary', 'roundAborted'];
+
+// Engine events sent only to operator consoles, on their own namespace
+const ADMIN_NAMESPACE = '/admin';
+const ADMIN_EVENTS = ['exposure'];
+
+// Engine events sent to every socket of one player
+const PLAYER_EVENTS = ['betPlaced', 'betRefunded', 'cashedOutSuccess', 'cashedOutFail', 'autoBetUpdated', 'autoBetStopped', 'queuedBetCancelled', 'sessionReminder'];
+
+// Commands other instances may run on the leader's engine; results must survive serialization
+const COMMANDS = {
+  async connectPlayer(engine, playerId, connectionId) {
+    const player = await engine.connectPlayer(playerId, connectionId);
+    return player && { username: player.username, status: player.status, autoBet: player.autoBet };
+  },
+  disconnectPlayer: (engine, playerId, connectionId) => engine.disconnectPlayer(playerId, connectionId),
+  placeBet: (engine, playerId, bet) => engine.placeBet(playerId, bet),
+  cancelQueuedBet: (engine, playerId) => engine.cancelQueuedBet(playerId),
+  cashOut: (engine, playerId, receivedAt, cashout) => engine.cashOut(playerId, receivedAt, cashout),
+  setAutoBet: (engine, playerId, config) => engine.setAutoBet(playerId, config),
+  stopAutoBet: (engine, playerId, reason) => engine.stopAutoBet(playerId, reason),
+  setWalletBalance: (engine, playerId, currency, balance) => engine.setWalletBalance(playerId, currency, balance),
+  getWallets(engine, playerId) {
+    const player = engine.getPlayer(playerId);
+    if (!player) return null;
+    const wallets = {};
+    for (const [currency, wallet] of Object.entries(player.wallets)) {
+      wallets[currency] = wallet.balance;
+    }
+    return wallets;
+  },
+  setPlayerStatus: (engine, playerId, status) => engine.setPlayerStatus(playerId, status),
+  setResponsibleGambling: (engine, playerId, controls) => engine.setResponsibleGambling(playerId, controls),
+  pause: engine => engine.pause(),
+  resume: engine => engine.resume(),
+  getSettings: engine => engine.getSettings(),
+  updateSettings: (engine, changes) => engine.updateSettings(changes),
+  getExposure: engine => engine.getExposure(),
+  getSnapshot: engine => engine.getSnapshot(),
+  getRoster: engine => engine.getRoster(),
+  // Instances without GAME_SEED each build their own chain, so the commitment comes from the one being played
+  getCommitment: engine => ({
+    chainLength: engine.seedSource.length,
+    ...engine.seedSource.getCommitment(Math.max(1, engine.roundNumber))
+  }),
+  getStatus: engine => ({
+    roundNumber: engine.roundNumber,
+    gameState: engine.gameState,
+    bettingEndsAt: engine.bettingEndsAt,
+    connectedPlayers: Object.keys(engine.players).length
+  })
+};
+
+/**
+ * Socket.io room shared by all sockets of a player
+ * @param {string} playerId - Player account ID
+ * @returns {string} Room name
+ */
+function playerRoom(playerId) {
+  return `player:${playerId}`;
+}
+
+/**
+ * Error for a command that found no leader to run it
+ * @returns {Error} Error with code GAME_UNAVAILABLE
+ */
+function gameUnavailable() {
+  const error = new Error('Game server is starting, please try again shortly');
+  error.code = 'GAME_UNAVAILABLE';
+  return error;
+}
+
+/**
+ * Create a round coordinator
+ * @param {Object} options - Coordinator dependencies
+ * @param {Object} options.io - socket.io server, with a cluster adapter when running several instances
+ * @param {Object} options.lease - Leader lease (see utils/leaderLease.js)
+ * @param {Function} options.createEngine - Builds a fresh GameEngine for each leadership term
+ * @param {number} [options.commandTimeoutMs] - How long to wait for the leader's answer
+ * @param {Function} [options.onRoundSettled] - Called on the leader with `{ roundNumber, crashPoint }` once a round is stored
+ * @param {Object} [options.logger] - console-like logger
+ * @returns {Object} Coordinator
+ */
+function createCoordinator({ io, lease, createEngine, commandTimeoutMs = COMMAND_TIMEOUT_MS, onRoundSettled = () => {}, logger = console }) {
+  let engine = null;
+  let term = 0;
+
+  /**
+   * Relay an engine's events to the clients of every instance
+   * @param {Object} gameEngine - Game engine
+   */
+  function forwardEvents(gameEngine) {
+    const namespaces = PLAYER_NAMESPACES.map(name => io.of(name));
+
+    for (const event of BROADCAST_EVENTS) {
+      gameEngine.on(event, payload => namespaces.forEach(namespace => namespace.emit(event, payload)));
+    }
+
+    gameEngine.on('crashed', round => {
+      for (const namespace of namespaces) {
+        namespace.emit('crashed', round.crashPoint.toFixed(2));
+        namespace.emit('seedRevealed', { ...round, crashPoint: round.crashPoint.toFixed(2) });
+      }
+    });
+
+    for (const event of PLAYER_EVENTS) {
+      gameEngine.on(event, (playerId, payload) => {
+        namespaces.forEach(namespace => namespace.to(playerRoom(playerId)).emit(event, payload));
+      });
+    }
+
+    for (const event of ADMIN_EVENTS) {
+      gameEngine.on(event, payload => io.of(ADMIN_NAMESPACE).emit(event, payload));
+    }
+
+    gameEngine.on('roundSettled', onRoundSettled);
+  }
+
+  /**
+   * Run a command on the local engine
+   * @param {string} command - Command name
+   * @param {Array} args - Command arguments
+   * @returns {Promise<*>} Command result
+   */
+  async function runLocally(command, args) {
+    if (!COMMANDS[command]) {
+      throw new Error(`Unknown game command: ${command}`);
+    }
+    return COMMANDS[command](engine, ...args);
+  }
+
+  /**
+   * Ask the other instances to run a command; only the leader answers
+   * @param {string} command - Command name
+   * @param {Array} args - Command arguments
+   * @returns {Promise<*>} Command result
+   */
+  function sendToLeader(command, args) {
+    return new Promise((resolve, reject) => {
+      // The adapter has its own request timeout; this one also covers adapters that never answer
+      const timer = setTimeout(() => reject(gameUnavailable()), commandTimeoutMs);
+
+      io.serverSideEmit(COMMAND_EVENT, { command, args }, (err, responses) => {
+        clearTimeout(timer);
+        // A timeout still carries the answers that did arrive
+        const reply = (responses || []).find(Boolean);
+        if (!reply) {
+          return reject(gameUnavailable());
+        }
+        if (reply.ok) {
+          return resolve(reply.result);
+        }
+        const error = new Error(reply.error.message);
+        error.code = reply.error.code;
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Run a command on the authoritative engine, wherever it lives
+   * @param {string} command - Command name
+   * @param {...*} args - Command arguments
+   * @returns {Promise<*>} Command result
+   * @throws {Error} GAME_UNAVAILABLE while no leader is running, or the engine's own errors
+   */
+  function call(command, ...args) {
+    return engine ? runLocally(command, args) : sendToLeader(command, args);
+  }
+
+  io.on(COMMAND_EVENT, async ({ command, args }, ack) => {
+    if (!engine) return ack(null);
+    try {
+      const result = await runLocally(command, args);
+      ack({ ok: true, result: result === undefined ? null : result });
+    } catch (error) {
+      ack({ ok: false, error: { message: error.message, code: error.code || null } });
+    }
+  });
+
+  /**
+   * Register this instance's connected players with the current leader
+   */
+  async function registerLocalPlayers() {
+    const sockets = PLAYER_NAMESPACES.flatMap(name => [...io.of(name).sockets.values()]);
+    for (const socket of sockets) {
+      if (!socket.data.playerId) continue;
+      try {
+        await call('connectPlayer', socket.data.playerId, socket.id);
+      } catch (error) {
+        logger.error(`❌ Error registering player ${socket.data.playerId} with the leader`, { playerId: socket.data.playerId, error });
+      }
+    }
+  }
+
+  io.on(LEADER_EVENT, () => {
+    registerLocalPlayers();
+  });
+
+  /**
+   * Take over the round loop: recover, start and announce the new leader
+   */
+  async function lead() {
+    const myTerm = ++term;
+    const gameEngine = createEngine();
+
+    // Rounds continue from the database, so nothing starts until recovery succeeds
+    for (;;) {
+      try {
+        await gameEngine.recover();
+        break;
+      } catch (error) {
+        logger.error('❌ Error recovering game state:', error);
+        await new Promise(resolve => setTimeout(resolve, RECOVERY_RETRY_MS));
+        if (myTerm !== term) return;
+      }
+    }
+    // Leadership may have been lost while recovering
+    if (myTerm !== term) return;
+
+    engine = gameEngine;
+    forwardEvents(engine);
+    engine.start();
+    logger.log(`👑 ${lease.instanceId} is now running the game`);
+
+    io.serverSideEmit(LEADER_EVENT, lease.instanceId);
+    await registerLocalPlayers();
+  }
+
+  /**
+   * Stop the round loop after losing the lease
+   */
+  function stepDown() {
+    term++;
+    if (!engine) return;
+    engine.stop();
+    engine.removeAllListeners();
+    engine = null;
+    logger.warn(`⚠️ ${lease.instanceId} lost the leader lease, round loop stopped`);
+  }
+
+  lease.events.on('elected', () => {
+    lead().catch(error => logger.error('❌ Error taking over the game:', error));
+  });
+  lease.events.on('revoked', stepDown);
+
+  return {
+    call,
+
+    /**
+     * @returns {boolean} Whether this instance runs the game engine
+     */
+    isLeader() {
+      return Boolean(engine);
+    },
+
+    /**
+     * Compete for leadership
+     */
+    start() {
+      lease.start();
+    },
+
+    /**
+     * Finish or void the round if leading, then give up the lease
+     * @param {Object} [options] - `graceMs` for the engine shutdown
+     */
+    async shutdown(options) {
+      if (engine) {
+        await engine.shutdown(options);
+      }
+      await lease.stop();
+    }
+  };
+}
+
+module.exports = { createCoordinator, playerRoom, ADMIN_NAMESPACE, BOT_NAMESPACE };
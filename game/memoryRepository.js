@@ -0,0 +1,200 @@
+const { TRANSACTION_TYPES, assertMinorUnits, generateTransactionHash, findRidingStakes } = require('../utils/ledger');
+const { createAuditEntry } = require('../utils/audit');
+
+/**
+ * In-memory repository for the game engine, for tests and simulations
+ * Mirrors the ledger's rules: idempotency keys, no negative balances,
+ * amounts in minor units, debit/credit directions per transaction type and
+ * the hash-chained audit log.
+ * @param {Object} [options] - `players` keyed by id: `{ username, status, wallet, autoBet, responsibleGambling }`
+ * @returns {Object} Repository
+ */
+function createMemoryRepository({ players = {} } = {}) {
+  const accounts = {};
+  const rounds = new Map();
+  const bets = new Map(); // keyed by bet id
+  const transactions = [];
+  const gamblingEvents = [];
+  const auditLog = [];
+  const byIdempotencyKey = new Map();
+  let settings = null;
+
+  for (const [playerId, player] of Object.entries(players)) {
+    accounts[playerId] = {
+      username: player.username || playerId,
+      status: player.status || 'active',
+      wallet: { ...player.wallet },
+      autoBet: player.autoBet || null,
+      responsibleGambling: player.responsibleGambling || null
+    };
+  }
+
+  return {
+    rounds,
+    bets,
+    transactions,
+    gamblingEvents,
+    auditLog,
+
+    async saveRound(round) {
+      rounds.set(round.roundNumber, { ...rounds.get(round.roundNumber), ...round, status: 'active' });
+    },
+
+    async completeRound(roundNumber, result) {
+      rounds.set(roundNumber, { ...rounds.get(roundNumber), ...result, status: 'completed' });
+      for (const bet of bets.values()) {
+        if (bet.roundNumber === roundNumber && bet.status === 'open') {
+          Object.assign(bet, { status: 'lost', profitUSD: bet.payoutUSD - bet.usdAmount, settledAt: result.endTime });
+        }
+      }
+    },
+
+    async abortRound(roundNumber, result) {
+      rounds.set(roundNumber, { ...rounds.get(roundNumber), ...result, status: 'aborted' });
+      for (const bet of bets.values()) {
+        if (bet.roundNumber === roundNumber && bet.status === 'open') {
+          Object.assign(bet, { status: 'refunded', settledAt: result.endTime });
+        }
+      }
+    },
+
+    async recordBet(bet) {
+      if (!bets.has(bet.betId)) {
+        bets.set(bet.betId, { ...bet, status: 'open', cashoutMultiplier: null, payoutCrypto: 0, payoutUSD: 0, profitUSD: 0, limit: null });
+      }
+    },
+
+    async recordCashout(betId, { cashoutMultiplier, payoutCrypto, payoutUSD, partial, limit, settledAt }) {
+      const bet = bets.get(betId);
+      if (!bet) return;
+      bet.cashoutMultiplier = Math.max(bet.cashoutMultiplier || 0, cashoutMultiplier);
+      bet.payoutCrypto += payoutCrypto;
+      bet.payoutUSD += payoutUSD;
+      if (!partial) {
+        Object.assign(bet, { status: 'cashedOut', limit, settledAt, profitUSD: bet.payoutUSD - bet.usdAmount });
+      }
+    },
+
+    async getLastRoundNumber() {
+      const numbers = [...rounds.keys(), ...transactions.map(tx => tx.roundNumber || 0)];
+      return numbers.length ? Math.max(...numbers) : 0;
+    },
+
+    async findOpenRounds() {
+      return [...rounds.values()]
+        .filter(round => round.status === 'active')
+        .map(round => round.roundNumber)
+        .sort((a, b) => a - b);
+    },
+
+    async findOrphanedBets(roundNumber) {
+      return findRidingStakes(transactions.filter(tx => tx.roundNumber === roundNumber));
+    },
+
+    async loadSettings() {
+      return settings && { ...settings };
+    },
+
+    async saveSettings(changes) {
+      settings = { ...settings, ...changes };
+    },
+
+    async findPlayer(playerId) {
+      const account = accounts[playerId];
+      if (!account) return null;
+      return {
+        username: account.username,
+        status: account.status,
+        wallet: { ...account.wallet },
+        autoBet: account.autoBet && account.autoBet.enabled ? { ...account.autoBet } : null,
+        responsibleGambling: account.responsibleGambling
+      };
+    },
+
+    async saveAutoBet(playerId, autoBet) {
+      if (accounts[playerId]) {
+        accounts[playerId].autoBet = { ...autoBet };
+      }
+    },
+
+    async getBettingTotals(playerId, since, excludeBetIds = []) {
+      const totals = { wageredUSD: 0, profitUSD: 0 };
+      for (const bet of bets.values()) {
+        if (bet.playerId === playerId && bet.placedAt >= since && bet.status !== 'refunded' && !excludeBetIds.includes(bet.betId)) {
+          totals.wageredUSD += bet.usdAmount;
+          totals.profitUSD += bet.profitUSD;
+        }
+      }
+      return totals;
+    },
+
+    async recordGamblingEvent(event) {
+      gamblingEvents.push({ ...event });
+    },
+
+    async applyBalanceChange(change) {
+      const { playerId, currency, cryptoAmount, transactionType, idempotencyKey } = change;
+      const type = TRANSACTION_TYPES[transactionType];
+      const direction = type && (type.direction || change.direction);
+
+      if (!type || !['debit', 'credit'].includes(direction)) {
+        throw new Error(`Invalid ledger transaction type: ${transactionType}`);
+      }
+      assertMinorUnits(change);
+      if (!idempotencyKey) {
+        throw new Error('Ledger changes require an idempotency key');
+      }
+
+      const account = accounts[playerId];
+      if (byIdempotencyKey.has(idempotencyKey)) {
+        return {
+          transaction: byIdempotencyKey.get(idempotencyKey),
+          balance: account ? account.wallet[currency] : 0,
+          duplicate: true
+        };
+      }
+
+      const balance = account ? account.wallet[currency] || 0 : 0;
+      if (!account || (direction === 'debit' && balance < cryptoAmount)) {
+        const error = new Error(`Insufficient ${currency} balance`);
+        error.code = 'INSUFFICIENT_BALANCE';
+        throw error;
+      }
+
+      account.wallet[currency] = direction === 'debit' ? balance - cryptoAmount : balance + cryptoAmount;
+      const transaction = {
+        ...change,
+        direction,
+        transactionHash: change.transactionHash || generateTransactionHash(),
+        timestamp: new Date()
+      };
+      transactions.push(transaction);
+      byIdempotencyKey.set(idempotencyKey, transaction);
+      auditLog.push(createAuditEntry(auditLog[auditLog.length - 1] || null, {
+        action: transactionType,
+        playerId,
+        currency,
+        direction,
+        amount: cryptoAmount,
+        balance: account.wallet[currency],
+        transactionId: transactions.length,
+        reference: idempotencyKey,
+        roundNumber: change.roundNumber
+      }, transaction.timestamp));
+
+      return { transaction, balance: account.wallet[currency], duplicate: false };
+    },
+
+    /**
+     * Current wallet balance of a player
+     * @param {string} playerId - Player account ID
+     * @param {string} currency - Currency type
+     * @returns {number} Balance in minor units
+     */
+    getBalance(playerId, currency) {
+      return accounts[playerId] ? accounts[playerId].wallet[currency] : 0;
+    }
+  };
+}
+
+module.exports = { createMemoryRepository };
@@ -0,0 +1,197 @@
+const Round = require('../models/Round');
+const Bet = require('../models/Bet');
+const Player = require('../models/Player');
+const Transaction = require('../models/Transaction');
+const GameSettings = require('../models/GameSettings');
+const ResponsibleGamblingEvent = require('../models/ResponsibleGamblingEvent');
+const { getBettingTotals } = require('../utils/stats');
+const { applyBalanceChange, findRidingStakes } = require('../utils/ledger');
+
+/**
+ * MongoDB repository for the game engine
+ * Balance changes go through the double-entry ledger.
+ * @returns {Object} Repository
+ */
+function createMongoRepository() {
+  return {
+    /**
+     * Store a round and its seed commitment
+     * @param {Object} round - Round number, seed hash, client seed, chain position, terminal hash, start time
+     */
+    async saveRound(round) {
+      await Round.updateOne(
+        { roundNumber: round.roundNumber },
+        { ...round, status: 'active' },
+        { upsert: true }
+      );
+    },
+
+    /**
+     * Store a round's crash point and revealed seed; bets still open are lost, keeping what they cashed out in part
+     * @param {number} roundNumber - Round number
+     * @param {Object} result - Crash point, server seed and end time
+     */
+    async completeRound(roundNumber, result) {
+      await Round.updateOne(
+        { roundNumber },
+        { ...result, status: 'completed' }
+      );
+      await Bet.updateMany(
+        { roundNumber, status: 'open' },
+        [{ $set: { status: 'lost', profitUSD: { $subtract: ['$payoutUSD', '$usdAmount'] }, settledAt: result.endTime } }]
+      );
+    },
+
+    /**
+     * Mark a round as voided and its open bets as refunded
+     * @param {number} roundNumber - Round number
+     * @param {Object} result - End time
+     */
+    async abortRound(roundNumber, result) {
+      await Round.updateOne(
+        { roundNumber },
+        { ...result, status: 'aborted' }
+      );
+      await Bet.updateMany(
+        { roundNumber, status: 'open' },
+        { $set: { status: 'refunded', settledAt: result.endTime } }
+      );
+    },
+
+    /**
+     * Store a placed bet for history and stats
+     * @param {Object} bet - Bet ID, round number, player, username, currency, amounts, price, auto-cashout target and placement time
+     */
+    async recordBet(bet) {
+      await Bet.updateOne(
+        { betId: bet.betId },
+        { $setOnInsert: { ...bet, status: 'open' } },
+        { upsert: true }
+      );
+    },
+
+    /**
+     * Add a full or partial cashout to a bet; a full one settles it
+     * @param {string} betId - Bet ID
+     * @param {Object} cashout - Multiplier, payout in crypto and USD, whether `partial`, payout limit and time
+     */
+    async recordCashout(betId, { cashoutMultiplier, payoutCrypto, payoutUSD, partial, limit, settledAt }) {
+      const totals = {
+        cashoutMultiplier: { $max: [{ $ifNull: ['$cashoutMultiplier', 0] }, cashoutMultiplier] },
+        payoutCrypto: { $add: ['$payoutCrypto', payoutCrypto] },
+        payoutUSD: { $add: ['$payoutUSD', payoutUSD] }
+      };
+      // Unconditional, so a cashout stored after the round was settled still wins over `lost`
+      const update = partial
+        ? [{ $set: totals }]
+        : [
+            { $set: { ...totals, status: 'cashedOut', limit, settledAt } },
+            { $set: { profitUSD: { $subtract: ['$payoutUSD', '$usdAmount'] } } }
+          ];
+      await Bet.updateOne({ betId }, update);
+    },
+
+    /**
+     * Highest round number seen in rounds or ledger transactions
+     * @returns {Promise<number>} Round number, 0 when nothing was played yet
+     */
+    async getLastRoundNumber() {
+      const [round] = await Round.find({}, { roundNumber: 1 }).sort({ roundNumber: -1 }).limit(1).lean();
+      const [transaction] = await Transaction.find({ roundNumber: { $ne: null } }, { roundNumber: 1 })
+        .sort({ roundNumber: -1 })
+        .limit(1)
+        .lean();
+      return Math.max(round ? round.roundNumber : 0, transaction ? transaction.roundNumber : 0);
+    },
+
+    /**
+     * Rounds that never completed
+     * @returns {Promise<number[]>} Round numbers, oldest first
+     */
+    async findOpenRounds() {
+      const rounds = await Round.find({ status: 'active' }, { roundNumber: 1 }).sort({ roundNumber: 1 }).lean();
+      return rounds.map(round => round.roundNumber);
+    },
+
+    /**
+     * Bets of a round with stake still riding: neither fully cashed out nor refunded
+     * @param {number} roundNumber - Round number
+     * @returns {Promise<Object[]>} Bet transactions with the riding stake as `cryptoAmount` and `usdAmount`
+     */
+    async findOrphanedBets(roundNumber) {
+      const transactions = await Transaction.find({
+        roundNumber,
+        transactionType: { $in: ['bet', 'cashout', 'refund'] }
+      }).lean();
+      return findRidingStakes(transactions);
+    },
+
+    /**
+     * Operator settings saved by a previous process or leader
+     * @returns {Promise<Object|null>} Settings, null when never changed
+     */
+    async loadSettings() {
+      return GameSettings.findById('game', { _id: 0, __v: 0, updatedAt: 0 }).lean();
+    },
+
+    /**
+     * Persist operator settings and pause state
+     * @param {Object} settings - Settings to store
+     */
+    async saveSettings(settings) {
+      await GameSettings.updateOne(
+        { _id: 'game' },
+        { $set: { ...settings, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    },
+
+    /**
+     * Player account as the engine needs it
+     * @param {string} playerId - Player account ID
+     * @returns {Promise<Object|null>} Username, account status, wallet balances, auto-bet and responsible gambling controls
+     */
+    async findPlayer(playerId) {
+      const doc = await Player.findById(playerId);
+      if (!doc) return null;
+
+      const { wallet, autoBet, responsibleGambling } = doc.toObject();
+      return {
+        username: doc.username,
+        status: doc.status,
+        wallet,
+        autoBet: autoBet && autoBet.enabled ? autoBet : null,
+        responsibleGambling: responsibleGambling || null
+      };
+    },
+
+    /**
+     * Persist a player's auto-bet state
+     * @param {string} playerId - Player account ID
+     * @param {Object} autoBet - Auto-bet state
+     */
+    async saveAutoBet(playerId, autoBet) {
+      await Player.updateOne({ _id: playerId }, { $set: { autoBet } });
+    },
+
+    /**
+     * Amount a player wagered and their net result since a given time
+     * @param {string} playerId - Player account ID
+     * @param {Date} since - Earliest placement time
+     * @returns {Promise<Object>} `wageredUSD` and `profitUSD`
+     */
+    getBettingTotals,
+
+    /**
+     * Add an entry to a player's responsible gambling history
+     * @param {Object} event - Player, action, rule, period, details, message and time
+     */
+    async recordGamblingEvent(event) {
+      await ResponsibleGamblingEvent.create(event);
+    },
+
+    applyBalanceChange
+  };
+}
+
+module.exports = { createMongoRepository };
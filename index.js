@@ -3,667 +3,1076 @@ require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const mongoose = require('mongoose');
+const os = require('os');
 const cors = require('cors');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/mongo-adapter');
 const crypto = require('crypto');
-const axios = require('axios');
 const path = require('path');
+const { verifySessionToken, sessionFromRequest, requireAuth, isAdminKey } = require('./utils/auth');
+const { createPriceOracle, createProviders } = require('./utils/priceOracle');
+const payments = require('./utils/payments');
+const chat = require('./utils/chat');
+const tournaments = require('./utils/tournaments');
+const { createSeedChain, computeCrashPoint, hashSeed, verifySeedInChain } = require('./utils/provablyFair');
+const { GameEngine, GAME_STATES } = require('./game/GameEngine');
+const { convertCryptoToUSD, formatAmount } = require('./utils/money');
+const { ASSETS, ASSET_SYMBOLS, getAsset, publicAsset } = require('./utils/assets');
+const { createMongoRepository } = require('./game/mongoRepository');
+const { createCoordinator, playerRoom, ADMIN_NAMESPACE, BOT_NAMESPACE } = require('./game/coordinator');
+const { createLeaderLease } = require('./utils/leaderLease');
+const { createAdminRouter } = require('./routes/index');
+const { createResponsibleGamblingRouter } = require('./routes/responsibleGambling');
+const { createApiKeysRouter } = require('./routes/apiKeys');
+const { createBotRouter } = require('./routes/bot');
+const { createApiKeyAuth } = require('./utils/apiKeys');
+const { apiDoc, buildOpenApiDocument } = require('./utils/openapi');
+const { getLeaderboards } = require('./utils/stats');
+const { createRateLimiter } = require('./utils/rateLimit');
+const { validateBetPayload, validateCashoutPayload, MIN_BET_USD: DEFAULT_MIN_BET_USD } = require('./utils/betPayload');
+const { assertMoneyMigrated } = require('./utils/moneyMigration');
+const { logger: rootLogger } = require('./utils/logger');
+const { version } = require('./package.json');
+const { metrics } = require('./utils/metrics');
+const Player = require('./models/Player');
+
+/**
+ * Parse bucket sizes such as `placeBet:5/1,getBalance:3/0.2` (burst/refill per second)
+ * @param {string} value - Environment variable value
+ * @returns {Object} Rules by name, empty when unset
+ */
+function parseRateLimits(value) {
+  const rules = {};
+  for (const entry of (value || '').split(',')) {
+    const [name, limit = ''] = entry.split(':').map(part => part.trim());
+    const [capacity, refillPerSecond] = limit.split('/').map(parseFloat);
+    if (name && capacity > 0 && refillPerSecond > 0) {
+      rules[name] = { capacity, refillPerSecond };
+    }
+  }
+  return rules;
+}
+
+// Instances share round state through MongoDB; each needs a unique ID
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+const logger = rootLogger.child({ instanceId: INSTANCE_ID });
+
+// Browser origins allowed to call the API and open sockets
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (!CORS_ORIGINS.length) {
+  logger.warn('⚠️ CORS_ORIGINS not set, accepting requests from any origin');
+}
+const corsOptions = { origin: CORS_ORIGINS.length ? CORS_ORIGINS : '*' };
+
+// Proxies in front of the server; their X-Forwarded-For entries are trusted for client IPs
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0;
+
+// Per connection, account and IP limits on socket events and API requests
+const rateLimiter = createRateLimiter({
+  rules: parseRateLimits(process.env.RATE_LIMITS),
+  policy: {
+    disconnectAfter: parseInt(process.env.RATE_LIMIT_DISCONNECT_AFTER, 10) || undefined,
+    blockAfter: parseInt(process.env.RATE_LIMIT_BLOCK_AFTER, 10) || undefined,
+    blockMs: (parseFloat(process.env.RATE_LIMIT_BLOCK_MINUTES) || 10) * 60 * 1000
+  },
+  logger: logger.child({ component: 'rateLimit' })
+});
+setInterval(() => rateLimiter.sweep(), 60 * 1000).unref();
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+app.set('trust proxy', TRUST_PROXY_HOPS);
+app.use(cors(corsOptions));
+// The raw body is kept for checking the signature of bot API requests
+app.use(express.json({
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer.toString('utf8');
+  }
+}));
 
 // Serve static files from 'client' folder
 app.use(express.static(path.join(__dirname, 'client')));
 
+// The multiplier curve is shared with the browser so clients render it locally
+app.get('/js/multiplierCurve.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'utils', 'multiplierCurve.js'));
+});
+
+// Every API request counts against its IP and, when signed in, its account
+app.use('/api/auth', rateLimiter.middleware('auth'));
+app.use('/api', rateLimiter.middleware('api', req => {
+  const session = sessionFromRequest(req);
+  return session && session.sub;
+}));
+
+// Routers listed in the OpenAPI document at /api/docs, with the tag and authentication of their routes
+const apiRouters = [];
+
+/**
+ * Mount an API router and list its routes in the OpenAPI document
+ * @param {string} basePath - Mount path
+ * @param {Object} router - Express router
+ * @param {string} tag - Tag grouping the routes in the document
+ * @param {string} [auth] - Authentication of routes that do not document their own
+ */
+function useApiRouter(basePath, router, tag, auth) {
+  app.use(basePath, router);
+  apiRouters.push({ basePath, router, tag, auth });
+}
+
+// Account registration and login
+useApiRouter('/api/auth', require('./routes/auth'), 'auth');
+
+// Deposits and withdrawals
+useApiRouter('/api/wallet', require('./routes/wallet'), 'wallet', 'session');
+
+// Round history, player statistics and leaderboards
+useApiRouter('/api', require('./routes/stats'), 'stats');
+
+// Tournaments and their standings; entering one needs a session
+useApiRouter('/api/tournaments', require('./routes/tournaments'), 'tournaments');
+
 const server = http.createServer(app);
 const io = new Server(server, {
-  cors: {
-    origin: '*'
+  cors: corsOptions,
+  // CORS does not apply to WebSocket upgrades, so the allow-list is checked here too
+  allowRequest: (req, callback) => {
+    const origin = req.headers.origin;
+    const allowed = !origin || !CORS_ORIGINS.length || CORS_ORIGINS.includes(origin) ||
+      origin.replace(/^https?:\/\//, '') === req.headers.host;
+    callback(null, allowed);
   }
 });
 
+/**
+ * Client IP of a socket, from X-Forwarded-For when behind TRUST_PROXY_HOPS proxies
+ * @param {Object} socket - socket.io socket
+ * @returns {string} IP address
+ */
+function socketIp(socket) {
+  const forwarded = (socket.handshake.headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+  const addresses = [...forwarded, socket.handshake.address];
+  return addresses[Math.max(0, addresses.length - 1 - TRUST_PROXY_HOPS)];
+}
+
 // MongoDB connection with retry logic
 async function connectToMongoDB() {
-  try {
-    await mongoose.connect(process.env.MONGO_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-      serverSelectionTimeoutMS: 5000,
-      socketTimeoutMS: 45000,
-    });
-    console.log('✅ MongoDB connected successfully');
-  } catch (error) {
-    console.error('❌ MongoDB connection failed:', error.message);
-    // Retry connection after 5 seconds
-    setTimeout(connectToMongoDB, 5000);
+  for (;;) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        serverSelectionTimeoutMS: 5000,
+        socketTimeoutMS: 45000,
+      });
+      logger.info('✅ MongoDB connected successfully');
+      return;
+    } catch (error) {
+      logger.error('❌ MongoDB connection failed', error);
+      // Retry connection after 5 seconds
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
   }
 }
 
-connectToMongoDB();
-
-// Game state with proper error handling
-let roundNumber = 1;
-let currentMultiplier = 1.0;
-let crashPoint = 0;
-let interval;
-let roundStartTime;
-let isRoundActive = false;
-const players = {}; // Track players' balances and bets
-
-// Cryptocurrency configuration
-const SUPPORTED_CRYPTOS = {
-  BTC: { name: 'Bitcoin', symbol: 'BTC' },
-  ETH: { name: 'Ethereum', symbol: 'ETH' },
-  USDT: { name: 'Tether', symbol: 'USDT' }
-};
-
-// Price cache with error handling
-let priceCache = {};
-let lastPriceUpdate = 0;
+// Price oracle: median of fresh quotes from the configured providers
+// Disabled assets are priced too, so balances held in them keep their USD value
 const PRICE_CACHE_DURATION = 10000; // 10 seconds
+const PRICE_MAX_AGE_MS = parseInt(process.env.PRICE_MAX_AGE_MS, 10) || 60000;
+const priceOracle = createPriceOracle({
+  providers: createProviders(process.env.PRICE_PROVIDERS || 'coingecko,coinbase'),
+  symbols: ASSET_SYMBOLS,
+  cacheDurationMs: PRICE_CACHE_DURATION,
+  maxAgeMs: PRICE_MAX_AGE_MS,
+  onFetch: metrics.recordPriceFetch,
+  logger: logger.child({ component: 'prices' })
+});
 
-// Provably fair algorithm with enhanced security
-const GAME_SEED = process.env.GAME_SEED || 'crypto-crash-game-seed-2024';
+// Provably fair commit-reveal seed chain
 const MAX_CRASH = 120; // Maximum crash point
+const HOUSE_EDGE = 0.01; // 1% (99% RTP)
+const MIN_BET_USD = parseFloat(process.env.MIN_BET_USD) || DEFAULT_MIN_BET_USD;
+// Rounds per seed chain; the game moves on to the next chain when one runs out
+const SEED_CHAIN_LENGTH = parseInt(process.env.SEED_CHAIN_LENGTH, 10) || 100000;
+const CLIENT_SEED = process.env.CLIENT_SEED || 'crypto-crash-game-client-seed';
 
-/**
- * Generate provably fair crash point using SHA-256
- * @param {number} roundNumber - Current round number
- * @returns {number} Crash point value
- */
-function generateProvablyFairCrashPoint(roundNumber) {
-  try {
-    const seed = GAME_SEED + roundNumber.toString();
-    const hash = crypto.createHash('sha256').update(seed).digest('hex');
-    const randomValue = parseInt(hash.substring(0, 8), 16) / Math.pow(2, 32);
-    
-    // House edge: 1% (99% RTP)
-    const houseEdge = 0.99;
-    const crashPoint = houseEdge / randomValue;
-    
-    // Cap at MAX_CRASH
-    return Math.min(crashPoint, MAX_CRASH);
-  } catch (error) {
-    console.error('❌ Error generating crash point:', error);
-    // Fallback to a safe default
-    return 1.5;
+// Every instance has to build the same chain, or a new leader would play a chain nobody committed to
+if (!process.env.GAME_SEED) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('GAME_SEED must be set in production');
   }
+  logger.warn('⚠️ GAME_SEED not set, using a random seed chain root (terminal hash changes on restart and differs between instances)');
 }
+const seedChain = createSeedChain(process.env.GAME_SEED || crypto.randomBytes(32).toString('hex'), SEED_CHAIN_LENGTH);
 
 /**
- * Fetch real-time crypto prices with comprehensive error handling
- * @returns {Promise<Object>} Current crypto prices
+ * Parse per-currency amounts such as `BTC:1,ETH:20,USDT:50000`
+ * @param {string} value - Environment variable value
+ * @returns {Object|null} Amounts by currency, null when unset
  */
-async function fetchCryptoPrices() {
-  const now = Date.now();
-  
-  // Return cached prices if still valid
-  if (now - lastPriceUpdate < PRICE_CACHE_DURATION && Object.keys(priceCache).length > 0) {
-    return priceCache;
-  }
-  
-  try {
-    const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
-      params: {
-        ids: 'bitcoin,ethereum,tether',
-        vs_currencies: 'usd'
-      },
-      timeout: 5000,
-      headers: {
-        'User-Agent': 'CryptoCrashGame/1.0'
-      }
-    });
-    
-    if (!response.data || !response.data.bitcoin || !response.data.ethereum) {
-      throw new Error('Invalid response from CoinGecko API');
-    }
-    
-    priceCache = {
-      BTC: response.data.bitcoin.usd,
-      ETH: response.data.ethereum.usd,
-      USDT: 1.00 // USDT is pegged to USD
-    };
-    
-    lastPriceUpdate = now;
-    console.log('📊 Updated crypto prices:', priceCache);
-    return priceCache;
-  } catch (error) {
-    console.error('❌ Error fetching crypto prices:', error.message);
-    // Return fallback prices if API fails
-    return {
-      BTC: 60000,
-      ETH: 3000,
-      USDT: 1.00
-    };
+function parseCurrencyAmounts(value) {
+  if (!value) return null;
+  const amounts = {};
+  for (const entry of value.split(',')) {
+    const [currency, amount] = entry.split(':').map(part => part.trim());
+    if (getAsset(currency) && parseFloat(amount) > 0) {
+      amounts[currency] = parseFloat(amount);
+    }
   }
+  return amounts;
 }
 
-/**
- * Convert USD to crypto amount
- * @param {number} usdAmount - USD amount
- * @param {string} cryptoType - Cryptocurrency type
- * @param {number} priceAtTime - Price at time of conversion
- * @returns {number} Crypto amount
- */
-function convertUSDToCrypto(usdAmount, cryptoType, priceAtTime) {
-  if (!priceAtTime || priceAtTime <= 0) {
-    throw new Error(`Invalid price for ${cryptoType}`);
-  }
-  return usdAmount / priceAtTime;
-}
+// Only the instance holding the leader lease runs the round loop; the others route commands to it
+const LEADER_LEASE_TTL_MS = parseInt(process.env.LEADER_LEASE_TTL_MS, 10) || 10000;
+const GAME_COMMAND_TIMEOUT_MS = 5000;
+const coordinator = createCoordinator({
+  io,
+  lease: createLeaderLease({ name: 'game-leader', instanceId: INSTANCE_ID, ttlMs: LEADER_LEASE_TTL_MS, logger: logger.child({ component: 'lease' }) }),
+  commandTimeoutMs: GAME_COMMAND_TIMEOUT_MS + 1000,
+  logger: logger.child({ component: 'coordinator' }),
+  // Leaderboards and tournament standings change with every settled round
+  onRoundSettled: () => {
+    getLeaderboards()
+      .then(leaderboards => io.emit('leaderboard', leaderboards))
+      .catch(error => logger.error('❌ Error updating leaderboards', error));
+    tournaments.updateTournaments()
+      .catch(error => logger.error('❌ Error updating tournaments', error));
+  },
+  createEngine: () => createGameEngine()
+});
 
 /**
- * Convert crypto to USD amount
- * @param {number} cryptoAmount - Crypto amount
- * @param {string} cryptoType - Cryptocurrency type
- * @param {number} priceAtTime - Price at time of conversion
- * @returns {number} USD amount
+ * Game engine for this instance's term as leader, reporting to the metrics
+ * @returns {GameEngine} Engine
  */
-function convertCryptoToUSD(cryptoAmount, cryptoType, priceAtTime) {
-  if (!priceAtTime || priceAtTime <= 0) {
-    throw new Error(`Invalid price for ${cryptoType}`);
-  }
-  return cryptoAmount * priceAtTime;
+function createGameEngine() {
+  const engine = new GameEngine({
+    repository: metrics.instrumentRepository(createMongoRepository()),
+    logger: logger.child({ component: 'game' }),
+    priceProvider: priceOracle,
+    seedSource: seedChain,
+    clientSeed: CLIENT_SEED,
+    supportedCryptos: ASSETS,
+    houseEdge: HOUSE_EDGE,
+    maxCrash: MAX_CRASH,
+    growthRate: parseFloat(process.env.GROWTH_RATE) || 0.06, // k in e^(k·t), per second
+    minBetUSD: MIN_BET_USD,
+    maxBetsPerRound: parseInt(process.env.MAX_BETS_PER_ROUND, 10) || undefined,
+    // Defaults until an operator changes them in the admin console
+    maxBetUSD: parseFloat(process.env.MAX_BET_USD) || null,
+    maxPayoutUSD: parseFloat(process.env.MAX_PAYOUT_USD) || null,
+    maxRoundPayout: parseCurrencyAmounts(process.env.MAX_ROUND_PAYOUT)
+  });
+  metrics.observeEngine(engine);
+  // Only the leader runs an engine, so each big win is announced once
+  engine.on('playerCashout', cashout => {
+    chat.announceBigWin(cashout).catch(error => logger.error('❌ Error announcing big win', { playerId: cashout.playerId, error }));
+  });
+  return engine;
 }
 
-/**
- * Generate mock transaction hash for blockchain simulation
- * @returns {string} Transaction hash
- */
-function generateTransactionHash() {
-  return '0x' + crypto.randomBytes(32).toString('hex');
-}
+// Operator consoles get live exposure on their own namespace, authenticated with the admin key
+const adminIo = io.of(ADMIN_NAMESPACE);
+adminIo.use((socket, next) => {
+  next(isAdminKey(socket.handshake.auth && socket.handshake.auth.adminKey) ? undefined : new Error('Admin authentication required'));
+});
+adminIo.on('connection', (socket) => {
+  coordinator.call('getExposure')
+    .then(exposure => socket.emit('exposure', exposure))
+    .catch(error => logger.warn('⚠️ Exposure unavailable', error));
+});
+
+// Bots connect to their own namespace with a handshake signed like a bot API request
+const apiKeyAuth = createApiKeyAuth();
+const botIo = io.of(BOT_NAMESPACE);
 
 /**
- * Game round management with countdown
- * @param {number} seconds - Countdown seconds
- * @param {Function} callback - Callback function
+ * Socket.io room of the bot sockets opened with one API key
+ * @param {string} keyId - API key ID
+ * @returns {string} Room name
  */
-function countdownBeforeRound(seconds, callback) {
-  let remaining = seconds;
-  const countdownInterval = setInterval(() => {
-    try {
-      io.emit('countdown', remaining);
-      remaining--;
+function apiKeyRoom(keyId) {
+  return `apiKey:${keyId}`;
+}
 
-      if (remaining < 0) {
-        clearInterval(countdownInterval);
-        callback();
+// Signed over `CONNECT /bot` with an empty body; the key needs the read scope
+botIo.use(async (socket, next) => {
+  try {
+    socket.data.ip = socketIp(socket);
+    const limit = rateLimiter.consume('connect', { ip: socket.data.ip });
+    if (!limit.allowed) {
+      if (!limit.blockedUntil) {
+        rateLimiter.recordViolation({ rule: 'connect', reason: 'Rate limit exceeded', ip: socket.data.ip });
       }
+      return next(new Error('Too many connections, please try again later'));
+    }
+
+    const auth = socket.handshake.auth || {};
+    const { key, error } = await apiKeyAuth.authenticate({
+      keyId: auth.keyId,
+      timestamp: auth.timestamp === undefined ? undefined : String(auth.timestamp),
+      nonce: auth.nonce,
+      signature: auth.signature,
+      method: 'CONNECT',
+      path: BOT_NAMESPACE,
+      body: ''
+    }, 'read');
+    if (error) {
+      return next(new Error(error));
+    }
+    if (rateLimiter.blockedUntil({ account: key.playerId })) {
+      return next(new Error('Too many requests, please try again later'));
+    }
+
+    socket.data.playerId = key.playerId;
+    socket.data.apiKey = key;
+    try {
+      await coordinator.call('connectPlayer', key.playerId, socket.id);
     } catch (error) {
-      console.error('❌ Error in countdown:', error);
-      clearInterval(countdownInterval);
-      callback();
+      // Without a leader the socket is registered once one is elected
+      if (error.code !== 'GAME_UNAVAILABLE') throw error;
     }
-  }, 1000);
-}
+    next();
+  } catch (error) {
+    logger.error('❌ Error authenticating bot socket', { playerId: socket.data.playerId, error });
+    next(new Error('Authentication failed'));
+  }
+});
 
-/**
- * Start a new game round with provably fair crash point
- */
-function startNewRound() {
-  try {
-    // Generate provably fair crash point
-    crashPoint = generateProvablyFairCrashPoint(roundNumber);
-    
-    console.log(`🎮 Starting round ${roundNumber} with crash point: ${crashPoint.toFixed(2)}x`);
-    console.log(`🔐 Provably fair seed: ${GAME_SEED + roundNumber.toString()}`);
-    
-    countdownBeforeRound(10, () => {
-      currentMultiplier = 1.0;
-      roundStartTime = Date.now();
-      isRoundActive = true;
-      
-      io.emit('roundStart', { 
-        roundNumber, 
-        crashPoint: crashPoint.toFixed(2),
-        seed: GAME_SEED + roundNumber.toString()
-      });
-      
-      console.log(`🚀 Round ${roundNumber} started. Crash point: ${crashPoint.toFixed(2)}x`);
+botIo.on('connection', (socket) => {
+  const { playerId, apiKey } = socket.data;
+  const log = logger.child({ playerId, socketId: socket.id, keyId: apiKey.keyId });
+  log.info(`🤖 Bot connected with key ${apiKey.keyId}`);
 
-      // Save round to database with error handling
-      saveRoundToDatabase(roundNumber, crashPoint).catch(error => {
-        console.error('❌ Error saving round to database:', error);
-      });
+  const client = { connection: socket.id, account: playerId, ip: socket.data.ip };
+  socket.use(([event], next) => {
+    const limit = rateLimiter.consume(event, client);
+    if (limit.allowed) {
+      return next();
+    }
+    if (limit.blockedUntil) {
+      return socket.disconnect(true);
+    }
+    socket.emit('rateLimited', { event, retryAfterMs: limit.retryAfterMs });
+    const { disconnect } = rateLimiter.recordViolation({ rule: event, reason: 'Rate limit exceeded', ...client });
+    if (disconnect) {
+      socket.disconnect(true);
+    }
+  });
+
+  // Errors the bot can act on; anything else is logged and reported generically
+  const BOT_ERRORS = ['BET_REJECTED', 'CASHOUT_REJECTED', 'INSUFFICIENT_BALANCE', 'PRICE_UNAVAILABLE', 'GAME_UNAVAILABLE'];
 
-      interval = setInterval(() => {
-        try {
-          if (!isRoundActive) return;
-          
-          // Exponential growth formula
-          const timeElapsed = (Date.now() - roundStartTime) / 1000;
-          const growthFactor = 0.05;
-          currentMultiplier = 1 + (timeElapsed * growthFactor);
-          
-          io.emit('multiplier', currentMultiplier.toFixed(2));
-
-          if (currentMultiplier >= crashPoint) {
-            clearInterval(interval);
-            isRoundActive = false;
-            io.emit('crashed', crashPoint.toFixed(2));
-            console.log(`💥 Round ${roundNumber} crashed at ${crashPoint.toFixed(2)}x`);
-
-            // Update round result in database
-            updateRoundResult(roundNumber, crashPoint.toFixed(2)).catch(error => {
-              console.error('❌ Error updating round result:', error);
-            });
-
-            setTimeout(() => {
-              // Reset all player bets for next round
-              for (const id in players) {
-                players[id].currentBet = null;
-                players[id].hasCashedOut = false;
-              }
-              roundNumber++;
-              startNewRound();
-            }, 5000);
-          }
-        } catch (error) {
-          console.error('❌ Error in multiplier update:', error);
+  /**
+   * Handle a bot command answered through its acknowledgement
+   * @param {string} event - Event name
+   * @param {string|null} scope - Scope the key needs
+   * @param {Function} handler - Called with the payload, returns the result
+   */
+  function onCommand(event, scope, handler) {
+    socket.on(event, async (...args) => {
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+      if (scope && !apiKey.scopes.includes(scope)) {
+        return ack({ success: false, message: `API key lacks the ${scope} scope` });
+      }
+      try {
+        ack({ success: true, ...await handler(args[0]) });
+      } catch (error) {
+        if (BOT_ERRORS.includes(error.code)) {
+          return ack({ success: false, code: error.code, message: error.message });
         }
-      }, 100);
+        log.error(`❌ Error handling bot ${event}`, error);
+        ack({ success: false, code: null, message: `Error handling ${event}` });
+      }
     });
-  } catch (error) {
-    console.error('❌ Error starting new round:', error);
-    // Retry starting round after 5 seconds
-    setTimeout(startNewRound, 5000);
   }
-}
 
-/**
- * Save round to database
- * @param {number} roundNumber - Round number
- * @param {number} crashPoint - Crash point
- */
-async function saveRoundToDatabase(roundNumber, crashPoint) {
-  try {
-    const Round = require('./models/Round');
-    await Round.updateOne(
-      { roundNumber },
-      { 
-        roundNumber,
-        crashPoint,
-        startTime: new Date(),
-        status: 'active'
-      },
-      { upsert: true }
-    );
-    console.log(`💾 Round ${roundNumber} saved to database`);
-  } catch (error) {
-    console.error('❌ Error saving round to database:', error);
-    console.log('⚠️ Round not saved to database, but game continues');
-  }
-}
+  // Player events of the key's player arrive in this room, alongside the game's broadcasts
+  socket.join(playerRoom(playerId));
+  // Revoking the key disconnects the sockets opened with it
+  socket.join(apiKeyRoom(apiKey.keyId));
+  coordinator.call('getSnapshot')
+    .then(snapshot => socket.emit('gameState', snapshot))
+    .catch(error => log.warn('⚠️ Game state unavailable', error));
+  coordinator.call('getRoster')
+    .then(roster => socket.emit('betsRoster', roster))
+    .catch(error => log.warn('⚠️ Bets roster unavailable', error));
 
-/**
- * Update round result in database
- * @param {number} roundNumber - Round number
- * @param {number} crashPoint - Crash point
- */
-async function updateRoundResult(roundNumber, crashPoint) {
-  try {
-    const Round = require('./models/Round');
-    await Round.updateOne(
-      { roundNumber },
-      { 
-        crashPoint,
-        endTime: new Date(),
-        status: 'completed'
-      }
-    );
-    console.log(`💾 Round ${roundNumber} result updated in database`);
-  } catch (error) {
-    console.error('❌ Error updating round result:', error);
-    console.log('⚠️ Round result not updated in database, but game continues');
-  }
-}
+  onCommand('placeBet', 'bet', data => coordinator.call('placeBet', playerId, data));
+  onCommand('cancelQueuedBet', 'bet', () => coordinator.call('cancelQueuedBet', playerId));
+  onCommand('cashedOut', 'cashout', (data) => {
+    const receivedAt = Date.now();
+    const { error, cashout } = validateCashoutPayload(data);
+    if (error) {
+      const rejected = new Error(error);
+      rejected.code = 'CASHOUT_REJECTED';
+      throw rejected;
+    }
+    return coordinator.call('cashOut', playerId, receivedAt, cashout);
+  });
+  onCommand('getBalance', 'read', async () => ({ balances: await getPlayerBalances(playerId) }));
+  onCommand('getRound', 'read', async () => {
+    const [round, bets] = await Promise.all([coordinator.call('getSnapshot'), coordinator.call('getRoster')]);
+    return { round, bets };
+  });
 
-/**
- * Save transaction with comprehensive logging
- * @param {string} playerId - Player ID
- * @param {number} usdAmount - USD amount
- * @param {number} cryptoAmount - Crypto amount
- * @param {string} currency - Currency type
- * @param {string} transactionType - Transaction type
- * @param {number} priceAtTime - Price at time of transaction
- */
-async function saveTransaction(playerId, usdAmount, cryptoAmount, currency, transactionType, priceAtTime) {
-  console.log('💾 Starting transaction save:', {
-    playerId,
-    usdAmount,
-    cryptoAmount,
-    currency,
-    transactionType,
-    priceAtTime
+  socket.on('disconnect', () => {
+    log.info(`🤖 Bot disconnected with key ${apiKey.keyId}`);
+    coordinator.call('disconnectPlayer', playerId, socket.id).catch(error => {
+      log.warn('⚠️ Could not unregister socket from the leader', error);
+    });
   });
-  
+});
+
+// Authenticate socket handshakes with the session token from `auth.token`
+io.use(async (socket, next) => {
   try {
-    console.log('💾 Creating Transaction model...');
-    const Transaction = require('./models/Transaction');
-    console.log('💾 Transaction model loaded successfully');
-    
-    const transaction = new Transaction({
-      playerId,
-      usdAmount,
-      cryptoAmount,
-      currency,
-      transactionType,
-      transactionHash: generateTransactionHash(),
-      priceAtTime,
-      timestamp: new Date()
-    });
-    
-    console.log('💾 Transaction object created:', transaction);
-    console.log('💾 Saving transaction to database...');
-    await transaction.save();
-    console.log(`💾 Transaction saved successfully: ${transactionType} - ${usdAmount} USD -> ${cryptoAmount} ${currency}`);
+    socket.data.ip = socketIp(socket);
+    const limit = rateLimiter.consume('connect', { ip: socket.data.ip });
+    if (!limit.allowed) {
+      if (!limit.blockedUntil) {
+        rateLimiter.recordViolation({ rule: 'connect', reason: 'Rate limit exceeded', ip: socket.data.ip });
+      }
+      return next(new Error('Too many connections, please try again later'));
+    }
+
+    const session = verifySessionToken(socket.handshake.auth && socket.handshake.auth.token);
+    if (!session) {
+      return next(new Error('Authentication required'));
+    }
+    if (rateLimiter.blockedUntil({ account: session.sub })) {
+      return next(new Error('Too many requests, please try again later'));
+    }
+
+    socket.data.playerId = session.sub;
+    try {
+      const player = await coordinator.call('connectPlayer', session.sub, socket.id);
+      if (!player) {
+        return next(new Error('Player not found'));
+      }
+      if (player.status === 'banned') {
+        coordinator.call('disconnectPlayer', session.sub, socket.id).catch(() => {});
+        return next(new Error('Account is banned'));
+      }
+      socket.data.player = player;
+    } catch (error) {
+      // Without a leader the socket is registered once one is elected
+      if (error.code !== 'GAME_UNAVAILABLE') throw error;
+      socket.data.player = null;
+    }
+    next();
   } catch (error) {
-    console.error('❌ Error saving transaction:', error);
-    console.error('❌ Error details:', {
-      message: error.message,
-      stack: error.stack,
-      name: error.name
-    });
-    console.log('⚠️ Transaction not saved to database, but game continues');
+    logger.error('❌ Error authenticating socket', { playerId: socket.data.playerId, error });
+    next(new Error('Authentication failed'));
   }
-}
+});
 
 // WebSocket connection handling with comprehensive error handling
 io.on('connection', (socket) => {
-  console.log('📡 Player connected:', socket.id);
-
-  // Initialize player with crypto wallets
-  players[socket.id] = {
-    wallets: {
-      BTC: { balance: 0.001, currency: 'BTC' },
-      ETH: { balance: 0.01, currency: 'ETH' },
-      USDT: { balance: 100, currency: 'USDT' }
-    },
-    currentBet: null,
-    hasCashedOut: false
-  };
+  const playerId = socket.data.playerId;
+  const player = socket.data.player;
+  const name = player ? player.username : playerId;
+  // Context of every line logged for this connection
+  const log = logger.child({ playerId, socketId: socket.id });
+  log.info(`📡 Player connected: ${name}`);
+  metrics.connectedSockets.inc();
+
+  // Every event counts against the connection, the account and the IP; events over a limit are dropped
+  const client = { connection: socket.id, account: playerId, ip: socket.data.ip };
+
+  /**
+   * Log a violation and disconnect the socket when the penalty policy says so
+   * @param {string} rule - Event the violation happened on
+   * @param {string} reason - What the client did
+   */
+  function penalize(rule, reason) {
+    const { disconnect } = rateLimiter.recordViolation({ rule, reason, ...client });
+    if (disconnect) {
+      socket.disconnect(true);
+    }
+  }
+
+  socket.use(([event], next) => {
+    const limit = rateLimiter.consume(event, client);
+    if (limit.allowed) {
+      return next();
+    }
+    if (limit.blockedUntil) {
+      return socket.disconnect(true);
+    }
+    socket.emit('rateLimited', { event, retryAfterMs: limit.retryAfterMs });
+    penalize(event, 'Rate limit exceeded');
+  });
+
+  // All sockets of an account share a room for per-player notifications
+  socket.join(playerRoom(playerId));
+  if (player) {
+    socket.emit('autoBetUpdated', { success: true, autoBet: player.autoBet });
+  }
+  coordinator.call('getSnapshot')
+    .then(snapshot => socket.emit('gameState', snapshot))
+    .catch(error => log.warn('⚠️ Game state unavailable', error));
+  // Live bets of the current round; playerBet and playerCashout keep it up to date
+  coordinator.call('getRoster')
+    .then(roster => socket.emit('betsRoster', roster))
+    .catch(error => log.warn('⚠️ Bets roster unavailable', error));
 
   // Send initial balance
-  sendPlayerBalance(socket).catch(error => {
-    console.error('❌ Error sending initial balance:', error);
+  sendPlayerBalance(playerId).catch(error => {
+    log.error('❌ Error sending initial balance', error);
   });
 
-  // Handle bet placement with comprehensive validation
+  // Latest chat messages; new ones arrive as chatMessage
+  chat.getChatState(playerId)
+    .then(state => socket.emit('chatHistory', state))
+    .catch(error => log.warn('⚠️ Chat history unavailable', error));
+
+  // Standings of scheduled tournaments; updates arrive as tournament
+  tournaments.getOpenStandings()
+    .then(open => open.forEach(tournament => socket.emit('tournament', tournament)))
+    .catch(error => log.warn('⚠️ Tournaments unavailable', error));
+
+  // Handle bet placement; successes are announced by the engine
   socket.on('placeBet', async (data) => {
+    // Malformed bets never reach the game; the operator's limits are checked there
+    const { error, bet } = validateBetPayload(data, {
+      supportedCryptos: ASSETS,
+      minBetUSD: MIN_BET_USD
+    });
+    if (error) {
+      socket.emit('betPlaced', { success: false, message: error });
+      return penalize('placeBet', `Invalid payload: ${error}`);
+    }
+
     try {
-      console.log('📝 Received bet request:', data);
-      const { usdAmount, cryptoType } = data;
-      const player = players[socket.id];
-      
-      // Input validation
-      if (!usdAmount || usdAmount <= 0) {
-        console.log('❌ Invalid bet amount:', usdAmount);
+      // The validated fields only; the payload itself is client input
+      log.debug('📝 Received bet request', { usdAmount: formatAmount(bet.usdAmount, 'USD'), cryptoType: bet.cryptoType, autoCashoutAt: bet.autoCashoutAt });
+      await coordinator.call('placeBet', playerId, data);
+    } catch (error) {
+      if (['INSUFFICIENT_BALANCE', 'BET_REJECTED', 'PRICE_UNAVAILABLE', 'GAME_UNAVAILABLE'].includes(error.code)) {
+        log.info(`❌ Bet rejected: ${error.message}`, { code: error.code });
         return socket.emit('betPlaced', { 
           success: false, 
-          message: 'Invalid bet amount' 
+          message: error.message 
         });
       }
+      log.error('❌ Error placing bet', error);
+      socket.emit('betPlaced', { 
+        success: false, 
+        message: `Error processing bet: ${error.message}` 
+      });
+    }
+  });
 
-      if (!SUPPORTED_CRYPTOS[cryptoType]) {
-        console.log('❌ Unsupported cryptocurrency:', cryptoType);
-        return socket.emit('betPlaced', { 
-          success: false, 
-          message: 'Unsupported cryptocurrency' 
-        });
-      }
+  // Drop a bet queued for the next round before it is placed
+  socket.on('cancelQueuedBet', async () => {
+    try {
+      await coordinator.call('cancelQueuedBet', playerId);
+    } catch (error) {
+      log.error('❌ Error cancelling queued bet', error);
+    }
+  });
 
-      // Check if round is active
-      if (!isRoundActive) {
-        console.log('❌ No active round');
-        return socket.emit('betPlaced', { 
-          success: false, 
-          message: 'No active round. Please wait for next round.' 
-        });
-      }
+  // Handle cash out of one bet, in full or in part
+  socket.on('cashedOut', async (data) => {
+    // Settled from the server receive time against the curve, not the last tick;
+    // taken here rather than on the leader so routing delay is not charged to the player
+    const receivedAt = Date.now();
+    const { error, cashout } = validateCashoutPayload(data);
+    if (error) {
+      socket.emit('cashedOutFail', { message: error });
+      return penalize('cashedOut', `Invalid payload: ${error}`);
+    }
 
-      console.log('📊 Fetching crypto prices...');
-      // Get current crypto prices
-      const prices = await fetchCryptoPrices();
-      const priceAtTime = prices[cryptoType];
-      console.log('📊 Prices fetched:', prices, 'Selected price:', priceAtTime);
-      
-      // Convert USD to crypto
-      const cryptoAmount = convertUSDToCrypto(usdAmount, cryptoType, priceAtTime);
-      console.log('💱 Conversion: $', usdAmount, '->', cryptoAmount, cryptoType);
-      
-      // Check if player has enough crypto balance
-      console.log('💰 Player balance:', player.wallets[cryptoType].balance, 'Required:', cryptoAmount);
-      if (player.wallets[cryptoType].balance < cryptoAmount) {
-        console.log('❌ Insufficient balance');
-        return socket.emit('betPlaced', { 
-          success: false, 
-          message: `Insufficient ${cryptoType} balance` 
+    try {
+      await coordinator.call('cashOut', playerId, receivedAt, cashout);
+    } catch (error) {
+      if (['CASHOUT_REJECTED', 'GAME_UNAVAILABLE'].includes(error.code)) {
+        return socket.emit('cashedOutFail', { 
+          betId: cashout.betId,
+          message: `❌ ${error.message}`
         });
       }
+      log.error('❌ Error processing cash out', error);
+      socket.emit('cashedOutFail', { 
+        message: 'Error processing cash out' 
+      });
+    }
+  });
 
-      console.log('✅ Balance check passed, updating wallet...');
-      // Atomic balance update
-      player.wallets[cryptoType].balance -= cryptoAmount;
-      player.currentBet = {
-        usdAmount,
-        cryptoAmount,
-        cryptoType,
-        priceAtTime,
-        roundNumber
-      };
-      player.hasCashedOut = false;
-
-      console.log('💾 Saving transaction to database...');
-      // Save transaction with error handling
-      try {
-        await saveTransaction(
-          socket.id, 
-          usdAmount, 
-          cryptoAmount, 
-          cryptoType, 
-          'bet', 
-          priceAtTime
-        );
-      } catch (error) {
-        console.error('❌ Error saving transaction, but continuing game:', error.message);
+  // Chat messages and commands such as /tip; messages are broadcast by utils/chat
+  socket.on('chatMessage', async (data) => {
+    const { error, text } = chat.validateChatPayload(data);
+    if (error) {
+      socket.emit('chatStatus', { success: false, message: error });
+      return penalize('chatMessage', `Invalid payload: ${error}`);
+    }
+
+    try {
+      const result = await chat.postMessage(playerId, text);
+      if (result.message) {
+        socket.emit('chatStatus', result);
       }
+    } catch (error) {
+      if (['CHAT_REJECTED', 'INSUFFICIENT_BALANCE'].includes(error.code)) {
+        return socket.emit('chatStatus', { success: false, message: error.message });
+      }
+      log.error('❌ Error handling chat message', error);
+      socket.emit('chatStatus', { success: false, message: 'Error sending message' });
+    }
+  });
 
-      console.log('📢 Broadcasting bet to all players...');
-      // Notify all players about the bet
-      io.emit('playerBet', {
-        playerId: socket.id,
-        usdAmount,
-        cryptoType
-      });
+  // Moderators only
+  socket.on('deleteChatMessage', async (data) => {
+    const { error, messageId } = chat.validateDeletePayload(data);
+    if (error) {
+      socket.emit('chatStatus', { success: false, message: error });
+      return penalize('deleteChatMessage', `Invalid payload: ${error}`);
+    }
 
-      console.log('✅ Bet placed successfully');
-      socket.emit('betPlaced', { 
-        success: true, 
-        balance: player.wallets[cryptoType].balance,
-        cryptoType
-      });
-      
-      console.log(`🎯 ${socket.id} placed a bet of $${usdAmount} (${cryptoAmount} ${cryptoType})`);
+    try {
+      socket.emit('chatStatus', await chat.moderateDelete(playerId, messageId));
     } catch (error) {
-      console.error('❌ Error placing bet:', error);
-      console.error('❌ Error stack:', error.stack);
-      socket.emit('betPlaced', { 
-        success: false, 
-        message: `Error processing bet: ${error.message}` 
-      });
+      if (error.code !== 'CHAT_REJECTED') {
+        log.error('❌ Error deleting chat message', error);
+      }
+      socket.emit('chatStatus', { success: false, message: error.code === 'CHAT_REJECTED' ? error.message : 'Error deleting message' });
     }
   });
 
-  // Handle cash out with comprehensive validation
-  socket.on('cashedOut', async () => {
+  // Configure server-side auto-betting
+  socket.on('setAutoBet', async (config) => {
     try {
-      const player = players[socket.id];
-      
-      if (!player.currentBet || player.hasCashedOut || !isRoundActive) {
-        return socket.emit('cashedOutFail', { 
-          message: '❌ Cannot cash out at this time.' 
-        });
+      await coordinator.call('setAutoBet', playerId, config);
+    } catch (error) {
+      if (!['AUTO_BET_REJECTED', 'GAME_UNAVAILABLE'].includes(error.code)) {
+        log.error('❌ Error setting auto-bet', error);
       }
+      socket.emit('autoBetUpdated', { success: false, message: error.message });
+    }
+  });
 
-      const { cryptoAmount, cryptoType, priceAtTime } = player.currentBet;
-      const winningsCrypto = cryptoAmount * currentMultiplier;
-      const winningsUSD = convertCryptoToUSD(winningsCrypto, cryptoType, priceAtTime);
-      
-      // Atomic balance update
-      player.wallets[cryptoType].balance += winningsCrypto;
-      player.hasCashedOut = true;
-      player.currentBet = null;
-
-      // Save transaction with error handling
-      await saveTransaction(
-        socket.id, 
-        winningsUSD, 
-        winningsCrypto, 
-        cryptoType, 
-        'cashout', 
-        priceAtTime
-      );
-
-      // Notify all players about the cash out
-      io.emit('playerCashout', {
-        playerId: socket.id,
-        multiplier: currentMultiplier.toFixed(2),
-        winningsUSD: winningsUSD.toFixed(2),
-        cryptoType
-      });
-
-      socket.emit('cashedOutSuccess', {
-        winnings: winningsUSD.toFixed(2),
-        balance: player.wallets[cryptoType].balance,
-        multiplier: currentMultiplier.toFixed(2),
-        cryptoType
-      });
-
-      console.log(`💸 ${socket.id} cashed out at ${currentMultiplier.toFixed(2)}x, won $${winningsUSD.toFixed(2)}`);
+  socket.on('stopAutoBet', async () => {
+    try {
+      await coordinator.call('stopAutoBet', playerId, 'Stopped by player');
     } catch (error) {
-      console.error('❌ Error processing cash out:', error);
-      socket.emit('cashedOutFail', { 
-        message: 'Error processing cash out' 
-      });
+      log.error('❌ Error stopping auto-bet', error);
     }
   });
 
   // Handle balance request
   socket.on('getBalance', async () => {
     try {
-      await sendPlayerBalance(socket);
+      await sendPlayerBalance(playerId);
     } catch (error) {
-      console.error('❌ Error handling balance request:', error);
+      log.error('❌ Error handling balance request', error);
     }
   });
 
   // Handle disconnect with cleanup
   socket.on('disconnect', () => {
-    console.log('❌ Player disconnected:', socket.id);
-    delete players[socket.id];
+    log.info(`❌ Player disconnected: ${name}`);
+    metrics.connectedSockets.dec();
+    coordinator.call('disconnectPlayer', playerId, socket.id).catch(error => {
+      log.warn('⚠️ Could not unregister socket from the leader', error);
+    });
   });
 });
 
 /**
- * Helper function to send player balance with error handling
- * @param {Object} socket - Socket instance
+ * A player's balances with their USD value
+ * @param {string} playerId - Player account ID
+ * @returns {Promise<Object|null>} Balance, USD value and price by currency, null for an unknown player
  */
-async function sendPlayerBalance(socket) {
-  const player = players[socket.id];
-  if (!player) return;
+async function getPlayerBalances(playerId) {
+  // The leader's copy includes bets still being written; the database is the fallback
+  let wallets = await coordinator.call('getWallets', playerId).catch(() => null);
+  if (!wallets) {
+    const doc = await Player.findById(playerId, { wallet: 1 }).lean();
+    if (!doc) return null;
+    wallets = doc.wallet;
+  }
+
+  const quotes = await priceOracle.getPrices();
+  const balanceData = {};
+
+  for (const cryptoType of ASSET_SYMBOLS) {
+    // Without a fresh price the USD value is unknown rather than guessed
+    const balance = wallets[cryptoType] || 0;
+    const price = quotes[cryptoType].price;
+    balanceData[cryptoType] = {
+      cryptoBalance: formatAmount(balance, cryptoType),
+      usdValue: price ? formatAmount(convertCryptoToUSD(balance, cryptoType, price), 'USD') : null,
+      price
+    };
+  }
+  return balanceData;
+}
 
+/**
+ * Send a player's balances to all of their sockets and bots, on every instance
+ * @param {string} playerId - Player account ID
+ */
+async function sendPlayerBalance(playerId) {
   try {
-    const prices = await fetchCryptoPrices();
-    const balanceData = {};
-    
-    for (const [cryptoType, wallet] of Object.entries(player.wallets)) {
-      const usdValue = convertCryptoToUSD(wallet.balance, cryptoType, prices[cryptoType]);
-      balanceData[cryptoType] = {
-        cryptoBalance: wallet.balance,
-        usdValue: usdValue,
-        price: prices[cryptoType]
-      };
-    }
-    
-    socket.emit('balance', balanceData);
+    const balanceData = await getPlayerBalances(playerId);
+    if (!balanceData) return;
+    io.to(playerRoom(playerId)).emit('balance', balanceData);
+    botIo.to(playerRoom(playerId)).emit('balance', balanceData);
   } catch (error) {
-    console.error('❌ Error sending balance:', error);
-    // Send fallback balance data
-    socket.emit('balance', {
-      BTC: { cryptoBalance: 0, usdValue: 0, price: 60000 },
-      ETH: { cryptoBalance: 0, usdValue: 0, price: 3000 },
-      USDT: { cryptoBalance: 0, usdValue: 0, price: 1 }
-    });
+    logger.error('❌ Error sending balance', { playerId, error });
+  }
+}
+
+// Deposits and withdrawals change balances outside the game loop
+/**
+ * Update the leader's copy of a balance changed outside the game and notify the player
+ * @param {Object} change - Player ID, currency and new balance
+ */
+async function syncPlayerBalance({ playerId, currency, balance }) {
+  try {
+    await coordinator.call('setWalletBalance', playerId, currency, balance);
+  } catch (error) {
+    // The next leader loads the balance from the database
+    logger.warn('⚠️ Could not update the leader\'s balance copy', { playerId, error });
+  }
+  sendPlayerBalance(playerId);
+}
+
+/**
+ * Apply a ban, freeze or reinstatement to a connected player
+ * @param {string} playerId - Player account ID
+ * @param {string} status - active, frozen or banned
+ */
+async function applyPlayerStatus(playerId, status) {
+  try {
+    await coordinator.call('setPlayerStatus', playerId, status);
+  } catch (error) {
+    logger.warn('⚠️ Could not update the leader\'s player status', { playerId, error });
+  }
+  if (status === 'banned') {
+    // Reaches the player's sockets and bots on every instance
+    io.in(playerRoom(playerId)).disconnectSockets(true);
+    botIo.in(playerRoom(playerId)).disconnectSockets(true);
+  }
+}
+
+// Deposits and withdrawals change balances outside the game loop
+payments.events.on('balanceChanged', syncPlayerBalance);
+
+payments.events.on('transferUpdated', ({ playerId, transfer }) => {
+  io.to(playerRoom(playerId)).emit('transferUpdated', transfer);
+});
+
+// Chat messages reach the clients of every instance through the adapter
+chat.events.on('message', message => io.emit('chatMessage', message));
+chat.events.on('messageDeleted', deletion => io.emit('chatMessageDeleted', deletion));
+chat.events.on('muted', ({ playerId, ...mute }) => io.to(playerRoom(playerId)).emit('chatMuted', mute));
+// Tips move funds outside the game loop, like deposits and withdrawals
+chat.events.on('balanceChanged', syncPlayerBalance);
+
+// Standings reach the clients of every instance; entry fees, prizes and refunds are wallet changes
+tournaments.events.on('standings', tournament => io.emit('tournament', tournament));
+tournaments.events.on('balanceChanged', syncPlayerBalance);
+
+// Tournaments also close when no rounds are played, e.g. while the game is paused
+setInterval(() => {
+  if (coordinator.isLeader()) {
+    tournaments.updateTournaments().catch(error => logger.error('❌ Error updating tournaments', error));
+  }
+}, 60 * 1000).unref();
+
+/**
+ * Apply a player's new responsible gambling controls to the game
+ * @param {string} playerId - Player account ID
+ * @param {Object} controls - Controls as stored on the player
+ */
+async function applyResponsibleGambling(playerId, controls) {
+  try {
+    await coordinator.call('setResponsibleGambling', playerId, controls);
+  } catch (error) {
+    // The next leader loads the controls from the database
+    logger.warn('⚠️ Could not update the leader\'s responsible gambling controls', { playerId, error });
   }
 }
 
+// Limits, breaks and their history; loosened limits wait LIMIT_INCREASE_DELAY_HOURS
+useApiRouter('/api/responsible-gambling', createResponsibleGamblingRouter({
+  limitIncreaseDelayMs: (parseFloat(process.env.LIMIT_INCREASE_DELAY_HOURS) || 24) * 60 * 60 * 1000,
+  onControlsChanged: applyResponsibleGambling
+}), 'responsible gambling', 'session');
+
+// Operator API and console (client/admin.html)
+useApiRouter('/api/admin', createAdminRouter({
+  coordinator,
+  onBalanceChanged: syncPlayerBalance,
+  onPlayerStatusChanged: applyPlayerStatus,
+  rateLimiter
+}), 'admin', 'admin');
+
+// API keys for bots, managed by the signed-in player
+useApiRouter('/api/keys', createApiKeysRouter({
+  onKeyRevoked: ({ keyId }) => botIo.in(apiKeyRoom(keyId)).disconnectSockets(true)
+}), 'keys');
+
+// REST equivalent of the bot socket namespace, signed with an API key
+useApiRouter('/api/bot', createBotRouter({
+  coordinator,
+  apiKeyAuth,
+  getBalances: getPlayerBalances,
+  minBetUSD: MIN_BET_USD,
+  logger: logger.child({ component: 'bot' })
+}), 'bot');
+
+// Configured assets, for the client's currency selector and balances
+app.get('/api/assets', apiDoc({ summary: 'Configured assets with their decimals and bet limits' }), (req, res) => {
+  res.json({ success: true, assets: Object.values(ASSETS).map(publicAsset) });
+});
+
 // API Routes with comprehensive error handling
-app.get('/api/prices', async (req, res) => {
+app.get('/api/prices', apiDoc({ summary: 'Current USD prices and the quotes they were taken from' }), async (req, res) => {
   try {
-    const prices = await fetchCryptoPrices();
-    res.json({ success: true, prices });
+    const quotes = await priceOracle.getPrices();
+    const prices = {};
+    for (const [symbol, quote] of Object.entries(quotes)) {
+      prices[symbol] = quote.price;
+    }
+    res.json({ success: true, prices, quotes });
   } catch (error) {
-    console.error('❌ Error in /api/prices:', error);
+    logger.error('❌ Error in /api/prices', error);
     res.status(500).json({ success: false, message: 'Error fetching prices' });
   }
 });
 
-app.get('/api/rounds', async (req, res) => {
+app.get('/api/rounds/:roundNumber/verify', apiDoc({
+  summary: 'Check a round\'s crash point against its revealed seed',
+  responses: { 200: 'Verification result', 400: 'Invalid, aborted or unrevealed round', 404: 'Round not found' }
+}), async (req, res) => {
   try {
+    const roundNumber = parseInt(req.params.roundNumber, 10);
+    if (!Number.isInteger(roundNumber) || roundNumber < 1) {
+      return res.status(400).json({ success: false, message: 'Invalid round number' });
+    }
+
     const Round = require('./models/Round');
-    const rounds = await Round.find().sort({ roundNumber: -1 }).limit(20);
-    res.json({ success: true, rounds });
+    const round = await Round.findOne({ roundNumber });
+    if (!round) {
+      return res.status(404).json({ success: false, message: 'Round not found' });
+    }
+    if (round.status === 'aborted') {
+      return res.status(400).json({ success: false, message: 'Round was aborted and its bets refunded' });
+    }
+    if (!round.serverSeed) {
+      return res.status(400).json({ success: false, message: 'Server seed not revealed yet' });
+    }
+
+    // Rounds from before runtime settings were recorded used the defaults
+    const houseEdge = round.houseEdge !== undefined ? round.houseEdge : HOUSE_EDGE;
+    const maxCrash = round.maxCrash !== undefined ? round.maxCrash : MAX_CRASH;
+    const computedCrashPoint = computeCrashPoint(round.serverSeed, round.clientSeed, { houseEdge, maxCrash });
+    const seedHashValid = hashSeed(round.serverSeed) === round.seedHash;
+    const chainValid = verifySeedInChain(round.serverSeed, round.chainPosition, round.terminalHash);
+    const crashPointValid = computedCrashPoint.toFixed(2) === round.crashPoint.toFixed(2);
+
+    res.json({
+      success: true,
+      verified: seedHashValid && chainValid && crashPointValid,
+      roundNumber,
+      serverSeed: round.serverSeed,
+      seedHash: round.seedHash,
+      clientSeed: round.clientSeed,
+      chainPosition: round.chainPosition,
+      terminalHash: round.terminalHash,
+      houseEdge,
+      maxCrash,
+      crashPoint: round.crashPoint,
+      computedCrashPoint,
+      checks: { seedHashValid, chainValid, crashPointValid }
+    });
+  } catch (error) {
+    logger.error('❌ Error in /api/rounds/:roundNumber/verify', error);
+    res.status(500).json({ success: false, message: 'Error verifying round' });
+  }
+});
+
+// Published commitments of the current seed chain and the one after it
+app.get('/api/fairness', apiDoc({
+  summary: 'Seed chain commitments, client seed, house edge and payout limits',
+  responses: { 200: 'Commitments and settings', 503: 'No game server running' }
+}), async (req, res) => {
+  try {
+    // Answered by the leader, whose chain is the one being played
+    const { chainLength, current, next } = await coordinator.call('getCommitment');
+    // Operators can change these; each round records the values it was generated with
+    const settings = await coordinator.call('getSettings');
+    res.json({
+      success: true,
+      terminalHash: current.terminalHash,
+      chainIndex: current.chainIndex,
+      chainLength,
+      firstRound: current.firstRound,
+      lastRound: current.lastRound,
+      nextChain: next,
+      clientSeed: CLIENT_SEED,
+      houseEdge: settings.houseEdge,
+      maxCrash: settings.maxCrash,
+      // Limits cash bets out early without changing the crash point; see `limits` in gameState for the current round
+      payoutLimits: {
+        maxPayoutUSD: settings.maxPayoutUSD === undefined ? null : settings.maxPayoutUSD,
+        maxRoundPayout: settings.maxRoundPayout || null
+      }
+    });
   } catch (error) {
-    console.error('❌ Error in /api/rounds:', error);
-    res.status(500).json({ success: false, message: 'Error fetching rounds' });
+    if (error.code === 'GAME_UNAVAILABLE') {
+      return res.status(503).json({ success: false, message: error.message });
+    }
+    logger.error('❌ Error in /api/fairness', error);
+    res.status(500).json({ success: false, message: 'Error fetching fairness commitments' });
   }
 });
 
-app.get('/api/transactions/:playerId', async (req, res) => {
+app.get('/api/transactions/:playerId', apiDoc({ summary: 'Your latest 50 transactions', auth: 'session', responses: { 200: 'Transactions', 403: 'Not your account' } }), requireAuth, async (req, res) => {
   try {
+    // Players can only read their own history
+    if (req.session.sub !== req.params.playerId) {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+
+
     const Transaction = require('./models/Transaction');
+    const { serializeTransaction } = require('./utils/ledger');
     const transactions = await Transaction.find({ playerId: req.params.playerId })
       .sort({ timestamp: -1 })
       .limit(50);
-    res.json({ success: true, transactions });
+    res.json({ success: true, transactions: transactions.map(serializeTransaction) });
   } catch (error) {
-    console.error('❌ Error in /api/transactions:', error);
+    logger.error('❌ Error in /api/transactions', error);
     res.status(500).json({ success: false, message: 'Error fetching transactions' });
   }
 });
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    success: true, 
-    status: 'healthy',
-    roundNumber,
-    isRoundActive,
-    connectedPlayers: Object.keys(players).length
+app.get('/api/health', apiDoc({ summary: 'Instance health and current round', responses: { 200: 'Healthy', 503: 'No game server running' } }), async (req, res) => {
+  const instance = { instanceId: INSTANCE_ID, isLeader: coordinator.isLeader() };
+  try {
+    const game = await coordinator.call('getStatus');
+    res.json({ 
+      success: true, 
+      status: 'healthy',
+      ...instance,
+      roundNumber: game.roundNumber,
+      gameState: game.gameState,
+      isRoundActive: game.gameState === GAME_STATES.RUNNING,
+      bettingEndsAt: game.gameState === GAME_STATES.BETTING ? game.bettingEndsAt : null,
+      connectedPlayers: game.connectedPlayers
+    });
+  } catch (error) {
+    res.status(503).json({ success: false, status: 'no leader', ...instance, message: error.message });
+  }
+});
+
+// OpenAPI document of the routers above and the /api routes of the app itself, built on first request
+let openApiDocument = null;
+app.get('/api/docs', apiDoc({ summary: 'This OpenAPI document' }), (req, res) => {
+  openApiDocument = openApiDocument || buildOpenApiDocument({
+    info: {
+      title: 'Crypto Crash Game API',
+      version,
+      description: 'Bots use the signed /api/bot routes with a key from /api/keys, or the /bot socket namespace.'
+    },
+    routers: [
+      ...apiRouters,
+      { basePath: '', router: app._router, tag: 'game', include: routePath => routePath.startsWith('/api/') }
+    ]
   });
+  res.json(openApiDocument);
+});
+
+// Prometheus metrics of this instance; set METRICS_TOKEN to require `Authorization: Bearer <token>`
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    // Compared in constant time, like API keys and request signatures
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return res.status(401).type('text/plain').send('Unauthorized\n');
+    }
+  }
+  res.type(metrics.registry.contentType).send(metrics.registry.render());
 });
 
-// Start the game with error handling
-try {
-  startNewRound();
-} catch (error) {
-  console.error('❌ Error starting game:', error);
+// Capped collection the socket.io adapter uses to pass events between instances
+const ADAPTER_COLLECTION = 'socket.io-adapter-events';
+
+/**
+ * Fan socket.io events out to every instance through MongoDB change streams
+ */
+async function attachSocketAdapter() {
+  const db = mongoose.connection.db;
+  try {
+    await db.createCollection(ADAPTER_COLLECTION, { capped: true, size: 1e6 });
+  } catch (error) {
+    if (error.codeName !== 'NamespaceExists') throw error;
+  }
+  io.adapter(createAdapter(db.collection(ADAPTER_COLLECTION), { requestsTimeout: GAME_COMMAND_TIMEOUT_MS }));
 }
 
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS, 10) || 20000;
+let shuttingDown = false;
+
+/**
+ * Stop taking bets, finish or void the round, flush writes and exit
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info(`🛑 ${signal} received, shutting down`);
+
+  // Exit even if something hangs past the grace period
+  setTimeout(() => {
+    logger.error('❌ Shutdown timed out');
+    process.exit(1);
+  }, SHUTDOWN_GRACE_MS + 10000).unref();
+
+  try {
+    // Releases the leader lease so another instance takes over right away
+    await coordinator.shutdown({ graceMs: SHUTDOWN_GRACE_MS });
+    // Also closes the HTTP server
+    await new Promise(resolve => io.close(() => resolve()));
+    await mongoose.disconnect();
+    logger.info('👋 Shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Error during shutdown', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 const PORT = process.env.PORT || 5000;
 (async () => {
   try {
+    // Events must reach other instances before any client connects
+    await connectToMongoDB();
+    // Amounts stored as whole units would be read as minor units
+    await assertMoneyMigrated();
+    await attachSocketAdapter();
+    payments.startPaymentWatcher({ priceProvider: priceOracle });
+    chat.setPriceProvider(priceOracle);
+
     const open = (await import('open')).default;
     server.listen(PORT, () => {
-      console.log(`🚀 Enhanced Crypto Crash Game Server running on port ${PORT}`);
-      console.log(`💰 Supported cryptocurrencies: ${Object.keys(SUPPORTED_CRYPTOS).join(', ')}`);
-      console.log(`🔐 Provably fair seed: ${GAME_SEED}`);
-      console.log(`📊 API endpoints available at http://localhost:${PORT}/api`);
+      logger.info(`🚀 Enhanced Crypto Crash Game Server running on port ${PORT} (instance ${INSTANCE_ID})`);
+      const enabled = Object.values(ASSETS).filter(asset => asset.enabled).map(asset => asset.symbol);
+      logger.info(`💰 Supported cryptocurrencies: ${enabled.join(', ')}`);
+      logger.info(`📊 API endpoints available at http://localhost:${PORT}/api`);
       open(`http://localhost:${PORT}`);
     });
+    coordinator.start();
   } catch (error) {
-    console.error('❌ Error starting server:', error);
+    logger.error('❌ Error starting server', error);
   }
 })();
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Audit record of an operator action taken through the admin API
+const adminActionSchema = new mongoose.Schema({
+  // Operator name sent in the x-admin-operator header
+  operator: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['pause', 'resume', 'updateSettings', 'setPlayerStatus', 'credit', 'debit', 'releaseDeposit', 'setChatModerator', 'muteChat', 'deleteChatMessage', 'createTournament', 'cancelTournament']
+  },
+  playerId: {
+    type: String,
+    index: true
+  },
+  // Action specific: changed settings, new status, currency and amount, or the chat message
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  reason: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+module.exports = mongoose.model('AdminAction', adminActionSchema);
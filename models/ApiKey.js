@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// API key a player created for a bot, see utils/apiKeys.js
+const apiKeySchema = new mongoose.Schema({
+  // Public part sent in the X-Api-Key header; the signing secret is derived from it and never stored
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  playerId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Label chosen by the player
+  name: {
+    type: String,
+    required: true
+  },
+  // What the key may do: read, bet, cashout
+  scopes: {
+    type: [String],
+    enum: ['read', 'bet', 'cashout'],
+    default: ['read']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  // Revoked keys are kept so their requests show up as revoked rather than unknown
+  revokedAt: {
+    type: Date
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Nonce of a signed API request, kept until its timestamp can no longer be replayed
+const apiNonceSchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // Removed by MongoDB's TTL monitor once past the signature window
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+});
+
+// Shared by every instance, so a request cannot be replayed against another one
+apiNonceSchema.index({ keyId: 1, nonce: 1 }, { unique: true });
+
+module.exports = mongoose.model('ApiNonce', apiNonceSchema);
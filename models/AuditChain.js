@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Head of the audit chain: the last entry's sequence and hash
+const auditChainSchema = new mongoose.Schema({
+  // Chain name, one document per chain
+  _id: {
+    type: String
+  },
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+module.exports = mongoose.model('AuditChain', auditChainSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { minorUnitsValidator } = require('../utils/money');
+const { ASSET_SYMBOLS } = require('../utils/assets');
+
+// Link of the hash-chained audit log of balance changes; see utils/audit.js
+const auditEntrySchema = new mongoose.Schema({
+  // Position in the chain, from 1 without gaps
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Transaction type of the balance change
+  action: {
+    type: String,
+    required: true,
+    enum: ['bet', 'cashout', 'refund', 'deposit', 'withdrawal', 'adjustment', 'tip', 'tournament']
+  },
+  playerId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ASSET_SYMBOLS
+  },
+  direction: {
+    type: String,
+    required: true,
+    enum: ['debit', 'credit']
+  },
+  // Minor units moved, and the wallet balance after the change
+  amount: {
+    type: Number,
+    required: true,
+    validate: minorUnitsValidator
+  },
+  balance: {
+    type: Number,
+    required: true,
+    validate: minorUnitsValidator
+  },
+  transactionId: {
+    type: String,
+    required: true
+  },
+  // Idempotency key of the change, e.g. `admin:<AdminAction id>` for adjustments
+  reference: {
+    type: String,
+    required: true
+  },
+  roundNumber: {
+    type: Number,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+// Entries are only ever inserted; tampering below the application shows up as a broken chain
+const MUTATIONS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'];
+auditEntrySchema.pre(MUTATIONS, function () {
+  throw new Error('Audit entries are append-only');
+});
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { minorUnitsValidator } = require('../utils/money');
+const { ASSET_SYMBOLS } = require('../utils/assets');
+
+// One bet of a player in a round and how it ended, the source of stats and leaderboards
+const betSchema = new mongoose.Schema({
+  betId: {
+    type: String,
+    required: true
+  },
+  roundNumber: {
+    type: Number,
+    required: true
+  },
+  playerId: {
+    type: String,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ASSET_SYMBOLS
+  },
+  // Amounts in minor units of the currency, USD amounts in cents
+  cryptoAmount: {
+    type: Number,
+    required: true,
+    validate: minorUnitsValidator
+  },
+  usdAmount: {
+    type: Number,
+    required: true,
+    validate: minorUnitsValidator
+  },
+  priceAtTime: {
+    type: Number,
+    required: true
+  },
+  autoCashoutAt: {
+    type: Number,
+    default: null
+  },
+  // Placed by the player's auto-bet
+  auto: {
+    type: Boolean,
+    default: false
+  },
+  // open: in flight; refunded: its round was aborted
+  status: {
+    type: String,
+    required: true,
+    enum: ['open', 'cashedOut', 'lost', 'refunded'],
+    default: 'open'
+  },
+  // Highest multiplier the bet was cashed out at, in full or in part
+  cashoutMultiplier: {
+    type: Number,
+    default: null
+  },
+  // Partial cashouts add up here; a bet that loses its remaining stake keeps them
+  payoutCrypto: {
+    type: Number,
+    default: 0,
+    validate: minorUnitsValidator
+  },
+  payoutUSD: {
+    type: Number,
+    default: 0,
+    validate: minorUnitsValidator
+  },
+  // payoutUSD - usdAmount once settled; stays 0 while open
+  profitUSD: {
+    type: Number,
+    default: 0,
+    validate: minorUnitsValidator
+  },
+  // Payout limit that cashed the bet out: bet or round
+  limit: {
+    type: String,
+    enum: ['bet', 'round', null],
+    default: null
+  },
+  placedAt: {
+    type: Date,
+    default: Date.now
+  },
+  settledAt: {
+    type: Date
+  }
+});
+
+// Sparse, as bets stored before bet IDs have none
+betSchema.index({ betId: 1 }, { unique: true, sparse: true });
+betSchema.index({ roundNumber: 1, playerId: 1 });
+betSchema.index({ playerId: 1, settledAt: -1 });
+betSchema.index({ settledAt: -1 });
+
+module.exports = mongoose.model('Bet', betSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Message of the game chat, see utils/chat.js
+const chatMessageSchema = new mongoose.Schema({
+  // player: written by a player; system: tips and big wins announced by the server
+  kind: {
+    type: String,
+    required: true,
+    enum: ['player', 'system']
+  },
+  // Author of a player message
+  playerId: {
+    type: String,
+    index: true
+  },
+  username: {
+    type: String
+  },
+  // As shown, after the profanity filter
+  text: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  // Deleted messages are kept for moderators but no longer shown
+  deletedAt: {
+    type: Date
+  },
+  // Username of the moderator, or the operator name from the admin API
+  deletedBy: {
+    type: String
+  },
+  deleteReason: {
+    type: String
+  }
+});
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Operator-controlled game settings, a single document that outlives restarts and leader changes
+const gameSettingsSchema = new mongoose.Schema({
+  // Always 'game'
+  _id: {
+    type: String
+  },
+  bettingSeconds: {
+    type: Number
+  },
+  houseEdge: {
+    type: Number
+  },
+  maxCrash: {
+    type: Number
+  },
+  // null means no limit
+  maxBetUSD: {
+    type: Number,
+    default: null
+  },
+  maxPayoutUSD: {
+    type: Number,
+    default: null
+  },
+  // Crypto amounts by currency, e.g. { BTC: 2, USDT: 100000 }
+  maxRoundPayout: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('GameSettings', gameSettingsSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Time-limited lock held by one server instance, e.g. the game loop leader
+const leaseSchema = new mongoose.Schema({
+  // Lease name, one document per lease
+  _id: {
+    type: String
+  },
+  holder: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+module.exports = mongoose.model('Lease', leaseSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { minorUnitsValidator } = require('../utils/money');
+const { ASSET_SYMBOLS } = require('../utils/assets');
+
+// One side of a double-entry posting; every journal's debits equal its credits
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    index: true
+  },
+  account: {
+    type: String,
+    required: true,
+    index: true
+  },
+  side: {
+    type: String,
+    required: true,
+    enum: ['debit', 'credit']
+  },
+  // Minor units of the currency
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: minorUnitsValidator
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ASSET_SYMBOLS
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
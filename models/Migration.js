@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Progress of a one-off data migration, one document per migration
+const migrationSchema = new mongoose.Schema({
+  // Migration name
+  _id: {
+    type: String
+  },
+  // Steps already applied; a rerun skips them
+  completedSteps: {
+    type: [String],
+    default: []
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once every step is applied
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
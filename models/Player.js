@@ -1,10 +1,93 @@
 const mongoose = require('mongoose');
+const { minorUnitsValidator } = require('../utils/money');
+const { ASSET_SYMBOLS } = require('../utils/assets');
+
+// One field of the given type per configured asset, enabled or not
+function assetFields(definition) {
+  return Object.fromEntries(ASSET_SYMBOLS.map(symbol => [symbol, { ...definition }]));
+}
 
 const playerSchema = new mongoose.Schema({
-  username: { type: String, required: true },
-  wallet: {
-    BTC: { type: Number, default: 0 },
-    ETH: { type: Number, default: 0 }
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: 3,
+    maxlength: 32
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  // Only changed through utils/ledger.js so balances match the transaction history; minor units
+  wallet: assetFields({ type: Number, default: 0, validate: minorUnitsValidator }),
+  // Receiving addresses on the configured chain, created on first request
+  depositAddresses: assetFields({ type: String, unique: true, sparse: true }),
+  // Bumped by every withdrawal request, so concurrent requests conflict in their transactions (see utils/payments.js)
+  withdrawalRequests: {
+    type: Number,
+    default: 0
+  },
+  // Set by operators: frozen accounts cannot bet or withdraw, banned accounts cannot log in
+  status: {
+    type: String,
+    enum: ['active', 'frozen', 'banned'],
+    default: 'active'
+  },
+  statusReason: {
+    type: String
+  },
+  // Chat moderation, see utils/chat.js
+  chat: {
+    // Set by operators: moderators can mute players and delete messages
+    moderator: { type: Boolean, default: false },
+    mutedUntil: { type: Date },
+    muteReason: { type: String },
+    // Moderator username or operator name
+    mutedBy: { type: String }
+  },
+  // Server-side auto-bet configuration and progress, kept across reconnects
+  autoBet: {
+    enabled: { type: Boolean, default: false },
+    strategy: { type: String, enum: ['fixed', 'martingale'], default: 'fixed' },
+    baseBetUSD: { type: Number },
+    cryptoType: { type: String, enum: ASSET_SYMBOLS },
+    autoCashoutAt: { type: Number },
+    stopOnProfitUSD: { type: Number },
+    stopOnLossUSD: { type: Number },
+    maxRounds: { type: Number },
+    nextBetUSD: { type: Number },
+    roundsPlayed: { type: Number, default: 0 },
+    profitUSD: { type: Number, default: 0 }
+  },
+  // Self-imposed limits and breaks, see utils/responsibleGambling.js; USD limits are null when unset
+  responsibleGambling: {
+    limits: {
+      deposit: { daily: Number, weekly: Number, monthly: Number },
+      loss: { daily: Number, weekly: Number, monthly: Number },
+      wager: { daily: Number, weekly: Number, monthly: Number }
+    },
+    // Loosened limits waiting for their effective time
+    pendingLimits: [{
+      _id: false,
+      type: { type: String, enum: ['deposit', 'loss', 'wager'] },
+      period: { type: String, enum: ['daily', 'weekly', 'monthly'] },
+      value: Number,
+      requestedAt: Date,
+      effectiveAt: Date
+    }],
+    sessionReminderMinutes: { type: Number },
+    cooldownUntil: { type: Date },
+    selfExcludedUntil: { type: Date }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastLoginAt: {
+    type: Date
   }
 });
 
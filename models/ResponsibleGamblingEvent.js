@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A player's responsible gambling history: every control change and enforcement decision
+const responsibleGamblingEventSchema = new mongoose.Schema({
+  playerId: {
+    type: String,
+    required: true
+  },
+  // limitChanged: applied at once; limitScheduled / limitApplied: loosening and when it took effect
+  // betBlocked, depositBlocked, depositHeld, tipBlocked: enforcement; depositReleased: an operator credited a held deposit
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'limitChanged',
+      'limitScheduled',
+      'limitApplied',
+      'reminderChanged',
+      'cooldownStarted',
+      'selfExcluded',
+      'sessionReminder',
+      'betBlocked',
+      'depositBlocked',
+      'depositHeld',
+      'tipBlocked',
+      'depositReleased'
+    ]
+  },
+  // Control involved: deposit, loss, wager, cooldown or selfExclusion
+  rule: {
+    type: String
+  },
+  period: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', null]
+  },
+  // Action specific: old and new limit, amounts, usage or break end
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  message: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+responsibleGamblingEventSchema.index({ playerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ResponsibleGamblingEvent', responsibleGamblingEventSchema);
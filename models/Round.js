@@ -7,10 +7,36 @@ const roundSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Filled in when the round crashes so it is never exposed ahead of time
   crashPoint: {
+    type: Number
+  },
+  seedHash: {
+    type: String,
+    required: true
+  },
+  serverSeed: {
+    type: String
+  },
+  clientSeed: {
+    type: String,
+    required: true
+  },
+  chainPosition: {
     type: Number,
     required: true
   },
+  terminalHash: {
+    type: String,
+    required: true
+  },
+  // Crash point parameters at the time of the round (operators can change them)
+  houseEdge: {
+    type: Number
+  },
+  maxCrash: {
+    type: Number
+  },
   startTime: {
     type: Date,
     default: Date.now,
@@ -20,9 +46,10 @@ const roundSchema = new mongoose.Schema({
     type: Date,
     index: true
   },
+  // aborted: voided by a restart or shutdown, open bets refunded
   status: {
     type: String,
-    enum: ['active', 'completed'],
+    enum: ['active', 'completed', 'aborted'],
     default: 'active'
   }
 });
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { minorUnitsValidator } = require('../utils/money');
+const { ASSET_SYMBOLS } = require('../utils/assets');
+
+// Timed competition scored from its entrants' bets, see utils/tournaments.js
+const tournamentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Bets placed from startsAt until before endsAt count
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  // Currency of the entry fee, the guaranteed prize and the prizes
+  prizeCurrency: {
+    type: String,
+    required: true,
+    enum: ASSET_SYMBOLS
+  },
+  // Minor units of prizeCurrency; 0 for free entry
+  entryFee: {
+    type: Number,
+    default: 0,
+    validate: minorUnitsValidator
+  },
+  // Minor units of prizeCurrency the house adds to the entry fees
+  guaranteedPrize: {
+    type: Number,
+    default: 0,
+    validate: minorUnitsValidator
+  },
+  // Only bets in these currencies count
+  currencies: {
+    type: [{ type: String, enum: ASSET_SYMBOLS }],
+    required: true
+  },
+  scoring: {
+    // profit: total profit; multiplier: highest cashout; streak: best profit over `rounds` rounds in a row
+    rule: {
+      type: String,
+      required: true,
+      enum: ['profit', 'multiplier', 'streak']
+    },
+    rounds: {
+      type: Number,
+      default: null
+    }
+  },
+  // Percent of the prize pool for each rank, first place first
+  prizes: {
+    type: [Number],
+    required: true
+  },
+  entrants: {
+    type: Number,
+    default: 0
+  },
+  // scheduled → closing → completed, or scheduled → cancelling → cancelled
+  status: {
+    type: String,
+    required: true,
+    enum: ['scheduled', 'closing', 'completed', 'cancelling', 'cancelled'],
+    default: 'scheduled',
+    index: true
+  },
+  // Rounds up to this one are in the standings
+  lastScoredRound: {
+    type: Number,
+    default: 0
+  },
+  // Operator name from the admin API
+  createdBy: {
+    type: String
+  },
+  cancelReason: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the prizes were paid or the entry fees refunded
+  closedAt: {
+    type: Date
+  }
+});
+
+module.exports = mongoose.model('Tournament', tournamentSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { minorUnitsValidator } = require('../utils/money');
+
+// A player's entry in a tournament and their standing, see utils/tournaments.js
+const tournamentEntrySchema = new mongoose.Schema({
+  tournamentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true
+  },
+  playerId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  // Only bets placed from here on count
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Cents for profit and streak, a multiplier for multiplier; null until the player has a score
+  score: {
+    type: Number,
+    default: null
+  },
+  // When the score last changed; ties go to whoever got there first
+  scoredAt: {
+    type: Date,
+    default: null
+  },
+  // Rounds played with counting bets
+  rounds: {
+    type: Number,
+    default: 0
+  },
+  profitUSD: {
+    type: Number,
+    default: 0,
+    validate: minorUnitsValidator
+  },
+  bestMultiplier: {
+    type: Number,
+    default: null
+  },
+  // Profit in cents of the latest rounds, for the streak rule
+  recentProfits: {
+    type: [Number],
+    default: []
+  },
+  // Final rank and prize in minor units, set when the tournament closes
+  rank: {
+    type: Number,
+    default: null
+  },
+  prize: {
+    type: Number,
+    default: 0,
+    validate: minorUnitsValidator
+  },
+  prizePaidAt: {
+    type: Date
+  },
+  // Entry fee returned when the tournament was cancelled
+  refundedAt: {
+    type: Date
+  }
+});
+
+tournamentEntrySchema.index({ tournamentId: 1, playerId: 1 }, { unique: true });
+tournamentEntrySchema.index({ tournamentId: 1, score: -1 });
+
+module.exports = mongoose.model('TournamentEntry', tournamentEntrySchema);
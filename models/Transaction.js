@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { minorUnitsValidator } = require('../utils/money');
+const { ASSET_SYMBOLS } = require('../utils/assets');
+
+// Only trades are priced; deposits, withdrawals, adjustments and tips move crypto alone
+function isTrade() {
+  return ['bet', 'cashout', 'refund'].includes(this.transactionType);
+}
 
 const transactionSchema = new mongoose.Schema({
   playerId: {
@@ -6,23 +13,62 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Cents
   usdAmount: {
     type: Number,
-    required: true
+    required: isTrade,
+    validate: minorUnitsValidator
   },
+  // Minor units of the currency (see utils/money.js)
   cryptoAmount: {
     type: Number,
-    required: true
+    required: true,
+    validate: minorUnitsValidator
   },
   currency: {
     type: String,
     required: true,
-    enum: ['BTC', 'ETH', 'USDT']
+    enum: ASSET_SYMBOLS
   },
   transactionType: {
     type: String,
     required: true,
-    enum: ['bet', 'cashout']
+    enum: ['bet', 'cashout', 'refund', 'deposit', 'withdrawal', 'adjustment', 'tip', 'tournament']
+  },
+  // Effect on the player's wallet
+  direction: {
+    type: String,
+    required: true,
+    enum: ['debit', 'credit']
+  },
+  // Guards against applying the same balance change twice
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  roundNumber: {
+    type: Number,
+    index: true
+  },
+  // Bet a bet, cashout or refund belongs to
+  betId: {
+    type: String,
+    index: true
+  },
+  // Player on the other side of a tip
+  counterpartyId: {
+    type: String
+  },
+  // Tournament an entry fee, prize or refund belongs to
+  tournamentId: {
+    type: String,
+    index: true
+  },
+  // Minor units of the bet's stake a cashout settled, less than the bet for a partial cashout
+  stakeAmount: {
+    type: Number,
+    validate: minorUnitsValidator
   },
   transactionHash: {
     type: String,
@@ -31,7 +77,7 @@ const transactionSchema = new mongoose.Schema({
   },
   priceAtTime: {
     type: Number,
-    required: true
+    required: isTrade
   },
   timestamp: {
     type: Date,
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { minorUnitsValidator } = require('../utils/money');
+const { ASSET_SYMBOLS } = require('../utils/assets');
+
+// On-chain deposit or withdrawal and its confirmation progress
+const transferSchema = new mongoose.Schema({
+  playerId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['deposit', 'withdrawal']
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ASSET_SYMBOLS
+  },
+  // Minor units of the currency
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: minorUnitsValidator
+  },
+  fee: {
+    type: Number,
+    default: 0,
+    validate: minorUnitsValidator
+  },
+  // Deposit value in cents when it became final, counted against deposit limits
+  usdAmount: {
+    type: Number,
+    validate: minorUnitsValidator
+  },
+  holdReason: {
+    type: String
+  },
+  address: {
+    type: String,
+    required: true
+  },
+  // awaiting_confirmation: withdrawal requested, waiting for the player to confirm it
+  // pending: on chain, gathering confirmations
+  // held: a final deposit not credited because of the player's responsible gambling controls
+  status: {
+    type: String,
+    required: true,
+    enum: ['awaiting_confirmation', 'pending', 'confirmed', 'held', 'cancelled', 'expired', 'failed'],
+    index: true
+  },
+  txHash: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  confirmations: {
+    type: Number,
+    default: 0
+  },
+  requiredConfirmations: {
+    type: Number,
+    required: true
+  },
+  expiresAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+module.exports = mongoose.model('Transfer', transferSchema);
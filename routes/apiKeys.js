@@ -0,0 +1,99 @@
+const express = require('express');
+const { requireAuth } = require('../utils/auth');
+const { apiDoc } = require('../utils/openapi');
+const { API_KEY_SCOPES, validateKeyRequest, createApiKey, listApiKeys, revokeApiKey } = require('../utils/apiKeys');
+const logger = require('../utils/logger').logger.child({ component: 'apiKeys' });
+
+const KEY_SCHEMA = {
+  type: 'object',
+  properties: {
+    keyId: { type: 'string' },
+    name: { type: 'string' },
+    scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES } },
+    createdAt: { type: 'string', format: 'date-time' },
+    lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+    revokedAt: { type: 'string', format: 'date-time', nullable: true }
+  }
+};
+
+/**
+ * API keys of the logged-in player, for bots using /api/bot; mounted at /api/keys
+ * @param {Object} options - Router dependencies
+ * @param {Function} options.onKeyRevoked - Called with `{ playerId, keyId }` after a key is revoked
+ * @returns {Object} Express router
+ */
+function createApiKeysRouter({ onKeyRevoked }) {
+  const router = express.Router();
+
+  router.get('/', apiDoc({
+    summary: 'List your API keys, revoked ones included',
+    auth: 'session',
+    responses: { 200: { description: 'Keys, newest first', schema: { type: 'object', properties: { keys: { type: 'array', items: KEY_SCHEMA } } } } }
+  }), requireAuth, async (req, res) => {
+    try {
+      res.json({ success: true, keys: await listApiKeys(req.session.sub) });
+    } catch (error) {
+      logger.error('❌ Error in /api/keys', error);
+      res.status(500).json({ success: false, message: 'Error fetching API keys' });
+    }
+  });
+
+  router.post('/', apiDoc({
+    summary: 'Create an API key',
+    description: 'The secret is returned once and cannot be shown again.',
+    auth: 'session',
+    body: {
+      type: 'object',
+      required: ['name', 'scopes'],
+      properties: {
+        name: { type: 'string', maxLength: 50 },
+        scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES } }
+      }
+    },
+    responses: {
+      201: { description: 'Key and its secret', schema: { type: 'object', properties: { key: KEY_SCHEMA, secret: { type: 'string' } } } },
+      400: 'Invalid name or scopes, or too many active keys'
+    }
+  }), requireAuth, async (req, res) => {
+    const { error, key } = validateKeyRequest(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+      const created = await createApiKey(req.session.sub, key);
+      logger.info(`🔑 API key ${created.key.keyId} created`, { playerId: req.session.sub, scopes: key.scopes });
+      res.status(201).json({ success: true, ...created });
+    } catch (error) {
+      if (error.code === 'API_KEY_REJECTED') {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      logger.error('❌ Error in /api/keys', error);
+      res.status(500).json({ success: false, message: 'Error creating API key' });
+    }
+  });
+
+  router.delete('/:keyId', apiDoc({
+    summary: 'Revoke an API key',
+    description: 'Requests signed with the key are refused from then on and bot sockets opened with it are disconnected.',
+    auth: 'session',
+    responses: { 200: { description: 'Revoked key', schema: { type: 'object', properties: { key: KEY_SCHEMA } } }, 404: 'No such key' }
+  }), requireAuth, async (req, res) => {
+    try {
+      const key = await revokeApiKey(req.session.sub, req.params.keyId);
+      if (!key) {
+        return res.status(404).json({ success: false, message: 'API key not found' });
+      }
+      logger.info(`🔑 API key ${key.keyId} revoked`, { playerId: req.session.sub });
+      onKeyRevoked({ playerId: req.session.sub, keyId: key.keyId });
+      res.json({ success: true, key });
+    } catch (error) {
+      logger.error('❌ Error in /api/keys/:keyId', error);
+      res.status(500).json({ success: false, message: 'Error revoking API key' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createApiKeysRouter };
@@ -0,0 +1,92 @@
+const express = require('express');
+const Player = require('../models/Player');
+const { hashPassword, verifyPassword, createSessionToken } = require('../utils/auth');
+const logger = require('../utils/logger').logger.child({ component: 'auth' });
+
+const router = express.Router();
+
+const USERNAME_PATTERN = /^[a-z0-9_]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Validate registration/login credentials
+ * @param {Object} body - Request body
+ * @returns {Object} Normalized credentials or an error message
+ */
+function readCredentials(body = {}) {
+  const username = typeof body.username === 'string' ? body.username.trim().toLowerCase() : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+
+  if (!USERNAME_PATTERN.test(username)) {
+    return { error: 'Username must be 3-32 characters of letters, numbers or underscores' };
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+  return { username, password };
+}
+
+router.post('/register', async (req, res) => {
+  try {
+    const { username, password, error } = readCredentials(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (await Player.exists({ username })) {
+      return res.status(409).json({ success: false, message: 'Username already taken' });
+    }
+
+    const passwordHash = await hashPassword(password);
+    // New accounts start empty and are funded through deposits
+    const player = await Player.create({
+      username,
+      passwordHash,
+      lastLoginAt: new Date()
+    });
+
+    logger.info(`👤 Registered player ${username}`, { playerId: player._id.toString() });
+    res.status(201).json({
+      success: true,
+      token: createSessionToken(player),
+      player: { id: player._id, username: player.username }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'Username already taken' });
+    }
+    logger.error('❌ Error in /api/auth/register', error);
+    res.status(500).json({ success: false, message: 'Error registering player' });
+  }
+});
+
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password, error } = readCredentials(req.body);
+    if (error) {
+      return res.status(401).json({ success: false, message: 'Invalid username or password' });
+    }
+
+    const player = await Player.findOne({ username });
+    if (!player || !(await verifyPassword(password, player.passwordHash))) {
+      return res.status(401).json({ success: false, message: 'Invalid username or password' });
+    }
+    if (player.status === 'banned') {
+      return res.status(403).json({ success: false, message: 'Account is banned' });
+    }
+
+    player.lastLoginAt = new Date();
+    await player.save();
+
+    res.json({
+      success: true,
+      token: createSessionToken(player),
+      player: { id: player._id, username: player.username }
+    });
+  } catch (error) {
+    logger.error('❌ Error in /api/auth/login', error);
+    res.status(500).json({ success: false, message: 'Error logging in' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const { apiDoc } = require('../utils/openapi');
+const { validateBetPayload, validateCashoutPayload } = require('../utils/betPayload');
+const { ASSETS, ASSET_SYMBOLS } = require('../utils/assets');
+
+// Bots stay registered with the game this long after their last bet or cashout
+const BOT_IDLE_MS = 5 * 60 * 1000;
+
+// Engine errors a bot can act on, by HTTP status
+const ERROR_STATUSES = {
+  BET_REJECTED: 409,
+  CASHOUT_REJECTED: 409,
+  INSUFFICIENT_BALANCE: 409,
+  PRICE_UNAVAILABLE: 503,
+  GAME_UNAVAILABLE: 503
+};
+
+const AMOUNT = { type: 'string', description: 'Decimal amount' };
+const BET_BODY = {
+  type: 'object',
+  required: ['usdAmount', 'cryptoType'],
+  properties: {
+    usdAmount: { oneOf: [{ type: 'string' }, { type: 'number' }], description: 'Stake in USD, whole cents' },
+    cryptoType: { type: 'string', enum: ASSET_SYMBOLS },
+    autoCashoutAt: { type: 'number', nullable: true, description: 'Multiplier to cash out at automatically' }
+  }
+};
+const CASHOUT_BODY = {
+  type: 'object',
+  properties: {
+    betId: { type: 'string', description: 'Bet to cash out; needed with several open bets' },
+    fraction: { type: 'number', minimum: 0.01, maximum: 1, description: 'Share of the riding stake, 1 by default' }
+  }
+};
+
+/**
+ * Bot API, mounted at /api/bot
+ * Every request is signed with an API key (see utils/apiKeys.js) and acts for the key's player.
+ * @param {Object} options - Router dependencies
+ * @param {Object} options.coordinator - Round coordinator (see game/coordinator.js)
+ * @param {Object} options.apiKeyAuth - Verifier from createApiKeyAuth
+ * @param {Function} options.getBalances - Returns a player's balances by currency, null for an unknown player
+ * @param {number} [options.minBetUSD] - Smallest bet in USD
+ * @param {number} [options.idleMs] - How long a bot stays registered with the game after its last request
+ * @param {Object} [options.logger] - console-like logger
+ * @returns {Object} Express router
+ */
+function createBotRouter({ coordinator, apiKeyAuth, getBalances, minBetUSD, idleMs = BOT_IDLE_MS, logger = console }) {
+  const router = express.Router();
+  const { requireApiKey } = apiKeyAuth;
+  // Idle timers of the keys registered with the game from this instance
+  const idleTimers = new Map();
+
+  /**
+   * Send a bot API error as a JSON response
+   * @param {Object} res - Express response
+   * @param {Error} error - Error thrown while handling the request
+   * @param {string} route - Route name for the log
+   * @param {string} message - Message for unexpected errors
+   */
+  function sendBotError(res, error, route, message) {
+    if (ERROR_STATUSES[error.code]) {
+      return res.status(ERROR_STATUSES[error.code]).json({ success: false, code: error.code, message: error.message });
+    }
+    logger.error(`❌ Error in /api/bot${route}`, error);
+    res.status(500).json({ success: false, message });
+  }
+
+  /**
+   * Register a key's player with the game, which only takes bets from connected players
+   * Each key counts as one connection until it has been idle for idleMs.
+   * @param {Object} key - Verified key from req.apiKey
+   */
+  async function connectKey({ keyId, playerId }) {
+    const connectionId = `api:${keyId}`;
+    // Registering again is harmless and covers a leader elected since the last request
+    await coordinator.call('connectPlayer', playerId, connectionId);
+
+    clearTimeout(idleTimers.get(keyId));
+    const timer = setTimeout(() => {
+      idleTimers.delete(keyId);
+      coordinator.call('disconnectPlayer', playerId, connectionId)
+        .catch(error => logger.warn('⚠️ Could not unregister idle bot', { playerId, keyId, error }));
+    }, idleMs);
+    timer.unref();
+    idleTimers.set(keyId, timer);
+  }
+
+  /**
+   * Record when a request arrived; cashouts are settled from this time, not
+   * from when the signature check and routing to the leader are done
+   */
+  function markReceived(req, res, next) {
+    req.receivedAt = Date.now();
+    next();
+  }
+
+  router.get('/balance', apiDoc({
+    summary: 'Balances of the key\'s player',
+    auth: 'apiKey',
+    scope: 'read',
+    responses: {
+      200: {
+        description: 'Balance, USD value (null without a fresh price) and price by currency',
+        schema: {
+          type: 'object',
+          properties: {
+            balances: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: { cryptoBalance: AMOUNT, usdValue: { ...AMOUNT, nullable: true }, price: { type: 'number', nullable: true } }
+              }
+            }
+          }
+        }
+      },
+      404: 'Player not found'
+    }
+  }), requireApiKey('read'), async (req, res) => {
+    try {
+      const balances = await getBalances(req.apiKey.playerId);
+      if (!balances) {
+        return res.status(404).json({ success: false, message: 'Player not found' });
+      }
+      res.json({ success: true, balances });
+    } catch (error) {
+      sendBotError(res, error, '/balance', 'Error fetching balance');
+    }
+  });
+
+  router.get('/round', apiDoc({
+    summary: 'Current round and its bets',
+    description: 'The same state browsers receive as gameState and betsRoster.',
+    auth: 'apiKey',
+    scope: 'read',
+    responses: {
+      200: { description: 'Round snapshot and bets', schema: { type: 'object', properties: { round: { type: 'object' }, bets: { type: 'array', items: { type: 'object' } } } } },
+      503: 'No game server running'
+    }
+  }), requireApiKey('read'), async (req, res) => {
+    try {
+      const [round, bets] = await Promise.all([coordinator.call('getSnapshot'), coordinator.call('getRoster')]);
+      res.json({ success: true, round, bets });
+    } catch (error) {
+      sendBotError(res, error, '/round', 'Error fetching round');
+    }
+  });
+
+  router.post('/bets', apiDoc({
+    summary: 'Place a bet',
+    description: 'Outside the betting window the bet is queued for the next round and the response has `queued: true`.',
+    auth: 'apiKey',
+    scope: 'bet',
+    body: BET_BODY,
+    responses: {
+      201: { description: 'Bet placed or queued', schema: { type: 'object', properties: { betId: { type: 'string' }, roundNumber: { type: 'integer' }, usdAmount: AMOUNT, balance: AMOUNT, queued: { type: 'boolean' } } } },
+      400: 'Invalid bet',
+      409: 'Bet refused by the game, e.g. insufficient balance or a limit',
+      503: 'No game server running or no fresh price'
+    }
+  }), requireApiKey('bet'), async (req, res) => {
+    const { error } = validateBetPayload(req.body, { supportedCryptos: ASSETS, minBetUSD });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+      await connectKey(req.apiKey);
+      const result = await coordinator.call('placeBet', req.apiKey.playerId, req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      sendBotError(res, error, '/bets', 'Error placing bet');
+    }
+  });
+
+  router.post('/bets/queued/cancel', apiDoc({
+    summary: 'Drop the bets queued for the next round',
+    auth: 'apiKey',
+    scope: 'bet',
+    responses: { 200: 'Queued bets dropped', 503: 'No game server running' }
+  }), requireApiKey('bet'), async (req, res) => {
+    try {
+      await coordinator.call('cancelQueuedBet', req.apiKey.playerId);
+      res.json({ success: true });
+    } catch (error) {
+      sendBotError(res, error, '/bets/queued/cancel', 'Error cancelling queued bets');
+    }
+  });
+
+  router.post('/cashout', apiDoc({
+    summary: 'Cash out a bet, in full or in part',
+    description: 'Settled at the multiplier of the instant the request was received.',
+    auth: 'apiKey',
+    scope: 'cashout',
+    body: CASHOUT_BODY,
+    responses: {
+      200: { description: 'Cashout', schema: { type: 'object', properties: { betId: { type: 'string' }, multiplier: { type: 'string' }, winnings: AMOUNT, partial: { type: 'boolean' } } } },
+      400: 'Invalid cashout',
+      409: 'Nothing to cash out, or the round crashed first',
+      503: 'No game server running'
+    }
+  }), markReceived, requireApiKey('cashout'), async (req, res) => {
+    const { error, cashout } = validateCashoutPayload(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+      await connectKey(req.apiKey);
+      const result = await coordinator.call('cashOut', req.apiKey.playerId, req.receivedAt, cashout);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendBotError(res, error, '/cashout', 'Error cashing out');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBotRouter, BOT_IDLE_MS };
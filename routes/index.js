@@ -1,9 +1,485 @@
 const express = require('express');
-const router = express.Router();
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const AdminAction = require('../models/AdminAction');
+const AuditEntry = require('../models/AuditEntry');
+const Transfer = require('../models/Transfer');
+const ResponsibleGamblingEvent = require('../models/ResponsibleGamblingEvent');
+const ChatMessage = require('../models/ChatMessage');
+const { requireAdmin } = require('../utils/auth');
+const { applyBalanceChange, reconcileBalances } = require('../utils/ledger');
+const { verifyAuditLog } = require('../utils/audit');
+const { formatDetailAmounts } = require('../utils/moneyMigration');
+const { releaseHeldDeposit, serializeTransfer } = require('../utils/payments');
+const { parseAmount, formatAmount } = require('../utils/money');
+const { currentControls } = require('../utils/responsibleGambling');
+const { ASSET_SYMBOLS } = require('../utils/assets');
+const chat = require('../utils/chat');
+const tournaments = require('../utils/tournaments');
+const logger = require('../utils/logger').logger.child({ component: 'admin' });
 
-// Example route directly in index.js
-router.get('/', (req, res) => {
-  res.send('Crash Game API Running!');
-});
+const PLAYER_STATUSES = ['active', 'frozen', 'banned'];
+const ADJUSTMENT_DIRECTIONS = ['credit', 'debit'];
 
-module.exports = router;
+/**
+ * Error for an admin request that cannot be applied
+ * @param {string} message - Reason shown to the operator
+ * @returns {Error} Error with code ADMIN_REJECTED
+ */
+function rejectAdmin(message) {
+  const error = new Error(message);
+  error.code = 'ADMIN_REJECTED';
+  return error;
+}
+
+/**
+ * Send an admin API error as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} route - Route name for the log
+ * @param {string} message - Message for unexpected errors
+ */
+function sendAdminError(res, error, route, message) {
+  if (['ADMIN_REJECTED', 'SETTINGS_REJECTED', 'INSUFFICIENT_BALANCE', 'PAYMENT_REJECTED', 'CHAT_REJECTED', 'TOURNAMENT_REJECTED'].includes(error.code)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.code === 'GAME_UNAVAILABLE') {
+    return res.status(503).json({ success: false, message: error.message });
+  }
+  logger.error(`❌ Error in /api/admin${route}`, error);
+  res.status(500).json({ success: false, message });
+}
+
+/**
+ * Operator name for the audit log
+ * @param {Object} req - Express request
+ * @returns {string} Operator name
+ */
+function operatorOf(req) {
+  const operator = req.headers['x-admin-operator'];
+  return typeof operator === 'string' && operator.trim() ? operator.trim().slice(0, 64) : 'admin';
+}
+
+/**
+ * Required free-text reason of an action
+ * @param {Object} body - Request body
+ * @returns {string} Trimmed reason
+ * @throws {Error} ADMIN_REJECTED when missing
+ */
+function requireReason(body) {
+  const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+  if (!reason) {
+    throw rejectAdmin('A reason is required');
+  }
+  return reason.slice(0, 500);
+}
+
+/**
+ * Operator API, mounted at /api/admin
+ * Every state-changing request is recorded as an AdminAction.
+ * @param {Object} options - Router dependencies
+ * @param {Object} options.coordinator - Round coordinator (see game/coordinator.js)
+ * @param {Function} options.onBalanceChanged - Called with `{ playerId, currency, balance }` after a manual adjustment
+ * @param {Function} options.onPlayerStatusChanged - Called with `(playerId, status)` after a ban, freeze or reinstatement
+ * @param {Object} options.rateLimiter - This instance's rate limiter (see utils/rateLimit.js)
+ * @returns {Object} Express router
+ */
+function createAdminRouter({ coordinator, onBalanceChanged, onPlayerStatusChanged, rateLimiter }) {
+  const router = express.Router();
+
+  router.use(requireAdmin);
+
+  /**
+   * Store an audit record of an operator action
+   * @param {Object} req - Express request
+   * @param {Object} action - Action, playerId, details and reason
+   * @param {Object} [options] - Pass `session` to join a MongoDB transaction
+   * @returns {Promise<Object>} AdminAction document
+   */
+  async function recordAction(req, action, { session } = {}) {
+    const [record] = await AdminAction.create([{ ...action, operator: operatorOf(req) }], { session });
+    return record;
+  }
+
+  router.get('/reconcile', async (req, res) => {
+    try {
+      const report = await reconcileBalances();
+      if (!report.balanced) {
+        logger.warn(`⚠️ Reconciliation found ${report.mismatches.length} wallet mismatches and ${report.unbalancedJournals.length} unbalanced journals`);
+      }
+      res.json({ success: true, report });
+    } catch (error) {
+      logger.error('❌ Error in /api/admin/reconcile', error);
+      res.status(500).json({ success: false, message: 'Error reconciling balances' });
+    }
+  });
+
+  // Recompute the hash chain of every balance change
+  router.get('/audit/verify', async (req, res) => {
+    try {
+      const report = await verifyAuditLog();
+      if (!report.valid) {
+        logger.error(`🚨 Audit log verification failed at sequence ${report.failure.sequence}: ${report.failure.reason}`, { failure: report.failure });
+      }
+      res.json({ success: true, report });
+    } catch (error) {
+      sendAdminError(res, error, '/audit/verify', 'Error verifying the audit log');
+    }
+  });
+
+  // Newest audit entries, optionally of one player and before a sequence number
+  router.get('/audit', async (req, res) => {
+    try {
+      const filter = {};
+      if (typeof req.query.playerId === 'string') {
+        filter.playerId = req.query.playerId;
+      }
+      if (req.query.before !== undefined) {
+        const before = parseInt(req.query.before, 10);
+        if (!(before > 0)) {
+          throw rejectAdmin('before must be a positive sequence number');
+        }
+        filter.sequence = { $lt: before };
+      }
+      const entries = await AuditEntry.find(filter, { _id: 0, __v: 0 }).sort({ sequence: -1 }).limit(100).lean();
+      res.json({
+        success: true,
+        entries: entries.map(entry => ({
+          ...entry,
+          amount: formatAmount(entry.amount, entry.currency),
+          balance: formatAmount(entry.balance, entry.currency)
+        }))
+      });
+    } catch (error) {
+      sendAdminError(res, error, '/audit', 'Error fetching the audit log');
+    }
+  });
+
+  router.get('/game', async (req, res) => {
+    try {
+      const [snapshot, settings, exposure] = await Promise.all([
+        coordinator.call('getSnapshot'),
+        coordinator.call('getSettings'),
+        coordinator.call('getExposure')
+      ]);
+      res.json({ success: true, snapshot, settings, exposure });
+    } catch (error) {
+      sendAdminError(res, error, '/game', 'Error fetching game state');
+    }
+  });
+
+  router.get('/exposure', async (req, res) => {
+    try {
+      res.json({ success: true, exposure: await coordinator.call('getExposure') });
+    } catch (error) {
+      sendAdminError(res, error, '/exposure', 'Error fetching exposure');
+    }
+  });
+
+  // Rate limit blocks and violations seen by the instance answering the request
+  router.get('/abuse', (req, res) => {
+    res.json({ success: true, ...rateLimiter.getReport() });
+  });
+
+  for (const action of ['pause', 'resume']) {
+    router.post(`/game/${action}`, async (req, res) => {
+      try {
+        await coordinator.call(action);
+        const reason = typeof (req.body || {}).reason === 'string' ? req.body.reason.trim() : undefined;
+        await recordAction(req, { action, reason });
+        logger.info(`🛠️ ${operatorOf(req)}: ${action}`, { operator: operatorOf(req) });
+        res.json({ success: true, settings: await coordinator.call('getSettings') });
+      } catch (error) {
+        sendAdminError(res, error, `/game/${action}`, `Error trying to ${action} the game`);
+      }
+    });
+  }
+
+  router.patch('/settings', async (req, res) => {
+    try {
+      const { reason, ...changes } = req.body || {};
+      const settings = await coordinator.call('updateSettings', changes);
+      await recordAction(req, { action: 'updateSettings', details: changes, reason });
+      logger.info(`🛠️ ${operatorOf(req)} changed settings`, { operator: operatorOf(req), changes });
+      res.json({ success: true, settings });
+    } catch (error) {
+      sendAdminError(res, error, '/settings', 'Error updating settings');
+    }
+  });
+
+  router.get('/players', async (req, res) => {
+    try {
+      const search = typeof req.query.search === 'string' ? req.query.search.trim().toLowerCase() : '';
+      // Usernames are [a-z0-9_], so anything else cannot match and must not reach the regex
+      const filter = search ? { username: { $regex: `^${search.replace(/[^a-z0-9_]/g, '')}` } } : {};
+      const players = await Player.find(filter, { username: 1, status: 1, statusReason: 1, wallet: 1, createdAt: 1, lastLoginAt: 1 })
+        .sort({ username: 1 })
+        .limit(50)
+        .lean();
+      for (const player of players) {
+        for (const currency of Object.keys(player.wallet || {})) {
+          player.wallet[currency] = formatAmount(player.wallet[currency], currency);
+        }
+      }
+      res.json({ success: true, players });
+    } catch (error) {
+      sendAdminError(res, error, '/players', 'Error fetching players');
+    }
+  });
+
+  router.post('/players/:playerId/status', async (req, res) => {
+    try {
+      const { playerId } = req.params;
+      const { status } = req.body || {};
+      if (!PLAYER_STATUSES.includes(status)) {
+        throw rejectAdmin(`Status must be one of ${PLAYER_STATUSES.join(', ')}`);
+      }
+      const reason = requireReason(req.body || {});
+      if (!mongoose.isValidObjectId(playerId)) {
+        return res.status(404).json({ success: false, message: 'Player not found' });
+      }
+
+      const player = await Player.findByIdAndUpdate(
+        playerId,
+        { $set: { status, statusReason: reason } },
+        { new: true, projection: { username: 1, status: 1, statusReason: 1 } }
+      );
+      if (!player) {
+        return res.status(404).json({ success: false, message: 'Player not found' });
+      }
+
+      await recordAction(req, { action: 'setPlayerStatus', playerId, details: { status }, reason });
+      await onPlayerStatusChanged(playerId, status);
+      logger.info(`🛠️ ${operatorOf(req)} set ${player.username} to ${status}: ${reason}`, { operator: operatorOf(req), playerId });
+      res.json({ success: true, player });
+    } catch (error) {
+      sendAdminError(res, error, '/players/:playerId/status', 'Error updating player status');
+    }
+  });
+
+  router.post('/players/:playerId/adjustments', async (req, res) => {
+    try {
+      const { playerId } = req.params;
+      const { currency, amount: requested, direction } = req.body || {};
+      if (!ASSET_SYMBOLS.includes(currency)) {
+        throw rejectAdmin('Unsupported cryptocurrency');
+      }
+      const units = parseAmount(requested, currency);
+      if (!(units > 0)) {
+        throw rejectAdmin(`Amount must be a positive ${currency} amount`);
+      }
+      const amount = formatAmount(units, currency);
+      if (!ADJUSTMENT_DIRECTIONS.includes(direction)) {
+        throw rejectAdmin('Direction must be credit or debit');
+      }
+      const reason = requireReason(req.body || {});
+      if (!mongoose.isValidObjectId(playerId) || !(await Player.exists({ _id: playerId }))) {
+        return res.status(404).json({ success: false, message: 'Player not found' });
+      }
+
+      // The audit record and the balance change land together or not at all
+      const session = await mongoose.startSession();
+      let action;
+      let result;
+      try {
+        await session.withTransaction(async () => {
+          action = await recordAction(req, {
+            action: direction,
+            playerId,
+            details: { currency, amount },
+            reason
+          }, { session });
+          result = await applyBalanceChange({
+            playerId,
+            currency,
+            cryptoAmount: units,
+            transactionType: 'adjustment',
+            direction,
+            idempotencyKey: `admin:${action._id}`
+          }, { session });
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      await onBalanceChanged({ playerId, currency, balance: result.balance });
+      logger.info(`🛠️ ${operatorOf(req)} ${direction}ed ${amount} ${currency}: ${reason}`, { operator: operatorOf(req), playerId, actionId: action._id.toString() });
+      res.status(201).json({ success: true, action, balance: formatAmount(result.balance, currency) });
+    } catch (error) {
+      sendAdminError(res, error, '/players/:playerId/adjustments', 'Error adjusting balance');
+    }
+  });
+
+  router.get('/players/:playerId/responsible-gambling', async (req, res) => {
+    try {
+      const { playerId } = req.params;
+      const player = mongoose.isValidObjectId(playerId) && await Player.findById(playerId, { username: 1, responsibleGambling: 1 }).lean();
+      if (!player) {
+        return res.status(404).json({ success: false, message: 'Player not found' });
+      }
+
+      const [events, heldDeposits] = await Promise.all([
+        ResponsibleGamblingEvent.find({ playerId }, { __v: 0 }).sort({ createdAt: -1 }).limit(100).lean(),
+        Transfer.find({ playerId, kind: 'deposit', status: 'held' }).sort({ createdAt: -1 }).lean()
+      ]);
+      res.json({
+        success: true,
+        username: player.username,
+        controls: currentControls(player.responsibleGambling, Date.now()).controls,
+        heldDeposits: heldDeposits.map(serializeTransfer),
+        events: events.map(event => ({ ...event, details: formatDetailAmounts(event.details) }))
+      });
+    } catch (error) {
+      sendAdminError(res, error, '/players/:playerId/responsible-gambling', 'Error fetching responsible gambling controls');
+    }
+  });
+
+  // Credit a deposit held by the player's responsible gambling controls
+  router.post('/transfers/:transferId/release', async (req, res) => {
+    try {
+      const { transferId } = req.params;
+      const reason = requireReason(req.body || {});
+      if (!mongoose.isValidObjectId(transferId)) {
+        return res.status(404).json({ success: false, message: 'Held deposit not found' });
+      }
+
+      const transfer = await releaseHeldDeposit(transferId);
+      await recordAction(req, {
+        action: 'releaseDeposit',
+        playerId: transfer.playerId,
+        details: { transferId, currency: transfer.currency, amount: formatAmount(transfer.amount, transfer.currency) },
+        reason
+      });
+      logger.info(`🛠️ ${operatorOf(req)} released a held deposit: ${reason}`, { operator: operatorOf(req), playerId: transfer.playerId, transferId });
+      res.json({ success: true, transfer: serializeTransfer(transfer) });
+    } catch (error) {
+      sendAdminError(res, error, '/transfers/:transferId/release', 'Error releasing deposit');
+    }
+  });
+
+  // Let a player mute others and delete messages in the chat, or take it back
+  router.post('/players/:playerId/moderator', async (req, res) => {
+    try {
+      const { playerId } = req.params;
+      const { moderator } = req.body || {};
+      if (typeof moderator !== 'boolean') {
+        throw rejectAdmin('moderator must be true or false');
+      }
+      const reason = requireReason(req.body || {});
+      const player = mongoose.isValidObjectId(playerId) && await Player.findByIdAndUpdate(
+        playerId,
+        { $set: { 'chat.moderator': moderator } },
+        { new: true, projection: { username: 1, chat: 1 } }
+      );
+      if (!player) {
+        return res.status(404).json({ success: false, message: 'Player not found' });
+      }
+
+      await recordAction(req, { action: 'setChatModerator', playerId, details: { moderator }, reason });
+      logger.info(`🛠️ ${operatorOf(req)} ${moderator ? 'made' : 'removed'} ${player.username} ${moderator ? 'a' : 'as'} chat moderator: ${reason}`, { operator: operatorOf(req), playerId });
+      res.json({ success: true, player });
+    } catch (error) {
+      sendAdminError(res, error, '/players/:playerId/moderator', 'Error updating chat moderator');
+    }
+  });
+
+  // Mute a player in the chat for `minutes`; 0 lifts the mute
+  router.post('/players/:playerId/mute', async (req, res) => {
+    try {
+      const { playerId } = req.params;
+      const { minutes } = req.body || {};
+      if (!(Number.isInteger(minutes) && minutes >= 0 && minutes <= chat.MAX_MUTE_MINUTES)) {
+        throw rejectAdmin(`minutes must be a whole number from 0 to ${chat.MAX_MUTE_MINUTES}`);
+      }
+      const reason = requireReason(req.body || {});
+      if (!mongoose.isValidObjectId(playerId)) {
+        return res.status(404).json({ success: false, message: 'Player not found' });
+      }
+
+      const player = await chat.mutePlayer(playerId, { minutes, reason, by: operatorOf(req) });
+      await recordAction(req, { action: 'muteChat', playerId, details: { minutes }, reason });
+      res.json({ success: true, player });
+    } catch (error) {
+      sendAdminError(res, error, '/players/:playerId/mute', 'Error muting player');
+    }
+  });
+
+  // Newest chat messages, deleted ones included, optionally of one player
+  router.get('/chat', async (req, res) => {
+    try {
+      const filter = typeof req.query.playerId === 'string' ? { playerId: req.query.playerId } : {};
+      const messages = await ChatMessage.find(filter, { __v: 0 }).sort({ createdAt: -1 }).limit(100).lean();
+      res.json({ success: true, messages });
+    } catch (error) {
+      sendAdminError(res, error, '/chat', 'Error fetching chat messages');
+    }
+  });
+
+  router.delete('/chat/:messageId', async (req, res) => {
+    try {
+      const { messageId } = req.params;
+      const reason = requireReason(req.body || {});
+      const message = await chat.deleteMessage(messageId, { by: operatorOf(req), reason });
+      await recordAction(req, {
+        action: 'deleteChatMessage',
+        playerId: message.playerId,
+        details: { messageId, text: message.text },
+        reason
+      });
+      res.json({ success: true, chatMessage: { ...chat.serializeMessage(message), deletedAt: message.deletedAt, deletedBy: message.deletedBy } });
+    } catch (error) {
+      sendAdminError(res, error, '/chat/:messageId', 'Error deleting chat message');
+    }
+  });
+
+  // Every tournament, scheduled, closed and cancelled, newest first
+  router.get('/tournaments', async (req, res) => {
+    try {
+      res.json({ success: true, tournaments: await tournaments.listTournaments() });
+    } catch (error) {
+      sendAdminError(res, error, '/tournaments', 'Error fetching tournaments');
+    }
+  });
+
+  router.post('/tournaments', async (req, res) => {
+    try {
+      const { reason, ...fields } = req.body || {};
+      const { tournament: valid, error } = tournaments.validateTournament(fields, Date.now());
+      if (error) {
+        throw rejectAdmin(error);
+      }
+      const tournament = await tournaments.createTournament(valid, { by: operatorOf(req) });
+      await recordAction(req, { action: 'createTournament', details: { tournamentId: String(tournament._id), ...fields }, reason });
+      res.status(201).json({ success: true, tournament: tournaments.serializeTournament(tournament) });
+    } catch (error) {
+      sendAdminError(res, error, '/tournaments', 'Error creating tournament');
+    }
+  });
+
+  // Cancel a scheduled tournament and refund its entry fees
+  router.post('/tournaments/:tournamentId/cancel', async (req, res) => {
+    try {
+      const { tournamentId } = req.params;
+      const reason = requireReason(req.body || {});
+      const tournament = await tournaments.cancelTournament(tournamentId, { by: operatorOf(req), reason });
+      await recordAction(req, { action: 'cancelTournament', details: { tournamentId, refunded: tournament.entrants }, reason });
+      res.json({ success: true, tournament });
+    } catch (error) {
+      sendAdminError(res, error, '/tournaments/:tournamentId/cancel', 'Error cancelling tournament');
+    }
+  });
+
+  router.get('/actions', async (req, res) => {
+    try {
+      const filter = typeof req.query.playerId === 'string' ? { playerId: req.query.playerId } : {};
+      const actions = await AdminAction.find(filter).sort({ createdAt: -1 }).limit(100).lean();
+      res.json({ success: true, actions: actions.map(action => ({ ...action, details: formatDetailAmounts(action.details) })) });
+    } catch (error) {
+      sendAdminError(res, error, '/actions', 'Error fetching admin actions');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,232 @@
+const express = require('express');
+const Player = require('../models/Player');
+const ResponsibleGamblingEvent = require('../models/ResponsibleGamblingEvent');
+const { requireAuth } = require('../utils/auth');
+const { depositedSince } = require('../utils/payments');
+const { getBettingTotals, parsePagination } = require('../utils/stats');
+const { formatAmount } = require('../utils/money');
+const { formatDetailAmounts } = require('../utils/moneyMigration');
+const {
+  LIMIT_TYPES,
+  LIMIT_PERIODS,
+  COOLDOWN_DAYS,
+  SELF_EXCLUSION_MONTHS,
+  SESSION_REMINDER_MINUTES,
+  windowStart,
+  currentControls,
+  changeControls,
+  startBreak,
+  activeBreak
+} = require('../utils/responsibleGambling');
+const logger = require('../utils/logger').logger.child({ component: 'responsibleGambling' });
+
+/**
+ * Error for a change the player can fix (shown to them as-is)
+ * @param {string} message - Reason
+ * @returns {Error} Error with code CONTROLS_REJECTED
+ */
+function rejectControls(message) {
+  const error = new Error(message);
+  error.code = 'CONTROLS_REJECTED';
+  return error;
+}
+
+/**
+ * Send a responsible gambling error as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} route - Route name for the log
+ * @param {string} message - Message for unexpected errors
+ */
+function sendControlsError(res, error, route, message) {
+  if (error.code === 'CONTROLS_REJECTED') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`❌ Error in /api/responsible-gambling${route}`, error);
+  res.status(500).json({ success: false, message });
+}
+
+/**
+ * Controls in force for a player; scheduled changes that became due are stored and added to the history
+ * @param {string} playerId - Player ID
+ * @returns {Promise<Object>} Controls, see utils/responsibleGambling.js
+ */
+async function loadControls(playerId) {
+  const player = await Player.findById(playerId, { responsibleGambling: 1 }).lean();
+  if (!player) {
+    throw rejectControls('Player not found');
+  }
+
+  const { controls, applied } = currentControls(player.responsibleGambling, Date.now());
+  if (applied.length) {
+    await Player.updateOne({ _id: playerId }, { $set: { responsibleGambling: controls } });
+    await ResponsibleGamblingEvent.insertMany(applied.map(change => ({
+      playerId,
+      action: 'limitApplied',
+      rule: change.type,
+      period: change.period,
+      details: { to: change.value, requestedAt: change.requestedAt },
+      message: `${change.period} ${change.type} limit is now ${change.value === null ? 'removed' : `$${change.value}`}`,
+      createdAt: change.effectiveAt
+    })));
+  }
+  return controls;
+}
+
+/**
+ * USD used of every limit type over every window
+ * @param {string} playerId - Player ID
+ * @returns {Promise<Object>} `{ deposit, loss, wager }`, each by period as decimal strings
+ */
+async function getUsage(playerId) {
+  const now = Date.now();
+  const usage = {};
+  for (const type of LIMIT_TYPES) {
+    usage[type] = {};
+  }
+  for (const period of Object.keys(LIMIT_PERIODS)) {
+    const since = windowStart(period, now);
+    const totals = await getBettingTotals(playerId, since);
+    usage.deposit[period] = formatAmount(await depositedSince(playerId, since), 'USD');
+    usage.loss[period] = formatAmount(Math.max(0, -totals.profitUSD), 'USD');
+    usage.wager[period] = formatAmount(totals.wageredUSD, 'USD');
+  }
+  return usage;
+}
+
+/**
+ * Responsible gambling controls of the logged-in player, mounted at /api/responsible-gambling
+ * @param {Object} options - Router dependencies
+ * @param {number} options.limitIncreaseDelayMs - Waiting period before a loosened limit applies
+ * @param {Function} options.onControlsChanged - Called with `(playerId, controls)` after every change
+ * @returns {Object} Express router
+ */
+function createResponsibleGamblingRouter({ limitIncreaseDelayMs, onControlsChanged }) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  /**
+   * Store a player's new controls and tell the game
+   * @param {string} playerId - Player ID
+   * @param {Object} controls - Controls to store
+   * @param {Object[]} events - History entries of the change
+   */
+  async function saveControls(playerId, controls, events) {
+    await Player.updateOne({ _id: playerId }, { $set: { responsibleGambling: controls } });
+    await ResponsibleGamblingEvent.insertMany(events.map(event => ({ period: null, ...event, playerId })));
+    await onControlsChanged(playerId, controls);
+  }
+
+  router.get('/', async (req, res) => {
+    try {
+      const controls = await loadControls(req.session.sub);
+      res.json({
+        success: true,
+        controls,
+        activeBreak: activeBreak(controls, Date.now()),
+        usage: await getUsage(req.session.sub),
+        options: {
+          limitIncreaseDelayMs,
+          cooldownDays: COOLDOWN_DAYS,
+          selfExclusionMonths: SELF_EXCLUSION_MONTHS,
+          sessionReminderMinutes: SESSION_REMINDER_MINUTES
+        }
+      });
+    } catch (error) {
+      sendControlsError(res, error, '', 'Error fetching responsible gambling controls');
+    }
+  });
+
+  router.patch('/', async (req, res) => {
+    try {
+      const playerId = req.session.sub;
+      const current = await loadControls(playerId);
+      const { limits, sessionReminderMinutes } = req.body || {};
+      const { controls, decisions, error } = changeControls(current, { limits, sessionReminderMinutes }, {
+        now: Date.now(),
+        delayMs: limitIncreaseDelayMs
+      });
+      if (error) {
+        throw rejectControls(error);
+      }
+
+      const events = decisions.map(decision => ({
+        action: decision.immediate ? 'limitChanged' : 'limitScheduled',
+        rule: decision.type,
+        period: decision.period,
+        details: { from: decision.from, to: decision.to, effectiveAt: decision.effectiveAt },
+        message: decision.immediate
+          ? `${decision.period} ${decision.type} limit set to ${decision.to === null ? 'none' : `$${decision.to}`}`
+          : `${decision.period} ${decision.type} limit ${decision.to === null ? 'removal' : `increase to $${decision.to}`} applies at ${decision.effectiveAt.toISOString()}`
+      }));
+      if (sessionReminderMinutes !== undefined && sessionReminderMinutes !== current.sessionReminderMinutes) {
+        events.push({
+          action: 'reminderChanged',
+          details: { from: current.sessionReminderMinutes, to: sessionReminderMinutes },
+          message: sessionReminderMinutes === null ? 'Session reminders turned off' : `Session reminder every ${sessionReminderMinutes} minutes`
+        });
+      }
+
+      await saveControls(playerId, controls, events);
+      res.json({ success: true, controls, decisions });
+    } catch (error) {
+      sendControlsError(res, error, '', 'Error updating responsible gambling controls');
+    }
+  });
+
+  // Take a break for a number of days, or self-exclude for a number of months
+  const BREAKS = [
+    { path: '/cooldown', kind: 'cooldown', field: 'days', action: 'cooldownStarted' },
+    { path: '/self-exclusion', kind: 'selfExclusion', field: 'months', action: 'selfExcluded' }
+  ];
+  for (const { path, kind, field, action } of BREAKS) {
+    router.post(path, async (req, res) => {
+      try {
+        const playerId = req.session.sub;
+        const current = await loadControls(playerId);
+        const duration = (req.body || {})[field];
+        const { controls, until, error } = startBreak(current, kind, duration, Date.now());
+        if (error) {
+          throw rejectControls(error);
+        }
+
+        await saveControls(playerId, controls, [{
+          action,
+          rule: kind,
+          details: { [field]: duration, until },
+          message: `${kind === 'cooldown' ? 'Break' : 'Self-exclusion'} until ${until.toISOString()}`
+        }]);
+        logger.info(`🛑 Player started a ${kind} until ${until.toISOString()}`, { playerId });
+        res.status(201).json({ success: true, controls, until });
+      } catch (error) {
+        sendControlsError(res, error, path, 'Error starting the break');
+      }
+    });
+  }
+
+  router.get('/history', async (req, res) => {
+    try {
+      const { page, limit, skip } = parsePagination(req.query);
+      const filter = { playerId: req.session.sub };
+      const [events, total] = await Promise.all([
+        ResponsibleGamblingEvent.find(filter, { __v: 0 }).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+        ResponsibleGamblingEvent.countDocuments(filter)
+      ]);
+      res.json({
+        success: true,
+        events: events.map(event => ({ ...event, details: formatDetailAmounts(event.details) })),
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      });
+    } catch (error) {
+      sendControlsError(res, error, '/history', 'Error fetching responsible gambling history');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createResponsibleGamblingRouter };
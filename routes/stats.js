@@ -0,0 +1,144 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const stats = require('../utils/stats');
+const logger = require('../utils/logger').logger.child({ component: 'stats' });
+
+// Round history, player statistics and leaderboards, mounted at /api
+const router = express.Router();
+
+const ROUND_STATUSES = ['active', 'completed', 'aborted'];
+
+/**
+ * Error for a query parameter that cannot be used
+ * @param {string} message - Reason shown to the client
+ * @returns {Error} Error with code INVALID_QUERY
+ */
+function rejectQuery(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
+/**
+ * Send a stats error as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} route - Route name for the log
+ * @param {string} message - Message for unexpected errors
+ */
+function sendStatsError(res, error, route, message) {
+  if (error.code === 'INVALID_QUERY') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`❌ Error in /api${route}`, error);
+  res.status(500).json({ success: false, message });
+}
+
+/**
+ * Optional date query parameter
+ * @param {string} value - ISO date or timestamp
+ * @param {string} name - Parameter name for the error message
+ * @returns {Date|undefined} Date, undefined when absent
+ */
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw rejectQuery(`${name} must be a date`);
+  }
+  return date;
+}
+
+/**
+ * Optional numeric query parameter
+ * @param {string} value - Number
+ * @param {string} name - Parameter name for the error message
+ * @returns {number|undefined} Number, undefined when absent
+ */
+function parseNumber(value, name) {
+  if (value === undefined) return undefined;
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) {
+    throw rejectQuery(`${name} must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Leaderboard period query parameter
+ * @param {string} [period] - daily, weekly or allTime
+ * @returns {string} Period, allTime when absent
+ */
+function parsePeriod(period = 'allTime') {
+  if (!stats.LEADERBOARD_PERIODS.includes(period)) {
+    throw rejectQuery(`period must be one of ${stats.LEADERBOARD_PERIODS.join(', ')}`);
+  }
+  return period;
+}
+
+router.get('/rounds', async (req, res) => {
+  try {
+    const { status, playerId, page, limit } = req.query;
+    if (status !== undefined && !ROUND_STATUSES.includes(status)) {
+      throw rejectQuery(`status must be one of ${ROUND_STATUSES.join(', ')}`);
+    }
+    if (playerId !== undefined && typeof playerId !== 'string') {
+      throw rejectQuery('playerId must be a single value');
+    }
+
+    const history = await stats.getRoundHistory({
+      status,
+      playerId,
+      from: parseDate(req.query.from, 'from'),
+      to: parseDate(req.query.to, 'to'),
+      minCrash: parseNumber(req.query.minCrash, 'minCrash'),
+      maxCrash: parseNumber(req.query.maxCrash, 'maxCrash'),
+      page,
+      limit
+    });
+    res.json({ success: true, ...history });
+  } catch (error) {
+    sendStatsError(res, error, '/rounds', 'Error fetching rounds');
+  }
+});
+
+router.get('/rounds/:roundNumber/bets', async (req, res) => {
+  try {
+    const roundNumber = parseInt(req.params.roundNumber, 10);
+    if (!Number.isInteger(roundNumber) || roundNumber < 1) {
+      throw rejectQuery('Invalid round number');
+    }
+    res.json({ success: true, roundNumber, bets: await stats.getRoundBets(roundNumber) });
+  } catch (error) {
+    sendStatsError(res, error, '/rounds/:roundNumber/bets', 'Error fetching bets');
+  }
+});
+
+router.get('/players/:playerId/stats', async (req, res) => {
+  try {
+    const period = parsePeriod(req.query.period);
+    const { playerId } = req.params;
+    const player = mongoose.isValidObjectId(playerId) && await Player.findById(playerId, { username: 1 }).lean();
+    if (!player) {
+      return res.status(404).json({ success: false, message: 'Player not found' });
+    }
+
+    const playerStats = await stats.getPlayerStats(playerId, { period });
+    res.json({ success: true, stats: { ...playerStats, username: player.username } });
+  } catch (error) {
+    sendStatsError(res, error, '/players/:playerId/stats', 'Error fetching player stats');
+  }
+});
+
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const period = parsePeriod(req.query.period);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    res.json({ success: true, period, leaderboard: await stats.getLeaderboard(period, { limit }) });
+  } catch (error) {
+    sendStatsError(res, error, '/leaderboard', 'Error fetching leaderboard');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const { requireAuth, sessionFromRequest } = require('../utils/auth');
+const { apiDoc } = require('../utils/openapi');
+const tournaments = require('../utils/tournaments');
+const logger = require('../utils/logger').logger.child({ component: 'tournaments' });
+
+// Tournaments and their standings, mounted at /api/tournaments; entering needs a session
+const router = express.Router();
+
+/**
+ * Send a tournament error as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} route - Route name for the log
+ * @param {string} message - Message for unexpected errors
+ */
+function sendTournamentError(res, error, route, message) {
+  if (['TOURNAMENT_REJECTED', 'INSUFFICIENT_BALANCE'].includes(error.code)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`❌ Error in /api/tournaments${route}`, error);
+  res.status(500).json({ success: false, message });
+}
+
+router.get('/', apiDoc({
+  summary: 'Tournaments, newest first',
+  query: { status: { type: 'string', enum: tournaments.STATUSES } },
+  responses: { 200: 'Tournaments with their prize pools', 400: 'Invalid status' }
+}), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !tournaments.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${tournaments.STATUSES.join(', ')}` });
+    }
+    res.json({ success: true, tournaments: await tournaments.listTournaments({ status }) });
+  } catch (error) {
+    sendTournamentError(res, error, '', 'Error fetching tournaments');
+  }
+});
+
+router.get('/:tournamentId', apiDoc({
+  summary: 'A tournament with its standings',
+  description: 'Signed-in players also get their own entry, ranked or not.',
+  query: { limit: { type: 'integer', minimum: 1, maximum: 100 } },
+  responses: { 200: 'Tournament, standings and your entry', 404: 'Tournament not found' }
+}), async (req, res) => {
+  try {
+    const session = sessionFromRequest(req);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    const tournament = await tournaments.getTournament(req.params.tournamentId, { limit, playerId: session && session.sub });
+    if (!tournament) {
+      return res.status(404).json({ success: false, message: 'Tournament not found' });
+    }
+    res.json({ success: true, tournament });
+  } catch (error) {
+    sendTournamentError(res, error, '/:tournamentId', 'Error fetching tournament');
+  }
+});
+
+router.post('/:tournamentId/join', apiDoc({
+  summary: 'Enter a tournament, paying its entry fee',
+  auth: 'session',
+  responses: { 201: 'Entered', 400: 'Closed, already entered, on a break or insufficient balance', 401: 'Authentication required' }
+}), requireAuth, async (req, res) => {
+  try {
+    const tournament = await tournaments.joinTournament(req.session.sub, req.params.tournamentId);
+    res.status(201).json({ success: true, tournament });
+  } catch (error) {
+    sendTournamentError(res, error, '/:tournamentId/join', 'Error entering tournament');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Transfer = require('../models/Transfer');
+const { requireAuth } = require('../utils/auth');
+const payments = require('../utils/payments');
+const logger = require('../utils/logger').logger.child({ component: 'wallet' });
+
+// Deposits and withdrawals of the logged-in player, mounted at /api/wallet
+const router = express.Router();
+
+router.use(requireAuth);
+
+/**
+ * Send a payments error as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by utils/payments
+ * @param {string} route - Route name for the log
+ * @param {string} message - Message for unexpected errors
+ */
+function sendPaymentError(res, error, route, message) {
+  if (error.code === 'PAYMENT_REJECTED') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`❌ Error in /api/wallet${route}`, error);
+  res.status(500).json({ success: false, message });
+}
+
+router.get('/deposit-address/:currency', async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    const address = await payments.getDepositAddress(req.session.sub, currency);
+    res.json({
+      success: true,
+      currency,
+      address,
+      requiredConfirmations: payments.REQUIRED_CONFIRMATIONS[currency]
+    });
+  } catch (error) {
+    sendPaymentError(res, error, '/deposit-address', 'Error fetching deposit address');
+  }
+});
+
+router.get('/transfers', async (req, res) => {
+  try {
+    const transfers = await Transfer.find({ playerId: req.session.sub })
+      .sort({ createdAt: -1 })
+      .limit(50);
+    res.json({
+      success: true,
+      transfers: transfers.map(payments.serializeTransfer),
+      withdrawalLimits: payments.WITHDRAWAL_LIMITS,
+      simulatedDeposits: payments.SIMULATED_DEPOSITS_ENABLED
+    });
+  } catch (error) {
+    logger.error('❌ Error in /api/wallet/transfers', error);
+    res.status(500).json({ success: false, message: 'Error fetching transfers' });
+  }
+});
+
+router.post('/withdrawals', async (req, res) => {
+  try {
+    const { currency, address, amount } = req.body || {};
+    const transfer = await payments.requestWithdrawal(req.session.sub, { currency, address, amount });
+    res.status(201).json({ success: true, transfer: payments.serializeTransfer(transfer) });
+  } catch (error) {
+    sendPaymentError(res, error, '/withdrawals', 'Error requesting withdrawal');
+  }
+});
+
+router.post('/withdrawals/:id/confirm', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Withdrawal not found' });
+    }
+    const transfer = await payments.confirmWithdrawal(req.session.sub, req.params.id);
+    res.json({ success: true, transfer: payments.serializeTransfer(transfer) });
+  } catch (error) {
+    sendPaymentError(res, error, '/withdrawals/confirm', 'Error confirming withdrawal');
+  }
+});
+
+router.post('/withdrawals/:id/cancel', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Withdrawal not found' });
+    }
+    const transfer = await payments.cancelWithdrawal(req.session.sub, req.params.id);
+    res.json({ success: true, transfer: payments.serializeTransfer(transfer) });
+  } catch (error) {
+    sendPaymentError(res, error, '/withdrawals/cancel', 'Error cancelling withdrawal');
+  }
+});
+
+// Development helper: pays the player's deposit address on the simulated chain.
+// Only mounted with ENABLE_SIMULATED_DEPOSITS=1, so it is a 404 everywhere else.
+if (payments.SIMULATED_DEPOSITS_ENABLED) {
+  router.post('/deposits/simulate', async (req, res) => {
+    try {
+      const { currency, amount } = req.body || {};
+      const tx = await payments.simulateDeposit(req.session.sub, { currency, amount });
+      res.status(201).json({ success: true, txHash: tx.txHash });
+    } catch (error) {
+      sendPaymentError(res, error, '/deposits/simulate', 'Error simulating deposit');
+    }
+  });
+}
+
+module.exports = router;
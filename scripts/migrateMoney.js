@@ -0,0 +1,16 @@
+// Convert stored amounts to integer minor units; see utils/moneyMigration.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { migrateMoney } = require('../utils/moneyMigration');
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+    await migrateMoney();
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Money migration failed:', error);
+    process.exit(1);
+  }
+})();
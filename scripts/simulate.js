@@ -0,0 +1,78 @@
+// Simulate rounds and player strategies offline and report the RTP; see utils/simulation.js
+// Usage: npm run simulate -- [--rounds 1000000] [--strategy fixed:target=2,stake=1 ...] [--format json|csv] [--out file]
+const fs = require('fs');
+const { runSimulation, parseStrategy, DEFAULT_MAX_CRASH, formatReportCsv } = require('../utils/simulation');
+
+const DEFAULT_STRATEGIES = ['fixed:target=1.01', 'fixed:target=2', 'fixed:target=10', 'martingale', 'random'];
+const OPTIONS = ['rounds', 'seed', 'client-seed', 'house-edge', 'max-crash', 'max-payout', 'strategy', 'format', 'out'];
+
+/**
+ * Parse `--name value` pairs; --strategy may be repeated
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Values by option name, strategies as a list
+ */
+function parseArgs(args) {
+  const options = { strategy: [] };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    const value = args[i + 1];
+    if (!args[i].startsWith('--') || !OPTIONS.includes(name) || value === undefined) {
+      throw new Error(`Unknown option or missing value: ${args[i]}`);
+    }
+    if (name === 'strategy') {
+      options.strategy.push(value);
+    } else {
+      options[name] = value;
+    }
+  }
+  return options;
+}
+
+/**
+ * Number option, undefined when not given
+ * @param {string} value - Option value
+ * @param {string} name - Option name for the error message
+ * @returns {number|undefined} Number
+ */
+function numberOption(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`--${name} must be a number`);
+  }
+  return number;
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const format = options.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    throw new Error('--format must be json or csv');
+  }
+  const maxCrash = numberOption(options['max-crash'], 'max-crash');
+  const strategies = (options.strategy.length ? options.strategy : DEFAULT_STRATEGIES)
+    .map(text => parseStrategy(text, maxCrash || DEFAULT_MAX_CRASH));
+
+  const startedAt = Date.now();
+  const report = runSimulation({
+    rounds: numberOption(options.rounds, 'rounds'),
+    seed: options.seed,
+    clientSeed: options['client-seed'],
+    houseEdge: numberOption(options['house-edge'], 'house-edge'),
+    maxCrash,
+    maxPayoutUSD: numberOption(options['max-payout'], 'max-payout'),
+    strategies,
+    onProgress: rounds => process.stderr.write(`⏳ ${rounds} rounds\r`)
+  });
+
+  const output = format === 'csv' ? formatReportCsv(report) : `${JSON.stringify(report, null, 2)}\n`;
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+  process.stderr.write(`✅ ${report.settings.rounds} rounds simulated in ${((Date.now() - startedAt) / 1000).toFixed(1)}s, overall RTP ${(report.totals.rtp.value * 100).toFixed(3)}%\n`);
+} catch (error) {
+  console.error(`❌ Simulation failed: ${error.message}`);
+  process.exit(1);
+}
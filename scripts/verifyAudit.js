@@ -0,0 +1,21 @@
+// Recompute the audit log's hash chain; exits 1 when it was tampered with, see utils/audit.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { verifyAuditLog } = require('../utils/audit');
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+    const report = await verifyAuditLog();
+    await mongoose.disconnect();
+    if (report.valid) {
+      console.log(`✅ Audit log intact: ${report.checked} entries verified`);
+      process.exit(0);
+    }
+    console.error(`🚨 Audit log broken at sequence ${report.failure.sequence}: ${report.failure.reason} (${report.checked} entries verified before it)`);
+    process.exit(1);
+  } catch (error) {
+    console.error('❌ Audit verification failed:', error);
+    process.exit(2);
+  }
+})();
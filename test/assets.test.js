@@ -0,0 +1,102 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SOL = {
+  symbol: 'SOL',
+  name: 'Solana',
+  decimals: 9,
+  priceIds: { coingecko: 'solana' },
+  minBetUSD: 1,
+  maxBetUSD: 500,
+  network: 'solana',
+  confirmations: 32,
+  withdrawal: { min: '0.01', daily: '50', fee: '0.000005' }
+};
+
+// The registry is read once at startup, so the configuration must exist before anything loads it
+const ASSETS_FILE = path.join(os.tmpdir(), `assets-test-${process.pid}.json`);
+fs.writeFileSync(ASSETS_FILE, JSON.stringify([SOL, { symbol: 'USDT', enabled: false }]));
+process.env.ASSETS_FILE = ASSETS_FILE;
+
+const { ASSETS, ASSET_SYMBOLS, buildRegistry, publicAsset } = require('../utils/assets');
+const { parseAmount, formatAmount } = require('../utils/money');
+const { validateBetPayload } = require('../utils/betPayload');
+const { createAutoBet } = require('../utils/autoBet');
+const { createSimulatedChain } = require('../utils/chainAdapters/simulated');
+const Player = require('../models/Player');
+const { createTestEngine, advanceToFlight, PRICES } = require('./helpers');
+
+after(() => fs.unlinkSync(ASSETS_FILE));
+
+describe('asset registry', () => {
+  test('merges configured entries over the built-in assets', () => {
+    assert.deepEqual(ASSET_SYMBOLS, ['BTC', 'ETH', 'USDT', 'SOL']);
+    assert.equal(ASSETS.USDT.enabled, false);
+    assert.equal(ASSETS.USDT.decimals, 6);
+    assert.equal(ASSETS.SOL.enabled, true);
+    // Coinbase quotes by symbol unless configured otherwise
+    assert.deepEqual(ASSETS.SOL.priceIds, { coinbase: 'SOL', coingecko: 'solana' });
+    assert.deepEqual(publicAsset(ASSETS.SOL), { symbol: 'SOL', name: 'Solana', decimals: 9, minBetUSD: 1, maxBetUSD: 500, enabled: true });
+  });
+
+  test('refuses incomplete or invalid entries', () => {
+    assert.throws(() => buildRegistry([{ symbol: 'LTC', name: 'Litecoin' }]), /Invalid asset LTC: decimals/);
+    assert.throws(() => buildRegistry([{ ...SOL, decimals: 18 }]), /decimals must be a whole number from 0 to 9/);
+    assert.throws(() => buildRegistry([{ ...SOL, symbol: 'sol' }]), /symbol must be/);
+    assert.throws(() => buildRegistry([{ ...SOL, minBetUSD: 600 }]), /minBetUSD must not exceed maxBetUSD/);
+    assert.throws(() => buildRegistry([{ ...SOL, withdrawal: { ...SOL.withdrawal, fee: '0.0000000001' } }]), /withdrawal.fee/);
+    assert.throws(() => buildRegistry({ SOL }), /must be an array/);
+  });
+
+  test('drives amounts and wallet fields', () => {
+    assert.equal(parseAmount('1.5', 'SOL'), 1500000000);
+    assert.equal(formatAmount(5000, 'SOL'), '0.000005000');
+    assert.ok(Player.schema.path('wallet.SOL'));
+    assert.ok(Player.schema.path('depositAddresses.SOL'));
+  });
+
+  test('gives each asset its address format and fee on the simulated chain', () => {
+    const chain = createSimulatedChain({ blockTimeMs: 60000 });
+    assert.ok(chain.isValidAddress('SOL', chain.generateAddress('SOL')));
+    assert.ok(!chain.isValidAddress('SOL', chain.generateAddress('ETH')));
+    assert.equal(chain.getWithdrawalFee('SOL'), 5000);
+    assert.equal(chain.getWithdrawalFee('BTC'), 2000);
+  });
+});
+
+describe('bets by asset', () => {
+  const options = { supportedCryptos: ASSETS };
+
+  test('refuses disabled and unknown assets', () => {
+    assert.deepEqual(validateBetPayload({ usdAmount: 10, cryptoType: 'USDT' }, options), { error: 'USDT bets are disabled' });
+    assert.deepEqual(validateBetPayload({ usdAmount: 10, cryptoType: 'LTC' }, options), { error: 'Unsupported cryptocurrency' });
+    assert.equal(createAutoBet({ baseBetUSD: 1, cryptoType: 'USDT', autoCashoutAt: 2 }, { ...options, maxCrash: 120 }).error, 'USDT bets are disabled');
+  });
+
+  test('applies the tighter of the global and the per-asset bet limits', () => {
+    assert.deepEqual(validateBetPayload({ usdAmount: '0.50', cryptoType: 'SOL' }, options), { error: 'Bet amount must be between $1 and $500' });
+    assert.deepEqual(validateBetPayload({ usdAmount: 501, cryptoType: 'SOL' }, { ...options, maxBetUSD: 1000 }), { error: 'Bet amount must be between $1 and $500' });
+    assert.deepEqual(validateBetPayload({ usdAmount: 300, cryptoType: 'SOL' }, { ...options, maxBetUSD: 200 }), { error: 'Bet amount must be between $1 and $200' });
+    assert.equal(validateBetPayload({ usdAmount: 500, cryptoType: 'SOL' }, options).bet.usdAmount, 50000);
+    assert.equal(validateBetPayload({ usdAmount: '0.50', cryptoType: 'BTC' }, options).bet.usdAmount, 50);
+  });
+
+  test('places a bet in an asset added by configuration', async () => {
+    const prices = { ...PRICES, SOL: 150 };
+    const { engine, clock, repository } = createTestEngine({
+      players: { p1: { username: 'alice', wallet: { SOL: parseAmount('1', 'SOL') } } },
+      priceProvider: { getFreshPrice: async symbol => prices[symbol] }
+    });
+    await engine.connectPlayer('p1', 'socket-1');
+    engine.start();
+    await engine.placeBet('p1', { usdAmount: 15, cryptoType: 'SOL' });
+    await advanceToFlight(engine, clock);
+
+    // $15 at $150 is 0.1 SOL
+    assert.equal(repository.getBalance('p1', 'SOL'), parseAmount('0.9', 'SOL'));
+    engine.stop();
+  });
+});
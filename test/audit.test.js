@@ -0,0 +1,103 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { GENESIS_HASH, createAuditEntry, verifyAuditChain } = require('../utils/audit');
+const AuditEntry = require('../models/AuditEntry');
+const { toUnits } = require('../utils/money');
+const { timeToReach } = require('../utils/multiplierCurve');
+const { createTestEngine, findSeedChain, advanceToFlight } = require('./helpers');
+
+/**
+ * Chain of balance changes of one player
+ * @param {number} length - Number of entries
+ * @returns {Object[]} Entries
+ */
+function buildChain(length) {
+  const entries = [];
+  let balance = 100000;
+  for (let i = 1; i <= length; i++) {
+    const direction = i % 2 ? 'debit' : 'credit';
+    balance += direction === 'debit' ? -1000 : 1500;
+    entries.push(createAuditEntry(entries[entries.length - 1] || null, {
+      action: direction === 'debit' ? 'bet' : 'cashout',
+      playerId: 'p1',
+      currency: 'BTC',
+      direction,
+      amount: direction === 'debit' ? 1000 : 1500,
+      balance,
+      transactionId: `tx-${i}`,
+      reference: `${direction === 'debit' ? 'bet' : 'cashout'}:${i}:p1`,
+      roundNumber: Math.ceil(i / 2)
+    }, new Date(Date.UTC(2026, 0, 1, 0, 0, i))));
+  }
+  return entries;
+}
+
+describe('audit chain', () => {
+  test('links each entry to the previous one', () => {
+    const [first, second] = buildChain(2);
+    assert.equal(first.sequence, 1);
+    assert.equal(first.previousHash, GENESIS_HASH);
+    assert.equal(second.sequence, 2);
+    assert.equal(second.previousHash, first.hash);
+    assert.match(second.hash, /^[0-9a-f]{64}$/);
+    assert.deepEqual(verifyAuditChain(buildChain(5)), { valid: true, checked: 5, head: { sequence: 5, hash: buildChain(5)[4].hash }, failure: null });
+  });
+
+  test('detects a modified entry', () => {
+    const entries = buildChain(5);
+    entries[2] = { ...entries[2], amount: 100000 };
+    const report = verifyAuditChain(entries);
+    assert.equal(report.valid, false);
+    assert.equal(report.checked, 2);
+    assert.deepEqual(report.failure, { sequence: 3, reason: 'Hash does not match the entry, it was modified' });
+  });
+
+  test('detects a rehashed entry through the next link', () => {
+    const entries = buildChain(5);
+    const forged = createAuditEntry({ sequence: 2, hash: entries[1].hash }, { ...entries[2], amount: 100000 }, entries[2].timestamp);
+    entries[2] = forged;
+    assert.deepEqual(verifyAuditChain(entries).failure, { sequence: 4, reason: 'Previous hash does not match the previous entry' });
+  });
+
+  test('detects removed and reordered entries', () => {
+    const entries = buildChain(5);
+    assert.equal(verifyAuditChain([...entries.slice(0, 2), ...entries.slice(3)]).failure.sequence, 4);
+    assert.match(verifyAuditChain([entries[1], entries[0]]).failure.reason, /Expected sequence 1/);
+  });
+
+  test('hashes a stored entry the same after a round trip', () => {
+    const [entry] = buildChain(1);
+    const stored = new AuditEntry(entry).toObject();
+    delete stored._id;
+    assert.equal(verifyAuditChain([stored]).valid, true);
+  });
+
+  test('refuses updates and deletes of stored entries', async () => {
+    await assert.rejects(AuditEntry.updateOne({ sequence: 1 }, { amount: 0 }), /append-only/);
+    await assert.rejects(AuditEntry.deleteMany({}), /append-only/);
+  });
+});
+
+describe('audit log of the game', () => {
+  test('records every bet and cashout in a verifiable chain', async () => {
+    const players = { p1: { username: 'alice', wallet: { USDT: toUnits(100, 'USDT') } } };
+    const { engine, clock, repository } = createTestEngine({ players, seedSource: findSeedChain(point => point >= 2.5) });
+    await engine.connectPlayer('p1', 'socket-1');
+    engine.start();
+    await engine.placeBet('p1', { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: 2 });
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)));
+    engine.stop();
+
+    const { auditLog } = repository;
+    assert.deepEqual(auditLog.map(entry => [entry.action, entry.direction, entry.balance]), [
+      ['bet', 'debit', toUnits(90, 'USDT')],
+      ['cashout', 'credit', toUnits(110, 'USDT')]
+    ]);
+    assert.equal(auditLog[0].roundNumber, 1);
+    assert.equal(verifyAuditChain(auditLog).valid, true);
+
+    auditLog[0].balance = toUnits(1000, 'USDT');
+    assert.equal(verifyAuditChain(auditLog).valid, false);
+  });
+});
@@ -0,0 +1,237 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createApiKeyAuth, deriveSecret, signRequest, validateKeyRequest, SIGNATURE_WINDOW_MS } = require('../utils/apiKeys');
+const { createBotRouter } = require('../routes/bot');
+const { apiDoc, openApiPath, buildOpenApiDocument } = require('../utils/openapi');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+const MASTER_SECRET = 'test-master-secret';
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+/**
+ * Key store in memory
+ * @param {Object[]} keys - Keys with keyId, playerId, scopes and optional revokedAt and playerStatus
+ * @returns {Object} Store for createApiKeyAuth
+ */
+function createMemoryStore(keys) {
+  const nonces = new Set();
+  return {
+    findKey: async keyId => keys.find(key => key.keyId === keyId) || null,
+    claimNonce: async (keyId, nonce) => {
+      const id = `${keyId}:${nonce}`;
+      if (nonces.has(id)) return false;
+      nonces.add(id);
+      return true;
+    },
+    touchKey: async () => {}
+  };
+}
+
+/**
+ * Request signed with a key's secret
+ * @param {string} keyId - Key ID
+ * @param {Object} request - method, path, body and optional timestamp and nonce
+ * @returns {Object} Request with signature fields
+ */
+function signed(keyId, { method, path, body = '', timestamp = NOW, nonce = 'nonce-0001' }) {
+  const request = { keyId, timestamp: String(timestamp), nonce, method, path, body };
+  return { ...request, signature: signRequest(deriveSecret(keyId, MASTER_SECRET), request) };
+}
+
+const KEYS = [
+  { keyId: 'ck_reader', playerId: 'p1', scopes: ['read'] },
+  { keyId: 'ck_trader', playerId: 'p1', scopes: ['read', 'bet', 'cashout'] },
+  { keyId: 'ck_revoked', playerId: 'p1', scopes: ['read'], revokedAt: new Date(NOW - 1000) },
+  { keyId: 'ck_banned', playerId: 'p2', scopes: ['read'], playerStatus: 'banned' }
+];
+
+/**
+ * Verifier on a fixed clock over KEYS
+ * @returns {Object} Verifier
+ */
+function createTestAuth() {
+  return createApiKeyAuth({ store: createMemoryStore(KEYS), clock: () => NOW, masterSecret: MASTER_SECRET, logger: silent });
+}
+
+describe('API key requests', () => {
+  test('validates key names and scopes', () => {
+    assert.deepEqual(validateKeyRequest({ name: ' grid bot ', scopes: ['cashout', 'read', 'read'] }), { key: { name: 'grid bot', scopes: ['read', 'cashout'] } });
+    assert.deepEqual(validateKeyRequest({ name: '', scopes: ['read'] }), { error: 'Key name must be 1 to 50 characters' });
+    assert.deepEqual(validateKeyRequest({ name: 'bot', scopes: [] }), { error: 'Scopes must be a non-empty list of read, bet, cashout' });
+    assert.deepEqual(validateKeyRequest({ name: 'bot', scopes: ['withdraw'] }), { error: 'Unknown scope: withdraw' });
+  });
+
+  test('derives a different secret per key and server secret', () => {
+    assert.notEqual(deriveSecret('ck_a', MASTER_SECRET), deriveSecret('ck_b', MASTER_SECRET));
+    assert.notEqual(deriveSecret('ck_a', MASTER_SECRET), deriveSecret('ck_a', 'other'));
+  });
+});
+
+describe('signed request verification', () => {
+  test('accepts a signed request for a key with the scope', async () => {
+    const auth = createTestAuth();
+    const result = await auth.authenticate(signed('ck_trader', { method: 'POST', path: '/api/bot/bets', body: '{"usdAmount":"5"}' }), 'bet');
+    assert.deepEqual(result, { key: { keyId: 'ck_trader', playerId: 'p1', scopes: ['read', 'bet', 'cashout'] } });
+  });
+
+  test('refuses tampered, stale and replayed requests', async () => {
+    const auth = createTestAuth();
+    const request = signed('ck_trader', { method: 'POST', path: '/api/bot/bets', body: '{"usdAmount":"5"}' });
+
+    assert.deepEqual(await auth.authenticate({ ...request, body: '{"usdAmount":"500"}' }), { status: 401, error: 'Invalid signature' });
+    assert.deepEqual(await auth.authenticate({ ...request, path: '/api/bot/cashout' }), { status: 401, error: 'Invalid signature' });
+
+    const stale = signed('ck_trader', { method: 'GET', path: '/api/bot/balance', timestamp: NOW - SIGNATURE_WINDOW_MS - 1 });
+    assert.deepEqual(await auth.authenticate(stale), { status: 401, error: 'Request timestamp is outside the allowed window' });
+
+    assert.ok((await auth.authenticate(request)).key);
+    assert.deepEqual(await auth.authenticate(request), { status: 401, error: 'Nonce already used' });
+  });
+
+  test('refuses missing headers, bad nonces and unknown or revoked keys', async () => {
+    const auth = createTestAuth();
+    assert.deepEqual(await auth.authenticate({ method: 'GET', path: '/api/bot/balance' }), { status: 401, error: 'Signed API key headers required' });
+    assert.deepEqual(await auth.authenticate(signed('ck_reader', { method: 'GET', path: '/', nonce: 'short' })), { status: 401, error: 'Invalid nonce' });
+    assert.deepEqual(await auth.authenticate(signed('ck_unknown', { method: 'GET', path: '/' })), { status: 401, error: 'Unknown or revoked API key' });
+    assert.deepEqual(await auth.authenticate(signed('ck_revoked', { method: 'GET', path: '/' })), { status: 401, error: 'Unknown or revoked API key' });
+  });
+
+  test('refuses keys without the scope and keys of banned players', async () => {
+    const auth = createTestAuth();
+    assert.deepEqual(await auth.authenticate(signed('ck_reader', { method: 'POST', path: '/api/bot/bets' }), 'bet'), { status: 403, error: 'API key lacks the bet scope' });
+    assert.deepEqual(await auth.authenticate(signed('ck_banned', { method: 'GET', path: '/' }), 'read'), { status: 403, error: 'Account is banned' });
+  });
+});
+
+describe('bot REST API', () => {
+  /**
+   * Bot API on a local port with a fake coordinator
+   * @param {Function} t - Test context, closes the server afterwards
+   * @returns {Promise<Object>} `{ send(keyId, method, path, body), calls }`
+   */
+  async function startBotApi(t) {
+    const calls = [];
+    const coordinator = {
+      async call(command, ...args) {
+        calls.push([command, ...args]);
+        if (command === 'placeBet') return { success: true, betId: 'b1', roundNumber: 7 };
+        if (command === 'cashOut') {
+          const error = new Error('Cannot cash out at this time');
+          error.code = 'CASHOUT_REJECTED';
+          throw error;
+        }
+        return null;
+      }
+    };
+    const app = express();
+    app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer.toString('utf8'); } }));
+    app.use('/api/bot', createBotRouter({
+      coordinator,
+      apiKeyAuth: createApiKeyAuth({ store: createMemoryStore(KEYS), masterSecret: MASTER_SECRET, logger: silent }),
+      getBalances: async () => ({ BTC: { cryptoBalance: '0.01000000', usdValue: '600.00', price: 60000 } }),
+      logger: silent
+    }));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    let counter = 0;
+    return {
+      calls,
+      async send(keyId, method, path, body) {
+        const text = body === undefined ? '' : JSON.stringify(body);
+        const request = signed(keyId, { method, path, body: text, timestamp: Date.now(), nonce: `nonce-${String(++counter).padStart(4, '0')}` });
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+          method,
+          headers: {
+            'content-type': 'application/json',
+            'x-api-key': keyId,
+            'x-api-timestamp': request.timestamp,
+            'x-api-nonce': request.nonce,
+            'x-api-signature': request.signature
+          },
+          body: text || undefined
+        });
+        return { status: response.status, body: await response.json() };
+      }
+    };
+  }
+
+  test('reads balances and places bets for the key\'s player', async (t) => {
+    const api = await startBotApi(t);
+
+    const balance = await api.send('ck_reader', 'GET', '/api/bot/balance');
+    assert.equal(balance.status, 200);
+    assert.equal(balance.body.balances.BTC.cryptoBalance, '0.01000000');
+
+    const bet = await api.send('ck_trader', 'POST', '/api/bot/bets', { usdAmount: '5.00', cryptoType: 'BTC' });
+    assert.equal(bet.status, 201);
+    assert.equal(bet.body.betId, 'b1');
+    // Registered with the game under the key before betting
+    assert.deepEqual(api.calls, [
+      ['connectPlayer', 'p1', 'api:ck_trader'],
+      ['placeBet', 'p1', { usdAmount: '5.00', cryptoType: 'BTC' }]
+    ]);
+  });
+
+  test('answers with the status of each failure', async (t) => {
+    const api = await startBotApi(t);
+
+    assert.equal((await api.send('ck_reader', 'POST', '/api/bot/bets', { usdAmount: '5.00', cryptoType: 'BTC' })).status, 403);
+    const invalid = await api.send('ck_trader', 'POST', '/api/bot/bets', { usdAmount: '5.00', cryptoType: 'BTC', odds: 2 });
+    assert.deepEqual([invalid.status, invalid.body.message], [400, 'Unknown bet field: odds']);
+    const cashout = await api.send('ck_trader', 'POST', '/api/bot/cashout', {});
+    assert.deepEqual([cashout.status, cashout.body.code], [409, 'CASHOUT_REJECTED']);
+    assert.ok(!api.calls.some(([command]) => command === 'placeBet'));
+  });
+});
+
+describe('OpenAPI document', () => {
+  test('converts Express paths', () => {
+    assert.deepEqual(openApiPath('/players/:playerId/stats'), { path: '/players/{playerId}/stats', names: ['playerId'] });
+  });
+
+  test('lists routes with their documentation', () => {
+    const router = express.Router();
+    router.get('/items/:itemId', apiDoc({ summary: 'One item', auth: 'apiKey', scope: 'read', query: { fields: { type: 'string' } } }), (req, res) => res.end());
+    router.post('/items', apiDoc({ summary: 'Add an item', body: { type: 'object' }, responses: { 201: 'Added' } }), (req, res) => res.end());
+    router.delete('/items/:itemId', (req, res) => res.end());
+
+    const document = buildOpenApiDocument({
+      info: { title: 'Test', version: '1.0.0' },
+      routers: [{ basePath: '/api/test', router, tag: 'test', auth: 'session' }]
+    });
+
+    assert.equal(document.openapi, '3.0.3');
+    assert.deepEqual(Object.keys(document.paths), ['/api/test/items/{itemId}', '/api/test/items']);
+    const read = document.paths['/api/test/items/{itemId}'].get;
+    assert.equal(read.summary, 'One item');
+    assert.deepEqual(read.security, [{ apiKey: [] }]);
+    assert.equal(read['x-api-key-scope'], 'read');
+    assert.deepEqual(read.parameters.map(parameter => [parameter.name, parameter.in]), [['itemId', 'path'], ['fields', 'query']]);
+    assert.deepEqual(document.paths['/api/test/items'].post.responses, { 201: { description: 'Added' } });
+    // Undocumented routes are listed with the router's authentication
+    assert.deepEqual(document.paths['/api/test/items/{itemId}'].delete.security, [{ session: [] }]);
+    assert.ok(document.components.securitySchemes.apiKey);
+  });
+
+  test('documents every bot route with its scope', () => {
+    const router = createBotRouter({ coordinator: {}, apiKeyAuth: createTestAuth(), getBalances: async () => null, logger: silent });
+    const document = buildOpenApiDocument({ info: { title: 'Test', version: '1.0.0' }, routers: [{ basePath: '/api/bot', router, tag: 'bot' }] });
+    const scopes = {};
+    for (const [path, operations] of Object.entries(document.paths)) {
+      for (const [method, operation] of Object.entries(operations)) {
+        scopes[`${method.toUpperCase()} ${path}`] = operation['x-api-key-scope'];
+      }
+    }
+    assert.deepEqual(scopes, {
+      'GET /api/bot/balance': 'read',
+      'GET /api/bot/round': 'read',
+      'POST /api/bot/bets': 'bet',
+      'POST /api/bot/bets/queued/cancel': 'bet',
+      'POST /api/bot/cashout': 'cashout'
+    });
+  });
+});
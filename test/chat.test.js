@@ -0,0 +1,253 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const {
+  validateChatPayload,
+  validateDeletePayload,
+  parseChatCommand,
+  createChatFilter,
+  mutedUntil,
+  bigWinText,
+  createTips,
+  MAX_MESSAGE_LENGTH
+} = require('../utils/chat');
+const { createRateLimiter } = require('../utils/rateLimit');
+const { createMemoryRepository } = require('../game/memoryRepository');
+const { parseAmount } = require('../utils/money');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const btc = amount => parseAmount(amount, 'BTC');
+
+/**
+ * Tip store in memory, with balances going through the memory repository's ledger
+ * @param {Object} players - Players keyed by id: `{ username, status, wallet, responsibleGambling }`
+ * @returns {Object} Store with `repository`, the `transfers` it was asked for and the `announcements`
+ */
+function createMemoryTipStore(players) {
+  const repository = createMemoryRepository({ players });
+  const transfers = [];
+  const announcements = [];
+
+  return {
+    repository,
+    transfers,
+    announcements,
+
+    async findPlayerByUsername(username) {
+      const entry = Object.entries(players).find(([, player]) => player.username === username);
+      return entry ? { _id: entry[0], username, status: entry[1].status || 'active', responsibleGambling: entry[1].responsibleGambling || null } : null;
+    },
+
+    async depositedSince(playerId, since) {
+      return repository.transactions
+        .filter(tx => tx.playerId === playerId && tx.transactionType === 'tip' && tx.direction === 'credit' && tx.timestamp >= since)
+        .reduce((sum, tx) => sum + (tx.usdAmount || 0), 0);
+    },
+
+    recordGamblingEvent: event => repository.recordGamblingEvent(event),
+
+    async transferTip(debit, credit) {
+      transfers.push([debit, credit]);
+      const sent = await repository.applyBalanceChange(debit);
+      const received = await repository.applyBalanceChange(credit);
+      return { sent, received };
+    },
+
+    async announce(text) {
+      announcements.push(text);
+    }
+  };
+}
+
+/**
+ * Tips between alice and bob over a memory store, with BTC at $60,000
+ * @param {Object} [controls] - Responsible gambling controls by username
+ * @returns {Object} `{ tips, store, events, alice }`
+ */
+function createTestTips(controls = {}) {
+  const store = createMemoryTipStore({
+    p1: { username: 'alice', wallet: { BTC: btc('1') }, responsibleGambling: controls.alice },
+    p2: { username: 'bob', wallet: { BTC: 0 }, responsibleGambling: controls.bob }
+  });
+  const events = new EventEmitter();
+  const tips = createTips({ store, events, logger: silent });
+  tips.setPriceProvider({ getFreshPrice: async () => 60000 });
+  const alice = { _id: 'p1', username: 'alice', status: 'active', responsibleGambling: controls.alice || null };
+  return { tips, store, events, alice };
+}
+
+describe('chat payloads', () => {
+  test('accepts text and collapses whitespace', () => {
+    assert.deepEqual(validateChatPayload({ text: '  gl\n\nall  ' }), { text: 'gl all' });
+    assert.deepEqual(validateChatPayload({ text: 'x'.repeat(MAX_MESSAGE_LENGTH) }), { text: 'x'.repeat(MAX_MESSAGE_LENGTH) });
+  });
+
+  test('rejects malformed messages', () => {
+    assert.deepEqual(validateChatPayload('hi'), { error: 'Message must be an object' });
+    assert.deepEqual(validateChatPayload({ text: 'hi', username: 'admin' }), { error: 'Unknown message field: username' });
+    assert.deepEqual(validateChatPayload({ text: 42 }), { error: 'Message text must be a string' });
+    assert.deepEqual(validateChatPayload({ text: ' \n ' }), { error: 'Message is empty' });
+    assert.deepEqual(validateChatPayload({ text: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) }), { error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` });
+    assert.deepEqual(validateChatPayload({ text: 'bell\u0007' }), { error: 'Message contains control characters' });
+    assert.deepEqual(validateDeletePayload({ messageId: 7 }), { error: 'Message id must be a string' });
+    assert.deepEqual(validateDeletePayload({ messageId: '64f0c2aa' }), { messageId: '64f0c2aa' });
+  });
+});
+
+describe('chat commands', () => {
+  test('leaves plain messages alone', () => {
+    assert.equal(parseChatCommand('gl all'), null);
+  });
+
+  test('parses tips with the username and currency normalized', () => {
+    assert.deepEqual(parseChatCommand('/tip @Bob 0.001 btc'), { command: 'tip', username: 'bob', amount: '0.001', currency: 'BTC' });
+    assert.deepEqual(parseChatCommand('/tip bob 5'), { error: 'Usage: /tip <username> <amount> <currency>' });
+  });
+
+  test('parses mutes with an optional reason', () => {
+    assert.deepEqual(parseChatCommand('/mute carol 30 spamming links'), { command: 'mute', username: 'carol', minutes: 30, reason: 'spamming links' });
+    assert.deepEqual(parseChatCommand('/mute carol 15'), { command: 'mute', username: 'carol', minutes: 15, reason: null });
+    assert.match(parseChatCommand('/mute carol 0').error, /^Usage: \/mute/);
+    assert.match(parseChatCommand('/mute carol 99999').error, /^Usage: \/mute/);
+    assert.deepEqual(parseChatCommand('/unmute carol'), { command: 'unmute', username: 'carol' });
+    assert.deepEqual(parseChatCommand('/rain 5'), { error: 'Unknown command: /rain' });
+  });
+});
+
+describe('chat filter', () => {
+  test('masks banned whole words in any case', () => {
+    const filter = createChatFilter({ bannedWords: ['darn', 'heck'] });
+    assert.deepEqual(filter('Darn it, what the HECK'), { text: '**** it, what the ****' });
+    // Longer words containing a banned one are kept
+    assert.deepEqual(filter('darnedest hecklers'), { text: 'darnedest hecklers' });
+  });
+
+  test('refuses links unless their host is allowed', () => {
+    const filter = createChatFilter({ bannedWords: [], allowedLinkHosts: ['example.com'] });
+    assert.deepEqual(filter('free coins at scam.io'), { error: 'Links are not allowed in chat' });
+    assert.deepEqual(filter('see (https://evil.net/promo).'), { error: 'Links are not allowed in chat' });
+    assert.deepEqual(filter('rules: https://docs.example.com/chat'), { text: 'rules: https://docs.example.com/chat' });
+    // Multipliers and amounts are not links
+    assert.deepEqual(filter('cashed out 2.5 BTC at 1.85x, e.g. early'), { text: 'cashed out 2.5 BTC at 1.85x, e.g. early' });
+  });
+});
+
+describe('chat moderation and announcements', () => {
+  test('tells whether a mute is in force', () => {
+    const now = Date.parse('2026-01-01T12:00:00Z');
+    assert.equal(mutedUntil(undefined, now), null);
+    assert.equal(mutedUntil({ mutedUntil: new Date(now - 1000) }, now), null);
+    assert.deepEqual(mutedUntil({ mutedUntil: new Date(now + 60000) }, now), new Date(now + 60000));
+  });
+
+  test('announces cashouts from the threshold up', () => {
+    const cashout = { username: 'alice', multiplier: '12.50', winningsUSD: '1250.00' };
+    assert.equal(bigWinText(cashout, 1000), '🏆 alice won $1250.00 at 12.50x');
+    assert.equal(bigWinText({ ...cashout, winningsUSD: '999.99' }, 1000), null);
+    assert.equal(bigWinText({ ...cashout, winningsUSD: '1000.00' }, 1000), '🏆 alice won $1000.00 at 12.50x');
+  });
+
+  test('limits how often a player can send', () => {
+    const clock = { now: 0 };
+    const limiter = createRateLimiter({ clock: () => clock.now, logger: { warn() {} } });
+    const client = { connection: 's1', account: 'p1', ip: '10.0.0.1' };
+    const sent = [1, 2, 3, 4].map(() => limiter.consume('chatMessage', client).allowed);
+    assert.deepEqual(sent, [true, true, true, false]);
+    clock.now += 2000;
+    assert.equal(limiter.consume('chatMessage', client).allowed, true);
+  });
+});
+
+describe('tips', () => {
+  test('debits the sender and credits the recipient under one tip id', async () => {
+    const { tips, store, events, alice } = createTestTips();
+    const balances = [];
+    events.on('balanceChanged', change => balances.push(change));
+
+    const result = await tips.sendTip(alice, { username: 'bob', amount: '0.001', currency: 'BTC' });
+    assert.deepEqual(result, { success: true, message: 'You tipped bob 0.00100000 BTC' });
+    assert.equal(store.repository.getBalance('p1', 'BTC'), btc('0.999'));
+    assert.equal(store.repository.getBalance('p2', 'BTC'), btc('0.001'));
+    assert.deepEqual(balances, [
+      { playerId: 'p1', currency: 'BTC', balance: btc('0.999') },
+      { playerId: 'p2', currency: 'BTC', balance: btc('0.001') }
+    ]);
+    assert.deepEqual(store.announcements, ['💸 alice tipped bob 0.00100000 BTC']);
+
+    const [sent, received] = store.repository.transactions;
+    const tipId = sent.idempotencyKey.match(/^tip:([0-9a-f]{16}):sent$/)[1];
+    assert.equal(received.idempotencyKey, `tip:${tipId}:received`);
+    assert.deepEqual(
+      [sent, received].map(({ playerId, transactionType, direction, cryptoAmount, usdAmount, counterpartyId }) =>
+        ({ playerId, transactionType, direction, cryptoAmount, usdAmount, counterpartyId })),
+      [
+        { playerId: 'p1', transactionType: 'tip', direction: 'debit', cryptoAmount: btc('0.001'), usdAmount: 6000, counterpartyId: 'p2' },
+        { playerId: 'p2', transactionType: 'tip', direction: 'credit', cryptoAmount: btc('0.001'), usdAmount: 6000, counterpartyId: 'p1' }
+      ]
+    );
+
+    // A replayed transfer finds both keys and moves nothing
+    const replay = await store.transferTip(...store.transfers[0]);
+    assert.equal(replay.sent.duplicate, true);
+    assert.equal(replay.received.duplicate, true);
+    assert.equal(store.repository.transactions.length, 2);
+    assert.equal(store.repository.getBalance('p1', 'BTC'), btc('0.999'));
+    assert.equal(store.repository.getBalance('p2', 'BTC'), btc('0.001'));
+
+    // Every tip gets its own id
+    await tips.sendTip(alice, { username: 'bob', amount: '0.001', currency: 'BTC' });
+    assert.notEqual(store.repository.transactions[2].idempotencyKey, sent.idempotencyKey);
+    assert.equal(store.repository.getBalance('p2', 'BTC'), btc('0.002'));
+  });
+
+  test('moves nothing when the sender cannot cover the tip', async () => {
+    const { tips, store, alice } = createTestTips();
+    await assert.rejects(tips.sendTip(alice, { username: 'bob', amount: '2', currency: 'BTC' }), { code: 'INSUFFICIENT_BALANCE' });
+    assert.equal(store.repository.transactions.length, 0);
+    assert.equal(store.repository.getBalance('p2', 'BTC'), 0);
+  });
+
+  test('refuses tips from a player on a break', async () => {
+    const until = new Date(Date.now() + DAY_MS);
+    const { tips, store, alice } = createTestTips({ alice: { cooldownUntil: until } });
+    await assert.rejects(tips.sendTip(alice, { username: 'bob', amount: '0.001', currency: 'BTC' }),
+      { code: 'CHAT_REJECTED', message: `You are taking a break until ${until.toISOString()}` });
+    assert.equal(store.repository.transactions.length, 0);
+    assert.deepEqual(store.repository.gamblingEvents.map(({ playerId, action, rule }) => ({ playerId, action, rule })),
+      [{ playerId: 'p1', action: 'tipBlocked', rule: 'cooldown' }]);
+  });
+
+  test('refuses tips to a self-excluded player without telling the sender why', async () => {
+    const { tips, store, alice } = createTestTips({ bob: { selfExcludedUntil: new Date(Date.now() + 180 * DAY_MS) } });
+    await assert.rejects(tips.sendTip(alice, { username: 'bob', amount: '0.001', currency: 'BTC' }),
+      { code: 'CHAT_REJECTED', message: 'bob cannot receive this tip' });
+    assert.equal(store.repository.transactions.length, 0);
+    const [event] = store.repository.gamblingEvents;
+    assert.equal(event.playerId, 'p2');
+    assert.equal(event.rule, 'selfExclusion');
+    assert.equal(event.details.from, 'alice');
+  });
+
+  test('counts tips received against the recipient\'s deposit limit', async () => {
+    const { tips, store, alice } = createTestTips({ bob: { limits: { deposit: { daily: 100 } } } });
+
+    // 0.001 BTC is $60: the second tip would take bob to $120
+    await tips.sendTip(alice, { username: 'bob', amount: '0.001', currency: 'BTC' });
+    await assert.rejects(tips.sendTip(alice, { username: 'bob', amount: '0.001', currency: 'BTC' }),
+      { code: 'CHAT_REJECTED', message: 'bob cannot receive this tip' });
+    assert.equal(store.repository.getBalance('p2', 'BTC'), btc('0.001'));
+    const [event] = store.repository.gamblingEvents;
+    assert.equal(event.rule, 'deposit');
+    assert.equal(event.period, 'daily');
+    assert.equal(event.details.usedUSD, 60);
+
+    await tips.sendTip(alice, { username: 'bob', amount: '0.0006', currency: 'BTC' });
+    assert.equal(store.repository.getBalance('p2', 'BTC'), btc('0.0016'));
+
+    // Without a price the tip cannot be checked against the limit
+    tips.setPriceProvider({ getFreshPrice: async () => { throw new Error('stale'); } });
+    await assert.rejects(tips.sendTip(alice, { username: 'bob', amount: '0.0001', currency: 'BTC' }),
+      { code: 'CHAT_REJECTED', message: 'bob cannot receive tips right now' });
+  });
+});
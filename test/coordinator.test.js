@@ -0,0 +1,147 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createCoordinator } = require('../game/coordinator');
+const { toUnits } = require('../utils/money');
+const { flush, findSeedChain, createTestEngine, advanceToFlight } = require('./helpers');
+
+const PLAYER_ID = 'player-1';
+const silent = { log() {}, warn() {}, error() {} };
+const funded = { [PLAYER_ID]: { username: 'alice', wallet: { USDT: toUnits(100, 'USDT') } } };
+
+/**
+ * socket.io servers of several instances joined by a fake cluster adapter
+ * `serverSideEmit` reaches every other server and collects their acks, with
+ * payloads and answers serialized as they would be between processes. A
+ * server marked `silent` receives nothing and never answers.
+ * @returns {Function} Creates one instance's server
+ */
+function createCluster() {
+  const servers = [];
+  const wire = value => value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+  return function createServer() {
+    const handlers = {};
+    const namespaces = {};
+    const server = {
+      handlers,
+      silent: false,
+
+      of(name) {
+        namespaces[name] = namespaces[name] || { sockets: new Map(), emit() {}, to: () => ({ emit() {} }) };
+        return namespaces[name];
+      },
+
+      on(event, handler) {
+        handlers[event] = handler;
+      },
+
+      serverSideEmit(event, payload, ack) {
+        const others = servers.filter(other => other !== server && other.handlers[event]);
+        if (!ack) {
+          others.filter(other => !other.silent).forEach(other => other.handlers[event](wire(payload)));
+          return;
+        }
+        Promise.all(others.map(other => new Promise(resolve => {
+          if (!other.silent) other.handlers[event](wire(payload), reply => resolve(wire(reply)));
+        }))).then(responses => ack(null, responses));
+      }
+    };
+    servers.push(server);
+    return server;
+  };
+}
+
+/**
+ * Lease that is won or lost when the test says so
+ * @param {string} instanceId - Instance ID
+ * @returns {Object} Leader lease
+ */
+function createManualLease(instanceId) {
+  return { instanceId, events: new EventEmitter(), start() {}, async stop() {} };
+}
+
+/**
+ * A leader running a test engine and a follower routing commands to it
+ * @param {Object} [options] - `commandTimeoutMs` of the follower
+ * @returns {Object} `{ leader, follower, leaderServer, engine, clock, repository, elect, stop }`
+ */
+function createTestCluster({ commandTimeoutMs = 1000 } = {}) {
+  const createServer = createCluster();
+  const setup = createTestEngine({ players: funded, seedSource: findSeedChain(point => point >= 2) });
+  const leaderServer = createServer();
+  const leaderLease = createManualLease('leader');
+  const leader = createCoordinator({ io: leaderServer, lease: leaderLease, createEngine: () => setup.engine, logger: silent });
+  const follower = createCoordinator({ io: createServer(), lease: createManualLease('follower'), createEngine: () => null, commandTimeoutMs, logger: silent });
+
+  return {
+    ...setup,
+    leader,
+    follower,
+    leaderServer,
+    async elect() {
+      leaderLease.events.emit('elected');
+      while (!leader.isLeader()) {
+        await flush();
+      }
+    },
+    stop() {
+      leaderLease.events.emit('revoked');
+    }
+  };
+}
+
+describe('command routing', () => {
+  test('runs a bet and a cashout sent to a follower on the leader', async () => {
+    const { leader, follower, engine, clock, repository, elect, stop } = createTestCluster();
+    await elect();
+    assert.equal(leader.isLeader(), true);
+    assert.equal(follower.isLeader(), false);
+
+    const player = await follower.call('connectPlayer', PLAYER_ID, 'socket-1');
+    assert.equal(player.username, 'alice');
+    const bet = await follower.call('placeBet', PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    assert.equal(bet.usdAmount, '10.00');
+    assert.equal(engine.getPlayer(PLAYER_ID).bets.size, 1);
+
+    await advanceToFlight(engine, clock);
+    await clock.advance(2000);
+    const cashout = await follower.call('cashOut', PLAYER_ID, clock.now(), null);
+    assert.equal(cashout.betId, bet.betId);
+    assert.ok(repository.getBalance(PLAYER_ID, 'USDT') > toUnits(100, 'USDT'));
+    stop();
+  });
+
+  test('passes the leader\'s errors back with their code', async () => {
+    const { follower, elect, stop } = createTestCluster();
+    await elect();
+    await follower.call('connectPlayer', PLAYER_ID, 'socket-1');
+    await assert.rejects(follower.call('cashOut', PLAYER_ID, Date.now(), null), { code: 'CASHOUT_REJECTED', message: 'Cannot cash out at this time' });
+    await assert.rejects(follower.call('noSuchCommand'), { code: null, message: 'Unknown game command: noSuchCommand' });
+    stop();
+  });
+
+  test('gives the leader\'s seed chain commitment to every instance', async () => {
+    const { leader, follower, engine, elect, stop } = createTestCluster();
+    await elect();
+    const commitment = await follower.call('getCommitment');
+    assert.deepEqual(commitment, await leader.call('getCommitment'));
+    assert.deepEqual(commitment, { chainLength: engine.seedSource.length, ...engine.seedSource.getCommitment(engine.roundNumber) });
+    stop();
+  });
+
+  test('reports the game as unavailable while no instance leads', async () => {
+    const { follower } = createTestCluster();
+    await assert.rejects(follower.call('getStatus'), { code: 'GAME_UNAVAILABLE' });
+  });
+
+  test('gives up on a leader that does not answer in time', async () => {
+    const { follower, leaderServer, elect, stop } = createTestCluster({ commandTimeoutMs: 20 });
+    await elect();
+    leaderServer.silent = true;
+    const startedAt = Date.now();
+    await assert.rejects(follower.call('getStatus'), { code: 'GAME_UNAVAILABLE' });
+    assert.ok(Date.now() - startedAt >= 15);
+    stop();
+  });
+});
@@ -0,0 +1,893 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { GAME_STATES } = require('../game/GameEngine');
+const { computeCrashPoint, createSeedChain } = require('../utils/provablyFair');
+const { multiplierAt, timeToReach } = require('../utils/multiplierCurve');
+const { emptyControls, startBreak } = require('../utils/responsibleGambling');
+const { toUnits, multiplyAmount } = require('../utils/money');
+const {
+  CLIENT_SEED,
+  PRICES,
+  flush,
+  findSeedChain,
+  createTestEngine,
+  advanceToFlight
+} = require('./helpers');
+
+const PLAYER_ID = 'player-1';
+// Balances are minor units; at a price of 1, one USDT is one dollar
+const usdt = amount => toUnits(amount, 'USDT');
+const funded = { [PLAYER_ID]: { username: 'alice', wallet: { BTC: toUnits(0.01, 'BTC'), ETH: toUnits(1, 'ETH'), USDT: usdt(100) } } };
+
+/**
+ * Engine with one connected, funded player whose first round crashes where the predicate allows
+ * @param {Function} predicate - Crash point filter for round 1
+ * @param {Object} [options] - Extra createTestEngine options
+ * @returns {Promise<Object>} Test engine
+ */
+async function startWithPlayer(predicate, options = {}) {
+  const setup = createTestEngine({ players: funded, seedSource: findSeedChain(predicate), ...options });
+  await setup.engine.connectPlayer(PLAYER_ID, 'socket-1');
+  setup.engine.start();
+  return setup;
+}
+
+describe('crash point distribution', () => {
+  const houseEdge = 0.01;
+  const samples = 20000;
+  const points = [];
+  for (let i = 0; i < samples; i++) {
+    points.push(computeCrashPoint(crypto.randomBytes(32).toString('hex'), CLIENT_SEED, { houseEdge, maxCrash: 120 }));
+  }
+  const share = predicate => points.filter(predicate).length / samples;
+
+  test('stays between 1x and the maximum crash point', () => {
+    assert.ok(points.every(point => point >= 1 && point <= 120));
+  });
+
+  test('reaches a multiplier m with probability (1 - edge) / m', () => {
+    for (const m of [1.5, 2, 5, 10]) {
+      const expected = (1 - houseEdge) / m;
+      const actual = share(point => point >= m);
+      assert.ok(Math.abs(actual - expected) < 0.02, `P(crash >= ${m}) = ${actual}, expected ${expected}`);
+    }
+  });
+
+  test('is reproducible from the seed', () => {
+    const seed = 'a'.repeat(64);
+    assert.equal(
+      computeCrashPoint(seed, CLIENT_SEED, { houseEdge, maxCrash: 120 }),
+      computeCrashPoint(seed, CLIENT_SEED, { houseEdge, maxCrash: 120 })
+    );
+  });
+});
+
+describe('round lifecycle', () => {
+  test('runs BETTING → RUNNING → CRASHED → SETTLING and crashes at the committed point', async () => {
+    const seedSource = createSeedChain('lifecycle', 10);
+    const { engine, clock, repository, events } = createTestEngine({ seedSource });
+    engine.start();
+
+    const expected = computeCrashPoint(seedSource.getRoundSeed(1).serverSeed, CLIENT_SEED, { houseEdge: 0.01, maxCrash: 120 });
+    assert.equal(engine.gameState, GAME_STATES.BETTING);
+    assert.equal(engine.getSnapshot().seedHash, seedSource.getRoundSeed(1).seedHash);
+
+    await advanceToFlight(engine, clock);
+    assert.equal(engine.gameState, GAME_STATES.RUNNING);
+
+    await clock.advance(Math.ceil(timeToReach(expected, engine.growthRate)));
+    assert.equal(engine.gameState, GAME_STATES.CRASHED);
+
+    const crashed = events.find(event => event.name === 'crashed').args[0];
+    assert.equal(crashed.crashPoint, expected);
+    assert.equal(crashed.serverSeed, seedSource.getRoundSeed(1).serverSeed);
+
+    await clock.advance(engine.resultDisplayMs);
+    const states = events.filter(event => event.name === 'gameState').map(event => event.args[0].state);
+    assert.deepEqual(states, ['BETTING', 'RUNNING', 'CRASHED', 'SETTLING', 'BETTING']);
+    assert.equal(engine.roundNumber, 2);
+    assert.equal(repository.rounds.get(1).status, 'completed');
+    assert.equal(repository.rounds.get(1).crashPoint, expected);
+    engine.stop();
+  });
+
+  test('keeps playing on the next seed chain when one runs out', async () => {
+    const seedSource = createSeedChain('rotation', 2);
+    const { engine, clock, repository } = createTestEngine({ seedSource });
+    engine.start();
+
+    while (engine.roundNumber < 4) {
+      await clock.advance(1000);
+    }
+    const third = repository.rounds.get(3);
+    assert.equal(third.status, 'completed');
+    assert.equal(third.chainPosition, 1);
+    assert.equal(third.terminalHash, seedSource.getCommitment(1).next.terminalHash);
+    assert.notEqual(third.terminalHash, repository.rounds.get(2).terminalHash);
+    assert.equal(third.crashPoint, computeCrashPoint(seedSource.getRoundSeed(3).serverSeed, CLIENT_SEED, { houseEdge: 0.01, maxCrash: 120 }));
+    engine.stop();
+  });
+});
+
+describe('bets and cashouts', () => {
+  test('debits the bet and credits the cashout at the multiplier of the receive time', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point >= 3);
+    const bet = await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    assert.equal(bet.success, true);
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90));
+
+    await advanceToFlight(engine, clock);
+    await clock.advance(10000);
+    const expected = multiplierAt(clock.now() - engine.roundStartTime, engine.growthRate);
+    const payout = await engine.cashOut(PLAYER_ID);
+
+    // Winnings round down to the micro-USDT and then to the cent
+    const winnings = multiplyAmount(usdt(10), expected);
+    assert.equal(payout.multiplier, expected.toFixed(2));
+    assert.equal(payout.winnings, (Math.floor(winnings / 10000) / 100).toFixed(2));
+    assert.equal(payout.balance, ((usdt(90) + winnings) / 1e6).toFixed(6));
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90) + winnings);
+    engine.stop();
+  });
+
+  test('prices crypto bets at the fresh price', async () => {
+    const { engine, repository } = await startWithPlayer(() => true);
+    const bet = await engine.placeBet(PLAYER_ID, { usdAmount: 100, cryptoType: 'BTC' });
+    assert.equal(repository.getBalance(PLAYER_ID, 'BTC'), toUnits(0.01 - 100 / PRICES.BTC, 'BTC'));
+    assert.equal(bet.balance, '0.00800000');
+    engine.stop();
+  });
+
+  test('pays an auto-cashout at exactly its target', async () => {
+    const { engine, clock, repository, events } = await startWithPlayer(point => point >= 2.5);
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: 2 });
+
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(2, engine.growthRate)) + engine.autoCashoutTickMs);
+
+    const success = events.find(event => event.name === 'cashedOutSuccess');
+    assert.equal(success.args[1].multiplier, '2.00');
+    assert.equal(success.args[1].auto, true);
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(110));
+    engine.stop();
+  });
+
+  test('loses an auto-cashout target above the crash point', async () => {
+    const { engine, clock, repository, events } = await startWithPlayer(point => point < 1.5);
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: 1.5 });
+
+    await advanceToFlight(engine, clock);
+    await clock.advance(timeToReach(1.5, engine.growthRate) + engine.resultDisplayMs);
+
+    assert.equal(events.some(event => event.name === 'cashedOutSuccess'), false);
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90));
+    assert.equal(engine.getPlayer(PLAYER_ID).bets.size, 0);
+    engine.stop();
+  });
+
+  test('queues a bet sent during the flight for the next round', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point >= 2);
+    await advanceToFlight(engine, clock);
+
+    const queued = await engine.placeBet(PLAYER_ID, { usdAmount: 5, cryptoType: 'USDT' });
+    assert.equal(queued.queued, true);
+    assert.equal(queued.roundNumber, 2);
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(100));
+
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)) + engine.resultDisplayMs);
+    assert.equal(engine.roundNumber, 2);
+    assert.deepEqual([...engine.getPlayer(PLAYER_ID).bets.values()].map(bet => bet.roundNumber), [2]);
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(95));
+    engine.stop();
+  });
+});
+
+describe('several bets and partial cashouts', () => {
+  test('places independent bets in one round and cashes out one of them by id', async () => {
+    const { engine, clock, repository, events } = await startWithPlayer(point => point >= 3);
+    const safe = await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: 1.5 });
+    const longShot = await engine.placeBet(PLAYER_ID, { usdAmount: 5, cryptoType: 'USDT' });
+    const other = await engine.placeBet(PLAYER_ID, { usdAmount: 50, cryptoType: 'ETH' });
+    assert.equal(new Set([safe.betId, longShot.betId, other.betId]).size, 3);
+    await assert.rejects(engine.placeBet(PLAYER_ID, { usdAmount: 1, cryptoType: 'USDT' }), /at most 3 bets per round/);
+    assert.deepEqual(events.filter(event => event.name === 'playerBet').map(event => event.args[0].betId), [safe.betId, longShot.betId, other.betId]);
+    assert.deepEqual(repository.transactions.map(tx => tx.betId), [safe.betId, longShot.betId, other.betId]);
+
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(1.5, engine.growthRate)) + engine.autoCashoutTickMs);
+    const autoCashout = events.find(event => event.name === 'cashedOutSuccess').args[1];
+    assert.equal(autoCashout.betId, safe.betId);
+    assert.equal(autoCashout.auto, true);
+
+    await assert.rejects(engine.cashOut(PLAYER_ID), /choose the one to cash out/);
+    const payout = await engine.cashOut(PLAYER_ID, clock.now(), { betId: longShot.betId });
+    assert.equal(payout.betId, longShot.betId);
+    assert.deepEqual([...engine.getPlayer(PLAYER_ID).bets.keys()], [other.betId]);
+    assert.equal(events.filter(event => event.name === 'playerCashout').pop().args[0].betId, longShot.betId);
+    engine.stop();
+  });
+
+  test('cashes out part of a bet and leaves the rest riding', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point >= 3);
+    const { betId } = await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(engine, clock);
+    await clock.advance(5000);
+
+    const first = multiplierAt(clock.now() - engine.roundStartTime, engine.growthRate);
+    const partial = await engine.cashOut(PLAYER_ID, clock.now(), { betId, fraction: 0.25 });
+    assert.equal(partial.partial, true);
+    assert.equal(partial.remainingUSD, '7.50');
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90) + multiplyAmount(usdt(2.5), first));
+    assert.equal(engine.getExposure().currencies.USDT.openStake, '7.500000');
+    assert.equal(engine.getRoster().bets[0].status, 'playing');
+
+    await clock.advance(3000);
+    const second = multiplierAt(clock.now() - engine.roundStartTime, engine.growthRate);
+    const rest = await engine.cashOut(PLAYER_ID, clock.now(), { betId });
+    assert.equal(rest.partial, false);
+    const paidOut = multiplyAmount(usdt(2.5), first) + multiplyAmount(usdt(7.5), second);
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90) + paidOut);
+    assert.equal(engine.getPlayer(PLAYER_ID).bets.size, 0);
+
+    const cashouts = repository.transactions.filter(tx => tx.transactionType === 'cashout');
+    assert.deepEqual(cashouts.map(tx => tx.stakeAmount), [usdt(2.5), usdt(7.5)]);
+    assert.deepEqual(cashouts.map(tx => tx.idempotencyKey), [`cashout:${betId}:1`, `cashout:${betId}:2`]);
+    const stored = repository.bets.get(betId);
+    assert.equal(stored.status, 'cashedOut');
+    assert.equal(stored.payoutCrypto, paidOut);
+    assert.equal(stored.cashoutMultiplier, second);
+    assert.equal(stored.profitUSD, stored.payoutUSD - 1000);
+    engine.stop();
+  });
+
+  test('keeps a partial cashout of a bet that loses the rest', async () => {
+    const { engine, clock, repository, events } = await startWithPlayer(point => point >= 1.5 && point < 3);
+    const { betId } = await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(1.2, engine.growthRate)));
+
+    const partial = await engine.cashOut(PLAYER_ID, clock.now(), { betId, fraction: 0.5 });
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)) + engine.resultDisplayMs);
+
+    const stored = repository.bets.get(betId);
+    assert.equal(stored.status, 'lost');
+    assert.equal(stored.payoutUSD, Math.round(parseFloat(partial.winnings) * 100));
+    assert.equal(stored.profitUSD, stored.payoutUSD - 1000);
+    const summary = events.find(event => event.name === 'roundSummary').args[0];
+    assert.equal(summary.winners, 1);
+    assert.equal(summary.paidOutUSD, partial.winnings);
+    engine.stop();
+  });
+
+  test('refunds only the stake still riding when the round is voided', async () => {
+    const first = await startWithPlayer(point => point >= 3);
+    const { betId } = await first.engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(first.engine, first.clock);
+    await first.clock.advance(2000);
+    await first.engine.cashOut(PLAYER_ID, first.clock.now(), { betId, fraction: 0.5 });
+    const balance = first.repository.getBalance(PLAYER_ID, 'USDT');
+    first.engine.stop();
+
+    const { engine, repository } = createTestEngine({ repository: first.repository });
+    await engine.recover();
+    const refund = repository.transactions.find(tx => tx.transactionType === 'refund');
+    assert.equal(refund.betId, betId);
+    assert.equal(refund.cryptoAmount, usdt(5));
+    assert.equal(refund.usdAmount, 500);
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), balance + usdt(5));
+  });
+});
+
+describe('bet history', () => {
+  test('records each bet with its cashout multiplier and profit, and marks the rest lost', async () => {
+    const players = {
+      ...funded,
+      'player-2': { username: 'bob', wallet: { USDT: usdt(100) } }
+    };
+    const { engine, clock, repository, events } = createTestEngine({ players, seedSource: findSeedChain(point => point >= 2.5) });
+    await engine.connectPlayer(PLAYER_ID, 'socket-1');
+    await engine.connectPlayer('player-2', 'socket-2');
+    engine.start();
+    const aliceBet = await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: 2 });
+    const bobBet = await engine.placeBet('player-2', { usdAmount: 5, cryptoType: 'USDT' });
+
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)) + engine.resultDisplayMs);
+
+    const won = repository.bets.get(aliceBet.betId);
+    assert.equal(won.username, 'alice');
+    assert.equal(won.status, 'cashedOut');
+    assert.equal(won.cashoutMultiplier, 2);
+    assert.equal(won.payoutCrypto, usdt(20));
+    assert.equal(won.payoutUSD, 2000);
+    assert.equal(won.profitUSD, 1000);
+
+    const lost = repository.bets.get(bobBet.betId);
+    assert.equal(lost.status, 'lost');
+    assert.equal(lost.cashoutMultiplier, null);
+    assert.equal(lost.profitUSD, -500);
+    assert.deepEqual(events.find(event => event.name === 'roundSettled').args[0], { roundNumber: 1, crashPoint: repository.rounds.get(1).crashPoint });
+    engine.stop();
+  });
+
+  test('keeps a live roster of the round and broadcasts its summary at the crash', async () => {
+    const players = {
+      ...funded,
+      'player-2': { username: 'bob', wallet: { USDT: usdt(100) } }
+    };
+    const { engine, clock, events } = createTestEngine({ players, seedSource: findSeedChain(point => point >= 2.5) });
+    await engine.connectPlayer(PLAYER_ID, 'socket-1');
+    await engine.connectPlayer('player-2', 'socket-2');
+    engine.start();
+    await engine.placeBet('player-2', { usdAmount: 5, cryptoType: 'USDT' });
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: 2 });
+
+    const roster = engine.getRoster();
+    assert.equal(roster.roundNumber, 1);
+    assert.deepEqual(roster.bets.map(entry => [entry.username, entry.status]), [['alice', 'playing'], ['bob', 'playing']]);
+    assert.equal(events.filter(event => event.name === 'playerBet').length, 2);
+
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)));
+
+    const cashout = events.find(event => event.name === 'playerCashout').args[0];
+    assert.equal(cashout.roundNumber, 1);
+    assert.equal(cashout.usdAmount, '10.00');
+    assert.deepEqual(engine.getRoster().bets.map(entry => entry.status), ['cashedOut', 'lost']);
+
+    const summary = events.find(event => event.name === 'roundSummary').args[0];
+    assert.equal(summary.roundNumber, 1);
+    assert.equal(summary.crashPoint, engine.crashPoint.toFixed(2));
+    assert.equal(summary.players, 2);
+    assert.equal(summary.winners, 1);
+    assert.equal(summary.wageredUSD, '15.00');
+    assert.equal(summary.paidOutUSD, '20.00');
+    assert.deepEqual(summary.topWinners.map(entry => [entry.username, entry.multiplier, entry.profitUSD]), [['alice', '2.00', '10.00']]);
+    engine.stop();
+  });
+});
+
+describe('crash and cashout races', () => {
+  test('rejects a cashout received past the crash instant even before the crash timer fires', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point >= 2);
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(engine, clock);
+
+    await assert.rejects(engine.cashOut(PLAYER_ID, engine.crashAt + 1), { code: 'CASHOUT_REJECTED' });
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90));
+    engine.stop();
+  });
+
+  test('pays a cashout received at the crash instant at the crash point', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point >= 2);
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(engine, clock);
+
+    const payout = await engine.cashOut(PLAYER_ID, engine.crashAt);
+    assert.equal(payout.multiplier, engine.crashPoint.toFixed(2));
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90) + multiplyAmount(usdt(10), engine.crashPoint));
+    engine.stop();
+  });
+
+  test('rejects a cashout processed after the crash', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point >= 2);
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(engine, clock);
+    const receivedAt = clock.now() + 1000;
+
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)));
+    assert.equal(engine.gameState, GAME_STATES.CRASHED);
+    await assert.rejects(engine.cashOut(PLAYER_ID, receivedAt), { code: 'CASHOUT_REJECTED' });
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90));
+    engine.stop();
+  });
+
+  test('pays a cashout accepted before the crash even if the ledger write finishes after it', async () => {
+    const { engine, clock, repository, events } = await startWithPlayer(point => point >= 1.2 && point < 1.5);
+    const { betId } = await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(engine, clock);
+    await clock.advance(1000);
+
+    // Hold the cashout's ledger write until after the crash and settlement
+    let release;
+    const applyBalanceChange = repository.applyBalanceChange;
+    repository.applyBalanceChange = async change => {
+      await new Promise(resolve => { release = resolve; });
+      return applyBalanceChange(change);
+    };
+
+    const cashout = engine.cashOut(PLAYER_ID);
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)) + engine.resultDisplayMs);
+    assert.equal(engine.roundNumber, 2);
+    // The next round is under way, but the settled round is only announced with its bets stored
+    assert.ok(!events.some(event => event.name === 'roundSettled'));
+
+    release();
+    const payout = await cashout;
+    assert.equal(payout.multiplier, multiplierAt(1000, engine.growthRate).toFixed(2));
+    assert.ok(repository.getBalance(PLAYER_ID, 'USDT') > usdt(100));
+    await engine.flushWrites();
+    assert.equal(events.find(event => event.name === 'roundSettled').args[0].roundNumber, 1);
+    assert.equal(repository.bets.get(betId).status, 'cashedOut');
+    engine.stop();
+  });
+
+  test('pays a repeated cashout only once', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point >= 2);
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(engine, clock);
+    await clock.advance(2000);
+
+    const results = await Promise.allSettled([engine.cashOut(PLAYER_ID), engine.cashOut(PLAYER_ID)]);
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(repository.transactions.filter(tx => tx.transactionType === 'cashout').length, 1);
+    engine.stop();
+  });
+
+  test('settles an auto-cashout the last tick missed when the crash fires', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point >= 1.1 && point < 3);
+    // The target sits between the last tick and the crash instant
+    const target = Math.floor(100 * (engine.crashPoint - 0.01)) / 100;
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: target });
+    await advanceToFlight(engine, clock);
+
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)));
+    await flush();
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90) + multiplyAmount(usdt(10), target));
+    engine.stop();
+  });
+
+  test('pays an auto-cashout target equal to the crash point', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point >= 1.1 && point < 3);
+    const target = engine.crashPoint;
+    const { betId } = await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: target });
+    await advanceToFlight(engine, clock);
+
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)));
+    await flush();
+    assert.equal(engine.gameState, GAME_STATES.CRASHED);
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90) + multiplyAmount(usdt(10), target));
+    assert.equal(repository.bets.get(betId).status, 'cashedOut');
+    engine.stop();
+  });
+});
+
+describe('bet payloads', () => {
+  test('rejects malformed bets before touching the wallet', async () => {
+    const { engine, repository } = await startWithPlayer(() => true);
+    const malformed = [
+      { usdAmount: 'ten', cryptoType: 'USDT' },
+      { usdAmount: '-10', cryptoType: 'USDT' },
+      { usdAmount: [10], cryptoType: 'USDT' },
+      { usdAmount: 10.005, cryptoType: 'USDT' },
+      { usdAmount: '10.005', cryptoType: 'USDT' },
+      { usdAmount: 0.05, cryptoType: 'USDT' },
+      { usdAmount: 10, cryptoType: 'toString' },
+      { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: 2.005 },
+      { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: 500 },
+      { usdAmount: 10, cryptoType: 'USDT', playerId: 'player-2' },
+      null
+    ];
+    for (const data of malformed) {
+      await assert.rejects(engine.placeBet(PLAYER_ID, data), { code: 'BET_REJECTED' });
+    }
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(100));
+
+    // Amounts may be decimal strings
+    await engine.placeBet(PLAYER_ID, { usdAmount: '10.25', cryptoType: 'USDT', autoCashoutAt: 1.55 });
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(89.75));
+    engine.stop();
+  });
+
+  test('rejects malformed cashouts before touching the bet', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point >= 2);
+    const { betId } = await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(engine, clock);
+    await clock.advance(1000);
+
+    const malformed = [
+      'all',
+      { betId: 42 },
+      { betId: '' },
+      { betId, fraction: 0 },
+      { betId, fraction: 1.5 },
+      { betId, fraction: '0.5' },
+      { betId, fraction: 0.333 },
+      { betId, amount: 5 }
+    ];
+    for (const data of malformed) {
+      await assert.rejects(engine.cashOut(PLAYER_ID, clock.now(), data), { code: 'CASHOUT_REJECTED' });
+    }
+    await assert.rejects(engine.cashOut(PLAYER_ID, clock.now(), { betId: 'someone-else' }), { code: 'CASHOUT_REJECTED' });
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90));
+    engine.stop();
+  });
+});
+
+describe('insufficient balance', () => {
+  test('rejects a bet larger than the wallet and leaves no open bet', async () => {
+    const { engine, repository } = await startWithPlayer(() => true);
+    await assert.rejects(
+      engine.placeBet(PLAYER_ID, { usdAmount: 1000, cryptoType: 'USDT' }),
+      { code: 'INSUFFICIENT_BALANCE' }
+    );
+    assert.equal(engine.getPlayer(PLAYER_ID).bets.size, 0);
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(100));
+
+    // The player can still bet what they have
+    await engine.placeBet(PLAYER_ID, { usdAmount: 100, cryptoType: 'USDT' });
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(0));
+    engine.stop();
+  });
+
+  test('fails a queued bet the wallet can no longer cover', async () => {
+    const { engine, clock, events } = await startWithPlayer(point => point >= 1.5);
+    await advanceToFlight(engine, clock);
+    await engine.placeBet(PLAYER_ID, { usdAmount: 500, cryptoType: 'USDT' });
+
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)) + engine.resultDisplayMs);
+    const failure = events.filter(event => event.name === 'betPlaced').pop().args[1];
+    assert.equal(failure.success, false);
+    assert.match(failure.message, /Insufficient USDT balance/);
+    assert.equal(engine.getPlayer(PLAYER_ID).bets.size, 0);
+    engine.stop();
+  });
+
+  test('stops an auto-bet that can no longer be funded', async () => {
+    const { engine, clock, events } = await startWithPlayer(() => true);
+    await engine.setAutoBet(PLAYER_ID, { strategy: 'fixed', baseBetUSD: 150, cryptoType: 'USDT', autoCashoutAt: 2 });
+
+    // Auto-bets are placed when the next betting window opens
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)) + engine.resultDisplayMs);
+
+    const stopped = events.find(event => event.name === 'autoBetStopped');
+    assert.match(stopped.args[1].reason, /Insufficient USDT balance/);
+    assert.equal(engine.getPlayer(PLAYER_ID).autoBet, null);
+    engine.stop();
+  });
+});
+
+describe('recovery and shutdown', () => {
+  test('resumes numbering after a restart and refunds bets of the interrupted round', async () => {
+    const first = await startWithPlayer(point => point >= 3);
+    const { betId } = await first.engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(first.engine, first.clock);
+    // The process dies mid-flight
+    first.engine.stop();
+    assert.equal(first.repository.getBalance(PLAYER_ID, 'USDT'), usdt(90));
+
+    const { engine, repository } = createTestEngine({ repository: first.repository });
+    await engine.recover();
+
+    assert.equal(engine.roundNumber, 2);
+    assert.equal(repository.rounds.get(1).status, 'aborted');
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(100));
+
+    // Recovering again refunds nothing twice
+    await engine.recover();
+    assert.equal(repository.transactions.filter(tx => tx.transactionType === 'refund').length, 1);
+    assert.equal(repository.bets.get(betId).status, 'refunded');
+  });
+
+  test('keeps winnings of a player who cashed out before the restart', async () => {
+    const first = await startWithPlayer(point => point >= 3);
+    await first.engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(first.engine, first.clock);
+    await first.clock.advance(2000);
+    await first.engine.cashOut(PLAYER_ID);
+    const balance = first.repository.getBalance(PLAYER_ID, 'USDT');
+    first.engine.stop();
+
+    const { engine, repository } = createTestEngine({ repository: first.repository });
+    await engine.recover();
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), balance);
+    assert.equal(repository.rounds.get(1).status, 'aborted');
+  });
+
+  test('voids the round and refunds bets when shutting down during betting', async () => {
+    const { engine, repository, events } = await startWithPlayer(() => true);
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+
+    await engine.shutdown();
+    assert.equal(repository.rounds.get(1).status, 'aborted');
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(100));
+    assert.equal(events.filter(event => event.name === 'betRefunded').length, 1);
+    assert.ok(events.some(event => event.name === 'roundAborted'));
+    await assert.rejects(engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' }), { code: 'BET_REJECTED' });
+  });
+
+  test('finishes a flight that crashes within the grace period', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point < 2);
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(engine, clock);
+
+    const shutdown = engine.shutdown({ graceMs: 60000 });
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)));
+    await shutdown;
+
+    assert.equal(repository.rounds.get(1).status, 'completed');
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(90));
+    assert.equal(engine.roundNumber, 2);
+    assert.equal(engine.gameState, GAME_STATES.SETTLING);
+  });
+
+  test('voids a flight that would outlast the grace period', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point >= 10);
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await advanceToFlight(engine, clock);
+
+    await engine.shutdown({ graceMs: 1000 });
+    assert.equal(repository.rounds.get(1).status, 'aborted');
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(100));
+  });
+});
+
+describe('operator controls', () => {
+  test('finishes the current round when paused and starts the next one on resume', async () => {
+    const { engine, clock } = await startWithPlayer(point => point < 2);
+    await engine.pause();
+    assert.equal(engine.gameState, GAME_STATES.BETTING);
+
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)) + engine.resultDisplayMs + 60000);
+    assert.equal(engine.gameState, GAME_STATES.SETTLING);
+    assert.equal(engine.roundNumber, 2);
+    assert.equal(engine.getSnapshot().paused, true);
+    await assert.rejects(engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' }), /paused/);
+
+    await engine.resume();
+    assert.equal(engine.gameState, GAME_STATES.BETTING);
+    assert.equal(engine.roundNumber, 2);
+    engine.stop();
+  });
+
+  test('validates runtime settings and applies them from the next round', async () => {
+    const { engine, clock, repository } = await startWithPlayer(point => point < 2);
+    await assert.rejects(engine.updateSettings({ houseEdge: 0.5 }), { code: 'SETTINGS_REJECTED' });
+    await assert.rejects(engine.updateSettings({ jackpot: 1 }), { code: 'SETTINGS_REJECTED' });
+
+    await advanceToFlight(engine, clock);
+    const settings = await engine.updateSettings({ houseEdge: 0.02, bettingSeconds: 5 });
+    assert.equal(settings.houseEdge, 0.02);
+    assert.equal(repository.rounds.get(1).houseEdge, 0.01);
+
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)) + engine.resultDisplayMs);
+    assert.equal(repository.rounds.get(2).houseEdge, 0.02);
+    assert.ok(Math.abs(engine.bettingEndsAt - clock.now() - 5000) < 1);
+    engine.stop();
+  });
+
+  test('restores settings and the pause after a restart', async () => {
+    const first = await startWithPlayer(() => true);
+    await first.engine.updateSettings({ maxBetUSD: 50 });
+    await first.engine.pause();
+    first.engine.stop();
+
+    const { engine } = createTestEngine({ repository: first.repository });
+    await engine.recover();
+    engine.start();
+    assert.equal(engine.maxBetUSD, 50);
+    assert.equal(engine.gameState, GAME_STATES.SETTLING);
+    assert.equal(engine.getSnapshot().paused, true);
+    engine.stop();
+  });
+
+  test('rejects bets above the maximum and cashes out bets reaching the maximum payout', async () => {
+    const { engine, clock, repository, events } = await startWithPlayer(point => point >= 3, { maxBetUSD: 20, maxPayoutUSD: 25 });
+    await assert.rejects(engine.placeBet(PLAYER_ID, { usdAmount: 30, cryptoType: 'USDT' }), /Maximum bet is \$20/);
+
+    await engine.placeBet(PLAYER_ID, { usdAmount: 20, cryptoType: 'USDT', autoCashoutAt: 2 });
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(1.25, engine.growthRate)) + engine.autoCashoutTickMs);
+
+    const payout = events.find(event => event.name === 'cashedOutSuccess').args[1];
+    assert.equal(payout.limit, 'bet');
+    assert.equal(payout.auto, false);
+    assert.equal(payout.multiplier, '1.25');
+    assert.equal(payout.winnings, '25.00');
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(105));
+    engine.stop();
+  });
+
+  test('cashes out every open bet where the round would reach its payout limit', async () => {
+    const players = {
+      ...funded,
+      'player-2': { username: 'bob', wallet: { USDT: usdt(100) } }
+    };
+    const seedSource = findSeedChain(point => point >= 3);
+    const { engine, clock, repository, events } = createTestEngine({ players, seedSource, maxRoundPayout: { USDT: 60 } });
+    await engine.connectPlayer(PLAYER_ID, 'socket-1');
+    await engine.connectPlayer('player-2', 'socket-2');
+    engine.start();
+    assert.deepEqual(engine.getSnapshot().limits.maxRoundPayout, { USDT: 60 });
+
+    await engine.placeBet('player-2', { usdAmount: 30, cryptoType: 'USDT' });
+    await assert.rejects(engine.placeBet(PLAYER_ID, { usdAmount: 40, cryptoType: 'USDT' }), /reached its USDT limit/);
+    const { betId } = await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    assert.equal(engine.getExposure().currencies.USDT.limitMultiplier, 1.5);
+
+    await advanceToFlight(engine, clock);
+    assert.ok(events.some(event => event.name === 'exposure' && event.args[0].state === GAME_STATES.RUNNING));
+
+    // 12 paid at 1.2x leaves 48 for the remaining 30 staked: 1.6x
+    await engine.cashOutBet(PLAYER_ID, betId, 1.2);
+    await clock.advance(Math.ceil(timeToReach(1.6, engine.growthRate)) + engine.autoCashoutTickMs);
+
+    const forced = events.find(event => event.name === 'cashedOutSuccess' && event.args[0] === 'player-2').args[1];
+    assert.equal(forced.limit, 'round');
+    assert.equal(forced.multiplier, '1.60');
+    assert.equal(repository.getBalance('player-2', 'USDT'), usdt(118));
+    assert.equal(engine.getExposure().currencies.USDT.paidOut, '60.000000');
+    assert.deepEqual(events.find(event => event.name === 'payoutLimitReached').args[0], {
+      roundNumber: 1,
+      cryptoType: 'USDT',
+      multiplier: '1.60'
+    });
+
+    // The crash point is the committed one; the limit only settled the bets early
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)));
+    assert.equal(events.find(event => event.name === 'crashed').args[0].crashPoint,
+      computeCrashPoint(seedSource.getRoundSeed(1).serverSeed, CLIENT_SEED, { houseEdge: 0.01, maxCrash: 120 }));
+    engine.stop();
+  });
+
+  test('keeps the round\'s payouts within its limit when the stakes do not divide it', async () => {
+    const players = {
+      [PLAYER_ID]: { username: 'alice', wallet: { USDT: usdt(200) } },
+      'player-2': { username: 'bob', wallet: { USDT: usdt(200) } }
+    };
+    const { engine, clock, repository } = createTestEngine({ players, seedSource: findSeedChain(point => point >= 2), maxRoundPayout: { USDT: 203 } });
+    await engine.connectPlayer(PLAYER_ID, 'socket-1');
+    await engine.connectPlayer('player-2', 'socket-2');
+    engine.start();
+    await engine.placeBet(PLAYER_ID, { usdAmount: 102, cryptoType: 'USDT' });
+    await engine.placeBet('player-2', { usdAmount: 100, cryptoType: 'USDT' });
+
+    // 203 / 202 is 1.0049504950...; rounding it up to 1.00495050 would pay 203.000001
+    assert.equal(engine.getExposure().currencies.USDT.limitMultiplier, 1.00495049);
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(1.01, engine.growthRate)) + engine.autoCashoutTickMs);
+
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(98) + multiplyAmount(usdt(102), 1.00495049));
+    assert.equal(repository.getBalance('player-2', 'USDT'), usdt(100) + multiplyAmount(usdt(100), 1.00495049));
+    assert.equal(engine.getExposure().currencies.USDT.paidOut, '202.999998');
+    engine.stop();
+  });
+
+  test('reports open stakes, liability and payouts of the current round', async () => {
+    const players = {
+      ...funded,
+      'player-2': { username: 'bob', wallet: { USDT: usdt(100) } }
+    };
+    const { engine, clock } = createTestEngine({ players, seedSource: findSeedChain(point => point >= 3) });
+    await engine.connectPlayer(PLAYER_ID, 'socket-1');
+    await engine.connectPlayer('player-2', 'socket-2');
+    engine.start();
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await engine.placeBet('player-2', { usdAmount: 30, cryptoType: 'USDT' });
+
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(2, engine.growthRate)));
+    await engine.cashOut(PLAYER_ID);
+
+    const { currencies, multiplier } = engine.getExposure();
+    assert.equal(currencies.USDT.bets, 2);
+    assert.equal(currencies.USDT.staked, '40.000000');
+    assert.equal(currencies.USDT.openBets, 1);
+    assert.equal(currencies.USDT.openStake, '30.000000');
+    assert.equal(currencies.USDT.liability, (multiplyAmount(usdt(30), multiplier) / 1e6).toFixed(6));
+    assert.ok(Number(currencies.USDT.paidOut) >= 20);
+    assert.equal(currencies.BTC.bets, 0);
+    engine.stop();
+  });
+
+  test('stops a frozen player from betting and ends their auto-bet', async () => {
+    const { engine, events } = await startWithPlayer(() => true);
+    await engine.setAutoBet(PLAYER_ID, { baseBetUSD: 1, cryptoType: 'USDT', autoCashoutAt: 2 });
+
+    await engine.setPlayerStatus(PLAYER_ID, 'frozen');
+    assert.equal(engine.getPlayer(PLAYER_ID).autoBet, null);
+    assert.ok(events.some(event => event.name === 'autoBetStopped'));
+    await assert.rejects(engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' }), /frozen/);
+    await assert.rejects(engine.setAutoBet(PLAYER_ID, { baseBetUSD: 1, cryptoType: 'USDT', autoCashoutAt: 2 }), { code: 'AUTO_BET_REJECTED' });
+
+    await engine.setPlayerStatus(PLAYER_ID, 'active');
+    assert.equal((await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' })).success, true);
+    engine.stop();
+  });
+});
+
+describe('responsible gambling', () => {
+  test('rejects a bet that would break a wager or loss limit and records the decision', async () => {
+    const controls = emptyControls();
+    controls.limits.wager.daily = 25;
+    controls.limits.loss.weekly = 12;
+    const players = { [PLAYER_ID]: { ...funded[PLAYER_ID], responsibleGambling: controls } };
+    const { engine, clock, repository } = createTestEngine({ players, seedSource: findSeedChain(point => point < 2) });
+    await engine.connectPlayer(PLAYER_ID, 'socket-1');
+    engine.start();
+
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: 2 });
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)) + engine.resultDisplayMs);
+
+    // $10 lost: a $5 bet could lose $15 in total, over the $12 weekly loss limit
+    await assert.rejects(engine.placeBet(PLAYER_ID, { usdAmount: 5, cryptoType: 'USDT' }), /weekly loss limit of \$12 \(\$2\.00 left\)/);
+    const blocked = repository.gamblingEvents.find(event => event.action === 'betBlocked');
+    assert.equal(blocked.playerId, PLAYER_ID);
+    assert.equal(blocked.rule, 'loss');
+    assert.equal(blocked.period, 'weekly');
+    assert.deepEqual(blocked.details, { usdAmount: '5.00', limitUSD: 12, usedUSD: 10 });
+
+    assert.equal((await engine.placeBet(PLAYER_ID, { usdAmount: 2, cryptoType: 'USDT' })).success, true);
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(88));
+    engine.stop();
+  });
+
+  test('counts open bets of the round against the loss and wager limits', async () => {
+    const controls = emptyControls();
+    controls.limits.loss.daily = 12;
+    controls.limits.wager.weekly = 20;
+    const players = { [PLAYER_ID]: { ...funded[PLAYER_ID], responsibleGambling: controls } };
+    const { engine, clock, repository } = createTestEngine({ players, seedSource: findSeedChain(point => point >= 2) });
+    await engine.connectPlayer(PLAYER_ID, 'socket-1');
+    engine.start();
+
+    const { betId } = await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' });
+    await assert.rejects(engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' }), /daily loss limit of \$12 \(\$2\.00 left\)/);
+
+    // Sent together, only the bets that fit are placed
+    const results = await Promise.allSettled([1, 2].map(() => engine.placeBet(PLAYER_ID, { usdAmount: 2, cryptoType: 'USDT' })));
+    assert.equal(results[0].status, 'fulfilled');
+    assert.match(results[1].reason.message, /daily loss limit of \$12 \(\$0\.00 left\)/);
+    assert.equal(repository.getBalance(PLAYER_ID, 'USDT'), usdt(88));
+
+    const blocked = repository.gamblingEvents.filter(event => event.action === 'betBlocked');
+    assert.deepEqual(blocked.map(event => event.details.usedUSD), [10, 12]);
+
+    // Cashed out at 1.5x the first bet won $5, leaving no loss at risk; the $12 wagered stays
+    await advanceToFlight(engine, clock);
+    await engine.cashOutBet(PLAYER_ID, betId, 1.5);
+    await assert.rejects(engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' }), /weekly wager limit of \$20 \(\$8\.00 left\)/);
+    assert.equal((await engine.placeBet(PLAYER_ID, { usdAmount: 8, cryptoType: 'USDT' })).queued, true);
+    engine.stop();
+  });
+
+  test('blocks bets and auto-bets during a cooldown', async () => {
+    const { engine, clock, repository, events } = await startWithPlayer(() => true);
+    await engine.setAutoBet(PLAYER_ID, { baseBetUSD: 1, cryptoType: 'USDT', autoCashoutAt: 2 });
+
+    const { controls } = startBreak(emptyControls(), 'cooldown', 1, clock.now());
+    await engine.setResponsibleGambling(PLAYER_ID, controls);
+    assert.equal(engine.getPlayer(PLAYER_ID).autoBet, null);
+    assert.match(events.find(event => event.name === 'autoBetStopped').args[1].reason, /taking a break/);
+    await assert.rejects(engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT' }), { code: 'BET_REJECTED' });
+    await assert.rejects(engine.setAutoBet(PLAYER_ID, { baseBetUSD: 1, cryptoType: 'USDT', autoCashoutAt: 2 }), { code: 'AUTO_BET_REJECTED' });
+    assert.equal(repository.gamblingEvents[0].rule, 'cooldown');
+    engine.stop();
+  });
+
+  test('reminds a player of their session time and result', async () => {
+    const players = { [PLAYER_ID]: { ...funded[PLAYER_ID], responsibleGambling: { sessionReminderMinutes: 5 } } };
+    const { engine, clock, repository, events } = createTestEngine({ players, seedSource: findSeedChain(point => point < 2) });
+    await engine.connectPlayer(PLAYER_ID, 'socket-1');
+    engine.start();
+    await engine.placeBet(PLAYER_ID, { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: 2 });
+
+    await clock.advance(5 * 60 * 1000);
+    const [playerId, reminder] = events.find(event => event.name === 'sessionReminder').args;
+    assert.equal(playerId, PLAYER_ID);
+    assert.equal(reminder.minutes, 5);
+    assert.equal(reminder.wageredUSD, '10.00');
+    assert.equal(reminder.profitUSD, '-10.00');
+    assert.equal(repository.gamblingEvents[0].action, 'sessionReminder');
+
+    // The session ends with the player's last connection
+    engine.disconnectPlayer(PLAYER_ID, 'socket-1');
+    await clock.advance(5 * 60 * 1000);
+    assert.equal(events.filter(event => event.name === 'sessionReminder').length, 1);
+    engine.stop();
+  });
+});
@@ -0,0 +1,140 @@
+const { GameEngine } = require('../game/GameEngine');
+const { createMemoryRepository } = require('../game/memoryRepository');
+const { createSeedChain, computeCrashPoint } = require('../utils/provablyFair');
+const { ASSETS } = require('../utils/assets');
+
+const CLIENT_SEED = 'test-client-seed';
+const PRICES = { BTC: 50000, ETH: 2500, USDT: 1 };
+
+const silentLogger = { debug() {}, log() {}, warn() {}, error() {} };
+
+/**
+ * Let pending promise chains and setImmediate callbacks run
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Clock that only moves when told to
+ * @param {number} [start] - Initial time in ms
+ * @returns {Object} Clock with `advance(ms)`
+ */
+function createManualClock(start = 1700000000000) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  function schedule(callback, ms, every) {
+    const id = nextId++;
+    timers.set(id, { callback, at: now + Math.max(0, ms), every });
+    return id;
+  }
+
+  return {
+    now: () => now,
+    setTimeout: (callback, ms) => schedule(callback, ms, null),
+    setInterval: (callback, ms) => schedule(callback, ms, ms),
+    clearTimeout: id => timers.delete(id),
+    clearInterval: id => timers.delete(id),
+
+    /**
+     * Move time forward, firing due timers in order and settling promises after each
+     * @param {number} ms - Milliseconds to advance
+     */
+    async advance(ms) {
+      const target = now + ms;
+      for (;;) {
+        let due = null;
+        for (const [id, timer] of timers) {
+          if (timer.at <= target && (!due || timer.at < due.timer.at)) {
+            due = { id, timer };
+          }
+        }
+        if (!due) break;
+
+        now = due.timer.at;
+        if (due.timer.every) {
+          due.timer.at += due.timer.every;
+        } else {
+          timers.delete(due.id);
+        }
+        due.timer.callback();
+        await flush();
+      }
+      now = target;
+      await flush();
+    }
+  };
+}
+
+/**
+ * Seed chain whose first round crashes at a point matching a predicate
+ * @param {Function} predicate - Tested against round 1's crash point
+ * @returns {Object} Seed chain
+ */
+function findSeedChain(predicate) {
+  for (let i = 0; i < 10000; i++) {
+    const chain = createSeedChain(`test-root-${i}`, 10);
+    const crashPoint = computeCrashPoint(chain.getRoundSeed(1).serverSeed, CLIENT_SEED, {
+      houseEdge: 0.01,
+      maxCrash: 120
+    });
+    if (predicate(crashPoint)) return chain;
+  }
+  throw new Error('No seed chain matches the predicate');
+}
+
+/**
+ * Engine wired to a manual clock, fixed prices and an in-memory repository
+ * @param {Object} [options] - `players` or an existing `repository`, `seedSource` and engine overrides
+ * @returns {Object} `{ engine, clock, repository, events }`
+ */
+function createTestEngine({
+  players = {},
+  repository = createMemoryRepository({ players }),
+  seedSource = createSeedChain('test-root', 10),
+  ...overrides
+} = {}) {
+  const clock = createManualClock();
+  const engine = new GameEngine({
+    repository,
+    priceProvider: { getFreshPrice: async symbol => PRICES[symbol] },
+    seedSource,
+    clientSeed: CLIENT_SEED,
+    supportedCryptos: ASSETS,
+    clock,
+    logger: silentLogger,
+    ...overrides
+  });
+
+  // Every emitted event, in order, for assertions
+  const events = [];
+  const emit = engine.emit.bind(engine);
+  engine.emit = (name, ...args) => {
+    events.push({ name, args });
+    return emit(name, ...args);
+  };
+
+  return { engine, clock, repository, events };
+}
+
+/**
+ * Advance from the start of a betting window to the start of the flight
+ * @param {Object} engine - Game engine
+ * @param {Object} clock - Manual clock
+ */
+async function advanceToFlight(engine, clock) {
+  await clock.advance((engine.bettingSeconds + 1) * 1000);
+}
+
+module.exports = {
+  CLIENT_SEED,
+  PRICES,
+  flush,
+  createManualClock,
+  findSeedChain,
+  createTestEngine,
+  advanceToFlight
+};
@@ -0,0 +1,91 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLeaderLease } = require('../utils/leaderLease');
+
+/**
+ * Lease store with the same take-if-free-or-mine rule as the MongoDB store
+ * @returns {Object} Store with `leases` and `failing`
+ */
+function createMemoryLeaseStore() {
+  const store = {
+    leases: new Map(),
+    failing: false,
+
+    async acquire(name, holder, now, expiresAt) {
+      if (store.failing) throw new Error('connection lost');
+      const lease = store.leases.get(name);
+      if (lease && lease.holder !== holder && lease.expiresAt > now) return false;
+      store.leases.set(name, { holder, expiresAt });
+      return true;
+    },
+
+    async release(name, holder) {
+      const lease = store.leases.get(name);
+      if (lease && lease.holder === holder) store.leases.delete(name);
+    }
+  };
+  return store;
+}
+
+/**
+ * Two instances competing for one lease on a shared fake clock
+ * @returns {Object} `{ store, clock, a, b }`
+ */
+function createInstances() {
+  const store = createMemoryLeaseStore();
+  const clock = { time: 1700000000000 };
+  const now = () => clock.time;
+  const logger = { log() {}, warn() {}, error() {} };
+  const options = { name: 'game-leader', ttlMs: 10000, store, now, logger };
+  return {
+    store,
+    clock,
+    a: createLeaderLease({ ...options, instanceId: 'a' }),
+    b: createLeaderLease({ ...options, instanceId: 'b' })
+  };
+}
+
+describe('leader lease', () => {
+  test('elects one instance and hands over only once its lease expires', async () => {
+    const { clock, a, b } = createInstances();
+    const elected = [];
+    a.events.on('elected', () => elected.push('a'));
+    b.events.on('elected', () => elected.push('b'));
+
+    assert.equal(await a.renew(), true);
+    assert.equal(await b.renew(), false);
+
+    // The leader keeps the lease by renewing it
+    clock.time += 8000;
+    assert.equal(await a.renew(), true);
+    clock.time += 8000;
+    assert.equal(await b.renew(), false);
+
+    // Once it stops renewing, the lease expires and the other instance takes over
+    clock.time += 2000;
+    assert.equal(await b.renew(), true);
+    assert.equal(await a.renew(), false);
+    assert.deepEqual(elected, ['a', 'b']);
+  });
+
+  test('steps down as soon as a renewal fails', async () => {
+    const { store, a } = createInstances();
+    let revoked = 0;
+    a.events.on('revoked', () => revoked++);
+
+    await a.renew();
+    store.failing = true;
+    assert.equal(await a.renew(), false);
+    assert.equal(a.isLeader(), false);
+    assert.equal(revoked, 1);
+  });
+
+  test('releases the lease on stop so another instance can take over at once', async () => {
+    const { a, b } = createInstances();
+    await a.renew();
+    await a.stop();
+
+    assert.equal(a.isLeader(), false);
+    assert.equal(await b.renew(), true);
+  });
+});
@@ -0,0 +1,246 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLedger, findRidingStakes } = require('../utils/ledger');
+const { parseAmount } = require('../utils/money');
+
+const btc = amount => parseAmount(amount, 'BTC');
+
+/**
+ * Ledger store in memory with the same rules as the MongoDB store: debits
+ * only apply while the balance covers them, and a failed change inside
+ * `withTransaction` leaves nothing behind.
+ * @param {Object} players - Players keyed by id: `{ username, wallet }`
+ * @returns {Object} Store with `players`, `transactions`, `entries` and `auditLog`
+ */
+function createMemoryLedgerStore(players) {
+  const store = {
+    players,
+    transactions: [],
+    entries: [],
+    auditLog: [],
+
+    async withTransaction(work) {
+      const wallets = Object.fromEntries(Object.entries(players).map(([id, player]) => [id, { ...player.wallet }]));
+      const lengths = [store.transactions.length, store.entries.length, store.auditLog.length];
+      try {
+        return await work({});
+      } catch (error) {
+        for (const [id, wallet] of Object.entries(wallets)) players[id].wallet = wallet;
+        store.transactions.length = lengths[0];
+        store.entries.length = lengths[1];
+        store.auditLog.length = lengths[2];
+        throw error;
+      }
+    },
+
+    async findTransaction(idempotencyKey) {
+      return store.transactions.find(tx => tx.idempotencyKey === idempotencyKey) || null;
+    },
+
+    async findBalance(playerId, currency) {
+      return players[playerId] ? players[playerId].wallet[currency] : 0;
+    },
+
+    async moveBalance(playerId, currency, amount) {
+      const player = players[playerId];
+      const balance = player ? player.wallet[currency] || 0 : 0;
+      if (!player || balance + amount < 0) return null;
+      player.wallet[currency] = balance + amount;
+      return player.wallet[currency];
+    },
+
+    async createTransaction(record) {
+      const transaction = { _id: `tx${store.transactions.length + 1}`, ...record };
+      store.transactions.push(transaction);
+      return transaction;
+    },
+
+    async insertEntries(entries) {
+      store.entries.push(...entries);
+    },
+
+    async appendAudit(record) {
+      store.auditLog.push(record);
+    },
+
+    async transactionTotals() {
+      const totals = new Map();
+      for (const tx of store.transactions) {
+        const key = `${tx.playerId}:${tx.currency}`;
+        const total = totals.get(key) || { playerId: tx.playerId, currency: tx.currency, balance: 0 };
+        total.balance += tx.direction === 'credit' ? tx.cryptoAmount : -tx.cryptoAmount;
+        totals.set(key, total);
+      }
+      return [...totals.values()];
+    },
+
+    async findWallets() {
+      return Object.entries(players).map(([id, player]) => ({ _id: id, username: player.username, wallet: { ...player.wallet } }));
+    },
+
+    async findUnbalancedJournals() {
+      const journals = new Map();
+      for (const entry of store.entries) {
+        const journal = journals.get(entry.journalId) || { journalId: entry.journalId, currency: entry.currency, net: 0 };
+        journal.net += entry.side === 'debit' ? entry.amount : -entry.amount;
+        journals.set(entry.journalId, journal);
+      }
+      return [...journals.values()].filter(journal => journal.net !== 0);
+    }
+  };
+  return store;
+}
+
+function createTestLedger(wallet = { BTC: btc('1') }) {
+  const store = createMemoryLedgerStore({ alice: { username: 'alice', wallet: { ...wallet } } });
+  return { store, ledger: createLedger({ store }) };
+}
+
+describe('applyBalanceChange', () => {
+  test('writes the transaction, two balanced entries and an audit record', async () => {
+    const { store, ledger } = createTestLedger();
+    const result = await ledger.applyBalanceChange({
+      playerId: 'alice', currency: 'BTC', cryptoAmount: btc('0.25'), transactionType: 'bet', idempotencyKey: 'bet-1'
+    });
+
+    assert.equal(result.duplicate, false);
+    assert.equal(result.balance, btc('0.75'));
+    assert.equal(result.transaction.direction, 'debit');
+    assert.deepEqual(store.entries.map(entry => [entry.account, entry.side, entry.amount]), [
+      ['player:alice', 'debit', btc('0.25')],
+      ['house:bets', 'credit', btc('0.25')]
+    ]);
+    assert.equal(store.auditLog.length, 1);
+    assert.equal(store.auditLog[0].balance, btc('0.75'));
+  });
+
+  test('replaying an idempotency key returns the first result and posts nothing', async () => {
+    const { store, ledger } = createTestLedger();
+    const change = { playerId: 'alice', currency: 'BTC', cryptoAmount: btc('0.1'), transactionType: 'deposit', idempotencyKey: 'deposit-1' };
+
+    const first = await ledger.applyBalanceChange(change);
+    const replay = await ledger.applyBalanceChange({ ...change, cryptoAmount: btc('0.5') });
+
+    assert.equal(replay.duplicate, true);
+    assert.equal(replay.transaction, first.transaction);
+    assert.equal(replay.balance, btc('1.1'));
+    assert.equal(store.players.alice.wallet.BTC, btc('1.1'));
+    assert.equal(store.transactions.length, 1);
+    assert.equal(store.entries.length, 2);
+    assert.equal(store.auditLog.length, 1);
+  });
+
+  test('a debit that would overdraw throws INSUFFICIENT_BALANCE and changes nothing', async () => {
+    const { store, ledger } = createTestLedger({ BTC: btc('0.1') });
+
+    await assert.rejects(
+      ledger.applyBalanceChange({
+        playerId: 'alice', currency: 'BTC', cryptoAmount: btc('0.2'), transactionType: 'withdrawal', idempotencyKey: 'withdrawal-1'
+      }),
+      { code: 'INSUFFICIENT_BALANCE', message: 'Insufficient BTC balance' }
+    );
+
+    assert.equal(store.players.alice.wallet.BTC, btc('0.1'));
+    assert.equal(store.transactions.length, 0);
+    assert.equal(store.entries.length, 0);
+    assert.equal(store.auditLog.length, 0);
+
+    // The key was not used up by the failed debit
+    const retry = await ledger.applyBalanceChange({
+      playerId: 'alice', currency: 'BTC', cryptoAmount: btc('0.1'), transactionType: 'withdrawal', idempotencyKey: 'withdrawal-1'
+    });
+    assert.equal(retry.duplicate, false);
+    assert.equal(retry.balance, 0);
+  });
+
+  test('rejects changes without a direction, whole units or an idempotency key', async () => {
+    const { store, ledger } = createTestLedger();
+    const change = { playerId: 'alice', currency: 'BTC', cryptoAmount: btc('0.1'), transactionType: 'adjustment', idempotencyKey: 'adjustment-1' };
+
+    await assert.rejects(ledger.applyBalanceChange(change), /Invalid ledger transaction type: adjustment/);
+    await assert.rejects(ledger.applyBalanceChange({ ...change, direction: 'credit', cryptoAmount: 0.5 }), /positive whole number of minor units/);
+    await assert.rejects(ledger.applyBalanceChange({ ...change, direction: 'credit', idempotencyKey: undefined }), /require an idempotency key/);
+    assert.equal(store.transactions.length, 0);
+  });
+
+  test('joins the caller\'s session instead of opening its own', async () => {
+    const { store, ledger } = createTestLedger();
+    let opened = 0;
+    const withTransaction = store.withTransaction;
+    store.withTransaction = work => {
+      opened++;
+      return withTransaction(work);
+    };
+
+    await ledger.applyBalanceChange(
+      { playerId: 'alice', currency: 'BTC', cryptoAmount: btc('0.1'), transactionType: 'cashout', idempotencyKey: 'cashout-1' },
+      { session: {} }
+    );
+    assert.equal(opened, 0);
+    assert.equal(store.players.alice.wallet.BTC, btc('1.1'));
+  });
+});
+
+describe('reconcileBalances', () => {
+  test('is balanced when wallets match the transaction history', async () => {
+    const { ledger } = createTestLedger({ BTC: 0 });
+    await ledger.applyBalanceChange({ playerId: 'alice', currency: 'BTC', cryptoAmount: btc('1'), transactionType: 'deposit', idempotencyKey: 'd1' });
+    await ledger.applyBalanceChange({ playerId: 'alice', currency: 'BTC', cryptoAmount: btc('0.3'), transactionType: 'bet', idempotencyKey: 'b1' });
+
+    const report = await ledger.reconcileBalances();
+    assert.equal(report.checkedPlayers, 1);
+    assert.equal(report.balanced, true);
+    assert.deepEqual(report.mismatches, []);
+    assert.deepEqual(report.unbalancedJournals, []);
+  });
+
+  test('reports a wallet mismatch and an unbalanced journal', async () => {
+    const { store, ledger } = createTestLedger({ BTC: 0 });
+    await ledger.applyBalanceChange({ playerId: 'alice', currency: 'BTC', cryptoAmount: btc('1'), transactionType: 'deposit', idempotencyKey: 'd1' });
+    store.players.alice.wallet.BTC += btc('0.5');
+    store.entries[1].amount = btc('0.9');
+
+    const report = await ledger.reconcileBalances();
+    assert.equal(report.balanced, false);
+    assert.deepEqual(report.mismatches, [{
+      playerId: 'alice',
+      username: 'alice',
+      currency: 'BTC',
+      expected: '1.00000000',
+      actual: '1.50000000',
+      difference: '0.50000000'
+    }]);
+    assert.deepEqual(report.unbalancedJournals, [{ journalId: 'tx1', net: '-0.10000000' }]);
+  });
+});
+
+describe('findRidingStakes', () => {
+  const bet = (betId, amount) => ({ transactionType: 'bet', betId, playerId: 'alice', roundNumber: 7, cryptoAmount: btc(amount), usdAmount: 1000 });
+
+  test('only counts bets still open', () => {
+    const riding = findRidingStakes([
+      bet('open', '0.1'),
+      bet('cashed', '0.2'),
+      { transactionType: 'cashout', betId: 'cashed', cryptoAmount: btc('0.3'), stakeAmount: btc('0.2') },
+      bet('refunded', '0.3'),
+      { transactionType: 'refund', betId: 'refunded', cryptoAmount: btc('0.3') },
+      bet('partial', '0.4'),
+      { transactionType: 'cashout', betId: 'partial', cryptoAmount: btc('0.2'), stakeAmount: btc('0.1') }
+    ]);
+
+    assert.deepEqual(riding.map(({ betId, cryptoAmount, usdAmount }) => [betId, cryptoAmount, usdAmount]), [
+      ['open', btc('0.1'), 1000],
+      ['partial', btc('0.3'), 750]
+    ]);
+  });
+
+  test('a cashout stored before partial cashouts settles the whole bet', () => {
+    const riding = findRidingStakes([
+      { transactionType: 'bet', playerId: 'alice', roundNumber: 7, cryptoAmount: btc('0.1'), usdAmount: 1000 },
+      { transactionType: 'cashout', playerId: 'alice', roundNumber: 7, cryptoAmount: btc('0.2') },
+      { transactionType: 'bet', playerId: 'bob', roundNumber: 7, cryptoAmount: btc('0.1'), usdAmount: 1000 }
+    ]);
+
+    assert.deepEqual(riding.map(tx => tx.betId), ['7-bob']);
+  });
+});
@@ -0,0 +1,75 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Logger writing parsed lines to an array
+ * @param {Object} [options] - createLogger options
+ * @returns {Object} `{ logger, lines }`
+ */
+function capture(options = {}) {
+  const lines = [];
+  const logger = createLogger({ clock: () => 0, write: line => lines.push(JSON.parse(line)), ...options });
+  return { logger, lines };
+}
+
+describe('structured logger', () => {
+  test('writes one JSON line per call with time, level and message', () => {
+    const { logger, lines } = capture();
+    logger.info('🚀 Round 12 started', { roundNumber: 12 });
+    assert.deepEqual(lines, [{ time: '1970-01-01T00:00:00.000Z', level: 'info', msg: '🚀 Round 12 started', roundNumber: 12 }]);
+  });
+
+  test('drops lines below its level', () => {
+    const { logger, lines } = capture({ level: 'warn' });
+    logger.debug('a');
+    logger.info('b');
+    logger.log('c');
+    logger.warn('d');
+    logger.error('e');
+    assert.deepEqual(lines.map(line => [line.level, line.msg]), [['warn', 'd'], ['error', 'e']]);
+    assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level: verbose/);
+  });
+
+  test('adds the context of child loggers to every line', () => {
+    const { logger, lines } = capture({ context: { instanceId: 'a:1' } });
+    const round = logger.child({ component: 'game', roundNumber: 7 });
+    round.child({ playerId: 'p1' }).info('💸 cashed out', { multiplier: '2.00' });
+    assert.deepEqual(lines[0], {
+      time: '1970-01-01T00:00:00.000Z',
+      level: 'info',
+      msg: '💸 cashed out',
+      instanceId: 'a:1',
+      component: 'game',
+      roundNumber: 7,
+      playerId: 'p1',
+      multiplier: '2.00'
+    });
+  });
+
+  test('takes console-style arguments and serializes errors', () => {
+    const { logger, lines } = capture();
+    const error = new Error('Insufficient BTC balance');
+    error.code = 'INSUFFICIENT_BALANCE';
+    logger.error('❌ Error placing bet:', error);
+    logger.warn('⚠️ Lease', 'lost', 3);
+    logger.error('❌ Error recording bet', { playerId: 'p1', error });
+
+    assert.equal(lines[0].msg, '❌ Error placing bet:');
+    assert.equal(lines[0].error.message, 'Insufficient BTC balance');
+    assert.equal(lines[0].error.code, 'INSUFFICIENT_BALANCE');
+    assert.match(lines[0].error.stack, /Insufficient BTC balance/);
+    assert.equal(lines[1].msg, '⚠️ Lease lost 3');
+    assert.equal(lines[2].playerId, 'p1');
+    assert.equal(lines[2].error.name, 'Error');
+  });
+
+  test('keeps the line when a field cannot be serialized', () => {
+    const { logger, lines } = capture();
+    const circular = {};
+    circular.self = circular;
+    logger.info('state', { circular });
+    assert.equal(lines[0].msg, 'state');
+    assert.match(lines[0].logError, /circular/i);
+  });
+});
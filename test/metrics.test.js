@@ -0,0 +1,102 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry, createGameMetrics } = require('../utils/metrics');
+const { toUnits } = require('../utils/money');
+const { timeToReach } = require('../utils/multiplierCurve');
+const { createMemoryRepository } = require('../game/memoryRepository');
+const { createTestEngine, findSeedChain, advanceToFlight } = require('./helpers');
+
+describe('metrics registry', () => {
+  test('renders counters and gauges in the Prometheus text format', () => {
+    const registry = createMetricsRegistry();
+    const bets = registry.counter({ name: 'bets_total', help: 'Bets placed', labelNames: ['currency'] });
+    const sockets = registry.gauge({ name: 'sockets', help: 'Open sockets' });
+    bets.inc(1, { currency: 'BTC' });
+    bets.inc(2, { currency: 'BTC' });
+    bets.inc(1, { currency: 'say "hi"\n' });
+    sockets.inc();
+    sockets.inc();
+    sockets.dec();
+
+    assert.equal(registry.render(), [
+      '# HELP bets_total Bets placed',
+      '# TYPE bets_total counter',
+      'bets_total{currency="BTC"} 3',
+      'bets_total{currency="say \\"hi\\"\\n"} 1',
+      '# HELP sockets Open sockets',
+      '# TYPE sockets gauge',
+      'sockets 1',
+      ''
+    ].join('\n'));
+    assert.throws(() => bets.inc(-1), /can only increase/);
+    assert.throws(() => bets.inc(1, { asset: 'BTC' }), /Unknown metric label: asset/);
+    assert.throws(() => registry.gauge({ name: 'sockets', help: 'Again' }), /already registered/);
+  });
+
+  test('renders cumulative histogram buckets with sum and count', () => {
+    const registry = createMetricsRegistry();
+    const latency = registry.histogram({ name: 'fetch_seconds', help: 'Fetch time', labelNames: ['provider'], buckets: [0.5, 0.1] });
+    latency.observe(0.05, { provider: 'coinbase' });
+    latency.observe(0.3, { provider: 'coinbase' });
+    latency.observe(2, { provider: 'coinbase' });
+
+    const lines = registry.render().split('\n');
+    assert.deepEqual(lines.slice(2, 7), [
+      'fetch_seconds_bucket{provider="coinbase",le="0.1"} 1',
+      'fetch_seconds_bucket{provider="coinbase",le="0.5"} 2',
+      'fetch_seconds_bucket{provider="coinbase",le="+Inf"} 3',
+      'fetch_seconds_sum{provider="coinbase"} 2.35',
+      'fetch_seconds_count{provider="coinbase"} 3'
+    ]);
+  });
+});
+
+describe('game metrics', () => {
+  test('count rounds, bets and the payout ratio from engine events', async () => {
+    const metrics = createGameMetrics();
+    const players = { p1: { username: 'alice', wallet: { USDT: toUnits(100, 'USDT') } } };
+    const { engine, clock } = createTestEngine({ players, seedSource: findSeedChain(point => point >= 2.5) });
+    metrics.observeEngine(engine);
+    await engine.connectPlayer('p1', 'socket-1');
+    engine.start();
+    await engine.placeBet('p1', { usdAmount: 10, cryptoType: 'USDT', autoCashoutAt: 2 });
+    await advanceToFlight(engine, clock);
+    await clock.advance(Math.ceil(timeToReach(engine.crashPoint, engine.growthRate)));
+    engine.stop();
+
+    const text = metrics.registry.render();
+    assert.match(text, /^crash_rounds_total\{status="completed"\} 1$/m);
+    assert.match(text, /^crash_bets_total\{currency="USDT"\} 1$/m);
+    assert.match(text, /^crash_wagered_usd_total 10$/m);
+    assert.match(text, /^crash_paid_out_usd_total 20$/m);
+    assert.match(text, /^crash_payout_ratio 2$/m);
+  });
+
+  test('count failed repository writes but not refused debits', async () => {
+    const metrics = createGameMetrics();
+    const memory = createMemoryRepository({ players: { p1: { wallet: { BTC: 0 } } } });
+    const repository = metrics.instrumentRepository({
+      ...memory,
+      async recordCashout() {
+        throw new Error('connection lost');
+      }
+    });
+
+    await assert.rejects(repository.applyBalanceChange({
+      playerId: 'p1', currency: 'BTC', cryptoAmount: 1, transactionType: 'bet', idempotencyKey: 'bet:1:p1'
+    }), { code: 'INSUFFICIENT_BALANCE' });
+    await assert.rejects(repository.recordCashout(1, 'p1', {}), /connection lost/);
+    assert.equal(metrics.dbWriteFailures.get({ operation: 'applyBalanceChange' }), 0);
+    assert.equal(metrics.dbWriteFailures.get({ operation: 'recordCashout' }), 1);
+    // Reads pass through untouched
+    assert.equal(repository.getBalance('p1', 'BTC'), 0);
+  });
+
+  test('record price fetch latency and failures by provider', () => {
+    const metrics = createGameMetrics();
+    metrics.recordPriceFetch({ provider: 'coingecko', durationMs: 120, error: null });
+    metrics.recordPriceFetch({ provider: 'coingecko', durationMs: 5000, error: new Error('timeout') });
+    assert.equal(metrics.priceFetchFailures.get({ provider: 'coingecko' }), 1);
+    assert.match(metrics.registry.render(), /^crash_price_fetch_duration_seconds_count\{provider="coingecko"\} 2$/m);
+  });
+});
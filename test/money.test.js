@@ -0,0 +1,90 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseAmount,
+  toUnits,
+  formatAmount,
+  convertUSDToCrypto,
+  convertCryptoToUSD,
+  multiplyAmount
+} = require('../utils/money');
+const { applyAutoBetResult } = require('../utils/autoBet');
+const { formatDetailAmounts } = require('../utils/moneyMigration');
+
+describe('amounts', () => {
+  test('parses decimal strings and numbers into minor units', () => {
+    assert.equal(parseAmount('0.00000001', 'BTC'), 1);
+    assert.equal(parseAmount(0.1, 'BTC'), 10000000);
+    assert.equal(parseAmount(1e-7, 'BTC'), 10);
+    assert.equal(parseAmount('12.50', 'USD'), 1250);
+    assert.equal(parseAmount('1.000000000', 'ETH'), 1000000000);
+  });
+
+  test('refuses negative, malformed, too precise or oversized amounts', () => {
+    for (const value of ['-1', '1e3', '1.', '', ' ', 'abc', NaN, Infinity, -0.5, null, {}, '0.000000001', 1e21]) {
+      assert.equal(parseAmount(value, 'BTC'), null, String(value));
+    }
+    assert.equal(parseAmount('10.005', 'USD'), null);
+  });
+
+  test('formats minor units with every decimal of the currency', () => {
+    assert.equal(formatAmount(12345, 'BTC'), '0.00012345');
+    assert.equal(formatAmount(1500000000, 'ETH'), '1.500000000');
+    assert.equal(formatAmount(-1550, 'USD'), '-15.50');
+    assert.equal(formatAmount(null, 'USD'), null);
+    assert.equal(parseAmount(formatAmount(123456789, 'USDT'), 'USDT'), 123456789);
+  });
+
+  test('adds up exactly where floating-point sums drift', () => {
+    assert.notEqual(0.1 + 0.2, 0.3);
+    assert.equal(toUnits(0.1, 'USD') + toUnits(0.2, 'USD'), toUnits(0.3, 'USD'));
+  });
+});
+
+describe('conversions', () => {
+  test('rounds the crypto cost of a bet up', () => {
+    // $10 at $30000 is 0.000333333... BTC
+    assert.equal(convertUSDToCrypto(1000, 'BTC', 30000), 33334);
+    assert.equal(convertUSDToCrypto(1000, 'BTC', 50000), 20000);
+  });
+
+  test('rounds the USD value of crypto down', () => {
+    assert.equal(convertCryptoToUSD(33334, 'BTC', 30000), 1000);
+    assert.equal(convertCryptoToUSD(33333, 'BTC', 30000), 999);
+    assert.equal(convertCryptoToUSD(1500000000, 'ETH', 2500.5), 375075);
+  });
+
+  test('rounds payouts down, never below the exact product', () => {
+    assert.equal(multiplyAmount(100, 1.15), 115);
+    assert.equal(multiplyAmount(333, 1.5), 499);
+    assert.equal(multiplyAmount(10000000, 2.37), 23700000);
+  });
+
+  test('refuses conversions without a valid price', () => {
+    assert.throws(() => convertUSDToCrypto(1000, 'BTC', 0), /Invalid price for BTC/);
+    assert.throws(() => convertCryptoToUSD(1000, 'ETH', NaN), /Invalid price for ETH/);
+  });
+});
+
+describe('stored details', () => {
+  test('formats amounts from before the migration like later ones', () => {
+    assert.deepEqual(
+      formatDetailAmounts({ currency: 'BTC', amount: 0.015, usdAmount: 412.3, limitUSD: 500 }),
+      { currency: 'BTC', amount: '0.01500000', usdAmount: '412.30', limitUSD: 500 }
+    );
+    assert.deepEqual(formatDetailAmounts({ currency: 'ETH', amount: '1.500000000' }), { currency: 'ETH', amount: '1.500000000' });
+    assert.deepEqual(formatDetailAmounts({ status: 'suspended' }), { status: 'suspended' });
+    assert.equal(formatDetailAmounts(undefined), undefined);
+  });
+});
+
+describe('auto-bet progress', () => {
+  test('keeps its profit exact over many cent results', () => {
+    let autoBet = { strategy: 'fixed', baseBetUSD: 0.1, nextBetUSD: 0.1, roundsPlayed: 0, profitUSD: 0 };
+    for (let round = 0; round < 30; round++) {
+      autoBet = applyAutoBetResult(autoBet, 10, round % 3 === 0 ? 30 : 0).autoBet;
+    }
+    // 10 wins of 20 cents and 20 losses of 10 cents
+    assert.equal(autoBet.profitUSD, 0);
+  });
+});
@@ -0,0 +1,286 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPayments } = require('../utils/payments');
+const { createSimulatedChain } = require('../utils/chainAdapters/simulated');
+const { createMemoryRepository } = require('../game/memoryRepository');
+const { parseAmount } = require('../utils/money');
+const { flush } = require('./helpers');
+
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const btc = amount => parseAmount(amount, 'BTC');
+
+/**
+ * Payment store in memory with the same rules as the MongoDB store:
+ * one deposit per chain transaction, conditional status changes, and a
+ * daily limit checked in the same step as the request it reserves.
+ * Balances go through the memory repository's ledger.
+ * @param {Object} players - Players keyed by id: `{ status, wallet, depositAddresses, responsibleGambling }`
+ * @returns {Object} Store with `players`, `transfers`, `repository` and `failUpdates`
+ */
+function createMemoryPaymentStore(players) {
+  const repository = createMemoryRepository({ players });
+  const transfers = [];
+  let nextId = 1;
+  const matches = filter => transfer => Object.entries(filter).every(([field, value]) => transfer[field] === value);
+
+  const store = {
+    players,
+    transfers,
+    repository,
+    // Number of transfer updates to fail, to stop the service half way
+    failUpdates: 0,
+
+    async findPlayer(playerId) {
+      const player = players[playerId];
+      return player ? { status: player.status || 'active', depositAddresses: { ...player.depositAddresses }, responsibleGambling: player.responsibleGambling || null } : null;
+    },
+
+    async findPlayerIdByAddress(currency, address) {
+      const entry = Object.entries(players).find(([, player]) => player.depositAddresses && player.depositAddresses[currency] === address);
+      return entry ? entry[0] : null;
+    },
+
+    async setDepositAddress(playerId, currency, address) {
+      const player = players[playerId];
+      player.depositAddresses = { [currency]: address, ...player.depositAddresses };
+      return player.depositAddresses[currency];
+    },
+
+    async recordDeposit(deposit) {
+      let transfer = transfers.find(matches({ txHash: deposit.txHash }));
+      if (!transfer) {
+        transfer = { _id: String(nextId++), fee: 0, confirmations: 0, ...deposit };
+        transfers.push(transfer);
+      }
+      return { ...transfer };
+    },
+
+    async createWithdrawal(withdrawal, dailyLimit, since) {
+      const withdrawn = transfers
+        .filter(matches({ playerId: withdrawal.playerId, currency: withdrawal.currency, kind: 'withdrawal' }))
+        .filter(transfer => ['awaiting_confirmation', 'pending', 'confirmed'].includes(transfer.status) && transfer.createdAt >= since)
+        .reduce((sum, transfer) => sum + transfer.amount, 0);
+      if (withdrawn + withdrawal.amount > dailyLimit) {
+        return { transfer: null, withdrawn };
+      }
+      const transfer = { _id: String(nextId++), confirmations: 0, ...withdrawal };
+      transfers.push(transfer);
+      return { transfer: { ...transfer }, withdrawn };
+    },
+
+    async claimTransfer({ expiresAfter, ...filter }, changes) {
+      const transfer = transfers.find(matches(filter));
+      if (!transfer || (expiresAfter && !(transfer.expiresAt > expiresAfter))) return null;
+      Object.assign(transfer, changes);
+      return { ...transfer };
+    },
+
+    async expireWithdrawals(now) {
+      for (const transfer of transfers.filter(matches({ status: 'awaiting_confirmation' }))) {
+        if (transfer.expiresAt <= now) Object.assign(transfer, { status: 'expired', completedAt: now });
+      }
+    },
+
+    async findPendingTransfers() {
+      return transfers.filter(transfer => transfer.status === 'pending' && transfer.txHash).map(transfer => ({ ...transfer }));
+    },
+
+    async updateTransfer(transferId, changes) {
+      if (store.failUpdates > 0) {
+        store.failUpdates--;
+        throw new Error('connection lost');
+      }
+      Object.assign(transfers.find(matches({ _id: transferId })), changes);
+    },
+
+    async depositedSince(playerId, since) {
+      return transfers
+        .filter(matches({ playerId, kind: 'deposit', status: 'confirmed' }))
+        .filter(transfer => transfer.completedAt >= since)
+        .reduce((sum, transfer) => sum + (transfer.usdAmount || 0), 0);
+    },
+
+    recordGamblingEvent: event => repository.recordGamblingEvent(event),
+    applyBalanceChange: change => repository.applyBalanceChange(change)
+  };
+  return store;
+}
+
+/**
+ * Payments over a memory store and a simulated chain mined by hand
+ * @param {Object} [options] - Service options
+ * @returns {Object} `{ payments, store, chain, clock, address }`; advance time with `clock.now += ms`
+ */
+async function createTestPayments(options = {}) {
+  const clock = { now: NOW };
+  const store = createMemoryPaymentStore({ p1: { wallet: { BTC: btc('1') } }, p2: { wallet: { BTC: 0 } } });
+  const chain = createSimulatedChain({ blockTimeMs: null });
+  const payments = createPayments({ chain, store, now: () => clock.now, logger: silent, ...options });
+  chain.onIncomingTransaction(payments.handleIncomingTransaction);
+  const address = await payments.getDepositAddress('p2', 'BTC');
+  return { payments, store, chain, clock, address };
+}
+
+/**
+ * Mine blocks and let the watcher poll after each one
+ * @param {Object} setup - Test payments
+ * @param {number} blocks - Number of blocks
+ */
+async function mine({ payments, chain }, blocks) {
+  for (let i = 0; i < blocks; i++) {
+    chain.mineBlock();
+    await payments.processPendingTransfers();
+  }
+}
+
+/**
+ * Ledger transactions with a given idempotency key
+ * @param {Object} store - Memory payment store
+ * @param {string} key - Idempotency key
+ * @returns {Object[]} Transactions
+ */
+function ledgerEntries(store, key) {
+  return store.repository.transactions.filter(tx => tx.idempotencyKey === key);
+}
+
+describe('deposits', () => {
+  test('credits a deposit once it has the required confirmations', async () => {
+    const setup = await createTestPayments();
+    const { store, chain, address } = setup;
+    const tx = await chain.simulateIncoming({ currency: 'BTC', address, amount: btc('0.5') });
+    await flush();
+    assert.equal(store.transfers[0].status, 'pending');
+
+    // BTC needs 3 confirmations
+    await mine(setup, 2);
+    assert.equal(store.transfers[0].confirmations, 2);
+    assert.equal(store.transfers[0].status, 'pending');
+    assert.equal(store.repository.getBalance('p2', 'BTC'), 0);
+
+    await mine(setup, 1);
+    assert.equal(store.transfers[0].status, 'confirmed');
+    assert.equal(store.repository.getBalance('p2', 'BTC'), btc('0.5'));
+    assert.equal(ledgerEntries(store, `deposit:${tx.txHash}`).length, 1);
+  });
+
+  test('credits a deposit seen twice only once', async () => {
+    const setup = await createTestPayments();
+    const { payments, store, chain, address } = setup;
+    const tx = await chain.simulateIncoming({ currency: 'BTC', address, amount: btc('0.5') });
+    await flush();
+    await payments.handleIncomingTransaction({ txHash: tx.txHash, currency: 'BTC', to: address, amount: tx.amount });
+    assert.equal(store.transfers.length, 1);
+
+    // The credit goes through but the transfer is not marked confirmed, so the next poll credits it again
+    await mine(setup, 2);
+    store.failUpdates = 1;
+    await mine(setup, 1);
+    assert.equal(store.transfers[0].status, 'pending');
+    await mine(setup, 1);
+    assert.equal(store.transfers[0].status, 'confirmed');
+    assert.equal(store.repository.getBalance('p2', 'BTC'), btc('0.5'));
+    assert.equal(ledgerEntries(store, `deposit:${tx.txHash}`).length, 1);
+  });
+
+  test('ignores payments to addresses that are not ours', async () => {
+    const { store, chain } = await createTestPayments();
+    await chain.simulateIncoming({ currency: 'BTC', address: chain.generateAddress('BTC'), amount: btc('0.5') });
+    await flush();
+    assert.equal(store.transfers.length, 0);
+  });
+
+  test('simulates deposits only when enabled', async () => {
+    const disabled = await createTestPayments();
+    await assert.rejects(disabled.payments.simulateDeposit('p2', { currency: 'BTC', amount: '0.1' }), { message: 'Simulated deposits are disabled' });
+
+    const enabled = await createTestPayments({ simulatedDeposits: true });
+    await enabled.payments.simulateDeposit('p2', { currency: 'BTC', amount: '0.1' });
+    await flush();
+    assert.equal(enabled.store.transfers[0].amount, btc('0.1'));
+  });
+});
+
+describe('withdrawals', () => {
+  const request = (payments, chain, amount) => payments.requestWithdrawal('p1', { currency: 'BTC', address: chain.generateAddress('BTC'), amount });
+
+  test('debits amount and fee when confirmed and broadcasts it', async () => {
+    const setup = await createTestPayments();
+    const { payments, store, chain } = setup;
+    const transfer = await request(payments, chain, '0.05');
+    assert.equal(store.repository.getBalance('p1', 'BTC'), btc('1'));
+
+    await payments.confirmWithdrawal('p1', transfer._id);
+    assert.equal(store.repository.getBalance('p1', 'BTC'), btc('1') - btc('0.05') - btc('0.00002'));
+    assert.equal(ledgerEntries(store, `withdrawal:${transfer._id}`).length, 1);
+    await assert.rejects(payments.confirmWithdrawal('p1', transfer._id), { code: 'PAYMENT_REJECTED' });
+
+    await mine(setup, 3);
+    assert.equal(store.transfers[0].status, 'confirmed');
+  });
+
+  test('gives the funds back when the broadcast is rejected', async () => {
+    const { payments, store, chain } = await createTestPayments();
+    chain.broadcastWithdrawal = async () => {
+      throw new Error('Transaction rejected by the node');
+    };
+    const transfer = await request(payments, chain, '0.05');
+
+    const failed = await payments.confirmWithdrawal('p1', transfer._id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(store.transfers[0].status, 'failed');
+    assert.equal(store.repository.getBalance('p1', 'BTC'), btc('1'));
+    assert.equal(ledgerEntries(store, `withdrawal:${transfer._id}`)[0].direction, 'debit');
+    assert.equal(ledgerEntries(store, `withdrawal-refund:${transfer._id}`)[0].direction, 'credit');
+  });
+
+  test('fails a withdrawal the balance cannot cover without moving funds', async () => {
+    const { payments, store, chain } = await createTestPayments();
+    await store.repository.applyBalanceChange({ playerId: 'p1', currency: 'BTC', cryptoAmount: btc('0.96'), transactionType: 'adjustment', direction: 'debit', idempotencyKey: 'spend' });
+    const transfer = await request(payments, chain, '0.05');
+
+    await assert.rejects(payments.confirmWithdrawal('p1', transfer._id), { code: 'PAYMENT_REJECTED', message: 'Insufficient BTC balance' });
+    assert.equal(store.transfers[0].status, 'failed');
+    assert.equal(store.repository.getBalance('p1', 'BTC'), btc('0.04'));
+  });
+
+  test('expires requests that are not confirmed in time', async () => {
+    const { payments, store, chain, clock } = await createTestPayments();
+    const transfer = await request(payments, chain, '0.05');
+    clock.now += 10 * 60 * 1000;
+    await payments.processPendingTransfers();
+    assert.equal(store.transfers[0].status, 'expired');
+    await assert.rejects(payments.confirmWithdrawal('p1', transfer._id), { message: 'Withdrawal not found, already confirmed or expired' });
+  });
+
+  test('enforces the daily limit over the last 24 hours', async () => {
+    const { payments, chain, clock } = await createTestPayments();
+    const first = await request(payments, chain, '0.06');
+    await assert.rejects(request(payments, chain, '0.05'), { code: 'PAYMENT_REJECTED', message: 'Daily BTC withdrawal limit is 0.1 (0.06000000 used)' });
+    await request(payments, chain, '0.04');
+
+    // A cancelled request gives its share of the limit back
+    await payments.cancelWithdrawal('p1', first._id);
+    await request(payments, chain, '0.06');
+    await assert.rejects(request(payments, chain, '0.0001'), { code: 'PAYMENT_REJECTED' });
+
+    clock.now += DAY_MS + 1;
+    await request(payments, chain, '0.1');
+  });
+
+  test('lets only one of two concurrent requests past the daily limit', async () => {
+    const { payments, store, chain } = await createTestPayments();
+    const results = await Promise.allSettled([request(payments, chain, '0.06'), request(payments, chain, '0.06')]);
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(store.transfers.filter(transfer => transfer.kind === 'withdrawal').length, 1);
+  });
+
+  test('refuses withdrawals from accounts frozen since the request', async () => {
+    const { payments, store, chain } = await createTestPayments();
+    const transfer = await request(payments, chain, '0.05');
+    store.players.p1.status = 'frozen';
+    await assert.rejects(payments.confirmWithdrawal('p1', transfer._id), { message: 'Withdrawals are disabled while the account is frozen' });
+    assert.equal(store.repository.getBalance('p1', 'BTC'), btc('1'));
+  });
+});
@@ -0,0 +1,166 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createPriceOracle, createProviders, median } = require('../utils/priceOracle');
+const { createMockProvider } = require('../utils/priceProviders/mock');
+
+const silent = { log() {}, warn() {}, error() {} };
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+const MISSING_FIXTURE = path.join(__dirname, 'no-such-prices.json');
+
+/**
+ * Price oracle over mock providers on a manual clock
+ * @param {Object[]} providers - Price providers
+ * @param {Object} [options] - Oracle options
+ * @returns {Object} `{ oracle, clock, fetches }`; advance time with `clock.now += ms`
+ */
+function createTestOracle(providers, options = {}) {
+  const clock = { now: NOW };
+  const fetches = [];
+  const oracle = createPriceOracle({
+    providers,
+    symbols: ['BTC', 'ETH'],
+    cacheDurationMs: 0,
+    maxAgeMs: 60000,
+    now: () => clock.now,
+    onFetch: fetch => fetches.push(fetch),
+    logger: silent,
+    ...options
+  });
+  return { oracle, clock, fetches };
+}
+
+/**
+ * Mock provider quoting the given prices at the given time
+ * @param {string} name - Provider name
+ * @param {Object} prices - `{ [symbol]: price }`
+ * @param {number} [timestamp] - Quote time in ms
+ * @returns {Object} Price provider
+ */
+function quoting(name, prices, timestamp = NOW) {
+  return createMockProvider({ name, prices: { ...prices, timestamp } });
+}
+
+describe('price aggregation', () => {
+  test('takes the median of the fresh quotes', () => {
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([4, 1, 3, 2]), 2.5);
+  });
+
+  test('ignores a provider quoting far off the others', async () => {
+    const { oracle } = createTestOracle([
+      quoting('low', { BTC: 60000, ETH: 3000 }),
+      quoting('high', { BTC: 60100, ETH: 3010 }),
+      quoting('broken', { BTC: 6000000, ETH: 3 })
+    ]);
+    const prices = await oracle.getPrices();
+    assert.equal(prices.BTC.price, 60100);
+    assert.equal(prices.ETH.price, 3000);
+    assert.deepEqual(prices.BTC.sources, ['low', 'high', 'broken']);
+  });
+
+  test('skips symbols a provider does not price and prices that are not positive', async () => {
+    const { oracle } = createTestOracle([
+      quoting('a', { BTC: 60000, ETH: -1 }),
+      quoting('b', { BTC: 62000 })
+    ]);
+    const prices = await oracle.getPrices();
+    assert.equal(prices.BTC.price, 61000);
+    assert.equal(prices.ETH.price, null);
+  });
+});
+
+describe('stale prices', () => {
+  test('refuses a price when every quote is older than the maximum age', async () => {
+    const { oracle } = createTestOracle([quoting('old', { BTC: 60000, ETH: 3000 }, NOW - 60001)]);
+    const prices = await oracle.getPrices();
+    assert.equal(prices.BTC.fresh, false);
+    assert.equal(prices.BTC.price, null);
+    assert.equal(prices.BTC.providers[0].ageMs, 60001);
+    await assert.rejects(oracle.getFreshPrice('BTC'), { code: 'PRICE_UNAVAILABLE' });
+  });
+
+  test('leaves stale quotes out of the median', async () => {
+    const { oracle } = createTestOracle([
+      quoting('fresh', { BTC: 60000 }),
+      quoting('stale', { BTC: 10000 }, NOW - 120000)
+    ]);
+    const prices = await oracle.getPrices();
+    assert.equal(prices.BTC.price, 60000);
+    assert.deepEqual(prices.BTC.sources, ['fresh']);
+    assert.equal(prices.BTC.ageMs, 0);
+  });
+
+  test('keeps a provider\'s last quote only until it goes stale', async () => {
+    const table = { BTC: 60000, ETH: 3000, timestamp: NOW };
+    const { oracle, clock } = createTestOracle([createMockProvider({ prices: table })], { cacheDurationMs: 10000 });
+    assert.equal(await oracle.getFreshPrice('BTC'), 60000);
+
+    // The provider keeps returning the same quote, which ages until it is refused
+    clock.now += 60000;
+    assert.equal(await oracle.getFreshPrice('BTC'), 60000);
+    clock.now += 1;
+    await assert.rejects(oracle.getFreshPrice('BTC'), { code: 'PRICE_UNAVAILABLE' });
+
+    // A new quote is picked up at the next refresh
+    clock.now += 10000;
+    table.timestamp = clock.now;
+    assert.equal(await oracle.getFreshPrice('BTC'), 60000);
+  });
+});
+
+describe('provider failures', () => {
+  test('falls back to the providers that answered', async () => {
+    const { oracle, fetches } = createTestOracle([
+      createMockProvider({ name: 'down', file: MISSING_FIXTURE }),
+      quoting('up', { BTC: 60000, ETH: 3000 })
+    ]);
+    assert.equal(await oracle.getFreshPrice('BTC'), 60000);
+    const outcomes = fetches.map(fetch => [fetch.provider, fetch.error ? fetch.error.code : null]);
+    assert.deepEqual(outcomes.sort(), [['down', 'ENOENT'], ['up', null]]);
+  });
+
+  test('keeps using a failed provider\'s last fresh quote', async () => {
+    const table = { BTC: 50000, timestamp: NOW };
+    const steady = { BTC: 60000, timestamp: NOW };
+    const flaky = createMockProvider({ name: 'flaky', prices: table });
+    const fetchPrices = flaky.fetchPrices;
+    const { oracle, clock } = createTestOracle([flaky, createMockProvider({ name: 'steady', prices: steady })]);
+    const advance = ms => {
+      clock.now += ms;
+      steady.timestamp = clock.now;
+    };
+    assert.equal((await oracle.getPrices()).BTC.price, 55000);
+
+    flaky.fetchPrices = async () => {
+      throw new Error('Service unavailable');
+    };
+    advance(60000);
+    assert.equal((await oracle.getPrices()).BTC.price, 55000);
+    advance(1);
+    assert.deepEqual((await oracle.getPrices()).BTC.sources, ['steady']);
+
+    flaky.fetchPrices = fetchPrices;
+    table.timestamp = clock.now;
+    assert.equal((await oracle.getPrices()).BTC.price, 55000);
+  });
+
+  test('refuses prices when every provider fails', async () => {
+    const { oracle } = createTestOracle([createMockProvider({ file: MISSING_FIXTURE })]);
+    await assert.rejects(oracle.getFreshPrice('ETH'), { code: 'PRICE_UNAVAILABLE' });
+  });
+});
+
+describe('price providers', () => {
+  test('reads the mock fixture', async () => {
+    const [provider] = createProviders('mock');
+    const prices = await provider.fetchPrices(['BTC', 'ETH', 'DOGE']);
+    assert.deepEqual(Object.keys(prices), ['BTC', 'ETH']);
+    assert.equal(prices.BTC.price, 60000);
+  });
+
+  test('refuses unknown providers and an empty list', () => {
+    assert.throws(() => createProviders('mock,kraken'), { message: 'Unknown price provider: kraken' });
+    assert.throws(() => createPriceOracle({ providers: createProviders(' , '), symbols: ['BTC'] }), { message: 'Price oracle needs at least one provider' });
+  });
+});
@@ -0,0 +1,68 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { hashSeed, createSeedChain, verifySeedInChain } = require('../utils/provablyFair');
+
+/**
+ * Every seed of one chain, hashed in full
+ * @param {string} root - Chain root
+ * @param {number} length - Number of playable seeds
+ * @returns {string[]} Seeds, the terminal hash last
+ */
+function fullChain(root, length) {
+  const seeds = [hashSeed(root)];
+  for (let i = 1; i <= length; i++) {
+    seeds.push(hashSeed(seeds[i - 1]));
+  }
+  return seeds;
+}
+
+describe('seed chains', () => {
+  test('plays the first chain backwards from the root seed', () => {
+    const seeds = fullChain('root', 7);
+    const chain = createSeedChain('root', 7, { checkpointInterval: 3 });
+    for (let round = 1; round <= 7; round++) {
+      const seed = chain.getRoundSeed(round);
+      assert.equal(seed.serverSeed, seeds[7 - round]);
+      assert.equal(seed.seedHash, hashSeed(seed.serverSeed));
+      assert.equal(seed.chainPosition, round);
+      assert.equal(seed.terminalHash, seeds[7]);
+    }
+  });
+
+  test('moves on to a new chain when one runs out', () => {
+    const chain = createSeedChain('root', 4, { checkpointInterval: 2 });
+    const last = chain.getRoundSeed(4);
+    const first = chain.getRoundSeed(5);
+    assert.equal(first.chainIndex, 1);
+    assert.equal(first.chainPosition, 1);
+    assert.notEqual(first.terminalHash, last.terminalHash);
+    // A new chain does not continue the old one
+    assert.notEqual(hashSeed(first.serverSeed), last.serverSeed);
+
+    for (let round = 1; round <= 13; round++) {
+      const seed = chain.getRoundSeed(round);
+      assert.ok(verifySeedInChain(seed.serverSeed, seed.chainPosition, seed.terminalHash), `round ${round}`);
+    }
+  });
+
+  test('publishes the next chain before it is used', () => {
+    const chain = createSeedChain('root', 4);
+    const { current, next } = chain.getCommitment(3);
+    assert.deepEqual(current, { chainIndex: 0, terminalHash: chain.getRoundSeed(1).terminalHash, firstRound: 1, lastRound: 4 });
+    assert.deepEqual(next, { chainIndex: 1, terminalHash: chain.getRoundSeed(5).terminalHash, firstRound: 5, lastRound: 8 });
+  });
+
+  test('gives the same seeds whatever the checkpoint interval', () => {
+    const dense = createSeedChain('root', 50, { checkpointInterval: 1 });
+    const sparse = createSeedChain('root', 50);
+    for (const round of [1, 7, 49, 50, 51, 100, 101]) {
+      assert.deepEqual(sparse.getRoundSeed(round), dense.getRoundSeed(round));
+    }
+  });
+
+  test('refuses invalid chains and rounds', () => {
+    assert.throws(() => createSeedChain('', 10), { message: 'Seed chain requires a root seed' });
+    assert.throws(() => createSeedChain('root', 0), { message: 'Seed chain length must be a positive integer' });
+    assert.throws(() => createSeedChain('root', 10).getRoundSeed(0), { message: 'Invalid round 0' });
+  });
+});
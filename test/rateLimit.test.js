@@ -0,0 +1,110 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../utils/rateLimit');
+
+const silent = { log() {}, warn() {}, error() {} };
+
+/**
+ * Rate limiter on a manual clock
+ * @param {Object} [options] - Rules and policy
+ * @returns {Object} `{ limiter, clock }`; advance time with `clock.now += ms`
+ */
+function createTestLimiter(options = {}) {
+  const clock = { now: 0 };
+  const limiter = createRateLimiter({ ...options, clock: () => clock.now, logger: silent });
+  return { limiter, clock };
+}
+
+/**
+ * Consume a rule until refused
+ * @param {Object} limiter - Rate limiter
+ * @param {string} rule - Rule name
+ * @param {Object} client - Client keys
+ * @returns {number} Requests allowed
+ */
+function drain(limiter, rule, client) {
+  let allowed = 0;
+  while (limiter.consume(rule, client).allowed) {
+    allowed++;
+  }
+  return allowed;
+}
+
+describe('token buckets', () => {
+  test('allows a burst, then refills over time', () => {
+    const { limiter, clock } = createTestLimiter({ rules: { placeBet: { capacity: 3, refillPerSecond: 1 } } });
+    const client = { connection: 'socket-1' };
+    assert.equal(drain(limiter, 'placeBet', client), 3);
+
+    const refused = limiter.consume('placeBet', client);
+    assert.equal(refused.scope, 'connection');
+    assert.equal(refused.retryAfterMs, 1000);
+
+    clock.now += 1000;
+    assert.equal(drain(limiter, 'placeBet', client), 1);
+    // Idle time never banks more than a burst
+    clock.now += 60 * 1000;
+    assert.equal(drain(limiter, 'placeBet', client), 3);
+  });
+
+  test('shares the larger account and IP buckets between connections', () => {
+    const { limiter } = createTestLimiter({ rules: { cashedOut: { capacity: 2, refillPerSecond: 1 } } });
+    const first = { connection: 'socket-1', account: 'alice', ip: '10.0.0.1' };
+    const second = { connection: 'socket-2', account: 'alice', ip: '10.0.0.1' };
+    const third = { connection: 'socket-3', account: 'alice', ip: '10.0.0.1' };
+    assert.equal(drain(limiter, 'cashedOut', first), 2);
+    assert.equal(drain(limiter, 'cashedOut', second), 2);
+
+    const refused = limiter.consume('cashedOut', third);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.scope, 'account');
+    // Another account behind the same IP still has its own bucket
+    assert.equal(limiter.consume('cashedOut', { connection: 'socket-4', account: 'bob', ip: '10.0.0.1' }).allowed, true);
+  });
+
+  test('counts unknown events against one shared bucket', () => {
+    const { limiter } = createTestLimiter({ rules: { socket: { capacity: 4, refillPerSecond: 1 } } });
+    const client = { connection: 'socket-1' };
+    const allowed = ['a', 'b', 'c', 'd', 'e', 'f'].filter(event => limiter.consume(event, client).allowed);
+    assert.equal(allowed.length, 4);
+  });
+});
+
+describe('penalties', () => {
+  test('disconnects a connection after repeated violations', () => {
+    const { limiter } = createTestLimiter({ policy: { disconnectAfter: 3 } });
+    const client = { rule: 'placeBet', reason: 'Rate limit exceeded', connection: 'socket-1' };
+    assert.equal(limiter.recordViolation(client).disconnect, false);
+    assert.equal(limiter.recordViolation(client).disconnect, false);
+    assert.equal(limiter.recordViolation(client).disconnect, true);
+    assert.equal(limiter.getReport().violations.length, 3);
+  });
+
+  test('blocks an IP after repeated violations until the block ends', () => {
+    const { limiter, clock } = createTestLimiter({ policy: { disconnectAfter: 100, blockAfter: 3, blockMs: 5000 } });
+    const violation = { rule: 'api', reason: 'Rate limit exceeded', ip: '10.0.0.1' };
+    limiter.recordViolation(violation);
+    limiter.recordViolation(violation);
+    const { disconnect, blockedUntil } = limiter.recordViolation(violation);
+    assert.equal(disconnect, true);
+    assert.equal(blockedUntil.getTime(), 5000);
+
+    const refused = limiter.consume('api', { account: 'alice', ip: '10.0.0.1' });
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.blockedUntil.getTime(), 5000);
+    assert.deepEqual(limiter.getReport().blocks.map(block => [block.scope, block.key]), [['ip', '10.0.0.1']]);
+
+    clock.now += 5000;
+    assert.equal(limiter.consume('api', { ip: '10.0.0.1' }).allowed, true);
+    assert.equal(limiter.getReport().blocks.length, 0);
+  });
+
+  test('counts violations over fixed windows', () => {
+    const { limiter, clock } = createTestLimiter({ policy: { windowMs: 1000, disconnectAfter: 2 } });
+    const client = { rule: 'placeBet', reason: 'Invalid payload', connection: 'socket-1' };
+    limiter.recordViolation(client);
+    clock.now += 1000;
+    assert.equal(limiter.recordViolation(client).disconnect, false);
+    assert.equal(limiter.recordViolation(client).disconnect, true);
+  });
+});
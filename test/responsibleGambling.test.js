@@ -0,0 +1,89 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  emptyControls,
+  currentControls,
+  changeControls,
+  startBreak,
+  activeBreak,
+  findLimitBreach
+} = require('../utils/responsibleGambling');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = Date.parse('2024-05-15T18:30:00Z');
+
+/**
+ * Controls with a single limit set
+ * @param {string} type - deposit, loss or wager
+ * @param {string} period - daily, weekly or monthly
+ * @param {number} value - USD limit
+ * @returns {Object} Controls
+ */
+function withLimit(type, period, value) {
+  const controls = emptyControls();
+  controls.limits[type][period] = value;
+  return controls;
+}
+
+describe('limit changes', () => {
+  test('applies a lower limit at once', () => {
+    const { controls, decisions } = changeControls(withLimit('loss', 'daily', 100), { limits: { loss: { daily: 50 } } }, { now, delayMs: 24 * HOUR_MS });
+    assert.equal(controls.limits.loss.daily, 50);
+    assert.equal(controls.pendingLimits.length, 0);
+    assert.equal(decisions[0].immediate, true);
+  });
+
+  test('applies a higher or removed limit only after the waiting period', () => {
+    const { controls, decisions } = changeControls(withLimit('wager', 'weekly', 100), { limits: { wager: { weekly: 500, daily: null } } }, { now, delayMs: 24 * HOUR_MS });
+    assert.equal(controls.limits.wager.weekly, 100);
+    assert.equal(decisions[0].immediate, false);
+    assert.equal(decisions[0].effectiveAt.getTime(), now + 24 * HOUR_MS);
+
+    assert.equal(currentControls(controls, now + 23 * HOUR_MS).controls.limits.wager.weekly, 100);
+    const later = currentControls(controls, now + 24 * HOUR_MS);
+    assert.equal(later.controls.limits.wager.weekly, 500);
+    assert.equal(later.controls.pendingLimits.length, 0);
+    assert.equal(later.applied.length, 1);
+  });
+
+  test('cancels a waiting increase when the limit is tightened again', () => {
+    const raised = changeControls(withLimit('deposit', 'monthly', 100), { limits: { deposit: { monthly: 1000 } } }, { now, delayMs: HOUR_MS });
+    const { controls } = changeControls(raised.controls, { limits: { deposit: { monthly: 100 } } }, { now, delayMs: HOUR_MS });
+    assert.equal(controls.pendingLimits.length, 0);
+    assert.equal(currentControls(controls, now + 2 * HOUR_MS).controls.limits.deposit.monthly, 100);
+    assert.deepEqual(changeControls(controls, { limits: { deposit: { monthly: 100 } } }, { now, delayMs: HOUR_MS }).decisions, []);
+  });
+
+  test('rejects unknown limits and invalid amounts', () => {
+    const options = { now, delayMs: HOUR_MS };
+    assert.ok(changeControls(emptyControls(), { limits: { bonus: { daily: 1 } } }, options).error);
+    assert.ok(changeControls(emptyControls(), { limits: { loss: { yearly: 1 } } }, options).error);
+    assert.ok(changeControls(emptyControls(), { limits: { loss: { daily: -5 } } }, options).error);
+    assert.ok(changeControls(emptyControls(), { sessionReminderMinutes: 1 }, options).error);
+  });
+});
+
+describe('breaks and limit checks', () => {
+  test('extends but never shortens a cooldown', () => {
+    const week = startBreak(emptyControls(), 'cooldown', 7, now);
+    const day = startBreak(week.controls, 'cooldown', 1, now);
+    assert.equal(day.until.getTime(), week.until.getTime());
+    assert.equal(activeBreak(day.controls, now).rule, 'cooldown');
+    assert.equal(activeBreak(day.controls, week.until.getTime()), null);
+  });
+
+  test('puts self-exclusion before a cooldown', () => {
+    const { controls } = startBreak(startBreak(emptyControls(), 'cooldown', 1, now).controls, 'selfExclusion', 6, now);
+    assert.equal(activeBreak(controls, now).rule, 'selfExclusion');
+    assert.ok(startBreak(emptyControls(), 'selfExclusion', 3, now).error);
+  });
+
+  test('finds the first limit an amount would break', () => {
+    const controls = withLimit('wager', 'daily', 100);
+    assert.equal(findLimitBreach(controls, 'wager', { daily: 90 }, 10), null);
+    const breach = findLimitBreach(controls, 'wager', { daily: 90 }, 11);
+    assert.equal(breach.period, 'daily');
+    assert.equal(breach.usedUSD, 90);
+    assert.match(breach.message, /\$10\.00 left/);
+  });
+});
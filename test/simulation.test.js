@@ -0,0 +1,107 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseStrategy,
+  survival,
+  winProbability,
+  proportionInterval,
+  runSimulation,
+  formatReportCsv
+} = require('../utils/simulation');
+
+const DISTRIBUTION = { houseEdge: 0.01, maxCrash: 120 };
+
+describe('simulation strategies', () => {
+  test('parses strategies over their defaults', () => {
+    assert.deepEqual(parseStrategy('fixed:target=1.5'), { name: 'fixed', settings: { target: 1.5, stake: 1 }, label: 'fixed:target=1.5,stake=1' });
+    assert.deepEqual(parseStrategy('martingale:stake=2').settings, { target: 2, stake: 2, bankroll: 10000 });
+    assert.deepEqual(parseStrategy('random:min=1.5,max=20').settings, { min: 1.5, max: 20, stake: 1 });
+  });
+
+  test('refuses unknown strategies and unreachable targets', () => {
+    assert.throws(() => parseStrategy('dalembert'), { code: 'SIMULATION_REJECTED', message: 'Strategy must be one of: fixed, martingale, random' });
+    assert.throws(() => parseStrategy('fixed:odds=2'), { message: 'Unknown fixed setting: odds' });
+    assert.throws(() => parseStrategy('fixed:target=-1'), { message: 'fixed target must be a positive number' });
+    assert.throws(() => parseStrategy('fixed:target=1'), { message: 'Targets must be whole hundredths between 1.01x and 120x' });
+    assert.throws(() => parseStrategy('fixed:target=150'), { message: 'Targets must be whole hundredths between 1.01x and 120x' });
+    assert.throws(() => parseStrategy('fixed:target=2.005'), { message: 'Targets must be whole hundredths between 1.01x and 120x' });
+    assert.throws(() => parseStrategy('random:min=5,max=2'), { message: 'random min must be below max' });
+    assert.throws(() => parseStrategy('martingale:stake=10,bankroll=5'), { message: 'martingale bankroll must cover the first stake' });
+  });
+});
+
+describe('simulation statistics', () => {
+  test('expects the advertised distribution and pays targets up to the crash point', () => {
+    assert.equal(survival(1, DISTRIBUTION), 1);
+    assert.equal(survival(2, DISTRIBUTION), 0.495);
+    assert.equal(survival(121, DISTRIBUTION), 0);
+    // A bet at exactly the crash point wins, and a target between hundredths needs the next one up
+    assert.equal(winProbability(2, DISTRIBUTION), 0.495);
+    assert.equal(winProbability(2.005, DISTRIBUTION), 0.99 / 2.01);
+  });
+
+  test('gives Wilson intervals around a proportion', () => {
+    const interval = proportionInterval(50, 100);
+    assert.equal(interval.value, 0.5);
+    assert.ok(Math.abs(interval.low - 0.4038) < 1e-4 && Math.abs(interval.high - 0.5962) < 1e-4);
+    assert.deepEqual(proportionInterval(0, 0), { value: null, low: null, high: null });
+  });
+});
+
+describe('simulation runs', () => {
+  const strategies = ['fixed:target=2', 'martingale:target=2,bankroll=100', 'random:min=1.1,max=5'].map(text => parseStrategy(text));
+
+  test('is reproducible from its seed', () => {
+    const first = runSimulation({ rounds: 2000, seed: 'repeat', strategies });
+    const second = runSimulation({ rounds: 2000, seed: 'repeat', strategies });
+    const other = runSimulation({ rounds: 2000, seed: 'other', strategies });
+    assert.deepEqual(first, second);
+    assert.notDeepEqual(first.strategies, other.strategies);
+  });
+
+  test('reports RTP, house profit and bust rates consistent with the distribution', () => {
+    const report = runSimulation({ rounds: 20000, seed: 'rtp', strategies });
+    const [fixed, martingale, random] = report.strategies;
+
+    assert.equal(fixed.bets, 20000);
+    assert.equal(fixed.wageredUSD, '20000.00');
+    assert.equal(Number(fixed.houseProfitUSD), Number(fixed.wageredUSD) - Number(fixed.paidOutUSD));
+    for (const result of report.strategies) {
+      assert.ok(result.rtp.low <= result.rtp.expected && result.rtp.expected <= result.rtp.high, `${result.strategy} RTP interval`);
+      assert.ok(result.bustRate.low <= result.bustRate.expected && result.bustRate.expected <= result.bustRate.high, `${result.strategy} bust rate interval`);
+    }
+    assert.ok(Math.abs(fixed.rtp.expected - 0.99) < 1e-9);
+    // Same rounds and targets, so the same bets are lost; the martingale stakes more and goes broke
+    assert.equal(martingale.bustRate.value, fixed.bustRate.value);
+    assert.ok(Number(martingale.wageredUSD) > Number(fixed.wageredUSD));
+    assert.ok(martingale.ruins > 0);
+    assert.equal(random.ruins, 0);
+
+    const shares = report.crashPoints.histogram.reduce((sum, bucket) => sum + bucket.count, 0);
+    assert.equal(shares, 20000);
+    const instant = report.crashPoints.instantCrashRate;
+    assert.ok(instant.low <= instant.expected && instant.expected <= instant.high);
+  });
+
+  test('cashes bets out at the payout limit', () => {
+    const report = runSimulation({ rounds: 5000, seed: 'limit', maxPayoutUSD: 5, strategies: [parseStrategy('fixed:target=50')] });
+    const [capped] = report.strategies;
+    // Paid at 5x whenever the round passes it, never at 50x
+    assert.equal(Number(capped.paidOutUSD) % 5, 0);
+    assert.ok(Math.abs(capped.bustRate.expected - (1 - 0.99 / 5)) < 1e-9);
+  });
+
+  test('writes the strategies and the histogram as CSV', () => {
+    const lines = formatReportCsv(runSimulation({ rounds: 100, strategies: [parseStrategy('fixed:target=2')] })).split('\n');
+    assert.match(lines[0], /^strategy,bets,wagered_usd,paid_out_usd,house_profit_usd,rtp,/);
+    assert.match(lines[1], /^"fixed:target=2,stake=1",100,100\.00,/);
+    assert.equal(lines[2], '');
+    assert.equal(lines[3], 'crash_from,crash_to,count,share,expected');
+    assert.match(lines[lines.length - 2], /^120,,\d+,/);
+  });
+
+  test('refuses impossible settings', () => {
+    assert.throws(() => runSimulation({ rounds: 0, strategies }), { code: 'SIMULATION_REJECTED', message: 'Rounds must be a positive whole number' });
+    assert.throws(() => runSimulation({ rounds: 10, houseEdge: 1, strategies }), { message: 'House edge must be at least 0 and below 1' });
+  });
+});
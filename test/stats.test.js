@@ -0,0 +1,32 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { periodStart, parsePagination } = require('../utils/stats');
+
+describe('leaderboard periods', () => {
+  // Wednesday
+  const now = new Date('2024-05-15T18:30:00Z');
+
+  test('starts a day at UTC midnight', () => {
+    assert.equal(periodStart('daily', now).toISOString(), '2024-05-15T00:00:00.000Z');
+  });
+
+  test('starts a week on Monday, also when today is Sunday', () => {
+    assert.equal(periodStart('weekly', now).toISOString(), '2024-05-13T00:00:00.000Z');
+    assert.equal(periodStart('weekly', new Date('2024-05-19T23:59:00Z')).toISOString(), '2024-05-13T00:00:00.000Z');
+  });
+
+  test('has no start for all time', () => {
+    assert.equal(periodStart('allTime', now), null);
+  });
+});
+
+describe('pagination', () => {
+  test('defaults to the first page of 20', () => {
+    assert.deepEqual(parsePagination({}), { page: 1, limit: 20, skip: 0 });
+  });
+
+  test('clamps the page and page size', () => {
+    assert.deepEqual(parsePagination({ page: '3', limit: '500' }), { page: 3, limit: 100, skip: 200 });
+    assert.deepEqual(parsePagination({ page: '-2', limit: 'abc' }), { page: 1, limit: 20, skip: 0 });
+  });
+});
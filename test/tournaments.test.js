@@ -0,0 +1,524 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const {
+  validateTournament,
+  prizePool,
+  prizeAmounts,
+  roundResults,
+  scoreRound,
+  rankEntries,
+  formatScore,
+  serializeTournament,
+  createTournamentRunner
+} = require('../utils/tournaments');
+const { createMemoryRepository } = require('../game/memoryRepository');
+const { toUnits } = require('../utils/money');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+const usdt = amount => toUnits(amount, 'USDT');
+
+const TOURNAMENT = {
+  name: 'Weekend cup',
+  startsAt: '2026-01-02T00:00:00Z',
+  endsAt: '2026-01-04T00:00:00Z',
+  prizeCurrency: 'USDT',
+  entryFee: '5',
+  currencies: ['BTC', 'USDT', 'BTC'],
+  scoring: { rule: 'profit' },
+  prizes: [50, 30, 20]
+};
+
+const FRESH_ENTRY = { score: null, scoredAt: null, rounds: 0, profitUSD: 0, bestMultiplier: null, recentProfits: [] };
+
+/**
+ * Score rounds one after another
+ * @param {Object[]} rounds - Round results
+ * @param {Object} scoring - Scoring rule
+ * @returns {Object} Final entry
+ */
+function play(rounds, scoring) {
+  return rounds.reduce((entry, round) => scoreRound(entry, round, scoring), FRESH_ENTRY);
+}
+
+/**
+ * Rounds, bets, tournaments and entries in memory, with balances going through the memory repository's ledger
+ * @param {Object} data - `tournaments`, `entries`, `rounds` (`{ roundNumber, status }`) and `bets`
+ * @returns {Object} Store with the data, `repository`, `crashAfterCredits` and `dropMarks`
+ */
+function createMemoryTournamentStore({ tournaments = [], entries = [], rounds = [], bets = [] }) {
+  const repository = createMemoryRepository({ players: Object.fromEntries(entries.map(entry => [entry.playerId, { wallet: { USDT: 0 } }])) });
+  const findTournament = tournamentId => tournaments.find(tournament => tournament._id === tournamentId);
+  const store = {
+    tournaments,
+    entries,
+    rounds,
+    bets,
+    repository,
+    // Credits to let through before the process dies, null to never die
+    crashAfterCredits: null,
+    // Whether credits lose their paid mark, as if it had not been written
+    dropMarks: false,
+
+    async latestRound() {
+      const [latest] = [...rounds].sort((a, b) => b.roundNumber - a.roundNumber);
+      return latest ? { ...latest } : null;
+    },
+
+    async createTournament(fields) {
+      const tournament = { _id: `t${tournaments.length + 1}`, status: 'scheduled', entrants: 0, ...fields };
+      tournaments.push(tournament);
+      return { ...tournament };
+    },
+
+    async findTournament(tournamentId) {
+      const tournament = findTournament(tournamentId);
+      return tournament ? { ...tournament } : null;
+    },
+
+    async findStartedTournaments(now) {
+      return tournaments.filter(tournament => tournament.status === 'scheduled' && tournament.startsAt <= now).map(tournament => ({ ...tournament }));
+    },
+
+    async findUnfinishedTournaments() {
+      return tournaments.filter(tournament => ['closing', 'cancelling'].includes(tournament.status)).map(tournament => ({ ...tournament }));
+    },
+
+    async startClosing(tournamentId) {
+      const tournament = findTournament(tournamentId);
+      if (tournament.status !== 'scheduled') return null;
+      tournament.status = 'closing';
+      return { ...tournament };
+    },
+
+    async hasUnsettledBets(tournament, throughRound) {
+      return bets.some(bet => bet.roundNumber > throughRound && tournament.currencies.includes(bet.currency) && bet.placedAt < tournament.endsAt);
+    },
+
+    async findSettledBets(tournament, fromRound, throughRound) {
+      return bets.filter(bet => bet.roundNumber > fromRound && bet.roundNumber <= throughRound &&
+        ['cashedOut', 'lost'].includes(bet.status) && tournament.currencies.includes(bet.currency) &&
+        bet.placedAt >= tournament.startsAt && bet.placedAt < tournament.endsAt);
+    },
+
+    async findEntries(tournamentId, filter = {}) {
+      return entries
+        .filter(entry => entry.tournamentId === tournamentId)
+        .filter(entry => Object.entries(filter).every(([field, value]) => (entry[field] === undefined ? null : entry[field]) === value))
+        .map(entry => ({ ...entry }));
+    },
+
+    async findPlayerEntries(tournamentId, playerIds) {
+      return entries.filter(entry => entry.tournamentId === tournamentId && playerIds.includes(entry.playerId)).map(entry => ({ ...entry }));
+    },
+
+    async scoreRounds(tournamentId, fromRound, throughRound, standings) {
+      const tournament = findTournament(tournamentId);
+      if (tournament.status !== 'scheduled' || tournament.lastScoredRound !== fromRound) return false;
+      tournament.lastScoredRound = throughRound;
+      for (const { entryId, changes } of standings) {
+        Object.assign(entries.find(entry => entry._id === entryId), changes);
+      }
+      return true;
+    },
+
+    async setRanks(ranks) {
+      for (const { entryId, rank, prize } of ranks) {
+        Object.assign(entries.find(entry => entry._id === entryId), { rank, prize });
+      }
+    },
+
+    async creditEntry(entryId, change, paidField) {
+      if (store.crashAfterCredits !== null) {
+        if (store.crashAfterCredits === 0) throw new Error('process died');
+        store.crashAfterCredits--;
+      }
+      const result = await repository.applyBalanceChange(change);
+      if (!store.dropMarks) {
+        entries.find(entry => entry._id === entryId)[paidField] = new Date(NOW);
+      }
+      return result;
+    },
+
+    async finishTournament(tournamentId, status, changes) {
+      const tournament = findTournament(tournamentId);
+      if (tournament && tournament.status === status) {
+        Object.assign(tournament, changes);
+      }
+    }
+  };
+  return store;
+}
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * A runner with alice entered in the hourly tournament it will create as `t1`
+ * @param {Object} data - `rounds` and `bets`, see createMemoryTournamentStore
+ * @returns {Object} `{ runner, store, clock, schedule }`; advance time with `clock.now += ms`
+ */
+function createTestScoring({ rounds, bets = [] }) {
+  const clock = { now: NOW };
+  const entries = [{ _id: 'e1', tournamentId: 't1', playerId: 'p1', username: 'alice', joinedAt: new Date(NOW), ...FRESH_ENTRY }];
+  const store = createMemoryTournamentStore({ entries, rounds, bets });
+  const runner = createTournamentRunner({ store, events: new EventEmitter(), now: () => clock.now, logger: silent });
+  const schedule = () => runner.createTournament({
+    name: 'Hourly',
+    startsAt: new Date(NOW),
+    endsAt: new Date(NOW + 60 * MINUTE_MS),
+    prizeCurrency: 'USDT',
+    entryFee: 0,
+    guaranteedPrize: usdt(10),
+    currencies: ['USDT'],
+    scoring: { rule: 'profit' },
+    prizes: [100]
+  }, { by: 'ops' });
+  return { runner, store, clock, schedule };
+}
+
+/**
+ * Settled or open USDT bet of alice
+ * @param {number} roundNumber - Round
+ * @param {string} status - open, cashedOut or lost
+ * @param {number} profitUSD - Profit in cents
+ * @param {number} minute - Minutes after NOW it was placed
+ * @returns {Object} Bet
+ */
+function aliceBet(roundNumber, status, profitUSD, minute) {
+  return {
+    playerId: 'p1',
+    roundNumber,
+    currency: 'USDT',
+    status,
+    profitUSD,
+    cashoutMultiplier: status === 'cashedOut' ? 2 : null,
+    placedAt: new Date(NOW + minute * MINUTE_MS),
+    settledAt: status === 'open' ? null : new Date(NOW + minute * MINUTE_MS + 10000)
+  };
+}
+
+/**
+ * Payouts of a tournament with four entrants, three of them scored
+ * @param {string} status - closing or cancelling
+ * @returns {Object} `{ payouts, store, tournament, credits }`; `credits` lists the `balanceChanged` events
+ */
+function createTestPayouts(status) {
+  const tournament = {
+    _id: 't1',
+    name: 'Weekend cup',
+    status,
+    prizeCurrency: 'USDT',
+    entryFee: usdt(5),
+    guaranteedPrize: usdt(100),
+    entrants: 4,
+    prizes: [50, 30, 20]
+  };
+  const entries = [
+    { _id: 'e1', tournamentId: 't1', playerId: 'p1', username: 'alice', score: 900, scoredAt: new Date(NOW) },
+    { _id: 'e2', tournamentId: 't1', playerId: 'p2', username: 'bob', score: 2500, scoredAt: new Date(NOW) },
+    { _id: 'e3', tournamentId: 't1', playerId: 'p3', username: 'carol', score: -100, scoredAt: new Date(NOW) },
+    { _id: 'e4', tournamentId: 't1', playerId: 'p4', username: 'dave', score: null, scoredAt: null }
+  ];
+  const store = createMemoryTournamentStore({ tournaments: [tournament], entries });
+  const events = new EventEmitter();
+  const credits = [];
+  events.on('balanceChanged', credit => credits.push(credit));
+  const payouts = createTournamentRunner({ store, events, now: () => NOW, logger: silent });
+  return { payouts, store, tournament, credits };
+}
+
+/**
+ * Ledger credits of a tournament by idempotency key
+ * @param {Object} store - Memory tournament store
+ * @returns {Object} `{ [key]: [amounts] }`
+ */
+function creditsByKey(store) {
+  const byKey = {};
+  for (const tx of store.repository.transactions) {
+    assert.equal(tx.direction, 'credit');
+    assert.equal(tx.tournamentId, 't1');
+    byKey[tx.idempotencyKey] = [...(byKey[tx.idempotencyKey] || []), tx.cryptoAmount];
+  }
+  return byKey;
+}
+
+// 100 guaranteed and 4 fees of 5: 120 shared 50/30/20
+const PRIZES = {
+  'tournament:t1:prize:p2': [usdt(60)],
+  'tournament:t1:prize:p1': [usdt(36)],
+  'tournament:t1:prize:p3': [usdt(24)]
+};
+
+const REFUNDS = {
+  'tournament:t1:refund:p1': [usdt(5)],
+  'tournament:t1:refund:p2': [usdt(5)],
+  'tournament:t1:refund:p3': [usdt(5)],
+  'tournament:t1:refund:p4': [usdt(5)]
+};
+
+describe('tournament validation', () => {
+  test('accepts a tournament and converts its amounts', () => {
+    const { tournament, error } = validateTournament(TOURNAMENT, NOW);
+    assert.equal(error, undefined);
+    assert.equal(tournament.entryFee, 5000000);
+    assert.equal(tournament.guaranteedPrize, 0);
+    assert.deepEqual(tournament.currencies, ['BTC', 'USDT']);
+    assert.deepEqual(tournament.scoring, { rule: 'profit', rounds: null });
+    assert.equal(tournament.endsAt.toISOString(), '2026-01-04T00:00:00.000Z');
+  });
+
+  test('accepts free entry with a guaranteed prize and streak scoring', () => {
+    const { tournament } = validateTournament({ ...TOURNAMENT, entryFee: undefined, guaranteedPrize: '100', scoring: { rule: 'streak', rounds: 5 } }, NOW);
+    assert.equal(tournament.entryFee, 0);
+    assert.deepEqual(tournament.scoring, { rule: 'streak', rounds: 5 });
+  });
+
+  test('rejects impossible tournaments', () => {
+    const reject = changes => validateTournament({ ...TOURNAMENT, ...changes }, NOW).error;
+    assert.equal(reject({ owner: 'me' }), 'Unknown tournament field: owner');
+    assert.equal(reject({ endsAt: '2025-12-31T00:00:00Z', startsAt: '2025-12-30T00:00:00Z' }), 'endsAt must be after startsAt and in the future');
+    assert.equal(reject({ endsAt: '2026-06-01T00:00:00Z' }), 'Tournaments last at most 90 days');
+    assert.equal(reject({ entryFee: '0' }), 'A tournament needs an entry fee or a guaranteed prize');
+    assert.equal(reject({ currencies: ['DOGE'] }), 'Currencies must be a non-empty list of BTC, ETH, USDT');
+    assert.equal(reject({ scoring: { rule: 'streak' } }), 'Streaks must be a whole number of rounds from 2 to 100');
+    assert.equal(reject({ scoring: { rule: 'profit', rounds: 3 } }), 'Unknown profit scoring field: rounds');
+    assert.equal(reject({ prizes: [60, 50] }), 'Prize shares add up to more than 100%');
+    assert.equal(reject({ prizes: [33.333] }), 'Prize shares must be positive percentages with at most two decimals');
+  });
+});
+
+describe('tournament prizes', () => {
+  test('pools the guaranteed prize and the entry fees', () => {
+    assert.equal(prizePool({ guaranteedPrize: 1000, entryFee: 250, entrants: 4 }), 2000);
+  });
+
+  test('splits the pool by share, rounding down', () => {
+    assert.deepEqual(prizeAmounts(1001, [50, 30, 20]), [500, 300, 200]);
+    assert.deepEqual(prizeAmounts(10000, [33.33, 33.33, 33.33]), [3333, 3333, 3333]);
+  });
+});
+
+describe('tournament scoring', () => {
+  test('groups bets by round', () => {
+    const early = new Date('2026-01-02T00:00:01Z');
+    const late = new Date('2026-01-02T00:00:05Z');
+    const results = roundResults([
+      { roundNumber: 8, profitUSD: -100, cashoutMultiplier: null, settledAt: early },
+      { roundNumber: 7, profitUSD: 50, cashoutMultiplier: 1.5, settledAt: early },
+      { roundNumber: 8, profitUSD: 300, cashoutMultiplier: 4, settledAt: late },
+      { roundNumber: 8, profitUSD: 20, cashoutMultiplier: 1.2, settledAt: early }
+    ]);
+    assert.deepEqual(results, [
+      { roundNumber: 7, profitUSD: 50, multiplier: 1.5, settledAt: early },
+      { roundNumber: 8, profitUSD: 220, multiplier: 4, settledAt: late }
+    ]);
+  });
+
+  test('scores total profit', () => {
+    const entry = play([
+      { profitUSD: 500, multiplier: 2, settledAt: 1 },
+      { profitUSD: -200, multiplier: null, settledAt: 2 }
+    ], { rule: 'profit' });
+    assert.equal(entry.score, 300);
+    assert.equal(entry.scoredAt, 2);
+    assert.equal(entry.rounds, 2);
+  });
+
+  test('scores the highest multiplier and keeps when it was reached', () => {
+    const entry = play([
+      { profitUSD: -100, multiplier: null, settledAt: 1 },
+      { profitUSD: 900, multiplier: 10, settledAt: 2 },
+      { profitUSD: 100, multiplier: 2, settledAt: 3 }
+    ], { rule: 'multiplier' });
+    assert.equal(entry.score, 10);
+    assert.equal(entry.scoredAt, 2);
+    assert.equal(entry.profitUSD, 900);
+
+    assert.equal(play([{ profitUSD: -100, multiplier: null, settledAt: 1 }], { rule: 'multiplier' }).score, null);
+  });
+
+  test('scores the best run of consecutive rounds', () => {
+    const scoring = { rule: 'streak', rounds: 3 };
+    const round = (profitUSD, settledAt) => ({ profitUSD, multiplier: null, settledAt });
+    assert.equal(play([round(100, 1), round(200, 2)], scoring).score, null);
+
+    const entry = play([round(100, 1), round(200, 2), round(300, 3), round(-500, 4), round(50, 5)], scoring);
+    // 100 + 200 + 300 beats every later window
+    assert.equal(entry.score, 600);
+    assert.equal(entry.scoredAt, 3);
+    assert.deepEqual(entry.recentProfits, [-500, 50]);
+  });
+
+  test('ranks by score, then by who got there first, then by who joined first', () => {
+    const ranked = rankEntries([
+      { playerId: 'late', score: 500, scoredAt: new Date(3000), joinedAt: new Date(1) },
+      { playerId: 'none', score: null, scoredAt: null, joinedAt: new Date(0) },
+      { playerId: 'first', score: 500, scoredAt: new Date(1000), joinedAt: new Date(2) },
+      { playerId: 'joined', score: 500, scoredAt: new Date(1000), joinedAt: new Date(1) },
+      { playerId: 'top', score: 900, scoredAt: new Date(5000), joinedAt: new Date(5) }
+    ]);
+    assert.deepEqual(ranked.map(entry => [entry.rank, entry.playerId]), [[1, 'top'], [2, 'joined'], [3, 'first'], [4, 'late']]);
+  });
+});
+
+describe('tournament serialization', () => {
+  test('formats scores by rule', () => {
+    assert.equal(formatScore(12345, 'profit'), '123.45');
+    assert.equal(formatScore(-50, 'streak'), '-0.50');
+    assert.equal(formatScore(3.5, 'multiplier'), '3.50');
+    assert.equal(formatScore(null, 'profit'), null);
+  });
+
+  test('sends amounts, prizes and standings as strings', () => {
+    const { tournament } = validateTournament({ ...TOURNAMENT, guaranteedPrize: '10' }, NOW);
+    const serialized = serializeTournament({ ...tournament, _id: 'abc', status: 'scheduled', entrants: 2 }, [
+      { rank: 1, playerId: 'p1', username: 'alice', score: 2500, rounds: 4, profitUSD: 2500, bestMultiplier: 3, prize: 0 }
+    ]);
+    assert.equal(serialized.tournamentId, 'abc');
+    assert.equal(serialized.entryFee, '5.000000');
+    assert.equal(serialized.pool, '20.000000');
+    assert.deepEqual(serialized.prizes[0], { rank: 1, share: 50, amount: '10.000000' });
+    assert.deepEqual(serialized.standings, [
+      { rank: 1, playerId: 'p1', username: 'alice', score: '25.00', rounds: 4, profitUSD: '25.00', bestMultiplier: 3, prize: '0.000000' }
+    ]);
+  });
+});
+
+describe('tournament payouts', () => {
+  test('pays each prize once however often the close runs', async () => {
+    const { payouts, store, tournament, credits } = createTestPayouts('closing');
+    await payouts.payPrizes(tournament);
+    assert.deepEqual(creditsByKey(store), PRIZES);
+    assert.equal(tournament.status, 'completed');
+    assert.deepEqual(store.entries.map(entry => [entry.rank, entry.prize]), [[2, usdt(36)], [1, usdt(60)], [3, usdt(24)], [undefined, undefined]]);
+    assert.equal(credits.length, 3);
+
+    tournament.status = 'closing';
+    await payouts.payPrizes(tournament);
+    assert.deepEqual(creditsByKey(store), PRIZES);
+    assert.equal(credits.length, 3);
+    assert.equal(store.repository.getBalance('p2', 'USDT'), usdt(60));
+    assert.equal(store.repository.getBalance('p4', 'USDT'), 0);
+  });
+
+  test('resumes a close that died between two winners', async () => {
+    const { payouts, store, tournament, credits } = createTestPayouts('closing');
+    store.crashAfterCredits = 1;
+    await assert.rejects(payouts.payPrizes(tournament), /process died/);
+    assert.deepEqual(creditsByKey(store), { 'tournament:t1:prize:p2': [usdt(60)] });
+    assert.equal(tournament.status, 'closing');
+
+    store.crashAfterCredits = null;
+    await payouts.payPrizes(tournament);
+    assert.deepEqual(creditsByKey(store), PRIZES);
+    assert.deepEqual(credits.map(credit => credit.playerId), ['p2', 'p1', 'p3']);
+    assert.equal(tournament.status, 'completed');
+  });
+
+  test('leaves a prize credited once when its paid mark was lost', async () => {
+    const { payouts, store, tournament, credits } = createTestPayouts('closing');
+    store.dropMarks = true;
+    await payouts.payPrizes(tournament);
+    tournament.status = 'closing';
+    await payouts.payPrizes(tournament);
+    assert.deepEqual(creditsByKey(store), PRIZES);
+    assert.equal(credits.length, 3);
+    assert.equal(store.repository.getBalance('p1', 'USDT'), usdt(36));
+  });
+
+  test('refunds each entry fee of a cancelled tournament once', async () => {
+    const { payouts, store, tournament, credits } = createTestPayouts('cancelling');
+    store.crashAfterCredits = 2;
+    await assert.rejects(payouts.refundEntries(tournament), /process died/);
+    assert.deepEqual(creditsByKey(store), { 'tournament:t1:refund:p1': [usdt(5)], 'tournament:t1:refund:p2': [usdt(5)] });
+    assert.equal(tournament.status, 'cancelling');
+
+    store.crashAfterCredits = null;
+    await payouts.refundEntries(tournament);
+    assert.deepEqual(creditsByKey(store), REFUNDS);
+    assert.equal(tournament.status, 'cancelled');
+
+    // Unmarked refunds are found again but the ledger keys stop a second credit
+    store.dropMarks = true;
+    store.entries.forEach(entry => delete entry.refundedAt);
+    tournament.status = 'cancelling';
+    await payouts.refundEntries(tournament);
+    assert.deepEqual(creditsByKey(store), REFUNDS);
+    assert.equal(credits.length, 4);
+    assert.equal(store.repository.getBalance('p4', 'USDT'), usdt(5));
+  });
+
+  test('refunds nothing for free entry', async () => {
+    const { payouts, store, tournament } = createTestPayouts('cancelling');
+    tournament.entryFee = 0;
+    await payouts.refundEntries(tournament);
+    assert.deepEqual(creditsByKey(store), {});
+    assert.equal(tournament.status, 'cancelled');
+  });
+});
+
+describe('tournament scoring passes', () => {
+  test('starts a new tournament after the last settled round', async () => {
+    const { runner, store, schedule } = createTestScoring({ rounds: [{ roundNumber: 1, status: 'completed' }, { roundNumber: 2, status: 'active' }] });
+    assert.equal((await schedule()).lastScoredRound, 1);
+
+    store.rounds[1].status = 'completed';
+    assert.equal(await runner.lastSettledRound(), 2);
+    store.rounds.length = 0;
+    assert.equal(await runner.lastSettledRound(), 0);
+  });
+
+  test('scores a round only once it has settled, and closes after the round in play', async () => {
+    const { runner, store, clock, schedule } = createTestScoring({ rounds: [{ roundNumber: 1, status: 'completed' }, { roundNumber: 2, status: 'active' }] });
+    await schedule();
+    const [tournament] = store.tournaments;
+    const [entry] = store.entries;
+
+    // Round 2 is in play: alice's cashout in it waits for the round to settle
+    store.bets.push(aliceBet(2, 'cashedOut', 500, 1));
+    clock.now += 2 * MINUTE_MS;
+    await runner.runTournamentPass();
+    assert.equal(tournament.lastScoredRound, 1);
+    assert.equal(entry.score, null);
+
+    store.rounds[1].status = 'completed';
+    store.rounds.push({ roundNumber: 3, status: 'active' });
+    await runner.runTournamentPass();
+    assert.equal(tournament.lastScoredRound, 2);
+    assert.equal(entry.score, 500);
+
+    // Ended, but a bet placed before the end is in the round in play
+    store.bets.push(aliceBet(3, 'open', 0, 59));
+    clock.now = NOW + 61 * MINUTE_MS;
+    await runner.runTournamentPass();
+    assert.equal(tournament.status, 'scheduled');
+
+    Object.assign(store.bets[1], { status: 'lost', profitUSD: -200 });
+    store.rounds[2].status = 'completed';
+    store.rounds.push({ roundNumber: 4, status: 'active' });
+    await runner.runTournamentPass();
+    assert.equal(entry.score, 300);
+    assert.equal(tournament.status, 'completed');
+    assert.equal(store.repository.getBalance('p1', 'USDT'), usdt(10));
+  });
+
+  test('is not held back by an older round left active when its settlement failed', async () => {
+    const { runner, store, clock, schedule } = createTestScoring({ rounds: [{ roundNumber: 1, status: 'completed' }, { roundNumber: 2, status: 'active' }] });
+    await schedule();
+    const [tournament] = store.tournaments;
+    const [entry] = store.entries;
+
+    // Round 2 never got its result stored; its bet stays open
+    store.bets.push(aliceBet(2, 'open', 0, 1), aliceBet(3, 'cashedOut', 400, 2));
+    store.rounds.push({ roundNumber: 3, status: 'completed' }, { roundNumber: 4, status: 'active' });
+    clock.now += 5 * MINUTE_MS;
+    await runner.runTournamentPass();
+    assert.equal(tournament.lastScoredRound, 3);
+    assert.equal(entry.score, 400);
+
+    clock.now = NOW + 61 * MINUTE_MS;
+    await runner.runTournamentPass();
+    assert.equal(tournament.status, 'completed');
+  });
+});
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const ApiNonce = require('../models/ApiNonce');
+const Player = require('../models/Player');
+const { logger } = require('./logger');
+
+/**
+ * API keys and signed requests for bots
+ *
+ * A key has a public ID and a secret derived from it with API_KEY_SECRET, so
+ * only the ID is stored and the secret is shown once, when the key is
+ * created. Every request carries the key ID, a timestamp, a nonce and an
+ * HMAC-SHA256 signature made with the secret over
+ *
+ *   timestamp \n nonce \n METHOD \n path with query string \n raw body
+ *
+ * Requests older or newer than SIGNATURE_WINDOW_MS are refused, and each
+ * nonce is accepted once per key across all instances, so a captured
+ * request cannot be replayed.
+ */
+
+const API_KEY_SCOPES = ['read', 'bet', 'cashout'];
+const SIGNATURE_WINDOW_MS = 30000;
+const MAX_KEYS_PER_PLAYER = 10;
+const MAX_KEY_NAME_LENGTH = 50;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Every instance has to derive the same secrets from a key ID
+if (!process.env.API_KEY_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('API_KEY_SECRET must be set in production');
+  }
+  logger.warn('⚠️ API_KEY_SECRET not set, using a random secret (API keys stop working on restart and only work on this instance)');
+}
+const API_KEY_SECRET = process.env.API_KEY_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Error for a key request the player can fix
+ * @param {string} message - Reason shown to the player
+ * @returns {Error} Error with code API_KEY_REJECTED
+ */
+function rejectApiKey(message) {
+  const error = new Error(message);
+  error.code = 'API_KEY_REJECTED';
+  return error;
+}
+
+/**
+ * Validate the body of a key creation request
+ * @param {*} data - `{ name, scopes }`
+ * @returns {Object} `{ key: { name, scopes } }`, or `{ error }`
+ */
+function validateKeyRequest(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'Request must be an object' };
+  }
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name || name.length > MAX_KEY_NAME_LENGTH) {
+    return { error: `Key name must be 1 to ${MAX_KEY_NAME_LENGTH} characters` };
+  }
+  if (!Array.isArray(data.scopes) || !data.scopes.length) {
+    return { error: `Scopes must be a non-empty list of ${API_KEY_SCOPES.join(', ')}` };
+  }
+  const unknown = data.scopes.find(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown !== undefined) {
+    return { error: `Unknown scope: ${unknown}` };
+  }
+  // In canonical order, without duplicates
+  return { key: { name, scopes: API_KEY_SCOPES.filter(scope => data.scopes.includes(scope)) } };
+}
+
+/**
+ * Signing secret of a key
+ * @param {string} keyId - Key ID
+ * @param {string} [masterSecret] - Server secret, API_KEY_SECRET by default
+ * @returns {string} Hex secret
+ */
+function deriveSecret(keyId, masterSecret = API_KEY_SECRET) {
+  return crypto.createHmac('sha256', masterSecret).update(`api-key:${keyId}`).digest('hex');
+}
+
+/**
+ * Text a request signature covers
+ * @param {Object} request - `timestamp`, `nonce`, `method`, `path` with query string and raw `body`
+ * @returns {string} Newline-separated fields
+ */
+function canonicalRequest({ timestamp, nonce, method, path, body }) {
+  return [timestamp, nonce, method.toUpperCase(), path, body || ''].join('\n');
+}
+
+/**
+ * Sign a request, as a bot does
+ * @param {string} secret - Key secret
+ * @param {Object} request - See canonicalRequest
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+function signRequest(secret, request) {
+  return crypto.createHmac('sha256', secret).update(canonicalRequest(request)).digest('hex');
+}
+
+/**
+ * Compare two hex signatures in constant time
+ * @param {string} expected - Signature computed here
+ * @param {*} actual - Signature sent by the client
+ * @returns {boolean} Whether they match
+ */
+function signaturesMatch(expected, actual) {
+  if (typeof actual !== 'string' || actual.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+/**
+ * Signed request fields of an HTTP request
+ * @param {Object} req - Express request, with `rawBody` kept by the JSON parser
+ * @returns {Object} Request to verify
+ */
+function signedHttpRequest(req) {
+  return {
+    keyId: req.get('x-api-key'),
+    timestamp: req.get('x-api-timestamp'),
+    nonce: req.get('x-api-nonce'),
+    signature: req.get('x-api-signature'),
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody || ''
+  };
+}
+
+// Keys, player status and nonces in MongoDB
+const mongoKeyStore = {
+  async findKey(keyId) {
+    const key = await ApiKey.findOne({ keyId }).lean();
+    if (!key) return null;
+    const player = await Player.findById(key.playerId, { status: 1 }).lean();
+    return { ...key, playerStatus: player ? player.status : null };
+  },
+
+  async claimNonce(keyId, nonce, expiresAt) {
+    try {
+      await ApiNonce.create({ keyId, nonce, expiresAt });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  },
+
+  touchKey(keyId, usedAt) {
+    return ApiKey.updateOne({ keyId }, { lastUsedAt: usedAt });
+  }
+};
+
+/**
+ * Create the verifier of signed requests
+ * @param {Object} [options] - Verifier options
+ * @param {Object} [options.store] - findKey(keyId), claimNonce(keyId, nonce, expiresAt) and touchKey(keyId, usedAt); MongoDB by default
+ * @param {Function} [options.clock] - Returns the current time in ms
+ * @param {string} [options.masterSecret] - Secret keys are derived from
+ * @param {Object} [options.logger] - console-like logger
+ * @returns {Object} Verifier with authenticate and the requireApiKey middleware
+ */
+function createApiKeyAuth({ store = mongoKeyStore, clock = Date.now, masterSecret = API_KEY_SECRET, logger: log = logger.child({ component: 'apiKeys' }) } = {}) {
+  /**
+   * Verify a signed request
+   * @param {Object} request - `keyId`, `timestamp`, `nonce`, `signature`, `method`, `path` and `body`
+   * @param {string} [scope] - Scope the key needs
+   * @returns {Promise<Object>} `{ key: { keyId, playerId, scopes } }`, or `{ status, error }`
+   */
+  async function authenticate(request, scope) {
+    const { keyId, timestamp, nonce, signature } = request;
+    if (typeof keyId !== 'string' || !timestamp || !nonce || !signature) {
+      return { status: 401, error: 'Signed API key headers required' };
+    }
+    const now = clock();
+    if (!/^\d{1,15}$/.test(timestamp) || Math.abs(now - Number(timestamp)) > SIGNATURE_WINDOW_MS) {
+      return { status: 401, error: 'Request timestamp is outside the allowed window' };
+    }
+    if (typeof nonce !== 'string' || !NONCE_PATTERN.test(nonce)) {
+      return { status: 401, error: 'Invalid nonce' };
+    }
+
+    const key = await store.findKey(keyId);
+    if (!key || key.revokedAt) {
+      return { status: 401, error: 'Unknown or revoked API key' };
+    }
+    if (!signaturesMatch(signRequest(deriveSecret(keyId, masterSecret), request), signature)) {
+      return { status: 401, error: 'Invalid signature' };
+    }
+    // Claimed only for a valid signature, so nobody else can burn a key's nonces
+    if (!await store.claimNonce(keyId, nonce, new Date(Number(timestamp) + SIGNATURE_WINDOW_MS))) {
+      return { status: 401, error: 'Nonce already used' };
+    }
+
+    if (key.playerStatus === 'banned') {
+      return { status: 403, error: 'Account is banned' };
+    }
+    if (scope && !key.scopes.includes(scope)) {
+      return { status: 403, error: `API key lacks the ${scope} scope` };
+    }
+
+    Promise.resolve(store.touchKey(keyId, new Date(now)))
+      .catch(error => log.warn('⚠️ Could not record API key use', { keyId, error }));
+    return { key: { keyId, playerId: key.playerId, scopes: key.scopes } };
+  }
+
+  return {
+    authenticate,
+
+    /**
+     * Express middleware requiring a signed request with a key holding a scope; sets `req.apiKey`
+     * @param {string} scope - read, bet or cashout
+     * @returns {Function} Middleware
+     */
+    requireApiKey(scope) {
+      return async (req, res, next) => {
+        try {
+          const { key, status, error } = await authenticate(signedHttpRequest(req), scope);
+          if (error) {
+            return res.status(status).json({ success: false, message: error });
+          }
+          req.apiKey = key;
+          next();
+        } catch (error) {
+          log.error('❌ Error verifying API key', error);
+          res.status(500).json({ success: false, message: 'Error verifying API key' });
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Public fields of a key; the secret is never stored
+ * @param {Object} key - ApiKey document
+ * @returns {Object} Key
+ */
+function serializeKey(key) {
+  return {
+    keyId: key.keyId,
+    name: key.name,
+    scopes: key.scopes,
+    createdAt: key.createdAt,
+    lastUsedAt: key.lastUsedAt || null,
+    revokedAt: key.revokedAt || null
+  };
+}
+
+/**
+ * Create a key for a player
+ * @param {string} playerId - Player account ID
+ * @param {Object} request - Validated `{ name, scopes }`
+ * @returns {Promise<Object>} `{ key, secret }`; the secret cannot be shown again
+ * @throws {Error} API_KEY_REJECTED when the player has too many keys
+ */
+async function createApiKey(playerId, { name, scopes }) {
+  const active = await ApiKey.countDocuments({ playerId, revokedAt: null });
+  if (active >= MAX_KEYS_PER_PLAYER) {
+    throw rejectApiKey(`You can have at most ${MAX_KEYS_PER_PLAYER} active API keys`);
+  }
+  const keyId = `ck_${crypto.randomBytes(12).toString('hex')}`;
+  const key = await ApiKey.create({ keyId, playerId, name, scopes });
+  return { key: serializeKey(key), secret: deriveSecret(keyId) };
+}
+
+/**
+ * A player's keys, newest first
+ * @param {string} playerId - Player account ID
+ * @returns {Promise<Object[]>} Keys, revoked ones included
+ */
+async function listApiKeys(playerId) {
+  const keys = await ApiKey.find({ playerId }).sort({ createdAt: -1 }).lean();
+  return keys.map(serializeKey);
+}
+
+/**
+ * Revoke one of a player's keys
+ * @param {string} playerId - Player account ID
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Object|null>} Revoked key, null when the player has no such key
+ */
+async function revokeApiKey(playerId, keyId) {
+  const key = await ApiKey.findOneAndUpdate(
+    { playerId, keyId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  ).lean();
+  if (key) return serializeKey(key);
+  // Revoking twice is not an error
+  const revoked = await ApiKey.findOne({ playerId, keyId }).lean();
+  return revoked && serializeKey(revoked);
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  SIGNATURE_WINDOW_MS,
+  MAX_KEYS_PER_PLAYER,
+  validateKeyRequest,
+  deriveSecret,
+  canonicalRequest,
+  signRequest,
+  createApiKeyAuth,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
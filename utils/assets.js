@@ -0,0 +1,245 @@
+const fs = require('fs');
+
+/**
+ * Asset registry
+ *
+ * Every cryptocurrency the game handles is described once here: display
+ * name, decimals, price source ids, per-asset bet limits, deposit and
+ * withdrawal settings, and whether it is enabled. Wallets, schema
+ * validation, `placeBet`, price fetching, payments and the client's
+ * currency selector are all driven by it.
+ *
+ * The built-in assets can be changed, disabled or extended with a JSON file
+ * named by `ASSETS_FILE`: an array of entries merged by symbol over the
+ * defaults, so `[{ "symbol": "USDT", "enabled": false }]` disables USDT and a
+ * complete SOL entry adds Solana. The registry is read once at startup;
+ * restart every instance after changing it.
+ *
+ * A disabled asset takes no bets, auto-bets or new deposit addresses, but
+ * balances in it are kept and can still be withdrawn. Never change the
+ * decimals of an asset once amounts in it are stored: they are kept in minor
+ * units (see utils/money.js).
+ */
+
+// Minor units are JavaScript integers, so 10^decimals must leave room for whole amounts below 2^53
+const MAX_DECIMALS = 9;
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+const DEFAULT_ASSETS = [
+  {
+    symbol: 'BTC',
+    name: 'Bitcoin',
+    decimals: 8,
+    priceIds: { coingecko: 'bitcoin', coinbase: 'BTC' },
+    minBetUSD: null,
+    maxBetUSD: null,
+    enabled: true,
+    network: 'bitcoin',
+    confirmations: 3,
+    withdrawal: { min: '0.0001', daily: '0.1', fee: '0.00002' }
+  },
+  {
+    symbol: 'ETH',
+    name: 'Ethereum',
+    decimals: 9,
+    priceIds: { coingecko: 'ethereum', coinbase: 'ETH' },
+    minBetUSD: null,
+    maxBetUSD: null,
+    enabled: true,
+    network: 'ethereum',
+    confirmations: 6,
+    withdrawal: { min: '0.001', daily: '2', fee: '0.0005' }
+  },
+  {
+    symbol: 'USDT',
+    name: 'Tether',
+    decimals: 6,
+    priceIds: { coingecko: 'tether', coinbase: 'USDT' },
+    minBetUSD: null,
+    maxBetUSD: null,
+    enabled: true,
+    network: 'ethereum',
+    confirmations: 6,
+    withdrawal: { min: '10', daily: '5000', fee: '1' }
+  }
+];
+
+/**
+ * Error for an invalid registry entry
+ * @param {string} symbol - Asset symbol, or a placeholder when missing
+ * @param {string} reason - What is wrong
+ * @returns {Error} Error
+ */
+function invalidAsset(symbol, reason) {
+  return new Error(`Invalid asset ${symbol}: ${reason}`);
+}
+
+/**
+ * Whether a value is a non-negative decimal string with at most the given decimals
+ * @param {*} value - Value to check
+ * @param {number} decimals - Decimal places allowed
+ * @returns {boolean} Whether it is
+ */
+function isDecimalString(value, decimals) {
+  const match = typeof value === 'string' && /^\d+(?:\.(\d+))?$/.exec(value);
+  return Boolean(match) && (match[1] || '').replace(/0+$/, '').length <= decimals;
+}
+
+/**
+ * Check a complete registry entry and fill in optional fields
+ * @param {Object} entry - Asset entry
+ * @returns {Object} Frozen asset
+ * @throws {Error} When a field is missing or invalid
+ */
+function validateAsset(entry) {
+  const symbol = entry && typeof entry.symbol === 'string' ? entry.symbol : '(no symbol)';
+  if (!SYMBOL_PATTERN.test(symbol)) {
+    throw invalidAsset(symbol, 'symbol must be 2-10 capital letters or digits');
+  }
+  const { name, decimals, priceIds = {}, minBetUSD = null, maxBetUSD = null, enabled = true, network, confirmations, withdrawal } = entry;
+  if (typeof name !== 'string' || !name.trim()) {
+    throw invalidAsset(symbol, 'name is required');
+  }
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS) {
+    throw invalidAsset(symbol, `decimals must be a whole number from 0 to ${MAX_DECIMALS}`);
+  }
+  if (typeof priceIds !== 'object' || priceIds === null || Object.values(priceIds).some(id => typeof id !== 'string' || !id)) {
+    throw invalidAsset(symbol, 'priceIds must map price providers to ids');
+  }
+  for (const [field, value] of Object.entries({ minBetUSD, maxBetUSD })) {
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+      throw invalidAsset(symbol, `${field} must be a positive number or null`);
+    }
+  }
+  if (minBetUSD !== null && maxBetUSD !== null && minBetUSD > maxBetUSD) {
+    throw invalidAsset(symbol, 'minBetUSD must not exceed maxBetUSD');
+  }
+  if (typeof enabled !== 'boolean') {
+    throw invalidAsset(symbol, 'enabled must be true or false');
+  }
+  if (typeof network !== 'string' || !network) {
+    throw invalidAsset(symbol, 'network is required');
+  }
+  if (!Number.isInteger(confirmations) || confirmations < 1) {
+    throw invalidAsset(symbol, 'confirmations must be a positive whole number');
+  }
+  if (typeof withdrawal !== 'object' || withdrawal === null) {
+    throw invalidAsset(symbol, 'withdrawal settings are required');
+  }
+  for (const field of ['min', 'daily', 'fee']) {
+    if (!isDecimalString(withdrawal[field], decimals)) {
+      throw invalidAsset(symbol, `withdrawal.${field} must be a decimal string with at most ${decimals} decimals`);
+    }
+  }
+
+  return Object.freeze({
+    symbol,
+    name: name.trim(),
+    decimals,
+    // Coinbase quotes by symbol unless told otherwise
+    priceIds: Object.freeze({ coinbase: symbol, ...priceIds }),
+    minBetUSD,
+    maxBetUSD,
+    enabled,
+    network,
+    confirmations,
+    withdrawal: Object.freeze({ min: withdrawal.min, daily: withdrawal.daily, fee: withdrawal.fee })
+  });
+}
+
+/**
+ * Build the registry from the defaults and configured overrides
+ * @param {Object[]} [overrides] - Entries merged by symbol over the defaults
+ * @param {Object[]} [defaults] - Built-in entries
+ * @returns {Object} Frozen assets by symbol, in configuration order
+ * @throws {Error} When an entry is invalid or the registry is empty
+ */
+function buildRegistry(overrides = [], defaults = DEFAULT_ASSETS) {
+  if (!Array.isArray(overrides)) {
+    throw new Error('Asset configuration must be an array of entries');
+  }
+  const merged = new Map(defaults.map(asset => [asset.symbol, asset]));
+  for (const entry of overrides) {
+    if (typeof entry !== 'object' || entry === null) {
+      throw new Error('Asset configuration entries must be objects');
+    }
+    const base = merged.get(entry.symbol) || {};
+    merged.set(entry.symbol, {
+      ...base,
+      ...entry,
+      withdrawal: { ...base.withdrawal, ...entry.withdrawal },
+      priceIds: { ...base.priceIds, ...entry.priceIds }
+    });
+  }
+
+  const registry = {};
+  for (const entry of merged.values()) {
+    const asset = validateAsset(entry);
+    registry[asset.symbol] = asset;
+  }
+  if (!Object.keys(registry).length) {
+    throw new Error('At least one asset must be configured');
+  }
+  return Object.freeze(registry);
+}
+
+/**
+ * Registry entries from the file named by ASSETS_FILE
+ * @param {string} [file] - JSON file path
+ * @returns {Object[]} Entries, none when unset
+ */
+function readAssetFile(file) {
+  if (!file) return [];
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read asset configuration ${file}: ${error.message}`);
+  }
+}
+
+// Loaded before any model is compiled: schemas take their currency fields from it
+const ASSETS = buildRegistry(readAssetFile(process.env.ASSETS_FILE));
+// Every configured symbol, enabled or not; stored amounts may be in any of them
+const ASSET_SYMBOLS = Object.freeze(Object.keys(ASSETS));
+
+/**
+ * Registry entry of a symbol
+ * @param {string} symbol - Asset symbol
+ * @param {Object} [registry] - Registry to look in
+ * @returns {Object|null} Asset, null when not configured
+ */
+function getAsset(symbol, registry = ASSETS) {
+  return typeof symbol === 'string' && Object.prototype.hasOwnProperty.call(registry, symbol) ? registry[symbol] : null;
+}
+
+/**
+ * Whether new bets and deposits may use an asset
+ * @param {string} symbol - Asset symbol
+ * @param {Object} [registry] - Registry to look in
+ * @returns {boolean} Whether it is configured and enabled
+ */
+function isAssetEnabled(symbol, registry = ASSETS) {
+  const asset = getAsset(symbol, registry);
+  return Boolean(asset && asset.enabled);
+}
+
+/**
+ * An asset as sent to clients
+ * @param {Object} asset - Registry entry
+ * @returns {Object} Symbol, name, decimals, bet limits and enabled flag
+ */
+function publicAsset({ symbol, name, decimals, minBetUSD, maxBetUSD, enabled }) {
+  return { symbol, name, decimals, minBetUSD, maxBetUSD, enabled };
+}
+
+module.exports = {
+  MAX_DECIMALS,
+  DEFAULT_ASSETS,
+  ASSETS,
+  ASSET_SYMBOLS,
+  validateAsset,
+  buildRegistry,
+  getAsset,
+  isAssetEnabled,
+  publicAsset
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const AuditEntry = require('../models/AuditEntry');
+const AuditChain = require('../models/AuditChain');
+
+/**
+ * Audit log of balance changes
+ *
+ * Every balance change appends an entry whose hash covers its own fields
+ * and the previous entry's hash, so changing, removing or reordering any
+ * stored entry breaks every hash after it. The chain head (last sequence
+ * and hash) is kept in its own document and updated in the same MongoDB
+ * transaction as the balance change, which also serializes appends: two
+ * concurrent changes conflict on the head and one is retried.
+ *
+ * The log is verified by recomputing the chain from the first entry; see
+ * verifyAuditLog and `npm run audit:verify`.
+ */
+
+const CHAIN_ID = 'balances';
+// Previous hash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by an entry's hash, in hashing order
+const HASHED_FIELDS = ['sequence', 'action', 'playerId', 'currency', 'direction', 'amount', 'balance', 'transactionId', 'reference', 'roundNumber', 'timestamp'];
+
+/**
+ * Hash of an entry chained to the previous one
+ * @param {Object} entry - Entry fields
+ * @param {string} previousHash - Hash of the previous entry
+ * @returns {string} Hex SHA-256
+ */
+function hashAuditEntry(entry, previousHash) {
+  // Fixed field order, and missing fields as null, so stored entries hash the same after a round trip
+  const values = HASHED_FIELDS.map(field => {
+    const value = entry[field];
+    if (value instanceof Date) return value.toISOString();
+    return value === undefined ? null : value;
+  });
+  return crypto.createHash('sha256').update(`${previousHash}\n${JSON.stringify(values)}`).digest('hex');
+}
+
+/**
+ * Next entry of a chain
+ * @param {Object|null} head - Last entry's `{ sequence, hash }`, null for an empty chain
+ * @param {Object} record - Balance change: action, playerId, currency, direction, amount, balance, transactionId, reference, roundNumber
+ * @param {Date} [timestamp] - Time of the change
+ * @returns {Object} Entry with sequence, previousHash and hash
+ */
+function createAuditEntry(head, record, timestamp = new Date()) {
+  const entry = {
+    sequence: head ? head.sequence + 1 : 1,
+    action: record.action,
+    playerId: String(record.playerId),
+    currency: record.currency,
+    direction: record.direction,
+    amount: record.amount,
+    balance: record.balance,
+    transactionId: String(record.transactionId),
+    reference: record.reference,
+    roundNumber: record.roundNumber === undefined ? null : record.roundNumber,
+    timestamp,
+    previousHash: head ? head.hash : GENESIS_HASH
+  };
+  entry.hash = hashAuditEntry(entry, entry.previousHash);
+  return entry;
+}
+
+/**
+ * Incremental chain verifier, fed entries in sequence order
+ * @returns {Object} `check(entry)` returning false at the first broken link, and `result()`
+ */
+function createAuditVerifier() {
+  let previous = null;
+  let checked = 0;
+  let failure = null;
+
+  return {
+    check(entry) {
+      if (failure) return false;
+      const expectedSequence = previous ? previous.sequence + 1 : 1;
+      const expectedPrevious = previous ? previous.hash : GENESIS_HASH;
+      if (entry.sequence !== expectedSequence) {
+        failure = { sequence: entry.sequence, reason: `Expected sequence ${expectedSequence}, entries are missing or reordered` };
+      } else if (entry.previousHash !== expectedPrevious) {
+        failure = { sequence: entry.sequence, reason: 'Previous hash does not match the previous entry' };
+      } else if (entry.hash !== hashAuditEntry(entry, entry.previousHash)) {
+        failure = { sequence: entry.sequence, reason: 'Hash does not match the entry, it was modified' };
+      } else {
+        previous = { sequence: entry.sequence, hash: entry.hash };
+        checked++;
+      }
+      return !failure;
+    },
+
+    /**
+     * Outcome so far
+     * @returns {Object} `{ valid, checked, head, failure }`; head is the last valid entry's sequence and hash
+     */
+    result() {
+      return { valid: !failure, checked, head: previous, failure };
+    }
+  };
+}
+
+/**
+ * Verify a list of entries
+ * @param {Object[]} entries - Entries in sequence order, starting at the first
+ * @returns {Object} `{ valid, checked, head, failure }`
+ */
+function verifyAuditChain(entries) {
+  const verifier = createAuditVerifier();
+  for (const entry of entries) {
+    if (!verifier.check(entry)) break;
+  }
+  return verifier.result();
+}
+
+/**
+ * Append a balance change to the stored chain
+ * @param {Object} record - Balance change (see createAuditEntry)
+ * @param {Object} options - `session` of the MongoDB transaction making the change
+ * @returns {Promise<Object>} AuditEntry document
+ */
+async function appendAuditEntry(record, { session }) {
+  // Taking the next sequence writes the head first, so concurrent appends conflict here and retry
+  const head = await AuditChain.findOneAndUpdate(
+    { _id: CHAIN_ID },
+    { $inc: { sequence: 1 }, $setOnInsert: { hash: GENESIS_HASH } },
+    { new: false, upsert: true, session }
+  );
+  const entry = createAuditEntry(head ? { sequence: head.sequence, hash: head.hash } : null, record);
+  const [stored] = await AuditEntry.create([entry], { session });
+  await AuditChain.updateOne({ _id: CHAIN_ID }, { $set: { hash: entry.hash } }, { session });
+  return stored;
+}
+
+/**
+ * Verify the stored chain from its first entry, and that it ends at the recorded head
+ * @returns {Promise<Object>} `{ valid, checked, head, failure, checkedAt }`
+ */
+async function verifyAuditLog() {
+  const verifier = createAuditVerifier();
+  const cursor = AuditEntry.find({}, { _id: 0, __v: 0 }).sort({ sequence: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    if (!verifier.check(entry)) break;
+  }
+  const result = verifier.result();
+
+  // Entries removed from the end leave a valid but shorter chain
+  const chain = await AuditChain.findById(CHAIN_ID).lean();
+  if (result.valid && chain && (!result.head || chain.sequence !== result.head.sequence || chain.hash !== result.head.hash)) {
+    result.valid = false;
+    result.failure = { sequence: chain.sequence, reason: `Chain head is at sequence ${chain.sequence}, entries are missing from the end` };
+  }
+  return { ...result, checkedAt: new Date() };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  hashAuditEntry,
+  createAuditEntry,
+  createAuditVerifier,
+  verifyAuditChain,
+  appendAuditEntry,
+  verifyAuditLog
+};
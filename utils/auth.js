@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const SCRYPT_KEY_LENGTH = 64;
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7) * 60 * 60 * 1000;
+
+// Every instance has to verify the sessions the others issued
+if (!process.env.SESSION_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET must be set in production');
+  }
+  logger.warn('⚠️ SESSION_SECRET not set, using a random secret (sessions end on restart and only work on this instance)');
+}
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash in the form scrypt$salt$hash
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Check a password against a stored scrypt hash
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+}
+
+/**
+ * Sign a payload with the session secret
+ * @param {string} data - Encoded payload
+ * @returns {string} Base64url HMAC signature
+ */
+function sign(data) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed session token for a player
+ * @param {Object} player - Player document
+ * @returns {string} Session token
+ */
+function createSessionToken(player) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: player._id.toString(),
+    username: player.username,
+    exp: Date.now() + SESSION_TTL_MS
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a session token's signature and expiry
+ * @param {string} token - Session token
+ * @returns {Object|null} Session payload, or null when invalid or expired
+ */
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!session.sub || !session.exp || session.exp < Date.now()) return null;
+    return session;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Session of a request's `Authorization: Bearer <token>` header
+ * @param {Object} req - Express request
+ * @returns {Object|null} Session payload, or null when missing or invalid
+ */
+function sessionFromRequest(req) {
+  const header = req.headers.authorization || '';
+  return verifySessionToken(header.startsWith('Bearer ') ? header.slice(7) : null);
+}
+
+/**
+ * Express middleware requiring a valid `Authorization: Bearer <token>` header
+ */
+function requireAuth(req, res, next) {
+  const session = sessionFromRequest(req);
+
+  if (!session) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  req.session = session;
+  next();
+}
+
+/**
+ * Check an operator key against ADMIN_API_KEY in constant time
+ * @param {string} key - Key sent by the client
+ * @returns {boolean} Whether the key matches; always false while ADMIN_API_KEY is unset
+ */
+function isAdminKey(key) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey || typeof key !== 'string') return false;
+
+  const expected = Buffer.from(adminKey);
+  const actual = Buffer.from(key);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Express middleware requiring the operator key in the `x-admin-key` header
+ */
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(403).json({ success: false, message: 'Admin API disabled' });
+  }
+  if (!isAdminKey(req.headers['x-admin-key'])) {
+    return res.status(401).json({ success: false, message: 'Admin authentication required' });
+  }
+
+  next();
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  verifySessionToken,
+  sessionFromRequest,
+  requireAuth,
+  isAdminKey,
+  requireAdmin
+};
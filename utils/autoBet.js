@@ -0,0 +1,123 @@
+/**
+ * Auto-cashout targets and server-side auto-bet strategies
+ *
+ * Pure helpers: the game loop owns the player state and persistence, these
+ * only validate configuration and compute the next bet after each result.
+ * Amounts are plain dollar numbers in whole cents; results are added up in
+ * cents so the running profit stays exact.
+ */
+
+const { getAsset, isAssetEnabled } = require('./assets');
+const { parseAmount, toUnits, toDecimal } = require('./money');
+
+const MIN_AUTO_CASHOUT = 1.01;
+const AUTO_BET_STRATEGIES = ['fixed', 'martingale'];
+
+/**
+ * Check an auto-cashout target
+ * @param {*} value - Requested target multiplier
+ * @param {number} maxCrash - Highest possible crash point
+ * @returns {boolean} Whether the target can ever be reached
+ */
+function isValidAutoCashout(value, maxCrash) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= MIN_AUTO_CASHOUT && value <= maxCrash;
+}
+
+/**
+ * Optional positive number from a config payload
+ * @param {*} value - Raw value
+ * @returns {number|null|undefined} Number, null when unset, undefined when invalid
+ */
+function optionalPositive(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : undefined;
+}
+
+/**
+ * Validate an auto-bet configuration and reset its progress
+ * @param {Object} config - Configuration from the client
+ * @param {Object} options - Asset registry as `supportedCryptos` and maximum crash point
+ * @returns {Object} `{ autoBet }` ready to persist, or `{ error }`
+ */
+function createAutoBet(config = {}, { supportedCryptos, maxCrash }) {
+  const strategy = config.strategy || 'fixed';
+  if (!AUTO_BET_STRATEGIES.includes(strategy)) {
+    return { error: `Strategy must be one of: ${AUTO_BET_STRATEGIES.join(', ')}` };
+  }
+  if (!(typeof config.baseBetUSD === 'number' && parseAmount(config.baseBetUSD, 'USD') > 0)) {
+    return { error: 'Invalid base bet amount' };
+  }
+  if (!isAssetEnabled(config.cryptoType, supportedCryptos)) {
+    return { error: getAsset(config.cryptoType, supportedCryptos) ? `${config.cryptoType} bets are disabled` : 'Unsupported cryptocurrency' };
+  }
+  if (!isValidAutoCashout(config.autoCashoutAt, maxCrash)) {
+    return { error: `Auto-cashout must be between ${MIN_AUTO_CASHOUT}x and ${maxCrash}x` };
+  }
+
+  const stopOnProfitUSD = optionalPositive(config.stopOnProfitUSD);
+  const stopOnLossUSD = optionalPositive(config.stopOnLossUSD);
+  const maxRounds = optionalPositive(config.maxRounds);
+  if (stopOnProfitUSD === undefined || stopOnLossUSD === undefined || maxRounds === undefined) {
+    return { error: 'Stop conditions must be positive numbers' };
+  }
+  if (maxRounds !== null && !Number.isInteger(maxRounds)) {
+    return { error: 'Number of rounds must be a whole number' };
+  }
+
+  return {
+    autoBet: {
+      enabled: true,
+      strategy,
+      baseBetUSD: config.baseBetUSD,
+      cryptoType: config.cryptoType,
+      autoCashoutAt: config.autoCashoutAt,
+      stopOnProfitUSD,
+      stopOnLossUSD,
+      maxRounds,
+      nextBetUSD: config.baseBetUSD,
+      roundsPlayed: 0,
+      profitUSD: 0
+    }
+  };
+}
+
+/**
+ * Record a finished auto-bet and work out the next stake
+ * @param {Object} autoBet - Current auto-bet state
+ * @param {number} betCents - Amount wagered in cents
+ * @param {number} payoutCents - Amount paid out in cents (0 when the bet was lost)
+ * @returns {Object} `{ autoBet, stopReason }`; stopReason is null while it keeps running
+ */
+function applyAutoBetResult(autoBet, betCents, payoutCents) {
+  const won = payoutCents > 0;
+  const next = {
+    ...autoBet,
+    roundsPlayed: autoBet.roundsPlayed + 1,
+    profitUSD: toDecimal(toUnits(autoBet.profitUSD, 'USD') + payoutCents - betCents, 'USD')
+  };
+
+  // Martingale doubles the stake after a loss and resets it after a win
+  next.nextBetUSD = next.strategy === 'martingale' && !won ? toDecimal(betCents * 2, 'USD') : next.baseBetUSD;
+
+  let stopReason = null;
+  if (next.maxRounds && next.roundsPlayed >= next.maxRounds) {
+    stopReason = `Completed ${next.maxRounds} rounds`;
+  } else if (next.stopOnProfitUSD && next.profitUSD >= next.stopOnProfitUSD) {
+    stopReason = `Profit target of $${next.stopOnProfitUSD} reached`;
+  } else if (next.stopOnLossUSD && -next.profitUSD >= next.stopOnLossUSD) {
+    stopReason = `Loss limit of $${next.stopOnLossUSD} reached`;
+  }
+
+  if (stopReason) {
+    next.enabled = false;
+  }
+  return { autoBet: next, stopReason };
+}
+
+module.exports = {
+  MIN_AUTO_CASHOUT,
+  AUTO_BET_STRATEGIES,
+  isValidAutoCashout,
+  createAutoBet,
+  applyAutoBetResult
+};
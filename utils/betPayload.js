@@ -0,0 +1,134 @@
+/**
+ * Schemas of the `placeBet` and `cashedOut` payloads
+ *
+ * Pure helpers: check the shape of a bet or cashout request before it reaches the game.
+ * Limits that depend on runtime settings (the operator's maximum bet and
+ * crash point) are still enforced by the game loop.
+ *
+ * The amount may be sent as a number or a decimal string and comes back in
+ * cents. Only enabled assets take bets, within the tighter of the global
+ * and the asset's own bet limits.
+ */
+
+const { MIN_AUTO_CASHOUT } = require('./autoBet');
+const { parseAmount, toUnits } = require('./money');
+const { getAsset, isAssetEnabled } = require('./assets');
+
+const BET_FIELDS = ['usdAmount', 'cryptoType', 'autoCashoutAt'];
+const CASHOUT_FIELDS = ['betId', 'fraction'];
+const MAX_BET_ID_LENGTH = 64;
+// Bets are whole cents and auto-cashout targets whole hundredths, like the multiplier shown to players
+const USD_DECIMALS = 2;
+const MULTIPLIER_DECIMALS = 2;
+// Partial cashouts are whole percent of the stake still riding
+const FRACTION_DECIMALS = 2;
+const MIN_BET_USD = 0.1;
+// Upper bound of any bet, whatever the operator's maximum
+const MAX_BET_USD = 1000000;
+
+/**
+ * Whether a number has at most the given number of decimal places
+ * @param {number} value - Finite number
+ * @param {number} decimals - Decimal places allowed
+ * @returns {boolean} Whether the value is that precise at most
+ */
+function hasPrecision(value, decimals) {
+  const scaled = value * 10 ** decimals;
+  return Math.abs(scaled - Math.round(scaled)) < 1e-6;
+}
+
+/**
+ * Validate a bet request
+ * @param {*} data - Payload from the client
+ * @param {Object} options - Asset registry as `supportedCryptos`, optional `minBetUSD`, `maxBetUSD` and `maxCrash`
+ * @returns {Object} `{ bet }` with `usdAmount` in cents and `autoCashoutAt` null when unset, or `{ error }`
+ */
+function validateBetPayload(data, { supportedCryptos, minBetUSD = MIN_BET_USD, maxBetUSD = MAX_BET_USD, maxCrash = null }) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return { error: 'Bet must be an object' };
+  }
+  const unknown = Object.keys(data).filter(field => !BET_FIELDS.includes(field));
+  if (unknown.length) {
+    return { error: `Unknown bet field: ${unknown[0]}` };
+  }
+
+  const { cryptoType, autoCashoutAt = null } = data;
+  if (!['number', 'string'].includes(typeof data.usdAmount)) {
+    return { error: 'Bet amount must be a number or a decimal string' };
+  }
+  const usdAmount = parseAmount(data.usdAmount, 'USD');
+  if (usdAmount === null) {
+    return { error: `Bet amount must be a positive amount with at most ${USD_DECIMALS} decimal places` };
+  }
+  if (!isAssetEnabled(cryptoType, supportedCryptos)) {
+    return { error: getAsset(cryptoType, supportedCryptos) ? `${cryptoType} bets are disabled` : 'Unsupported cryptocurrency' };
+  }
+  const asset = getAsset(cryptoType, supportedCryptos);
+  const minUSD = Math.max(minBetUSD, asset.minBetUSD || 0);
+  const maxUSD = Math.min(maxBetUSD, asset.maxBetUSD || Infinity);
+  if (usdAmount < toUnits(minUSD, 'USD') || usdAmount > toUnits(maxUSD, 'USD')) {
+    return { error: `Bet amount must be between $${minUSD} and $${maxUSD}` };
+  }
+
+  if (autoCashoutAt !== null) {
+    if (typeof autoCashoutAt !== 'number' || !Number.isFinite(autoCashoutAt)) {
+      return { error: 'Auto-cashout must be a number' };
+    }
+    if (!hasPrecision(autoCashoutAt, MULTIPLIER_DECIMALS)) {
+      return { error: `Auto-cashout must have at most ${MULTIPLIER_DECIMALS} decimal places` };
+    }
+    if (autoCashoutAt < MIN_AUTO_CASHOUT || (maxCrash !== null && autoCashoutAt > maxCrash)) {
+      return {
+        error: maxCrash === null
+          ? `Auto-cashout must be at least ${MIN_AUTO_CASHOUT}x`
+          : `Auto-cashout must be between ${MIN_AUTO_CASHOUT}x and ${maxCrash}x`
+      };
+    }
+  }
+
+  return { bet: { usdAmount, cryptoType, autoCashoutAt } };
+}
+
+/**
+ * Validate a cashout request
+ * Without a bet id the player's only open bet is cashed out; without a
+ * fraction the whole stake still riding.
+ * @param {*} [data] - Payload from the client: optional `betId` and `fraction` (0.01 to 1)
+ * @returns {Object} `{ cashout }` with `betId` null when unset and `fraction`, or `{ error }`
+ */
+function validateCashoutPayload(data) {
+  if (data === undefined || data === null) {
+    return { cashout: { betId: null, fraction: 1 } };
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'Cashout must be an object' };
+  }
+  const unknown = Object.keys(data).filter(field => !CASHOUT_FIELDS.includes(field));
+  if (unknown.length) {
+    return { error: `Unknown cashout field: ${unknown[0]}` };
+  }
+
+  const { betId = null, fraction = 1 } = data;
+  if (betId !== null && (typeof betId !== 'string' || betId.length === 0 || betId.length > MAX_BET_ID_LENGTH)) {
+    return { error: 'Bet id must be a string' };
+  }
+  if (typeof fraction !== 'number' || !Number.isFinite(fraction) || fraction <= 0 || fraction > 1) {
+    return { error: 'Fraction must be a number above 0 and at most 1' };
+  }
+  if (!hasPrecision(fraction, FRACTION_DECIMALS)) {
+    return { error: `Fraction must have at most ${FRACTION_DECIMALS} decimal places` };
+  }
+
+  return { cashout: { betId, fraction } };
+}
+
+module.exports = {
+  BET_FIELDS,
+  CASHOUT_FIELDS,
+  USD_DECIMALS,
+  MULTIPLIER_DECIMALS,
+  MIN_BET_USD,
+  MAX_BET_USD,
+  validateBetPayload,
+  validateCashoutPayload
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { ASSETS } = require('../assets');
+const { parseAmount } = require('../money');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Base58 text of random bytes, as used by Solana addresses
+ * @param {number} size - Number of bytes
+ * @returns {string} Base58 text
+ */
+function randomBase58(size) {
+  let value = BigInt('0x' + crypto.randomBytes(size).toString('hex'));
+  let text = '';
+  while (value > 0n) {
+    text = BASE58_ALPHABET[Number(value % 58n)] + text;
+    value /= 58n;
+  }
+  return text.padStart(32, '1');
+}
+
+// Address formats of the networks an asset's `network` can name
+const NETWORKS = {
+  bitcoin: { generate: () => 'bc1q' + crypto.randomBytes(19).toString('hex'), pattern: /^bc1q[a-z0-9]{38}$/ },
+  litecoin: { generate: () => 'ltc1q' + crypto.randomBytes(19).toString('hex'), pattern: /^ltc1q[a-z0-9]{38}$/ },
+  ethereum: { generate: () => '0x' + crypto.randomBytes(20).toString('hex'), pattern: /^0x[a-fA-F0-9]{40}$/ },
+  solana: { generate: () => randomBase58(32), pattern: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/ }
+};
+
+/**
+ * Local simulated blockchain
+ * Mines a block every blockTimeMs; transactions in the mempool are included
+ * in the next block and gain one confirmation per block after that.
+ * Each asset gets the address format of its `network` and pays its
+ * registry `withdrawal.fee` as a flat network fee.
+ * Amounts are integer minor units, as everywhere else (see utils/money.js).
+ * @param {Object} options - Block time, null to mine only through mineBlock, and the asset registry
+ * @returns {Object} Chain adapter
+ */
+function createSimulatedChain({ blockTimeMs = 10000, assets = ASSETS } = {}) {
+  const networks = {};
+  const fees = {};
+  for (const asset of Object.values(assets)) {
+    if (!NETWORKS[asset.network]) {
+      throw new Error(`Simulated chain has no ${asset.network} network for ${asset.symbol}`);
+    }
+    networks[asset.symbol] = NETWORKS[asset.network];
+    fees[asset.symbol] = parseAmount(asset.withdrawal.fee, asset.symbol);
+  }
+
+  const events = new EventEmitter();
+  const transactions = new Map();
+  let mempool = [];
+  let height = 0;
+
+  function mineBlock() {
+    height++;
+    for (const tx of mempool) {
+      tx.blockHeight = height;
+    }
+    mempool = [];
+  }
+
+  if (blockTimeMs !== null) {
+    // The simulated chain must not keep the process alive on shutdown
+    setInterval(mineBlock, blockTimeMs).unref();
+  }
+
+  function submit({ currency, from, to, amount }) {
+    const tx = {
+      txHash: '0x' + crypto.randomBytes(32).toString('hex'),
+      currency,
+      from,
+      to,
+      amount,
+      blockHeight: null
+    };
+    transactions.set(tx.txHash, tx);
+    mempool.push(tx);
+    return tx;
+  }
+
+  return {
+    name: 'simulated',
+
+    /**
+     * Mine a block now, including the mempool
+     */
+    mineBlock,
+
+    /**
+     * Generate a fresh receiving address
+     * @param {string} currency - Currency type
+     * @returns {string} Address
+     */
+    generateAddress(currency) {
+      return networks[currency].generate();
+    },
+
+    /**
+     * Check an address format for a currency
+     * @param {string} currency - Currency type
+     * @param {string} address - Address
+     * @returns {boolean} Whether the address is valid
+     */
+    isValidAddress(currency, address) {
+      return Boolean(networks[currency]) && networks[currency].pattern.test(address);
+    },
+
+    /**
+     * Network fee for a withdrawal
+     * @param {string} currency - Currency type
+     * @returns {number} Fee in minor units
+     */
+    getWithdrawalFee(currency) {
+      return fees[currency];
+    },
+
+    /**
+     * Send funds from the hot wallet
+     * @param {Object} withdrawal - Currency, destination address and amount
+     * @returns {Promise<Object>} Transaction hash
+     */
+    async broadcastWithdrawal({ currency, address, amount }) {
+      const tx = submit({ currency, from: 'hot-wallet', to: address, amount });
+      return { txHash: tx.txHash };
+    },
+
+    /**
+     * Confirmations of a transaction (0 while it is in the mempool)
+     * Each server instance runs its own simulated chain, so transactions
+     * submitted elsewhere are unknown here rather than unconfirmed.
+     * @param {string} txHash - Transaction hash
+     * @returns {Promise<number|null>} Confirmations, null for unknown transactions
+     */
+    async getConfirmations(txHash) {
+      const tx = transactions.get(txHash);
+      if (!tx) return null;
+      if (tx.blockHeight === null) return 0;
+      return height - tx.blockHeight + 1;
+    },
+
+    /**
+     * Subscribe to transactions paying any address
+     * @param {Function} handler - Called with `{ txHash, currency, to, amount }`
+     */
+    onIncomingTransaction(handler) {
+      events.on('incoming', handler);
+    },
+
+    /**
+     * Pretend an outside wallet paid an address
+     * @param {Object} payment - Currency, destination address and amount
+     * @returns {Promise<Object>} Submitted transaction
+     */
+    async simulateIncoming({ currency, address, amount }) {
+      const tx = submit({ currency, from: 'external', to: address, amount });
+      events.emit('incoming', { ...tx });
+      return tx;
+    }
+  };
+}
+
+module.exports = { createSimulatedChain };
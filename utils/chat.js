@@ -0,0 +1,675 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const ChatMessage = require('../models/ChatMessage');
+const ResponsibleGamblingEvent = require('../models/ResponsibleGamblingEvent');
+const { applyBalanceChange } = require('./ledger');
+const { parseAmount, formatAmount, toUnits, toDecimal, convertCryptoToUSD } = require('./money');
+const { currentControls, activeBreak, limitedPeriods, findLimitBreach, windowStart } = require('./responsibleGambling');
+const { depositedSince } = require('./payments');
+const { getAsset, isAssetEnabled } = require('./assets');
+const logger = require('./logger').logger.child({ component: 'chat' });
+
+/**
+ * Game chat
+ *
+ * One channel shared by every player. Messages are stored in MongoDB and
+ * the latest ones are sent to each socket when it connects. Emits `message`
+ * and `messageDeleted` for the socket layer to broadcast, `muted` for the
+ * muted player, and `balanceChanged` for both players of a tip.
+ *
+ * Player messages go through the filter: banned words are masked and links
+ * are refused unless their host is allowed. Lines starting with `/` are
+ * commands: `/tip` moves funds to another player through the ledger, within
+ * both players' responsible gambling controls, and moderators `/mute` and
+ * `/unmute` players. Operators flag moderators and can mute players and
+ * delete messages through the admin API. How often a player may send is up
+ * to the socket layer's rate limiter.
+ *
+ * Big wins are announced as system messages from the leader's
+ * `playerCashout` events.
+ */
+
+const MAX_MESSAGE_LENGTH = 200;
+const MAX_MESSAGE_ID_LENGTH = 64;
+// Messages sent to a socket when it connects
+const HISTORY_LENGTH = 50;
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+
+// Replaced, not extended, by CHAT_BANNED_WORDS
+const DEFAULT_BANNED_WORDS = ['fuck', 'fucking', 'shit', 'cunt', 'bitch', 'bastard', 'asshole', 'dickhead', 'wanker'];
+
+/**
+ * Comma separated list from an environment variable
+ * @param {string} value - Environment variable value
+ * @returns {string[]|null} Trimmed entries, null when unset
+ */
+function parseList(value) {
+  return value === undefined ? null : value.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+// Cashouts paying at least this many USD are announced in the chat
+const BIG_WIN_USD = parseFloat(process.env.CHAT_BIG_WIN_USD) || 1000;
+
+// Host of a token that looks like a link: scheme optional, at least one dot and a TLD of letters
+const LINK_PATTERN = /^(?:[a-z][a-z0-9+.-]*:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(?::\d+)?(?:[/?#]\S*)?$/i;
+
+const events = new EventEmitter();
+
+/**
+ * Error for a message or command the player can fix (shown to them as-is)
+ * @param {string} message - Reason
+ * @returns {Error} Error with code CHAT_REJECTED
+ */
+function rejectChat(message) {
+  const error = new Error(message);
+  error.code = 'CHAT_REJECTED';
+  return error;
+}
+
+/**
+ * Validate a `chatMessage` payload
+ * Runs of whitespace, newlines included, become single spaces.
+ * @param {*} data - Payload received from the client
+ * @returns {Object} `{ text }` or `{ error }`
+ */
+function validateChatPayload(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'Message must be an object' };
+  }
+  const unknown = Object.keys(data).find(key => key !== 'text');
+  if (unknown) {
+    return { error: `Unknown message field: ${unknown}` };
+  }
+  if (typeof data.text !== 'string') {
+    return { error: 'Message text must be a string' };
+  }
+  const text = data.text.replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return { error: 'Message is empty' };
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  if (/[\u0000-\u001f\u007f]/.test(text)) {
+    return { error: 'Message contains control characters' };
+  }
+  return { text };
+}
+
+/**
+ * Validate a `deleteChatMessage` payload
+ * @param {*} data - Payload received from the client
+ * @returns {Object} `{ messageId }` or `{ error }`
+ */
+function validateDeletePayload(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'Request must be an object' };
+  }
+  const unknown = Object.keys(data).find(key => key !== 'messageId');
+  if (unknown) {
+    return { error: `Unknown request field: ${unknown}` };
+  }
+  if (typeof data.messageId !== 'string' || !data.messageId || data.messageId.length > MAX_MESSAGE_ID_LENGTH) {
+    return { error: 'Message id must be a string' };
+  }
+  return { messageId: data.messageId };
+}
+
+/**
+ * Username as typed in a command, `@alice` or `Alice` alike
+ * @param {string} value - Command argument
+ * @returns {string} Lowercase username
+ */
+function commandUsername(value) {
+  return value.replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Parse a chat command
+ * @param {string} text - Validated message text
+ * @returns {Object|null} Null for a plain message, `{ error }` for a malformed command, or the command and its arguments
+ */
+function parseChatCommand(text) {
+  if (!text.startsWith('/')) return null;
+  const [name, ...args] = text.slice(1).split(' ');
+
+  switch (name.toLowerCase()) {
+    case 'tip': {
+      if (args.length !== 3) {
+        return { error: 'Usage: /tip <username> <amount> <currency>' };
+      }
+      const [username, amount, currency] = args;
+      return { command: 'tip', username: commandUsername(username), amount, currency: currency.toUpperCase() };
+    }
+    case 'mute': {
+      const [username, minutes, ...reason] = args;
+      const value = Number(minutes);
+      if (!username || !(Number.isInteger(value) && value > 0 && value <= MAX_MUTE_MINUTES)) {
+        return { error: `Usage: /mute <username> <minutes, at most ${MAX_MUTE_MINUTES}> [reason]` };
+      }
+      return { command: 'mute', username: commandUsername(username), minutes: value, reason: reason.join(' ') || null };
+    }
+    case 'unmute':
+      if (args.length !== 1) {
+        return { error: 'Usage: /unmute <username>' };
+      }
+      return { command: 'unmute', username: commandUsername(args[0]) };
+    default:
+      return { error: `Unknown command: /${name}` };
+  }
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Hosts of the links in a message
+ * @param {string} text - Message text
+ * @returns {string[]} Lowercase hosts
+ */
+function linkHosts(text) {
+  return text.split(' ')
+    // Punctuation around a link is not part of it
+    .map(token => token.replace(/^[("'<[]+|[)"'>\].,!?;:]+$/g, ''))
+    .map(token => LINK_PATTERN.exec(token))
+    .filter(Boolean)
+    .map(match => match[1].toLowerCase());
+}
+
+/**
+ * Create a message filter
+ * @param {Object} [options] - Filter configuration
+ * @param {string[]} [options.bannedWords] - Whole words masked with asterisks, in any case
+ * @param {string[]} [options.allowedLinkHosts] - Hosts, and their subdomains, players may link to
+ * @returns {Function} Filter taking message text and returning `{ text }` or `{ error }`
+ */
+function createChatFilter({ bannedWords = DEFAULT_BANNED_WORDS, allowedLinkHosts = [] } = {}) {
+  const words = bannedWords.map(word => word.trim().toLowerCase()).filter(Boolean);
+  const pattern = words.length ? new RegExp(`\\b(?:${words.map(escapeRegExp).join('|')})\\b`, 'gi') : null;
+  const hosts = allowedLinkHosts.map(host => host.trim().toLowerCase()).filter(Boolean);
+
+  return function filterMessage(text) {
+    const blocked = linkHosts(text).find(host => !hosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`)));
+    if (blocked) {
+      return { error: 'Links are not allowed in chat' };
+    }
+    return { text: pattern ? text.replace(pattern, word => '*'.repeat(word.length)) : text };
+  };
+}
+
+// Filter of player messages, configured with CHAT_BANNED_WORDS and CHAT_ALLOWED_LINK_HOSTS
+const chatFilter = createChatFilter({
+  bannedWords: parseList(process.env.CHAT_BANNED_WORDS) || DEFAULT_BANNED_WORDS,
+  allowedLinkHosts: parseList(process.env.CHAT_ALLOWED_LINK_HOSTS) || []
+});
+
+/**
+ * End of a player's mute
+ * @param {Object} [chat] - Player's chat settings
+ * @param {number} now - Current time in ms
+ * @returns {Date|null} When the mute ends, null when not muted
+ */
+function mutedUntil(chat, now) {
+  const until = chat && chat.mutedUntil;
+  return until && new Date(until).getTime() > now ? new Date(until) : null;
+}
+
+/**
+ * Announcement of a cashout, if it is big enough
+ * @param {Object} cashout - `playerCashout` payload
+ * @param {number} [thresholdUSD] - Smallest payout announced, in USD
+ * @returns {string|null} Message text, null below the threshold
+ */
+function bigWinText(cashout, thresholdUSD = BIG_WIN_USD) {
+  const winnings = parseAmount(cashout.winningsUSD, 'USD');
+  if (winnings === null || winnings < toUnits(thresholdUSD, 'USD')) return null;
+  return `🏆 ${cashout.username} won $${cashout.winningsUSD} at ${cashout.multiplier}x`;
+}
+
+/**
+ * A message as sent to clients
+ * @param {Object} message - ChatMessage document or plain object
+ * @returns {Object} Message
+ */
+function serializeMessage(message) {
+  return {
+    id: String(message._id),
+    kind: message.kind,
+    playerId: message.playerId || null,
+    username: message.username || null,
+    text: message.text,
+    createdAt: message.createdAt
+  };
+}
+
+/**
+ * Store a message and announce it
+ * @param {Object} fields - Kind, text and, for player messages, the author
+ * @returns {Promise<Object>} Message as sent to clients
+ */
+async function createMessage(fields) {
+  const message = serializeMessage(await ChatMessage.create(fields));
+  events.emit('message', message);
+  return message;
+}
+
+/**
+ * Chat as a player sees it on connect
+ * @param {string} playerId - Player ID
+ * @returns {Promise<Object>} Latest messages, oldest first, whether the player moderates and the end of their mute
+ */
+async function getChatState(playerId) {
+  const [messages, player] = await Promise.all([
+    ChatMessage.find({ deletedAt: null }).sort({ createdAt: -1 }).limit(HISTORY_LENGTH).lean(),
+    Player.findById(playerId, { chat: 1 }).lean()
+  ]);
+  const chat = (player && player.chat) || {};
+  return {
+    messages: messages.reverse().map(serializeMessage),
+    moderator: Boolean(chat.moderator),
+    mutedUntil: mutedUntil(chat, Date.now())
+  };
+}
+
+/**
+ * Mute a player, or lift their mute
+ * @param {string} playerId - Player ID
+ * @param {Object} mute - `minutes` (0 lifts the mute), `reason` and `by`, the moderator or operator
+ * @returns {Promise<Object>} Player with username and chat settings
+ * @throws {Error} CHAT_REJECTED for an unknown player
+ */
+async function mutePlayer(playerId, { minutes, reason = null, by }) {
+  const update = minutes > 0
+    ? { $set: { 'chat.mutedUntil': new Date(Date.now() + minutes * 60 * 1000), 'chat.muteReason': reason, 'chat.mutedBy': by } }
+    : { $unset: { 'chat.mutedUntil': 1, 'chat.muteReason': 1, 'chat.mutedBy': 1 } };
+  const player = mongoose.isValidObjectId(playerId) &&
+    await Player.findByIdAndUpdate(playerId, update, { new: true, projection: { username: 1, chat: 1 } }).lean();
+  if (!player) {
+    throw rejectChat('Player not found');
+  }
+
+  const until = mutedUntil(player.chat, Date.now());
+  events.emit('muted', { playerId: String(player._id), mutedUntil: until, reason: until ? reason : null });
+  logger.info(until ? `🔇 ${by} muted ${player.username} until ${until.toISOString()}` : `🔊 ${by} unmuted ${player.username}`, { playerId: String(player._id), reason });
+  return player;
+}
+
+/**
+ * Hide a message from the chat; it is kept for moderators
+ * @param {string} messageId - Message ID
+ * @param {Object} deletion - `by`, the moderator or operator, and an optional `reason`
+ * @returns {Promise<Object>} Deleted message document
+ * @throws {Error} CHAT_REJECTED for an unknown or already deleted message
+ */
+async function deleteMessage(messageId, { by, reason = null }) {
+  const message = mongoose.isValidObjectId(messageId) && await ChatMessage.findOneAndUpdate(
+    { _id: messageId, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: by, deleteReason: reason } },
+    { new: true }
+  );
+  if (!message) {
+    throw rejectChat('Message not found');
+  }
+  events.emit('messageDeleted', { messageId: String(message._id) });
+  logger.info(`🗑️ ${by} deleted a message of ${message.username || 'the system'}`, { messageId: String(message._id), reason });
+  return message;
+}
+
+/**
+ * Player sending a message or command, refused when banned or muted
+ * @param {string} playerId - Player ID
+ * @returns {Promise<Object>} Player with username, status, chat settings and responsible gambling controls
+ */
+async function loadSender(playerId) {
+  const player = await Player.findById(playerId, { username: 1, status: 1, chat: 1, responsibleGambling: 1 }).lean();
+  if (!player || player.status === 'banned') {
+    throw rejectChat('Chat is not available');
+  }
+  const until = mutedUntil(player.chat, Date.now());
+  if (until) {
+    throw rejectChat(`You are muted until ${until.toISOString()}`);
+  }
+  return player;
+}
+
+/**
+ * Player named in a command
+ * @param {string} username - Username
+ * @returns {Promise<Object>} Player with username, status and chat settings
+ * @throws {Error} CHAT_REJECTED when there is no such player
+ */
+async function findByUsername(username) {
+  const player = await Player.findOne({ username }, { username: 1, status: 1, chat: 1 }).lean();
+  if (!player || player.status === 'banned') {
+    throw rejectChat(`Player ${username} not found`);
+  }
+  return player;
+}
+
+const mongoTipStore = {
+  /**
+   * Player a tip is sent to
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} Player with username, status and responsible gambling controls
+   */
+  findPlayerByUsername(username) {
+    return Player.findOne({ username }, { username: 1, status: 1, responsibleGambling: 1 }).lean();
+  },
+
+  depositedSince,
+
+  /**
+   * Add an entry to a player's responsible gambling history
+   * @param {Object} event - Player, action, rule, period, details and message
+   */
+  async recordGamblingEvent(event) {
+    await ResponsibleGamblingEvent.create(event);
+  },
+
+  /**
+   * Move a tip through the ledger, both sides in one MongoDB transaction
+   * @param {Object} debit - Sender's balance change
+   * @param {Object} credit - Recipient's balance change
+   * @returns {Promise<Object>} `{ sent, received }`, see utils/ledger.js
+   */
+  async transferTip(debit, credit) {
+    const session = await mongoose.startSession();
+    let sent;
+    let received;
+    try {
+      await session.withTransaction(async () => {
+        sent = await applyBalanceChange(debit, { session });
+        received = await applyBalanceChange(credit, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    return { sent, received };
+  },
+
+  /**
+   * Announce a tip in the chat
+   * @param {string} text - System message
+   */
+  async announce(text) {
+    await createMessage({ kind: 'system', text });
+  }
+};
+
+/**
+ * Create the tip service
+ * @param {Object} [options] - Service options
+ * @param {Object} [options.store] - Players, the ledger and responsible gambling history, MongoDB by default
+ * @param {EventEmitter} [options.events] - Receives `balanceChanged` for both players
+ * @param {Function} [options.now] - Clock, for tests
+ * @param {Object} [options.logger] - console-like logger
+ * @returns {Object} `{ sendTip, setPriceProvider }`
+ */
+function createTips({ store = mongoTipStore, events: emitter = events, now = Date.now, logger: log = logger } = {}) {
+  // Values tips in USD for the recipient's deposit limits; set by setPriceProvider
+  let priceProvider = null;
+
+  /**
+   * Add an entry to a player's responsible gambling history
+   * @param {Object} event - Player, action, rule, period, details and message
+   */
+  async function recordGamblingEvent(event) {
+    try {
+      await store.recordGamblingEvent(event);
+    } catch (error) {
+      log.error('❌ Error recording responsible gambling event', { playerId: event.playerId, action: event.action, error });
+    }
+  }
+
+  /**
+   * USD value of a tip at the current price, rounded down
+   * @param {number} units - Amount in minor units
+   * @param {string} currency - Currency type
+   * @returns {Promise<number|null>} Value in cents, null without a fresh price
+   */
+  async function valueTip(units, currency) {
+    if (!priceProvider) return null;
+    try {
+      return convertCryptoToUSD(units, currency, await priceProvider.getFreshPrice(currency));
+    } catch (error) {
+      log.warn(`⚠️ No ${currency} price to value a tip`, { error });
+      return null;
+    }
+  }
+
+  /**
+   * Why a player may not receive a tip: a break, or a deposit limit the tip would break
+   * Tips bring funds in like deposits, so they count toward the same limits.
+   * @param {Object} recipient - Recipient with responsible gambling controls
+   * @param {number|null} usdAmount - Tip value in cents, null when no fresh price was available
+   * @returns {Promise<Object|null>} `{ rule, period, message, details }`, `{ retry: true }` when the value is
+   * needed but unknown, null when the tip may be credited
+   */
+  async function findTipHold(recipient, usdAmount) {
+    const current = now();
+    const { controls } = currentControls(recipient.responsibleGambling, current);
+
+    const block = activeBreak(controls, current);
+    if (block) {
+      return { rule: block.rule, period: null, message: block.message, details: { until: block.until } };
+    }
+
+    const periods = limitedPeriods(controls, 'deposit');
+    if (periods.length === 0) return null;
+    if (usdAmount === null) return { retry: true };
+
+    // Limits are set in dollars
+    const used = {};
+    for (const period of periods) {
+      used[period] = toDecimal(await store.depositedSince(String(recipient._id), windowStart(period, current)), 'USD');
+    }
+    const breach = findLimitBreach(controls, 'deposit', used, toDecimal(usdAmount, 'USD'));
+    return breach && {
+      rule: breach.rule,
+      period: breach.period,
+      message: breach.message,
+      details: { limitUSD: breach.limitUSD, usedUSD: breach.usedUSD }
+    };
+  }
+
+  /**
+   * Send part of a balance to another player
+   * A cooldown or self-exclusion of either player blocks the tip, as it blocks
+   * bets and deposits, and so does a deposit limit of the recipient that the
+   * tip would break. Refusals are added to the blocked player's history; the
+   * sender is not told the recipient's reason. Both sides are `tip`
+   * transactions moved together.
+   * @param {Object} sender - Sending player, with responsible gambling controls
+   * @param {Object} tip - Recipient's username, amount as typed and currency
+   * @returns {Promise<Object>} Confirmation for the sender
+   * @throws {Error} CHAT_REJECTED, or INSUFFICIENT_BALANCE
+   */
+  async function sendTip(sender, { username, amount, currency }) {
+    const senderId = String(sender._id);
+    if (sender.status && sender.status !== 'active') {
+      throw rejectChat(`Tips are disabled while the account is ${sender.status}`);
+    }
+    if (!getAsset(currency)) {
+      throw rejectChat('Unsupported cryptocurrency');
+    }
+    if (!isAssetEnabled(currency)) {
+      throw rejectChat(`${currency} tips are disabled`);
+    }
+    const units = parseAmount(amount, currency);
+    if (!(units > 0)) {
+      throw rejectChat(`Invalid ${currency} amount`);
+    }
+    const formatted = `${formatAmount(units, currency)} ${currency}`;
+
+    const current = now();
+    const block = activeBreak(currentControls(sender.responsibleGambling, current).controls, current);
+    if (block) {
+      await recordGamblingEvent({
+        playerId: senderId,
+        action: 'tipBlocked',
+        rule: block.rule,
+        details: { currency, amount: formatAmount(units, currency), until: block.until },
+        message: block.message
+      });
+      throw rejectChat(block.message);
+    }
+
+    const recipient = await store.findPlayerByUsername(username);
+    if (!recipient || recipient.status === 'banned') {
+      throw rejectChat(`Player ${username} not found`);
+    }
+    const recipientId = String(recipient._id);
+    if (recipientId === senderId) {
+      throw rejectChat('You cannot tip yourself');
+    }
+
+    const usdAmount = await valueTip(units, currency);
+    const hold = await findTipHold(recipient, usdAmount);
+    if (hold && hold.retry) {
+      throw rejectChat(`${recipient.username} cannot receive tips right now`);
+    }
+    if (hold) {
+      await recordGamblingEvent({
+        playerId: recipientId,
+        action: 'tipBlocked',
+        rule: hold.rule,
+        period: hold.period,
+        details: { currency, amount: formatAmount(units, currency), from: sender.username, ...hold.details },
+        message: hold.message
+      });
+      throw rejectChat(`${recipient.username} cannot receive this tip`);
+    }
+
+    const tipId = crypto.randomBytes(8).toString('hex');
+    const leg = {
+      currency,
+      cryptoAmount: units,
+      transactionType: 'tip',
+      ...(usdAmount === null ? {} : { usdAmount })
+    };
+    const { sent, received } = await store.transferTip(
+      { ...leg, playerId: senderId, direction: 'debit', counterpartyId: recipientId, idempotencyKey: `tip:${tipId}:sent` },
+      { ...leg, playerId: recipientId, direction: 'credit', counterpartyId: senderId, idempotencyKey: `tip:${tipId}:received` }
+    );
+
+    emitter.emit('balanceChanged', { playerId: senderId, currency, balance: sent.balance });
+    emitter.emit('balanceChanged', { playerId: recipientId, currency, balance: received.balance });
+    log.info(`💸 ${sender.username} tipped ${recipient.username} ${formatted}`, { playerId: senderId, recipientId, tipId });
+    await store.announce(`💸 ${sender.username} tipped ${recipient.username} ${formatted}`);
+    return { success: true, message: `You tipped ${recipient.username} ${formatted}` };
+  }
+
+  /**
+   * Set the price source used to value tips against deposit limits
+   * @param {Object} provider - Anything with `getFreshPrice(symbol)`, e.g. the price oracle
+   */
+  function setPriceProvider(provider) {
+    priceProvider = provider;
+  }
+
+  return { sendTip, setPriceProvider };
+}
+
+const tips = createTips();
+
+/**
+ * Run a moderator's /mute or /unmute
+ * @param {Object} moderator - Player running the command
+ * @param {Object} command - Parsed command
+ * @returns {Promise<Object>} Confirmation for the moderator
+ */
+async function runModeration(moderator, { command, username, minutes = 0, reason = null }) {
+  if (!(moderator.chat && moderator.chat.moderator)) {
+    throw rejectChat('Only moderators can mute players');
+  }
+  const target = await findByUsername(username);
+  if (target.chat && target.chat.moderator) {
+    throw rejectChat('Moderators cannot be muted');
+  }
+  const player = await mutePlayer(String(target._id), { minutes: command === 'mute' ? minutes : 0, reason, by: moderator.username });
+  const until = mutedUntil(player.chat, Date.now());
+  return { success: true, message: until ? `${player.username} is muted until ${until.toISOString()}` : `${player.username} is no longer muted` };
+}
+
+/**
+ * Post a message or run a command
+ * @param {string} playerId - Player ID
+ * @param {string} text - Validated message text (see validateChatPayload)
+ * @returns {Promise<Object>} `{ success }`, with a `message` for the sender after a command
+ * @throws {Error} CHAT_REJECTED, or INSUFFICIENT_BALANCE for a tip
+ */
+async function postMessage(playerId, text) {
+  const player = await loadSender(playerId);
+  const command = parseChatCommand(text);
+  if (command && command.error) {
+    throw rejectChat(command.error);
+  }
+  if (command && command.command === 'tip') {
+    return tips.sendTip(player, command);
+  }
+  if (command) {
+    return runModeration(player, command);
+  }
+
+  const filtered = chatFilter(text);
+  if (filtered.error) {
+    throw rejectChat(filtered.error);
+  }
+  await createMessage({ kind: 'player', playerId: String(player._id), username: player.username, text: filtered.text });
+  return { success: true };
+}
+
+/**
+ * Delete a message on behalf of a moderator
+ * @param {string} playerId - Moderator's player ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object>} Confirmation for the moderator
+ */
+async function moderateDelete(playerId, messageId) {
+  const player = await Player.findById(playerId, { username: 1, chat: 1 }).lean();
+  if (!(player && player.chat && player.chat.moderator)) {
+    throw rejectChat('Only moderators can delete messages');
+  }
+  await deleteMessage(messageId, { by: player.username });
+  return { success: true, message: 'Message deleted' };
+}
+
+/**
+ * Announce a big win; pass the leader's `playerCashout` events
+ * @param {Object} cashout - `playerCashout` payload
+ * @returns {Promise<Object|null>} Announcement, null when the win is not big enough
+ */
+async function announceBigWin(cashout) {
+  const text = bigWinText(cashout);
+  return text ? createMessage({ kind: 'system', text }) : null;
+}
+
+module.exports = {
+  events,
+  MAX_MESSAGE_LENGTH,
+  MAX_MUTE_MINUTES,
+  DEFAULT_BANNED_WORDS,
+  validateChatPayload,
+  validateDeletePayload,
+  parseChatCommand,
+  createChatFilter,
+  mutedUntil,
+  bigWinText,
+  serializeMessage,
+  getChatState,
+  postMessage,
+  mutePlayer,
+  deleteMessage,
+  moderateDelete,
+  announceBigWin,
+  createTips,
+  setPriceProvider: tips.setPriceProvider
+};
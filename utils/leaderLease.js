@@ -0,0 +1,145 @@
+const { EventEmitter } = require('events');
+const Lease = require('../models/Lease');
+
+/**
+ * Leader election with a lease document
+ *
+ * Every instance tries to take or extend the same lease on a timer. The lease
+ * goes to whoever finds it missing or expired and stays with them while they
+ * keep renewing it. An instance that fails to renew steps down at once rather
+ * than waiting for expiry, so two leaders never run side by side as long as
+ * clocks are within the TTL of each other.
+ *
+ * Emits `elected` when this instance becomes leader and `revoked` when it
+ * stops being leader.
+ */
+
+// Lease documents in MongoDB
+const mongoLeaseStore = {
+  /**
+   * Take or extend a lease
+   * @param {string} name - Lease name
+   * @param {string} holder - Instance asking for it
+   * @param {Date} now - Current time
+   * @param {Date} expiresAt - New expiry
+   * @returns {Promise<boolean>} Whether `holder` now holds the lease
+   */
+  async acquire(name, holder, now, expiresAt) {
+    try {
+      const lease = await Lease.findOneAndUpdate(
+        { _id: name, $or: [{ holder }, { expiresAt: { $lte: now } }] },
+        { $set: { holder, expiresAt } },
+        { upsert: true, new: true }
+      );
+      return lease.holder === holder;
+    } catch (error) {
+      // The filter missed an existing live lease, so the upsert collided with its _id
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  },
+
+  /**
+   * Give a lease up early so another instance can take over without waiting
+   * @param {string} name - Lease name
+   * @param {string} holder - Current holder
+   */
+  async release(name, holder) {
+    await Lease.deleteOne({ _id: name, holder });
+  }
+};
+
+/**
+ * Create a leader lease
+ * @param {Object} options - Lease options
+ * @param {string} options.name - Lease name, shared by all competing instances
+ * @param {string} options.instanceId - Unique ID of this instance
+ * @param {number} [options.ttlMs] - How long a lease lives without renewal
+ * @param {number} [options.renewMs] - How often the lease is taken or extended
+ * @param {Object} [options.store] - `acquire` and `release`, MongoDB by default
+ * @param {Function} [options.now] - Clock, for tests
+ * @param {Object} [options.logger] - console-like logger
+ * @returns {Object} Leader lease
+ */
+function createLeaderLease({
+  name,
+  instanceId,
+  ttlMs = 10000,
+  renewMs = Math.floor(ttlMs / 3),
+  store = mongoLeaseStore,
+  now = Date.now,
+  logger = console
+}) {
+  const events = new EventEmitter();
+  let leader = false;
+  let timer = null;
+  let renewing = null;
+
+  function setLeader(value) {
+    if (value === leader) return;
+    leader = value;
+    events.emit(leader ? 'elected' : 'revoked');
+  }
+
+  /**
+   * Take or extend the lease once
+   * @returns {Promise<boolean>} Whether this instance is leader afterwards
+   */
+  async function renew() {
+    // A slow store must not stack up overlapping attempts
+    if (!renewing) {
+      renewing = (async () => {
+        try {
+          const time = now();
+          setLeader(await store.acquire(name, instanceId, new Date(time), new Date(time + ttlMs)));
+        } catch (error) {
+          logger.error('❌ Error renewing leader lease:', error.message);
+          setLeader(false);
+        }
+      })().finally(() => {
+        renewing = null;
+      });
+    }
+    await renewing;
+    return leader;
+  }
+
+  return {
+    events,
+    instanceId,
+    renew,
+
+    /**
+     * @returns {boolean} Whether this instance currently holds the lease
+     */
+    isLeader() {
+      return leader;
+    },
+
+    /**
+     * Compete for the lease until stopped
+     */
+    start() {
+      renew();
+      timer = setInterval(renew, renewMs);
+    },
+
+    /**
+     * Stop competing and release the lease if held
+     */
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await renewing;
+      if (!leader) return;
+      setLeader(false);
+      try {
+        await store.release(name, instanceId);
+      } catch (error) {
+        logger.error('❌ Error releasing leader lease:', error.message);
+      }
+    }
+  };
+}
+
+module.exports = { createLeaderLease };
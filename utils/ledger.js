@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const { formatAmount, proportionalAmount } = require('./money');
+const { appendAuditEntry } = require('./audit');
+
+/**
+ * Double-entry ledger
+ *
+ * Every balance change writes a Transaction, two balanced LedgerEntry rows
+ * (the player's account and a house/external contra account) and the wallet
+ * update inside one MongoDB transaction, so either all of them land or none.
+ * Requires MongoDB to run as a replica set.
+ *
+ * Amounts are integer minor units and USD amounts cents (see utils/money.js),
+ * so balances reconcile exactly. Every change is also appended to the
+ * hash-chained audit log (see utils/audit.js) in the same transaction.
+ * `createLedger` runs the same rules over another store, as the tests do.
+ */
+
+// Wallet direction and contra account for each transaction type
+const TRANSACTION_TYPES = {
+  bet: { direction: 'debit', contraAccount: 'house:bets' },
+  cashout: { direction: 'credit', contraAccount: 'house:payouts' },
+  refund: { direction: 'credit', contraAccount: 'house:bets' }, // bet of a voided round returned
+  deposit: { direction: 'credit', contraAccount: 'external:deposits' },
+  withdrawal: { direction: 'debit', contraAccount: 'external:withdrawals' },
+  adjustment: { contraAccount: 'house:adjustments' },
+  // Player to player; the sender's debit and the recipient's credit cancel out on the contra account
+  tip: { contraAccount: 'house:tips' },
+  // Entry fees are debits; prizes and refunds of a cancelled tournament are credits
+  tournament: { contraAccount: 'house:tournaments' }
+};
+
+/**
+ * Generate a reference hash for off-chain transactions (bets, cashouts, adjustments)
+ * @returns {string} Transaction hash
+ */
+function generateTransactionHash() {
+  return '0x' + crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Ledger account name for a player's wallet
+ * @param {string} playerId - Player ID
+ * @returns {string} Account name
+ */
+function playerAccount(playerId) {
+  return `player:${playerId}`;
+}
+
+/**
+ * Check the amounts of a balance change
+ * @param {Object} change - Balance change
+ * @throws {Error} When an amount is not a whole number of minor units
+ */
+function assertMinorUnits({ cryptoAmount, usdAmount }) {
+  if (!(Number.isSafeInteger(cryptoAmount) && cryptoAmount > 0)) {
+    throw new Error('Ledger amount must be a positive whole number of minor units');
+  }
+  if (usdAmount !== undefined && usdAmount !== null && !Number.isSafeInteger(usdAmount)) {
+    throw new Error('Ledger USD amount must be a whole number of cents');
+  }
+}
+
+/**
+ * A transaction as sent to clients, with amounts as decimal strings
+ * @param {Object} transaction - Transaction document or plain object
+ * @returns {Object} Transaction
+ */
+function serializeTransaction(transaction) {
+  const plain = typeof transaction.toObject === 'function' ? transaction.toObject() : { ...transaction };
+  return {
+    ...plain,
+    cryptoAmount: formatAmount(plain.cryptoAmount, plain.currency),
+    usdAmount: formatAmount(plain.usdAmount, 'USD')
+  };
+}
+
+/**
+ * Stake still riding on each bet of a round, from its ledger transactions
+ * Transactions stored before bet IDs belong to the player's only bet of the round.
+ * @param {Object[]} transactions - Bet, cashout and refund transactions of one round
+ * @returns {Object[]} Bet transactions with the riding stake as `cryptoAmount` and `usdAmount`
+ */
+function findRidingStakes(transactions) {
+  const betKey = tx => tx.betId || `${tx.roundNumber}-${tx.playerId}`;
+  const settled = new Map();
+  for (const tx of transactions) {
+    if (tx.transactionType === 'bet') continue;
+    // Refunds, and cashouts from before partial cashouts, settle the whole bet
+    const stake = tx.transactionType === 'cashout' && tx.stakeAmount ? tx.stakeAmount : Infinity;
+    settled.set(betKey(tx), (settled.get(betKey(tx)) || 0) + stake);
+  }
+
+  const bets = [];
+  for (const tx of transactions) {
+    if (tx.transactionType !== 'bet') continue;
+    const riding = tx.cryptoAmount - (settled.get(betKey(tx)) || 0);
+    if (riding > 0) {
+      bets.push({
+        ...tx,
+        betId: betKey(tx),
+        cryptoAmount: riding,
+        usdAmount: proportionalAmount(tx.usdAmount, riding, tx.cryptoAmount)
+      });
+    }
+  }
+  return bets;
+}
+
+/**
+ * Ledger storage in MongoDB; `session` is the surrounding MongoDB transaction
+ */
+const mongoLedgerStore = {
+  /**
+   * Run work inside a MongoDB transaction of its own
+   * @param {Function} work - Called with the session, retried on transient errors
+   * @returns {Promise<*>} Result of the work
+   */
+  async withTransaction(work) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  },
+
+  findTransaction(idempotencyKey, session) {
+    return Transaction.findOne({ idempotencyKey }).session(session);
+  },
+
+  async findBalance(playerId, currency, session) {
+    const player = await Player.findById(playerId).session(session);
+    return player ? player.wallet[currency] : 0;
+  },
+
+  /**
+   * Add a signed amount to a wallet; debits only apply while the balance covers them
+   * @param {string} playerId - Player ID
+   * @param {string} currency - Currency type
+   * @param {number} amount - Minor units, negative for debits
+   * @param {Object} session - MongoDB session
+   * @returns {Promise<number|null>} New balance, or null when the player is missing or the balance too low
+   */
+  async moveBalance(playerId, currency, amount, session) {
+    const walletField = `wallet.${currency}`;
+    const filter = { _id: playerId };
+    if (amount < 0) {
+      filter[walletField] = { $gte: -amount };
+    }
+    const player = await Player.findOneAndUpdate(filter, { $inc: { [walletField]: amount } }, { new: true, session });
+    return player ? player.wallet[currency] : null;
+  },
+
+  async createTransaction(record, session) {
+    const [transaction] = await Transaction.create([record], { session });
+    return transaction;
+  },
+
+  insertEntries(entries, session) {
+    return LedgerEntry.insertMany(entries, { session });
+  },
+
+  appendAudit(record, session) {
+    return appendAuditEntry(record, { session });
+  },
+
+  /**
+   * Net of every player's transactions per currency
+   * @returns {Promise<Object[]>} `{ playerId, currency, balance }`
+   */
+  async transactionTotals() {
+    const totals = await Transaction.aggregate([
+      {
+        $group: {
+          _id: { playerId: '$playerId', currency: '$currency' },
+          balance: {
+            $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$cryptoAmount', { $multiply: ['$cryptoAmount', -1] }] }
+          }
+        }
+      }
+    ]);
+    return totals.map(({ _id, balance }) => ({ playerId: _id.playerId, currency: _id.currency, balance }));
+  },
+
+  findWallets() {
+    return Player.find({}, { username: 1, wallet: 1 }).lean();
+  },
+
+  /**
+   * Journals whose debits and credits do not cancel out
+   * @returns {Promise<Object[]>} `{ journalId, currency, net }`
+   */
+  async findUnbalancedJournals() {
+    const journals = await LedgerEntry.aggregate([
+      {
+        $group: {
+          _id: '$journalId',
+          currency: { $first: '$currency' },
+          net: {
+            $sum: { $cond: [{ $eq: ['$side', 'debit'] }, '$amount', { $multiply: ['$amount', -1] }] }
+          }
+        }
+      },
+      { $match: { net: { $ne: 0 } } }
+    ]);
+    return journals.map(journal => ({ journalId: journal._id, currency: journal.currency, net: journal.net }));
+  }
+};
+
+/**
+ * Create the ledger over a store
+ * @param {Object} options - Options
+ * @param {Object} [options.store] - Ledger storage, MongoDB by default
+ * @returns {Object} `applyBalanceChange` and `reconcileBalances`
+ */
+function createLedger({ store = mongoLedgerStore } = {}) {
+  async function postChange(change, session) {
+    const { playerId, currency, cryptoAmount, transactionType, idempotencyKey } = change;
+    const type = TRANSACTION_TYPES[transactionType];
+    const direction = type && (type.direction || change.direction);
+
+    if (!type || !['debit', 'credit'].includes(direction)) {
+      throw new Error(`Invalid ledger transaction type: ${transactionType}`);
+    }
+    assertMinorUnits(change);
+    if (!idempotencyKey) {
+      throw new Error('Ledger changes require an idempotency key');
+    }
+
+    // A retried event returns the original outcome instead of moving funds again
+    const existing = await store.findTransaction(idempotencyKey, session);
+    if (existing) {
+      return {
+        transaction: existing,
+        balance: await store.findBalance(playerId, currency, session),
+        duplicate: true
+      };
+    }
+
+    const balance = await store.moveBalance(playerId, currency, direction === 'debit' ? -cryptoAmount : cryptoAmount, session);
+    if (balance === null) {
+      const error = new Error(`Insufficient ${currency} balance`);
+      error.code = 'INSUFFICIENT_BALANCE';
+      throw error;
+    }
+
+    const transaction = await store.createTransaction({
+      playerId,
+      usdAmount: change.usdAmount,
+      cryptoAmount,
+      currency,
+      transactionType,
+      direction,
+      idempotencyKey,
+      roundNumber: change.roundNumber,
+      betId: change.betId,
+      stakeAmount: change.stakeAmount,
+      counterpartyId: change.counterpartyId,
+      tournamentId: change.tournamentId,
+      transactionHash: change.transactionHash || generateTransactionHash(),
+      priceAtTime: change.priceAtTime,
+      timestamp: new Date()
+    }, session);
+
+    const contraSide = direction === 'debit' ? 'credit' : 'debit';
+    await store.insertEntries([
+      { journalId: transaction._id, account: playerAccount(playerId), side: direction, amount: cryptoAmount, currency },
+      { journalId: transaction._id, account: type.contraAccount, side: contraSide, amount: cryptoAmount, currency }
+    ], session);
+
+    await store.appendAudit({
+      action: transactionType,
+      playerId,
+      currency,
+      direction,
+      amount: cryptoAmount,
+      balance,
+      transactionId: transaction._id,
+      reference: idempotencyKey,
+      roundNumber: change.roundNumber
+    }, session);
+
+    return { transaction, balance, duplicate: false };
+  }
+
+  /**
+   * Apply a balance change and its ledger entries atomically
+   * @param {Object} change - Balance change
+   * @param {string} change.playerId - Player ID
+   * @param {string} change.currency - Currency type
+   * @param {number} change.cryptoAmount - Positive crypto amount in minor units
+   * @param {string} change.transactionType - bet, cashout, refund, deposit, withdrawal, adjustment, tip or tournament
+   * @param {string} change.idempotencyKey - Unique key; replays return the original result
+   * @param {string} [change.direction] - debit or credit, required for adjustments, tips and tournaments
+   * @param {number} [change.usdAmount] - USD amount in cents (bets, cashouts and refunds)
+   * @param {number} [change.priceAtTime] - Price at time of transaction (bets, cashouts and refunds)
+   * @param {number} [change.roundNumber] - Round the change belongs to
+   * @param {string} [change.betId] - Bet the change belongs to (bets, cashouts and refunds)
+   * @param {number} [change.stakeAmount] - Stake a cashout settled, in minor units
+   * @param {string} [change.counterpartyId] - Other player of a tip
+   * @param {string} [change.tournamentId] - Tournament of an entry fee, prize or refund
+   * @param {string} [change.transactionHash] - On-chain hash for deposits; generated otherwise
+   * @param {Object} options - Pass `session` to join a caller's transaction
+   * @returns {Promise<Object>} Transaction, new wallet balance and whether it was a replay
+   */
+  function applyBalanceChange(change, { session } = {}) {
+    if (session) {
+      return postChange(change, session);
+    }
+    return store.withTransaction(ownSession => postChange(change, ownSession));
+  }
+
+  /**
+   * Recompute every wallet from the Transaction history and compare with stored balances
+   * @returns {Promise<Object>} Reconciliation report, amounts as decimal strings
+   */
+  async function reconcileBalances() {
+    const expected = {};
+    for (const { playerId, currency, balance } of await store.transactionTotals()) {
+      expected[playerId] = expected[playerId] || {};
+      expected[playerId][currency] = balance;
+    }
+
+    const mismatches = [];
+    const players = await store.findWallets();
+    for (const player of players) {
+      const playerId = player._id.toString();
+      for (const [currency, actual] of Object.entries(player.wallet || {})) {
+        const expectedBalance = (expected[playerId] && expected[playerId][currency]) || 0;
+        if (expectedBalance !== actual) {
+          mismatches.push({
+            playerId,
+            username: player.username,
+            currency,
+            expected: formatAmount(expectedBalance, currency),
+            actual: formatAmount(actual, currency),
+            difference: formatAmount(actual - expectedBalance, currency)
+          });
+        }
+      }
+    }
+
+    const unbalancedJournals = await store.findUnbalancedJournals();
+    return {
+      checkedPlayers: players.length,
+      balanced: mismatches.length === 0 && unbalancedJournals.length === 0,
+      mismatches,
+      unbalancedJournals: unbalancedJournals.map(journal => ({
+        journalId: journal.journalId,
+        net: formatAmount(journal.net, journal.currency)
+      })),
+      checkedAt: new Date()
+    };
+  }
+
+  return { applyBalanceChange, reconcileBalances };
+}
+
+const ledger = createLedger();
+
+module.exports = {
+  TRANSACTION_TYPES,
+  applyBalanceChange: ledger.applyBalanceChange,
+  reconcileBalances: ledger.reconcileBalances,
+  createLedger,
+  serializeTransaction,
+  findRidingStakes,
+  assertMinorUnits,
+  generateTransactionHash
+};
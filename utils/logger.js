@@ -0,0 +1,133 @@
+const os = require('os');
+
+/**
+ * Structured logger
+ *
+ * Writes one JSON object per line: `time`, `level`, `msg`, the logger's
+ * context and the fields of the call, e.g.
+ * `{"time":"…","level":"info","msg":"🚀 Round 12 started","roundNumber":12}`.
+ * Child loggers add context such as a component, round or player to every
+ * line they write.
+ *
+ * Calls take the same arguments as console's, so a logger can be passed
+ * wherever a console-like logger is expected: strings and numbers are
+ * appended to the message, an Error is logged under `error` and a plain
+ * object is merged into the line's fields.
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+/**
+ * A JSON-safe description of an error
+ * @param {Error} error - Error
+ * @returns {Object} Name, message, code and stack
+ */
+function serializeError(error) {
+  const result = { name: error.name, message: error.message };
+  if (error.code !== undefined) {
+    result.code = error.code;
+  }
+  if (error.stack) {
+    result.stack = error.stack;
+  }
+  return result;
+}
+
+/**
+ * Message and fields of a console-style call
+ * @param {Array} args - Call arguments
+ * @returns {Object} `{ msg, fields }`
+ */
+function parseArgs(args) {
+  const words = [];
+  const fields = {};
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      fields.error = serializeError(arg);
+    } else if (arg !== null && typeof arg === 'object' && !Array.isArray(arg)) {
+      Object.assign(fields, arg);
+    } else if (arg !== undefined) {
+      words.push(typeof arg === 'string' ? arg : JSON.stringify(arg));
+    }
+  }
+  if (fields.error instanceof Error) {
+    fields.error = serializeError(fields.error);
+  }
+  return { msg: words.join(' '), fields };
+}
+
+/**
+ * Create a logger
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level] - Lowest level written: debug, info, warn or error
+ * @param {Object} [options.context] - Fields added to every line
+ * @param {Function} [options.write] - Receives each line; defaults to stdout, warnings and errors to stderr
+ * @param {Function} [options.clock] - Current time in ms
+ * @returns {Object} Logger with debug, info, warn, error, `log` (info) and child
+ * @throws {Error} For an unknown level
+ */
+function createLogger({ level = 'info', context = {}, write, clock = Date.now } = {}) {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  const threshold = LEVELS[level];
+  const output = write || ((line, lineLevel) => {
+    (LEVELS[lineLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+  });
+
+  /**
+   * Write a line at a level
+   * @param {string} lineLevel - Level name
+   * @param {Array} args - Console-style arguments
+   */
+  function emit(lineLevel, args) {
+    if (LEVELS[lineLevel] < threshold) return;
+    const { msg, fields } = parseArgs(args);
+    const entry = { time: new Date(clock()).toISOString(), level: lineLevel, msg, ...context, ...fields };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      // Circular or BigInt fields must not lose the line
+      line = JSON.stringify({ time: entry.time, level: lineLevel, msg, ...context, logError: error.message });
+    }
+    output(line, lineLevel);
+  }
+
+  const logger = {
+    level,
+    debug: (...args) => emit('debug', args),
+    info: (...args) => emit('info', args),
+    warn: (...args) => emit('warn', args),
+    error: (...args) => emit('error', args),
+
+    /**
+     * Logger adding more context to every line
+     * @param {Object} childContext - Fields such as `component`, `roundNumber` or `playerId`
+     * @returns {Object} Logger
+     */
+    child(childContext) {
+      return createLogger({ level, context: { ...context, ...childContext }, write: output, clock });
+    }
+  };
+  // console.log compatibility
+  logger.log = logger.info;
+  return logger;
+}
+
+// Process-wide logger; modules take a child with their component name
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  context: { pid: process.pid, hostname: os.hostname() }
+});
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  logger
+};
@@ -0,0 +1,295 @@
+/**
+ * Prometheus metrics
+ *
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format, and the game's own metrics on top of
+ * it. Each instance exposes its own values at /metrics; game metrics come
+ * from the instance running the round loop, socket counts from every
+ * instance, so sum them across instances.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value
+ * @param {*} value - Label value
+ * @returns {string} Escaped text
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Label set as it appears after a metric name
+ * @param {Object} labels - Label values by name
+ * @returns {string} E.g. `{currency="BTC"}`, empty without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+/**
+ * Key of a label set, independent of property order
+ * @param {string[]} labelNames - Declared label names
+ * @param {Object} labels - Label values
+ * @returns {string} Key
+ * @throws {Error} For a label that was not declared
+ */
+function labelKey(labelNames, labels) {
+  for (const name of Object.keys(labels)) {
+    if (!labelNames.includes(name)) {
+      throw new Error(`Unknown metric label: ${name}`);
+    }
+  }
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+/**
+ * Labels of a key, leaving out empty ones
+ * @param {string[]} labelNames - Declared label names
+ * @param {string} key - Key from labelKey
+ * @returns {Object} Labels
+ */
+function keyLabels(labelNames, key) {
+  const labels = {};
+  JSON.parse(key).forEach((value, index) => {
+    if (value !== '') labels[labelNames[index]] = value;
+  });
+  return labels;
+}
+
+/**
+ * Create a metrics registry
+ * @returns {Object} Registry with counter, gauge, histogram and render
+ */
+function createMetricsRegistry() {
+  const metrics = new Map();
+
+  /**
+   * Register a metric
+   * @param {Object} metric - Name, help, type and lines()
+   * @returns {Object} Metric
+   */
+  function register(metric) {
+    if (metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  return {
+    /**
+     * Counter that only goes up
+     * @param {Object} options - `name`, `help` and optional `labelNames`
+     * @returns {Object} Counter with inc(amount, labels) and get(labels)
+     */
+    counter({ name, help, labelNames = [] }) {
+      const values = new Map();
+      return register({
+        name,
+        help,
+        type: 'counter',
+        inc(amount = 1, labels = {}) {
+          if (!(amount >= 0)) {
+            throw new Error(`Counter ${name} can only increase`);
+          }
+          const key = labelKey(labelNames, labels);
+          values.set(key, (values.get(key) || 0) + amount);
+        },
+        get(labels = {}) {
+          return values.get(labelKey(labelNames, labels)) || 0;
+        },
+        lines() {
+          return [...values].map(([key, value]) => `${name}${formatLabels(keyLabels(labelNames, key))} ${value}`);
+        }
+      });
+    },
+
+    /**
+     * Gauge that can go up and down, or is read from `collect` when rendered
+     * @param {Object} options - `name`, `help`, optional `labelNames` and `collect()` returning the value
+     * @returns {Object} Gauge with set, inc, dec and get
+     */
+    gauge({ name, help, labelNames = [], collect }) {
+      const values = new Map();
+      const gauge = register({
+        name,
+        help,
+        type: 'gauge',
+        set(value, labels = {}) {
+          values.set(labelKey(labelNames, labels), value);
+        },
+        inc(amount = 1, labels = {}) {
+          const key = labelKey(labelNames, labels);
+          values.set(key, (values.get(key) || 0) + amount);
+        },
+        dec(amount = 1, labels = {}) {
+          gauge.inc(-amount, labels);
+        },
+        get(labels = {}) {
+          return values.get(labelKey(labelNames, labels)) || 0;
+        },
+        lines() {
+          if (collect) {
+            gauge.set(collect());
+          }
+          return [...values].map(([key, value]) => `${name}${formatLabels(keyLabels(labelNames, key))} ${value}`);
+        }
+      });
+      return gauge;
+    },
+
+    /**
+     * Histogram of observed values
+     * @param {Object} options - `name`, `help`, optional `labelNames` and upper bounds in `buckets`
+     * @returns {Object} Histogram with observe(value, labels)
+     */
+    histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = new Map();
+      return register({
+        name,
+        help,
+        type: 'histogram',
+        observe(value, labels = {}) {
+          const key = labelKey(labelNames, labels);
+          const entry = series.get(key) || { counts: bounds.map(() => 0), sum: 0, count: 0 };
+          bounds.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+          series.set(key, entry);
+        },
+        lines() {
+          const lines = [];
+          for (const [key, entry] of series) {
+            const labels = keyLabels(labelNames, key);
+            bounds.forEach((bound, index) => {
+              lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+            lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+          }
+          return lines;
+        }
+      });
+    },
+
+    /**
+     * Every metric in the text exposition format
+     * @returns {string} Exposition text
+     */
+    render() {
+      const lines = [];
+      for (const metric of metrics.values()) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines());
+      }
+      return lines.join('\n') + '\n';
+    },
+
+    contentType: 'text/plain; version=0.0.4; charset=utf-8'
+  };
+}
+
+// Repository methods that write to the database
+const REPOSITORY_WRITES = ['saveRound', 'completeRound', 'abortRound', 'recordBet', 'recordCashout', 'applyBalanceChange', 'saveSettings', 'saveAutoBet', 'recordGamblingEvent'];
+
+/**
+ * Create the game's metrics
+ * @param {Object} [registry] - Registry to add them to
+ * @returns {Object} Registry, metrics, and helpers wiring them to the engine, repository and price oracle
+ */
+function createGameMetrics(registry = createMetricsRegistry()) {
+  const rounds = registry.counter({ name: 'crash_rounds_total', help: 'Rounds played, by outcome', labelNames: ['status'] });
+  const bets = registry.counter({ name: 'crash_bets_total', help: 'Bets placed, by currency', labelNames: ['currency'] });
+  const wagered = registry.counter({ name: 'crash_wagered_usd_total', help: 'USD value of settled bets' });
+  const paidOut = registry.counter({ name: 'crash_paid_out_usd_total', help: 'USD paid out on settled bets' });
+  registry.gauge({
+    name: 'crash_payout_ratio',
+    help: 'USD paid out per USD wagered since start',
+    collect: () => (wagered.get() ? paidOut.get() / wagered.get() : 0)
+  });
+  const connectedSockets = registry.gauge({ name: 'crash_connected_sockets', help: 'Player sockets connected to this instance' });
+  const priceFetchDuration = registry.histogram({
+    name: 'crash_price_fetch_duration_seconds',
+    help: 'Time taken by price provider requests',
+    labelNames: ['provider']
+  });
+  const priceFetchFailures = registry.counter({ name: 'crash_price_fetch_failures_total', help: 'Failed price provider requests', labelNames: ['provider'] });
+  const dbWriteFailures = registry.counter({ name: 'crash_db_write_failures_total', help: 'Failed database writes, by operation', labelNames: ['operation'] });
+
+  return {
+    registry,
+    rounds,
+    bets,
+    wagered,
+    paidOut,
+    connectedSockets,
+    priceFetchDuration,
+    priceFetchFailures,
+    dbWriteFailures,
+
+    /**
+     * Count rounds and bets from an engine's events
+     * @param {Object} engine - Game engine
+     */
+    observeEngine(engine) {
+      engine.on('playerBet', bet => bets.inc(1, { currency: bet.cryptoType }));
+      engine.on('roundSummary', summary => {
+        rounds.inc(1, { status: 'completed' });
+        // Summaries carry USD as decimal strings; floats are fine for monitoring
+        wagered.inc(parseFloat(summary.wageredUSD) || 0);
+        paidOut.inc(parseFloat(summary.paidOutUSD) || 0);
+      });
+      engine.on('roundAborted', () => rounds.inc(1, { status: 'aborted' }));
+    },
+
+    /**
+     * Wrap a repository so failed writes are counted
+     * @param {Object} repository - Game repository
+     * @returns {Object} Repository
+     */
+    instrumentRepository(repository) {
+      const instrumented = Object.create(repository);
+      for (const operation of REPOSITORY_WRITES) {
+        if (typeof repository[operation] !== 'function') continue;
+        instrumented[operation] = async (...args) => {
+          try {
+            return await repository[operation](...args);
+          } catch (error) {
+            // A refused debit is an answer, not a failed write
+            if (error.code !== 'INSUFFICIENT_BALANCE') {
+              dbWriteFailures.inc(1, { operation });
+            }
+            throw error;
+          }
+        };
+      }
+      return instrumented;
+    },
+
+    /**
+     * Record a price provider request; pass as the price oracle's `onFetch`
+     * @param {Object} fetch - `provider`, `durationMs` and `error` when it failed
+     */
+    recordPriceFetch({ provider, durationMs, error }) {
+      priceFetchDuration.observe(durationMs / 1000, { provider });
+      if (error) {
+        priceFetchFailures.inc(1, { provider });
+      }
+    }
+  };
+}
+
+// Process-wide metrics, exposed at /metrics
+const metrics = createGameMetrics();
+
+module.exports = {
+  createMetricsRegistry,
+  createGameMetrics,
+  metrics
+};
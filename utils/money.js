@@ -0,0 +1,232 @@
+const { getAsset } = require('./assets');
+
+/**
+ * Money amounts
+ *
+ * Every amount is an integer number of minor units: cents for USD and, for
+ * crypto, 10^-decimals of a whole unit as set in the asset registry, e.g.
+ * satoshi for BTC, gwei for ETH and millionths of a USDT. Integers add and
+ * subtract exactly, so balances never drift, and they stay exact as
+ * JavaScript numbers up to 2^53 minor units (90 million BTC).
+ *
+ * Conversions and multiplications go through BigInt and round in one
+ * direction only: what a player pays rounds up, what they are paid or what
+ * their funds are worth rounds down.
+ *
+ * Amounts leave the server as decimal strings; clients may send them as
+ * decimal strings or numbers.
+ */
+
+const USD_DECIMALS = 2;
+
+// Prices and multipliers are turned into fixed-point integers with this many decimals
+const PRICE_DECIMALS = 8;
+const MULTIPLIER_DECIMALS = 8;
+
+// Mongoose validator of amount fields
+const minorUnitsValidator = {
+  validator: value => value === null || value === undefined || Number.isSafeInteger(value),
+  message: '{PATH} must be a whole number of minor units'
+};
+
+/**
+ * Decimal places of a currency
+ * @param {string} currency - USD or a registered asset symbol
+ * @returns {number} Decimals
+ * @throws {Error} For an unknown currency
+ */
+function currencyDecimals(currency) {
+  if (currency === 'USD') return USD_DECIMALS;
+  const asset = getAsset(currency);
+  if (!asset) {
+    throw new Error(`Unknown currency: ${currency}`);
+  }
+  return asset.decimals;
+}
+
+/**
+ * Minor units per whole unit of a currency
+ * @param {string} currency - Currency code
+ * @returns {bigint} 10^decimals
+ */
+function unitScale(currency) {
+  return 10n ** BigInt(currencyDecimals(currency));
+}
+
+/**
+ * Integer division rounding up or down
+ * @param {bigint} numerator - Non-negative numerator
+ * @param {bigint} denominator - Positive denominator
+ * @param {string} rounding - up or down
+ * @returns {bigint} Quotient
+ */
+function divide(numerator, denominator, rounding) {
+  const quotient = numerator / denominator;
+  return rounding === 'up' && quotient * denominator !== numerator ? quotient + 1n : quotient;
+}
+
+/**
+ * A price as a fixed-point integer
+ * @param {number} price - Price per whole unit
+ * @param {string} currency - Currency priced, for the error message
+ * @returns {bigint} Price scaled by 10^PRICE_DECIMALS
+ */
+function fixedPrice(price, currency) {
+  if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+    throw new Error(`Invalid price for ${currency}`);
+  }
+  return BigInt(Math.round(price * 10 ** PRICE_DECIMALS));
+}
+
+/**
+ * Plain decimal notation of a number, without an exponent
+ * @param {number} value - Finite number
+ * @returns {string} Decimal text, e.g. 1e-7 as 0.0000001
+ */
+function decimalText(value) {
+  const text = String(value);
+  if (!/e/i.test(text)) return text;
+
+  const [mantissa, exponent] = text.split(/e/i);
+  const [whole, fraction = ''] = mantissa.split('.');
+  const digits = whole + fraction;
+  const point = whole.length + Number(exponent);
+  if (point <= 0) return `0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return digits + '0'.repeat(point - digits.length);
+  return `${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Minor units of an amount sent by a client
+ * @param {string|number} value - Decimal string or number, e.g. "0.015" or 0.015
+ * @param {string} currency - Currency code
+ * @returns {number|null} Minor units, null unless a non-negative amount with at most the currency's decimals
+ */
+function parseAmount(value, currency) {
+  let text;
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    text = decimalText(value);
+  } else if (typeof value === 'string') {
+    text = value.trim();
+  } else {
+    return null;
+  }
+
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match) return null;
+  const decimals = currencyDecimals(currency);
+  const fraction = (match[2] || '').replace(/0+$/, '');
+  if (fraction.length > decimals) return null;
+
+  const units = BigInt(match[1]) * unitScale(currency) + BigInt(fraction.padEnd(decimals, '0') || '0');
+  return units <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(units) : null;
+}
+
+/**
+ * Minor units of a configured amount, rounded to the nearest unit
+ * @param {number} amount - Amount in whole units, e.g. a setting or a limit
+ * @param {string} currency - Currency code
+ * @returns {number} Minor units
+ */
+function toUnits(amount, currency) {
+  return Math.round(amount * Number(unitScale(currency)));
+}
+
+/**
+ * Amount in whole units as a number, for display maths and thresholds that are not money
+ * @param {number} units - Minor units
+ * @param {string} currency - Currency code
+ * @returns {number} Amount, e.g. 150 cents as 1.5
+ */
+function toDecimal(units, currency) {
+  return units / Number(unitScale(currency));
+}
+
+/**
+ * Amount as a decimal string with all of the currency's decimals
+ * @param {number|null} units - Minor units
+ * @param {string} currency - Currency code
+ * @returns {string|null} E.g. "0.00012345" for 12345 satoshi, null for null
+ */
+function formatAmount(units, currency) {
+  if (units === null || units === undefined) return null;
+  const decimals = currencyDecimals(currency);
+  const digits = String(Math.abs(units)).padStart(decimals + 1, '0');
+  const sign = units < 0 ? '-' : '';
+  return decimals ? `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}` : sign + digits;
+}
+
+/**
+ * Crypto cost of a USD amount, rounded up
+ * @param {number} usdCents - USD amount in cents
+ * @param {string} cryptoType - Cryptocurrency type
+ * @param {number} priceAtTime - USD price of one whole unit
+ * @returns {number} Crypto amount in minor units
+ */
+function convertUSDToCrypto(usdCents, cryptoType, priceAtTime) {
+  const price = fixedPrice(priceAtTime, cryptoType);
+  const numerator = BigInt(usdCents) * unitScale(cryptoType) * 10n ** BigInt(PRICE_DECIMALS);
+  return Number(divide(numerator, unitScale('USD') * price, 'up'));
+}
+
+/**
+ * USD value of a crypto amount, rounded down
+ * @param {number} cryptoUnits - Crypto amount in minor units
+ * @param {string} cryptoType - Cryptocurrency type
+ * @param {number} priceAtTime - USD price of one whole unit
+ * @returns {number} USD amount in cents
+ */
+function convertCryptoToUSD(cryptoUnits, cryptoType, priceAtTime) {
+  const price = fixedPrice(priceAtTime, cryptoType);
+  const numerator = BigInt(cryptoUnits) * price * unitScale('USD');
+  return Number(divide(numerator, unitScale(cryptoType) * 10n ** BigInt(PRICE_DECIMALS), 'down'));
+}
+
+/**
+ * Amount times a multiplier, rounded down, as for payouts
+ * @param {number} units - Minor units
+ * @param {number} multiplier - Multiplier, used to MULTIPLIER_DECIMALS places
+ * @returns {number} Minor units
+ */
+function multiplyAmount(units, multiplier) {
+  const scale = 10n ** BigInt(MULTIPLIER_DECIMALS);
+  return Number(divide(BigInt(units) * BigInt(Math.round(multiplier * Number(scale))), scale, 'down'));
+}
+
+/**
+ * Largest multiplier that keeps an amount within a limit, rounded down
+ * multiplyAmount of the amount, or of stakes adding up to it, at this
+ * multiplier never comes to more than the limit.
+ * @param {number} units - Minor units multiplied
+ * @param {number} limit - Minor units not to exceed
+ * @returns {number} Multiplier to MULTIPLIER_DECIMALS places
+ */
+function limitMultiplier(units, limit) {
+  const scale = 10n ** BigInt(MULTIPLIER_DECIMALS);
+  return Number(divide(BigInt(limit) * scale, BigInt(units), 'down')) / Number(scale);
+}
+
+/**
+ * Share of an amount, rounded down
+ * @param {number} units - Minor units
+ * @param {number} part - Part of the whole, e.g. the stake still riding
+ * @param {number} whole - Whole, e.g. the stake placed
+ * @returns {number} units × part / whole in minor units
+ */
+function proportionalAmount(units, part, whole) {
+  return Number(divide(BigInt(units) * BigInt(part), BigInt(whole), 'down'));
+}
+
+module.exports = {
+  currencyDecimals,
+  minorUnitsValidator,
+  parseAmount,
+  toUnits,
+  toDecimal,
+  formatAmount,
+  convertUSDToCrypto,
+  convertCryptoToUSD,
+  multiplyAmount,
+  limitMultiplier,
+  proportionalAmount
+};
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration');
+const Player = require('../models/Player');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const Bet = require('../models/Bet');
+const Transfer = require('../models/Transfer');
+const { formatAmount } = require('./money');
+
+/**
+ * Migration of stored amounts from floating-point whole units to integer minor units
+ *
+ * Each step rescales one collection's amount fields with a server-side
+ * update pipeline inside a MongoDB transaction, and records itself in the
+ * same transaction, so an interrupted run can simply be started again.
+ * Run it with every server stopped and after a backup: servers refuse to
+ * start until it has completed (see assertMoneyMigrated).
+ *
+ * The details of AdminAction and ResponsibleGamblingEvent records are left
+ * alone on purpose: they are an audit trail, and their amounts were decimals
+ * before (numbers in whole units) and still are (decimal strings, limits in
+ * dollars). Read them through formatDetailAmounts so both look the same.
+ */
+
+const MONEY_MIGRATION = 'money-minor-units';
+
+// Amounts stored before this migration were only ever in these currencies; fixed so registry changes cannot alter it
+const CURRENCY_DECIMALS = {
+  BTC: 8,
+  ETH: 9,
+  USDT: 6,
+  USD: 2
+};
+
+/**
+ * Pipeline expression scaling a field to minor units, leaving missing fields missing
+ * @param {string} field - Field path
+ * @param {Object|number} factor - Expression or number to multiply by
+ * @returns {Object} Aggregation expression
+ */
+function scaled(field, factor) {
+  return {
+    $cond: [
+      { $eq: [{ $type: `$${field}` }, 'missing'] },
+      '$$REMOVE',
+      { $round: [{ $multiply: [`$${field}`, factor] }, 0] }
+    ]
+  };
+}
+
+/**
+ * Minor units per whole unit of the currency named by a document field
+ * @param {string} currencyField - Field holding the currency code
+ * @returns {Object} Aggregation expression
+ */
+function unitsPerWhole(currencyField) {
+  return {
+    $switch: {
+      branches: ['BTC', 'ETH', 'USDT'].map(currency => ({
+        case: { $eq: [`$${currencyField}`, currency] },
+        then: 10 ** CURRENCY_DECIMALS[currency]
+      })),
+      default: 1
+    }
+  };
+}
+
+const CENTS = 10 ** CURRENCY_DECIMALS.USD;
+
+// Collection updates in the order they are applied
+const STEPS = [
+  {
+    name: 'players',
+    model: Player,
+    set: {
+      'wallet.BTC': scaled('wallet.BTC', 10 ** CURRENCY_DECIMALS.BTC),
+      'wallet.ETH': scaled('wallet.ETH', 10 ** CURRENCY_DECIMALS.ETH),
+      'wallet.USDT': scaled('wallet.USDT', 10 ** CURRENCY_DECIMALS.USDT)
+    }
+  },
+  {
+    name: 'transactions',
+    model: Transaction,
+    set: {
+      cryptoAmount: scaled('cryptoAmount', unitsPerWhole('currency')),
+      usdAmount: scaled('usdAmount', CENTS)
+    }
+  },
+  {
+    name: 'ledgerEntries',
+    model: LedgerEntry,
+    set: {
+      amount: scaled('amount', unitsPerWhole('currency'))
+    }
+  },
+  {
+    name: 'bets',
+    model: Bet,
+    set: {
+      cryptoAmount: scaled('cryptoAmount', unitsPerWhole('currency')),
+      payoutCrypto: scaled('payoutCrypto', unitsPerWhole('currency')),
+      usdAmount: scaled('usdAmount', CENTS),
+      payoutUSD: scaled('payoutUSD', CENTS),
+      profitUSD: scaled('profitUSD', CENTS)
+    }
+  },
+  {
+    name: 'transfers',
+    model: Transfer,
+    set: {
+      amount: scaled('amount', unitsPerWhole('currency')),
+      fee: scaled('fee', unitsPerWhole('currency')),
+      usdAmount: scaled('usdAmount', CENTS)
+    }
+  }
+];
+
+/**
+ * Details of an admin action or responsible gambling event with amounts as decimal strings
+ * Records from before the migration hold `amount` and `usdAmount` as numbers in whole units.
+ * @param {Object} [details] - Stored details
+ * @returns {Object|undefined} Details, amounts formatted like formatAmount
+ */
+function formatDetailAmounts(details) {
+  if (!details || typeof details !== 'object') return details;
+  const formatted = { ...details };
+  if (typeof details.amount === 'number' && CURRENCY_DECIMALS[details.currency] !== undefined) {
+    formatted.amount = formatAmount(Math.round(details.amount * 10 ** CURRENCY_DECIMALS[details.currency]), details.currency);
+  }
+  if (typeof details.usdAmount === 'number') {
+    formatted.usdAmount = formatAmount(Math.round(details.usdAmount * CENTS), 'USD');
+  }
+  return formatted;
+}
+
+/**
+ * Apply every step not applied yet
+ * @param {Object} [options] - console-like `logger`
+ * @returns {Promise<Object>} `{ applied }`: names of the steps run now
+ */
+async function migrateMoney({ logger = console } = {}) {
+  await Migration.updateOne({ _id: MONEY_MIGRATION }, { $setOnInsert: { startedAt: new Date() } }, { upsert: true });
+  const migration = await Migration.findById(MONEY_MIGRATION).lean();
+  if (migration.completedAt) {
+    logger.log('✅ Money amounts are already in minor units');
+    return { applied: [] };
+  }
+
+  const applied = [];
+  for (const step of STEPS) {
+    if (migration.completedSteps.includes(step.name)) continue;
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const result = await step.model.updateMany({}, [{ $set: step.set }], { session });
+        await Migration.updateOne({ _id: MONEY_MIGRATION }, { $addToSet: { completedSteps: step.name } }, { session });
+        logger.log(`💱 Migrated ${result.modifiedCount} ${step.name} to minor units`);
+      });
+    } finally {
+      await session.endSession();
+    }
+    applied.push(step.name);
+  }
+
+  await Migration.updateOne({ _id: MONEY_MIGRATION }, { $set: { completedAt: new Date() } });
+  logger.log('✅ Money migration complete');
+  return { applied };
+}
+
+/**
+ * Refuse to run on amounts that are still stored as whole units
+ * A database without any money in it is marked as migrated.
+ * @throws {Error} When the migration has not completed
+ */
+async function assertMoneyMigrated() {
+  const migration = await Migration.findById(MONEY_MIGRATION).lean();
+  if (migration && migration.completedAt) return;
+
+  if (!migration) {
+    const hasMoney = await Transaction.exists({}) || await Transfer.exists({}) || await Bet.exists({}) ||
+      await Player.exists({ $or: [{ 'wallet.BTC': { $gt: 0 } }, { 'wallet.ETH': { $gt: 0 } }, { 'wallet.USDT': { $gt: 0 } }] });
+    if (!hasMoney) {
+      await Migration.updateOne(
+        { _id: MONEY_MIGRATION },
+        { $setOnInsert: { completedSteps: STEPS.map(step => step.name), startedAt: new Date(), completedAt: new Date() } },
+        { upsert: true }
+      );
+      return;
+    }
+  }
+  throw new Error('Stored amounts are not in minor units yet: stop every server, back up the database and run `npm run migrate:money`');
+}
+
+module.exports = {
+  MONEY_MIGRATION,
+  migrateMoney,
+  assertMoneyMigrated,
+  formatDetailAmounts
+};
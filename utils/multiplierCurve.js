@@ -0,0 +1,43 @@
+/**
+ * Multiplier curve shared by the server and the browser client
+ *
+ * m(t) = e^(growthRate * t), t in seconds since the round started. The server
+ * settles cashouts from its own receive time against this curve; clients get
+ * the start time and growth rate in `roundStart` and render it locally.
+ * Served to the browser at /js/multiplierCurve.js, so it must stay
+ * dependency-free.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MultiplierCurve = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  /**
+   * Multiplier after a given time in the round, rounded down to two decimals
+   * @param {number} elapsedMs - Milliseconds since the round started
+   * @param {number} growthRate - Growth rate k per second
+   * @returns {number} Multiplier
+   */
+  function multiplierAt(elapsedMs, growthRate) {
+    if (elapsedMs <= 0) return 1;
+    return Math.floor(100 * Math.exp(growthRate * elapsedMs / 1000)) / 100;
+  }
+
+  /**
+   * Time the curve needs to reach a multiplier
+   * @param {number} multiplier - Target multiplier (>= 1)
+   * @param {number} growthRate - Growth rate k per second
+   * @returns {number} Milliseconds since the round started
+   */
+  function timeToReach(multiplier, growthRate) {
+    if (multiplier <= 1) return 0;
+    return Math.log(multiplier) / growthRate * 1000;
+  }
+
+  return {
+    multiplierAt,
+    timeToReach
+  };
+});
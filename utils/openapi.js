@@ -0,0 +1,155 @@
+/**
+ * OpenAPI document generated from the Express routers
+ *
+ * Every route registered on the routers passed to buildOpenApiDocument is
+ * listed with its method, path and path parameters. Routes add a summary,
+ * authentication, query parameters, a request body schema and responses by
+ * putting an apiDoc(spec) middleware in their handler chain, so the document
+ * follows the code instead of being maintained next to it.
+ */
+
+const OPENAPI_VERSION = '3.0.3';
+
+// How each kind of authentication appears under components.securitySchemes
+const SECURITY_SCHEMES = {
+  session: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'Session token from POST /api/auth/login'
+  },
+  apiKey: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-Api-Key',
+    description: 'API key ID from POST /api/keys. Requests are also signed: X-Api-Timestamp (ms since epoch, within 30 s of the server clock), ' +
+      'X-Api-Nonce (8-64 characters of A-Z a-z 0-9 _ -, never reused) and X-Api-Signature, the hex HMAC-SHA256 with the key secret of ' +
+      'timestamp, nonce, method, path with query string and raw body, joined by newlines.'
+  },
+  admin: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'x-admin-key',
+    description: 'Operator key set in ADMIN_API_KEY'
+  }
+};
+
+/**
+ * Middleware documenting the route it is part of; it does nothing at request time
+ * @param {Object} spec - Route documentation
+ * @param {string} spec.summary - One-line description
+ * @param {string} [spec.description] - Longer description
+ * @param {string} [spec.auth] - session, apiKey or admin
+ * @param {string} [spec.scope] - API key scope the route requires
+ * @param {Object} [spec.query] - JSON schemas of query parameters by name
+ * @param {Object} [spec.body] - JSON schema of the request body
+ * @param {Object} [spec.responses] - Description, or `{ description, schema }`, by status code
+ * @returns {Function} Express middleware carrying the spec as `openapi`
+ */
+function apiDoc(spec) {
+  const middleware = (req, res, next) => next();
+  middleware.openapi = spec;
+  return middleware;
+}
+
+/**
+ * OpenAPI form of an Express path
+ * @param {string} path - Express path, e.g. /players/:playerId/stats
+ * @returns {Object} `path` with {name} parameters, e.g. /players/{playerId}/stats, and the parameter `names`
+ */
+function openApiPath(path) {
+  const names = [];
+  const converted = path.replace(/:(\w+)\??/g, (match, name) => {
+    names.push(name);
+    return `{${name}}`;
+  });
+  return { path: converted, names };
+}
+
+/**
+ * Operation object of one route
+ * @param {Object} spec - Documentation from apiDoc, empty for undocumented routes
+ * @param {string[]} pathParams - Path parameter names
+ * @param {string} tag - Tag of the router
+ * @returns {Object} OpenAPI operation
+ */
+function buildOperation(spec, pathParams, tag) {
+  const operation = { tags: [tag], summary: spec.summary || '' };
+
+  const descriptions = [];
+  if (spec.description) descriptions.push(spec.description);
+  if (spec.scope) descriptions.push(`Requires an API key with the \`${spec.scope}\` scope.`);
+  if (descriptions.length) operation.description = descriptions.join('\n\n');
+  if (spec.scope) operation['x-api-key-scope'] = spec.scope;
+
+  const parameters = pathParams.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+  for (const [name, schema] of Object.entries(spec.query || {})) {
+    parameters.push({ name, in: 'query', required: false, schema });
+  }
+  if (parameters.length) operation.parameters = parameters;
+
+  if (spec.body) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: spec.body } } };
+  }
+
+  operation.responses = {};
+  for (const [status, response] of Object.entries(spec.responses || { 200: 'Success' })) {
+    const { description, schema } = typeof response === 'string' ? { description: response } : response;
+    operation.responses[status] = schema ? { description, content: { 'application/json': { schema } } } : { description };
+  }
+
+  if (spec.auth) {
+    if (!SECURITY_SCHEMES[spec.auth]) {
+      throw new Error(`Unknown authentication in API docs: ${spec.auth}`);
+    }
+    operation.security = [{ [spec.auth]: [] }];
+  }
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document of the given routers
+ * Read when requested rather than at start-up, so routes registered later are included.
+ * @param {Object} options - Document options
+ * @param {Object} options.info - OpenAPI info object (title, version, ...)
+ * @param {Array<Object>} options.routers - `{ basePath, router, tag, auth, include }`; `auth` applies to routes that
+ *   do not set their own, e.g. for a router guarded with router.use, and include(path) can leave routes out
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiDocument({ info, routers }) {
+  const paths = {};
+  const tags = [];
+
+  for (const { basePath = '', router, tag, auth, include = () => true } of routers) {
+    tags.push({ name: tag });
+    for (const layer of router.stack) {
+      // Mounted routers and plain middleware have no route; regex paths cannot be documented
+      if (!layer.route || typeof layer.route.path !== 'string') continue;
+
+      const fullPath = (basePath + layer.route.path).replace(/\/$/, '') || '/';
+      if (!include(fullPath)) continue;
+
+      const documented = layer.route.stack.find(entry => entry.handle.openapi);
+      const spec = { auth, ...(documented && documented.handle.openapi) };
+      const { path, names } = openApiPath(fullPath);
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method === '_all') continue;
+        paths[path] = paths[path] || {};
+        paths[path][method] = buildOperation(spec, names, tag);
+      }
+    }
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info,
+    tags,
+    paths,
+    components: { securitySchemes: SECURITY_SCHEMES }
+  };
+}
+
+module.exports = {
+  apiDoc,
+  openApiPath,
+  buildOpenApiDocument
+};
@@ -0,0 +1,780 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const Transfer = require('../models/Transfer');
+const Transaction = require('../models/Transaction');
+const ResponsibleGamblingEvent = require('../models/ResponsibleGamblingEvent');
+const { applyBalanceChange } = require('./ledger');
+const { parseAmount, formatAmount, toDecimal, convertCryptoToUSD } = require('./money');
+const { currentControls, activeBreak, limitedPeriods, findLimitBreach, windowStart } = require('./responsibleGambling');
+const { createSimulatedChain } = require('./chainAdapters/simulated');
+const { ASSETS, getAsset, isAssetEnabled } = require('./assets');
+const { metrics } = require('./metrics');
+const logger = require('./logger').logger.child({ component: 'payments' });
+
+/**
+ * Deposits and withdrawals
+ *
+ * Talks to the configured chain adapter, tracks each transfer's confirmations
+ * and moves wallet balances through the ledger. Emits `balanceChanged` and
+ * `transferUpdated` so the socket layer can notify the player.
+ *
+ * Confirmations and withdrawal limits come from the asset registry. A
+ * disabled asset hands out no new deposit addresses, but deposits to
+ * existing ones are still credited and balances can still be withdrawn.
+ *
+ * Deposits respect the player's responsible gambling controls. No address is
+ * handed out during a cooldown or self-exclusion, and funds that arrive
+ * anyway, or that would break a deposit limit, are held instead of credited
+ * until an operator releases them.
+ *
+ * A chain adapter implements generateAddress, isValidAddress,
+ * getWithdrawalFee, broadcastWithdrawal, getConfirmations and
+ * onIncomingTransaction (see chainAdapters/simulated.js), all amounts in
+ * integer minor units. Transfers store amounts the same way and are sent to
+ * clients with amounts as decimal strings.
+ *
+ * createPayments builds the service over a store and a chain adapter; the
+ * module exports the one over MongoDB and the CHAIN_ADAPTER chain.
+ */
+
+const CHAIN_ADAPTERS = {
+  simulated: () => createSimulatedChain({
+    blockTimeMs: parseInt(process.env.CHAIN_BLOCK_TIME_MS, 10) || 10000
+  })
+};
+
+// Confirmations before a transfer counts as final
+const REQUIRED_CONFIRMATIONS = Object.fromEntries(
+  Object.values(ASSETS).map(asset => [asset.symbol, asset.confirmations])
+);
+
+// Per-currency withdrawal minimum and rolling 24h limit (amounts before fees)
+const WITHDRAWAL_LIMITS = Object.fromEntries(
+  Object.values(ASSETS).map(asset => [asset.symbol, { min: asset.withdrawal.min, daily: asset.withdrawal.daily }])
+);
+
+const WITHDRAWAL_CONFIRM_WINDOW_MS = 10 * 60 * 1000;
+const CONFIRMATION_POLL_MS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRODUCTION = process.env.NODE_ENV === 'production';
+
+// Paying deposit addresses from the simulated chain mints balance, so it is opt-in and never in production
+const SIMULATED_DEPOSITS_ENABLED = process.env.ENABLE_SIMULATED_DEPOSITS === '1';
+if (SIMULATED_DEPOSITS_ENABLED && PRODUCTION) {
+  throw new Error('ENABLE_SIMULATED_DEPOSITS cannot be set in production');
+}
+
+// Production has to name a real chain rather than fall back to the simulated one
+const chainName = process.env.CHAIN_ADAPTER || (PRODUCTION ? null : 'simulated');
+if (!chainName) {
+  throw new Error('CHAIN_ADAPTER must be set in production');
+}
+if (!CHAIN_ADAPTERS[chainName]) {
+  throw new Error(`Unknown chain adapter: ${chainName}`);
+}
+if (chainName === 'simulated' && PRODUCTION) {
+  throw new Error('The simulated chain cannot run in production');
+}
+
+/**
+ * Error for a request the player can fix (shown to them as-is)
+ * @param {string} message - Reason
+ * @returns {Error} Error with code PAYMENT_REJECTED
+ */
+function rejectPayment(message) {
+  const error = new Error(message);
+  error.code = 'PAYMENT_REJECTED';
+  return error;
+}
+
+/**
+ * A transfer as sent to clients, with amounts as decimal strings
+ * @param {Object} transfer - Transfer document or plain object
+ * @returns {Object} Transfer
+ */
+function serializeTransfer(transfer) {
+  const plain = typeof transfer.toObject === 'function' ? transfer.toObject() : { ...transfer };
+  return {
+    ...plain,
+    amount: formatAmount(plain.amount, plain.currency),
+    fee: formatAmount(plain.fee, plain.currency),
+    usdAmount: formatAmount(plain.usdAmount, 'USD')
+  };
+}
+
+/**
+ * USD value of the deposits credited to a player, and of the tips they received, since a given time
+ * Both bring funds in, so both count toward deposit limits.
+ * @param {string} playerId - Player ID
+ * @param {Date} since - Earliest completion time
+ * @returns {Promise<number>} USD deposited, in cents
+ */
+async function depositedSince(playerId, since) {
+  const [deposits] = await Transfer.aggregate([
+    { $match: { playerId, kind: 'deposit', status: 'confirmed', completedAt: { $gte: since } } },
+    { $group: { _id: null, total: { $sum: '$usdAmount' } } }
+  ]);
+  const [tips] = await Transaction.aggregate([
+    { $match: { playerId, transactionType: 'tip', direction: 'credit', timestamp: { $gte: since } } },
+    { $group: { _id: null, total: { $sum: '$usdAmount' } } }
+  ]);
+  return (deposits ? deposits.total : 0) + (tips ? tips.total : 0);
+}
+
+/**
+ * Sum of withdrawals since a given time that are not cancelled, expired or failed
+ * @param {string} playerId - Player ID
+ * @param {string} currency - Currency type
+ * @param {Date} since - Earliest request time
+ * @param {Object} session - MongoDB session of the surrounding transaction
+ * @returns {Promise<number>} Amount withdrawn or reserved, in minor units
+ */
+async function withdrawnSince(playerId, currency, since, session) {
+  const [result] = await Transfer.aggregate([
+    {
+      $match: {
+        playerId,
+        currency,
+        kind: 'withdrawal',
+        status: { $in: ['awaiting_confirmation', 'pending', 'confirmed'] },
+        createdAt: { $gte: since }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).session(session);
+  return result ? result.total : 0;
+}
+
+// Players, transfers and the ledger in MongoDB
+const mongoPaymentStore = {
+  /**
+   * Status, deposit addresses and responsible gambling controls of a player
+   * @param {string} playerId - Player ID
+   * @returns {Promise<Object|null>} Player
+   */
+  findPlayer(playerId) {
+    return Player.findById(playerId, { status: 1, depositAddresses: 1, responsibleGambling: 1 }).lean();
+  },
+
+  /**
+   * Owner of a deposit address
+   * @param {string} currency - Currency type
+   * @param {string} address - Address
+   * @returns {Promise<string|null>} Player ID
+   */
+  async findPlayerIdByAddress(currency, address) {
+    const player = await Player.findOne({ [`depositAddresses.${currency}`]: address }, { _id: 1 }).lean();
+    return player ? player._id.toString() : null;
+  },
+
+  /**
+   * Give a player a deposit address unless a concurrent request did so first
+   * @param {string} playerId - Player ID
+   * @param {string} currency - Currency type
+   * @param {string} address - New address
+   * @returns {Promise<string>} The player's address
+   */
+  async setDepositAddress(playerId, currency, address) {
+    const field = `depositAddresses.${currency}`;
+    await Player.updateOne({ _id: playerId, [field]: { $exists: false } }, { $set: { [field]: address } });
+    const player = await Player.findById(playerId, { depositAddresses: 1 }).lean();
+    return player.depositAddresses[currency];
+  },
+
+  /**
+   * Store a deposit once per chain transaction
+   * @param {Object} deposit - Transfer fields, with its `txHash`
+   * @returns {Promise<Object>} The stored deposit, new or not
+   */
+  recordDeposit({ txHash, ...deposit }) {
+    return Transfer.findOneAndUpdate({ txHash }, { $setOnInsert: deposit }, { upsert: true, new: true }).lean();
+  },
+
+  /**
+   * Store a withdrawal request unless it takes the player past the daily limit
+   * The check and the insert share a transaction. Bumping the player's request counter
+   * first makes concurrent requests conflict, so the one retried sees the other.
+   * @param {Object} withdrawal - Transfer fields
+   * @param {number} dailyLimit - Limit in minor units
+   * @param {Date} since - Start of the limit's window
+   * @returns {Promise<Object>} `{ transfer, withdrawn }`, transfer null when over the limit
+   */
+  async createWithdrawal(withdrawal, dailyLimit, since) {
+    const session = await mongoose.startSession();
+    let result;
+    try {
+      await session.withTransaction(async () => {
+        await Player.updateOne({ _id: withdrawal.playerId }, { $inc: { withdrawalRequests: 1 } }, { session });
+        const withdrawn = await withdrawnSince(withdrawal.playerId, withdrawal.currency, since, session);
+        if (withdrawn + withdrawal.amount > dailyLimit) {
+          result = { transfer: null, withdrawn };
+          return;
+        }
+        const [transfer] = await Transfer.create([withdrawal], { session });
+        result = { transfer: transfer.toObject(), withdrawn };
+      });
+    } finally {
+      await session.endSession();
+    }
+    return result;
+  },
+
+  /**
+   * Move a transfer from one status to another, if it is still in the first
+   * @param {Object} filter - Transfer `_id`, `kind`, `status` and optionally `playerId` and `expiresAfter`
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<Object|null>} Updated transfer, null when none matched
+   */
+  claimTransfer({ expiresAfter, ...filter }, changes) {
+    const query = expiresAfter ? { ...filter, expiresAt: { $gt: expiresAfter } } : filter;
+    return Transfer.findOneAndUpdate(query, { $set: changes }, { new: true }).lean();
+  },
+
+  /**
+   * Expire withdrawal requests nobody confirmed in time
+   * @param {Date} now - Current time
+   */
+  async expireWithdrawals(now) {
+    await Transfer.updateMany(
+      { status: 'awaiting_confirmation', expiresAt: { $lte: now } },
+      { $set: { status: 'expired', completedAt: now } }
+    );
+  },
+
+  /**
+   * Transfers on chain that are still gathering confirmations
+   * @returns {Promise<Object[]>} Transfers
+   */
+  findPendingTransfers() {
+    return Transfer.find({ status: 'pending', txHash: { $exists: true } }).lean();
+  },
+
+  /**
+   * Set fields of a transfer
+   * @param {Object} transferId - Transfer ID
+   * @param {Object} changes - Fields to set
+   */
+  async updateTransfer(transferId, changes) {
+    await Transfer.updateOne({ _id: transferId }, { $set: changes });
+  },
+
+  depositedSince,
+
+  /**
+   * Add an entry to a player's responsible gambling history
+   * @param {Object} event - Player, action, rule, period, details and message
+   */
+  async recordGamblingEvent(event) {
+    await ResponsibleGamblingEvent.create(event);
+  },
+
+  /**
+   * Move funds through the ledger, see utils/ledger.js
+   * @param {Object} change - Balance change
+   * @returns {Promise<Object>} `{ transaction, balance, duplicate }`
+   */
+  applyBalanceChange(change) {
+    return applyBalanceChange(change);
+  }
+};
+
+/**
+ * Create the payments service
+ * @param {Object} options - Service options
+ * @param {Object} options.chain - Chain adapter
+ * @param {Object} [options.store] - Players, transfers and the ledger, MongoDB by default
+ * @param {boolean} [options.simulatedDeposits] - Whether simulateDeposit may pay deposit addresses
+ * @param {Function} [options.now] - Clock, for tests
+ * @param {Object} [options.logger] - console-like logger
+ * @returns {Object} Payments service
+ */
+function createPayments({ chain, store = mongoPaymentStore, simulatedDeposits = false, now = Date.now, logger: log = logger }) {
+  const events = new EventEmitter();
+  // Values deposits in USD for deposit limits; set by startPaymentWatcher
+  let priceProvider = null;
+
+  /**
+   * Notify listeners that a transfer changed
+   * @param {Object} transfer - Transfer
+   */
+  function emitTransferUpdated(transfer) {
+    events.emit('transferUpdated', { playerId: transfer.playerId, transfer: serializeTransfer(transfer) });
+  }
+
+  /**
+   * Set fields of a transfer, in the store and on the object
+   * @param {Object} transfer - Transfer
+   * @param {Object} changes - Fields to set
+   */
+  async function updateTransfer(transfer, changes) {
+    await store.updateTransfer(transfer._id, changes);
+    Object.assign(transfer, changes);
+  }
+
+  /**
+   * Add an entry to a player's responsible gambling history
+   * @param {Object} event - Player, action, rule, period, details and message
+   */
+  async function recordGamblingEvent(event) {
+    try {
+      await store.recordGamblingEvent(event);
+    } catch (error) {
+      metrics.dbWriteFailures.inc(1, { operation: 'recordGamblingEvent' });
+      log.error('❌ Error recording responsible gambling event', { playerId: event.playerId, action: event.action, error });
+    }
+  }
+
+  /**
+   * Responsible gambling controls in force for a player
+   * @param {Object|null} player - Player from the store
+   * @returns {Object} Controls, see utils/responsibleGambling.js
+   */
+  function controlsOf(player) {
+    return currentControls(player && player.responsibleGambling, now()).controls;
+  }
+
+  /**
+   * Why a final deposit cannot be credited right now
+   * @param {string} playerId - Player ID
+   * @param {number|null} usdAmount - Deposit value in cents, null when no fresh price was available
+   * @returns {Promise<Object|null>} `{ rule, period, message, details }`, `{ retry: true }` when the value is
+   * needed but unknown, null when it can be credited
+   */
+  async function findDepositHold(playerId, usdAmount) {
+    const controls = controlsOf(await store.findPlayer(playerId));
+    const current = now();
+
+    const block = activeBreak(controls, current);
+    if (block) {
+      return { rule: block.rule, period: null, message: block.message, details: { until: block.until } };
+    }
+
+    const periods = limitedPeriods(controls, 'deposit');
+    if (periods.length === 0) return null;
+    if (usdAmount === null) return { retry: true };
+
+    // Limits are set in dollars
+    const used = {};
+    for (const period of periods) {
+      used[period] = toDecimal(await store.depositedSince(playerId, windowStart(period, current)), 'USD');
+    }
+    const breach = findLimitBreach(controls, 'deposit', used, toDecimal(usdAmount, 'USD'));
+    return breach && {
+      rule: breach.rule,
+      period: breach.period,
+      message: breach.message,
+      details: { limitUSD: breach.limitUSD, usedUSD: breach.usedUSD }
+    };
+  }
+
+  /**
+   * Deposit address of a player for a currency, created on first use
+   * @param {string} playerId - Player ID
+   * @param {string} currency - Currency type
+   * @returns {Promise<string>} Address
+   */
+  async function getDepositAddress(playerId, currency) {
+    if (!isAssetEnabled(currency)) {
+      throw rejectPayment(getAsset(currency) ? `${currency} deposits are disabled` : 'Unsupported cryptocurrency');
+    }
+
+    const player = await store.findPlayer(playerId);
+    if (!player) {
+      throw rejectPayment('Player not found');
+    }
+    const block = activeBreak(controlsOf(player), now());
+    if (block) {
+      await recordGamblingEvent({
+        playerId,
+        action: 'depositBlocked',
+        rule: block.rule,
+        details: { currency, until: block.until },
+        message: block.message
+      });
+      throw rejectPayment(block.message);
+    }
+    if (player.depositAddresses && player.depositAddresses[currency]) {
+      return player.depositAddresses[currency];
+    }
+    return store.setDepositAddress(playerId, currency, chain.generateAddress(currency));
+  }
+
+  /**
+   * Record an incoming chain transaction paying one of our deposit addresses
+   * @param {Object} tx - `{ txHash, currency, to, amount }`
+   */
+  async function handleIncomingTransaction(tx) {
+    try {
+      const playerId = await store.findPlayerIdByAddress(tx.currency, tx.to);
+      if (!playerId) return;
+
+      const transfer = await store.recordDeposit({
+        txHash: tx.txHash,
+        playerId,
+        kind: 'deposit',
+        currency: tx.currency,
+        amount: tx.amount,
+        address: tx.to,
+        status: 'pending',
+        requiredConfirmations: REQUIRED_CONFIRMATIONS[tx.currency],
+        createdAt: new Date(now())
+      });
+      log.info(`📥 Deposit detected: ${formatAmount(tx.amount, tx.currency)} ${tx.currency}`, { playerId: transfer.playerId, transferId: transfer._id.toString(), txHash: tx.txHash });
+      emitTransferUpdated(transfer);
+    } catch (error) {
+      metrics.dbWriteFailures.inc(1, { operation: 'recordIncomingTransaction' });
+      log.error('❌ Error recording incoming transaction', { txHash: tx.txHash, error });
+    }
+  }
+
+  /**
+   * Refuse withdrawals from frozen or banned accounts
+   * @param {string} playerId - Player ID
+   * @throws {Error} PAYMENT_REJECTED
+   */
+  async function assertCanWithdraw(playerId) {
+    const player = await store.findPlayer(playerId);
+    if (player && player.status && player.status !== 'active') {
+      throw rejectPayment(`Withdrawals are disabled while the account is ${player.status}`);
+    }
+  }
+
+  /**
+   * Start a withdrawal; funds only move once the player confirms it
+   * @param {string} playerId - Player ID
+   * @param {Object} request - Currency, destination address and amount as a decimal string or number
+   * @returns {Promise<Object>} Transfer awaiting confirmation
+   */
+  async function requestWithdrawal(playerId, { currency, address, amount }) {
+    const limits = WITHDRAWAL_LIMITS[currency];
+    if (!limits) {
+      throw rejectPayment('Unsupported cryptocurrency');
+    }
+    const units = parseAmount(amount, currency);
+    if (units === null) {
+      throw rejectPayment(`Invalid ${currency} amount`);
+    }
+    if (units < parseAmount(limits.min, currency)) {
+      throw rejectPayment(`Minimum ${currency} withdrawal is ${limits.min}`);
+    }
+    if (typeof address !== 'string' || !chain.isValidAddress(currency, address)) {
+      throw rejectPayment(`Invalid ${currency} address`);
+    }
+    await assertCanWithdraw(playerId);
+
+    const current = now();
+    const { transfer, withdrawn } = await store.createWithdrawal({
+      playerId,
+      kind: 'withdrawal',
+      currency,
+      amount: units,
+      fee: chain.getWithdrawalFee(currency),
+      address,
+      status: 'awaiting_confirmation',
+      requiredConfirmations: REQUIRED_CONFIRMATIONS[currency],
+      expiresAt: new Date(current + WITHDRAWAL_CONFIRM_WINDOW_MS),
+      createdAt: new Date(current)
+    }, parseAmount(limits.daily, currency), new Date(current - DAY_MS));
+    if (!transfer) {
+      throw rejectPayment(`Daily ${currency} withdrawal limit is ${limits.daily} (${formatAmount(withdrawn, currency)} used)`);
+    }
+    emitTransferUpdated(transfer);
+    return transfer;
+  }
+
+  /**
+   * Confirm a requested withdrawal: debit amount plus fee, then broadcast it
+   * @param {string} playerId - Player ID
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<Object>} Pending transfer
+   */
+  async function confirmWithdrawal(playerId, transferId) {
+    // The account may have been frozen since the request
+    await assertCanWithdraw(playerId);
+
+    // Claim the request so a double click cannot broadcast twice
+    const transfer = await store.claimTransfer(
+      { _id: transferId, playerId, kind: 'withdrawal', status: 'awaiting_confirmation', expiresAfter: new Date(now()) },
+      { status: 'pending' }
+    );
+    if (!transfer) {
+      throw rejectPayment('Withdrawal not found, already confirmed or expired');
+    }
+
+    let result;
+    try {
+      result = await store.applyBalanceChange({
+        playerId,
+        currency: transfer.currency,
+        cryptoAmount: transfer.amount + transfer.fee,
+        transactionType: 'withdrawal',
+        idempotencyKey: `withdrawal:${transfer._id}`
+      });
+    } catch (error) {
+      await updateTransfer(transfer, { status: 'failed', completedAt: new Date(now()) });
+      emitTransferUpdated(transfer);
+      throw error.code === 'INSUFFICIENT_BALANCE' ? rejectPayment(error.message) : error;
+    }
+    events.emit('balanceChanged', { playerId, currency: transfer.currency, balance: result.balance });
+
+    try {
+      const { txHash } = await chain.broadcastWithdrawal({
+        currency: transfer.currency,
+        address: transfer.address,
+        amount: transfer.amount
+      });
+      await updateTransfer(transfer, { txHash });
+      log.info(`📤 Withdrawal broadcast: ${formatAmount(transfer.amount, transfer.currency)} ${transfer.currency}`, { playerId, transferId: transfer._id.toString(), txHash });
+    } catch (error) {
+      // Never left the hot wallet, so give the funds back
+      log.error('❌ Error broadcasting withdrawal', { playerId, transferId: transfer._id.toString(), error });
+      const refund = await store.applyBalanceChange({
+        playerId,
+        currency: transfer.currency,
+        cryptoAmount: transfer.amount + transfer.fee,
+        transactionType: 'adjustment',
+        direction: 'credit',
+        idempotencyKey: `withdrawal-refund:${transfer._id}`
+      });
+      await updateTransfer(transfer, { status: 'failed', completedAt: new Date(now()) });
+      events.emit('balanceChanged', { playerId, currency: transfer.currency, balance: refund.balance });
+    }
+
+    emitTransferUpdated(transfer);
+    return transfer;
+  }
+
+  /**
+   * Cancel a withdrawal that has not been confirmed yet
+   * @param {string} playerId - Player ID
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<Object>} Cancelled transfer
+   */
+  async function cancelWithdrawal(playerId, transferId) {
+    const transfer = await store.claimTransfer(
+      { _id: transferId, playerId, kind: 'withdrawal', status: 'awaiting_confirmation' },
+      { status: 'cancelled', completedAt: new Date(now()) }
+    );
+    if (!transfer) {
+      throw rejectPayment('Withdrawal not found or already confirmed');
+    }
+    emitTransferUpdated(transfer);
+    return transfer;
+  }
+
+  /**
+   * Credit a final deposit to the player's wallet
+   * @param {Object} transfer - Deposit transfer
+   */
+  async function creditDeposit(transfer) {
+    const result = await store.applyBalanceChange({
+      playerId: transfer.playerId,
+      currency: transfer.currency,
+      cryptoAmount: transfer.amount,
+      transactionType: 'deposit',
+      transactionHash: transfer.txHash,
+      idempotencyKey: `deposit:${transfer.txHash}`
+    });
+    events.emit('balanceChanged', { playerId: transfer.playerId, currency: transfer.currency, balance: result.balance });
+  }
+
+  /**
+   * USD value of a deposit at the current price, rounded down
+   * @param {Object} transfer - Deposit transfer
+   * @returns {Promise<number|null>} Value in cents, null without a fresh price
+   */
+  async function valueDeposit(transfer) {
+    if (!priceProvider) return null;
+    try {
+      return convertCryptoToUSD(transfer.amount, transfer.currency, await priceProvider.getFreshPrice(transfer.currency));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Hold a final deposit that the player's controls do not allow to be credited
+   * @param {Object} transfer - Deposit transfer
+   * @param {Object} hold - Reason, see findDepositHold
+   * @returns {Promise<Object>} Fields to store on the transfer
+   */
+  async function holdDeposit(transfer, hold) {
+    await recordGamblingEvent({
+      playerId: transfer.playerId,
+      action: 'depositHeld',
+      rule: hold.rule,
+      period: hold.period,
+      details: {
+        ...hold.details,
+        transferId: transfer._id.toString(),
+        currency: transfer.currency,
+        amount: formatAmount(transfer.amount, transfer.currency),
+        usdAmount: formatAmount(transfer.usdAmount, 'USD')
+      },
+      message: hold.message
+    });
+    log.info(`✋ Deposit held: ${formatAmount(transfer.amount, transfer.currency)} ${transfer.currency}: ${hold.message}`, { playerId: transfer.playerId, transferId: transfer._id.toString(), txHash: transfer.txHash });
+    return { status: 'held', holdReason: hold.message, completedAt: new Date(now()) };
+  }
+
+  /**
+   * Credit a held deposit after an operator reviewed it
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<Object>} Confirmed transfer
+   */
+  async function releaseHeldDeposit(transferId) {
+    const transfer = await store.claimTransfer(
+      { _id: transferId, kind: 'deposit', status: 'held' },
+      { status: 'confirmed', completedAt: new Date(now()) }
+    );
+    if (!transfer) {
+      throw rejectPayment('Held deposit not found');
+    }
+
+    try {
+      await creditDeposit(transfer);
+    } catch (error) {
+      // The ledger key makes a later release safe to retry
+      await updateTransfer(transfer, { status: 'held' });
+      throw error;
+    }
+    await recordGamblingEvent({
+      playerId: transfer.playerId,
+      action: 'depositReleased',
+      rule: null,
+      details: { transferId: transfer._id.toString(), currency: transfer.currency, amount: formatAmount(transfer.amount, transfer.currency) },
+      message: 'Held deposit credited by an operator'
+    });
+    log.info(`✅ Held deposit released: ${formatAmount(transfer.amount, transfer.currency)} ${transfer.currency}`, { playerId: transfer.playerId, transferId: transfer._id.toString(), txHash: transfer.txHash });
+    emitTransferUpdated(transfer);
+    return transfer;
+  }
+
+  /**
+   * Update confirmations of pending transfers, crediting deposits that became final
+   */
+  async function processPendingTransfers() {
+    await store.expireWithdrawals(new Date(now()));
+
+    const pending = await store.findPendingTransfers();
+    for (const transfer of pending) {
+      try {
+        const confirmations = await chain.getConfirmations(transfer.txHash);
+        // Unknown to this node (e.g. another instance's simulated chain)
+        if (confirmations === null || confirmations === transfer.confirmations) continue;
+
+        let changes = { confirmations };
+        if (confirmations >= transfer.requiredConfirmations) {
+          let hold = null;
+          if (transfer.kind === 'deposit') {
+            const usdAmount = await valueDeposit(transfer);
+            hold = await findDepositHold(transfer.playerId, usdAmount);
+            // Deposit limits need its value; try again on the next poll
+            if (hold && hold.retry) continue;
+            if (usdAmount !== null) {
+              transfer.usdAmount = usdAmount;
+              changes.usdAmount = usdAmount;
+            }
+          }
+
+          if (hold) {
+            changes = { ...changes, ...await holdDeposit(transfer, hold) };
+          } else {
+            if (transfer.kind === 'deposit') {
+              await creditDeposit(transfer);
+              log.info(`✅ Deposit confirmed: ${formatAmount(transfer.amount, transfer.currency)} ${transfer.currency}`, { playerId: transfer.playerId, transferId: transfer._id.toString(), txHash: transfer.txHash });
+            }
+            changes = { ...changes, status: 'confirmed', completedAt: new Date(now()) };
+          }
+        }
+        await updateTransfer(transfer, changes);
+        emitTransferUpdated(transfer);
+      } catch (error) {
+        log.error('❌ Error processing transfer', { playerId: transfer.playerId, transferId: transfer._id.toString(), error });
+      }
+    }
+  }
+
+  /**
+   * Subscribe to the chain and poll confirmations
+   * @param {Object} [options] - `priceProvider` with `getFreshPrice(symbol)`, to value deposits for deposit limits
+   */
+  function startPaymentWatcher({ priceProvider: prices = null } = {}) {
+    priceProvider = prices;
+    chain.onIncomingTransaction(handleIncomingTransaction);
+
+    let running = false;
+    setInterval(async () => {
+      // Skip a tick rather than overlap a slow one
+      if (running) return;
+      running = true;
+      try {
+        await processPendingTransfers();
+      } catch (error) {
+        log.error('❌ Error polling transfers', error);
+      } finally {
+        running = false;
+      }
+    }, CONFIRMATION_POLL_MS).unref();
+
+    log.info(`⛓️ Payment watcher started on ${chain.name} chain`);
+  }
+
+  /**
+   * Have the simulated chain pay a player's deposit address (development only, see ENABLE_SIMULATED_DEPOSITS)
+   * @param {string} playerId - Player ID
+   * @param {Object} payment - Currency and amount as a decimal string or number
+   * @returns {Promise<Object>} Chain transaction
+   */
+  async function simulateDeposit(playerId, { currency, amount }) {
+    if (!simulatedDeposits) {
+      throw rejectPayment('Simulated deposits are disabled');
+    }
+    if (typeof chain.simulateIncoming !== 'function') {
+      throw rejectPayment('Deposits can only be simulated on the simulated chain');
+    }
+    if (!REQUIRED_CONFIRMATIONS[currency]) {
+      throw rejectPayment('Unsupported cryptocurrency');
+    }
+    const units = parseAmount(amount, currency);
+    if (!(units > 0)) {
+      throw rejectPayment('Invalid deposit amount');
+    }
+    const address = await getDepositAddress(playerId, currency);
+    return chain.simulateIncoming({ currency, address, amount: units });
+  }
+
+  return {
+    events,
+    getDepositAddress,
+    handleIncomingTransaction,
+    requestWithdrawal,
+    confirmWithdrawal,
+    cancelWithdrawal,
+    releaseHeldDeposit,
+    processPendingTransfers,
+    startPaymentWatcher,
+    simulateDeposit
+  };
+}
+
+const payments = createPayments({ chain: CHAIN_ADAPTERS[chainName](), simulatedDeposits: SIMULATED_DEPOSITS_ENABLED });
+
+module.exports = {
+  events: payments.events,
+  REQUIRED_CONFIRMATIONS,
+  WITHDRAWAL_LIMITS,
+  SIMULATED_DEPOSITS_ENABLED,
+  createPayments,
+  getDepositAddress: payments.getDepositAddress,
+  requestWithdrawal: payments.requestWithdrawal,
+  confirmWithdrawal: payments.confirmWithdrawal,
+  cancelWithdrawal: payments.cancelWithdrawal,
+  releaseHeldDeposit: payments.releaseHeldDeposit,
+  depositedSince,
+  serializeTransfer,
+  simulateDeposit: payments.simulateDeposit,
+  startPaymentWatcher: payments.startPaymentWatcher
+};
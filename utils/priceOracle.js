@@ -0,0 +1,171 @@
+const { createCoinGeckoProvider } = require('./priceProviders/coingecko');
+const { createCoinbaseProvider } = require('./priceProviders/coinbase');
+const { createMockProvider } = require('./priceProviders/mock');
+
+/**
+ * Price oracle
+ *
+ * Queries every configured provider, keeps each provider's last quote and
+ * aggregates the quotes that are still fresh into a median. A symbol with no
+ * fresh quote has no price: callers that move money must refuse rather than
+ * fall back to a guess.
+ *
+ * A provider is `{ name, fetchPrices(symbols) }` resolving to
+ * `{ [symbol]: { price, timestamp } }`.
+ */
+
+const PROVIDER_FACTORIES = {
+  coingecko: createCoinGeckoProvider,
+  coinbase: createCoinbaseProvider,
+  mock: createMockProvider
+};
+
+/**
+ * Build providers from a comma separated list such as "coingecko,coinbase"
+ * @param {string} names - Provider names
+ * @returns {Object[]} Price providers
+ */
+function createProviders(names) {
+  return names.split(',').map(name => name.trim()).filter(Boolean).map(name => {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown price provider: ${name}`);
+    }
+    return factory();
+  });
+}
+
+/**
+ * Median of a non-empty list of numbers
+ * @param {number[]} values - Values
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Create a price oracle
+ * @param {Object} options - Oracle options
+ * @param {Object[]} options.providers - Price providers
+ * @param {string[]} options.symbols - Symbols to price
+ * @param {number} options.cacheDurationMs - Minimum time between provider refreshes
+ * @param {number} options.maxAgeMs - Quotes older than this are ignored
+ * @param {Function} [options.now] - Clock, for tests
+ * @param {Function} [options.onFetch] - Called after each provider request with `{ provider, durationMs, error }`
+ * @param {Object} [options.logger] - console-like logger
+ * @returns {Object} Price oracle
+ */
+function createPriceOracle({ providers, symbols, cacheDurationMs = 10000, maxAgeMs = 60000, now = Date.now, onFetch = () => {}, logger = console }) {
+  if (!providers || providers.length === 0) {
+    throw new Error('Price oracle needs at least one provider');
+  }
+
+  // symbol -> provider name -> { price, timestamp }
+  const quotes = {};
+  let lastRefresh = 0;
+  let refreshing = null;
+
+  async function refresh() {
+    const results = await Promise.allSettled(providers.map(async provider => {
+      const startedAt = Date.now();
+      try {
+        const prices = await provider.fetchPrices(symbols);
+        onFetch({ provider: provider.name, durationMs: Date.now() - startedAt, error: null });
+        return prices;
+      } catch (error) {
+        onFetch({ provider: provider.name, durationMs: Date.now() - startedAt, error });
+        throw error;
+      }
+    }));
+
+    results.forEach((result, index) => {
+      const provider = providers[index];
+      if (result.status !== 'fulfilled') {
+        logger.error(`❌ Error fetching prices from ${provider.name}`, { provider: provider.name, error: result.reason });
+        return;
+      }
+      for (const [symbol, quote] of Object.entries(result.value)) {
+        if (!symbols.includes(symbol) || !(quote.price > 0)) continue;
+        quotes[symbol] = quotes[symbol] || {};
+        quotes[symbol][provider.name] = quote;
+      }
+    });
+
+    lastRefresh = now();
+  }
+
+  /**
+   * Aggregate the fresh provider quotes for a symbol
+   * @param {string} symbol - Symbol
+   * @returns {Object} Aggregated quote
+   */
+  function aggregate(symbol) {
+    const current = now();
+    const providerQuotes = Object.entries(quotes[symbol] || {}).map(([source, quote]) => ({
+      source,
+      price: quote.price,
+      ageMs: current - quote.timestamp
+    }));
+    const fresh = providerQuotes.filter(quote => quote.ageMs <= maxAgeMs);
+
+    if (fresh.length === 0) {
+      return { price: null, fresh: false, sources: [], ageMs: null, providers: providerQuotes };
+    }
+
+    return {
+      price: median(fresh.map(quote => quote.price)),
+      fresh: true,
+      sources: fresh.map(quote => quote.source),
+      // Age of the oldest quote that went into the median
+      ageMs: Math.max(...fresh.map(quote => quote.ageMs)),
+      providers: providerQuotes
+    };
+  }
+
+  return {
+    /**
+     * Current aggregated quotes, refreshing providers when the cache expired
+     * @returns {Promise<Object>} `{ [symbol]: { price, fresh, sources, ageMs, providers } }`
+     */
+    async getPrices() {
+      if (now() - lastRefresh >= cacheDurationMs) {
+        // Concurrent callers share one refresh
+        refreshing = refreshing || refresh().finally(() => {
+          refreshing = null;
+        });
+        await refreshing;
+      }
+
+      const result = {};
+      for (const symbol of symbols) {
+        result[symbol] = aggregate(symbol);
+      }
+      return result;
+    },
+
+    /**
+     * Fresh price for a symbol
+     * @param {string} symbol - Symbol
+     * @returns {Promise<number>} Price in USD
+     * @throws {Error} With code PRICE_UNAVAILABLE when no fresh quote exists
+     */
+    async getFreshPrice(symbol) {
+      const quote = (await this.getPrices())[symbol];
+      if (!quote || !quote.fresh) {
+        const error = new Error(`No fresh ${symbol} price available, please try again shortly`);
+        error.code = 'PRICE_UNAVAILABLE';
+        throw error;
+      }
+      return quote.price;
+    }
+  };
+}
+
+module.exports = {
+  createPriceOracle,
+  createProviders,
+  median
+};
@@ -0,0 +1,43 @@
+const axios = require('axios');
+const { ASSETS, getAsset } = require('../assets');
+
+/**
+ * Coinbase spot price provider
+ * Pairs are `<priceIds.coinbase>-USD`; the registry defaults that id to the asset's symbol.
+ * @param {Object} options - Request timeout in ms and the asset registry
+ * @returns {Object} Price provider
+ */
+function createCoinbaseProvider({ timeout = 5000, assets = ASSETS } = {}) {
+  return {
+    name: 'coinbase',
+
+    /**
+     * Fetch USD spot prices, one request per symbol
+     * @param {string[]} symbols - Symbols to price
+     * @returns {Promise<Object>} `{ [symbol]: { price, timestamp } }`
+     */
+    async fetchPrices(symbols) {
+      const results = await Promise.allSettled(symbols.map(symbol => {
+        const asset = getAsset(symbol, assets);
+        const id = asset ? asset.priceIds.coinbase : symbol;
+        return axios.get(`https://api.coinbase.com/v2/prices/${id}-USD/spot`, { timeout });
+      }));
+
+      const prices = {};
+      results.forEach((result, index) => {
+        if (result.status !== 'fulfilled') return;
+        const amount = parseFloat(result.value.data && result.value.data.data && result.value.data.data.amount);
+        if (amount > 0) {
+          prices[symbols[index]] = { price: amount, timestamp: Date.now() };
+        }
+      });
+
+      if (Object.keys(prices).length === 0) {
+        throw new Error('No prices returned by Coinbase API');
+      }
+      return prices;
+    }
+  };
+}
+
+module.exports = { createCoinbaseProvider };
@@ -0,0 +1,62 @@
+const axios = require('axios');
+const { ASSETS, getAsset } = require('../assets');
+
+/**
+ * CoinGecko simple price provider
+ * Coins are looked up by each asset's `priceIds.coingecko`; assets without one are not priced here.
+ * @param {Object} options - Request timeout in ms and the asset registry
+ * @returns {Object} Price provider
+ */
+function createCoinGeckoProvider({ timeout = 5000, assets = ASSETS } = {}) {
+  /**
+   * CoinGecko coin id of a symbol
+   * @param {string} symbol - Asset symbol
+   * @returns {string|undefined} Coin id
+   */
+  function coinId(symbol) {
+    const asset = getAsset(symbol, assets);
+    return asset ? asset.priceIds.coingecko : undefined;
+  }
+
+  return {
+    name: 'coingecko',
+
+    /**
+     * Fetch USD prices
+     * @param {string[]} symbols - Symbols to price
+     * @returns {Promise<Object>} `{ [symbol]: { price, timestamp } }`
+     */
+    async fetchPrices(symbols) {
+      const ids = symbols.map(coinId).filter(Boolean);
+      const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+        params: {
+          ids: ids.join(','),
+          vs_currencies: 'usd',
+          include_last_updated_at: true
+        },
+        timeout,
+        headers: {
+          'User-Agent': 'CryptoCrashGame/1.0'
+        }
+      });
+
+      if (!response.data) {
+        throw new Error('Invalid response from CoinGecko API');
+      }
+
+      const prices = {};
+      for (const symbol of symbols) {
+        const quote = coinId(symbol) && response.data[coinId(symbol)];
+        if (quote && quote.usd > 0) {
+          prices[symbol] = {
+            price: quote.usd,
+            timestamp: quote.last_updated_at ? quote.last_updated_at * 1000 : Date.now()
+          };
+        }
+      }
+      return prices;
+    }
+  };
+}
+
+module.exports = { createCoinGeckoProvider };
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'prices.json');
+
+/**
+ * Offline price provider backed by a JSON fixture or an in-memory table
+ * The fixture is re-read on every fetch so prices can be edited while the server runs.
+ * @param {Object} options - `file` path to a `{ "BTC": 60000 }` fixture, or `prices` to use directly
+ * @returns {Object} Price provider
+ */
+function createMockProvider({ file = DEFAULT_FIXTURE, prices, name = 'mock' } = {}) {
+  return {
+    name,
+
+    /**
+     * Read prices from the fixture
+     * @param {string[]} symbols - Symbols to price
+     * @returns {Promise<Object>} `{ [symbol]: { price, timestamp } }`
+     */
+    async fetchPrices(symbols) {
+      const table = prices || JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      const timestamp = table.timestamp ? new Date(table.timestamp).getTime() : Date.now();
+
+      const result = {};
+      for (const symbol of symbols) {
+        if (table[symbol] > 0) {
+          result[symbol] = { price: table[symbol], timestamp };
+        }
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { createMockProvider };
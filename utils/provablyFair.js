@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+
+/**
+ * Provably fair commit-reveal scheme
+ *
+ * A chain of server seeds is pre-generated by hashing a secret root over and
+ * over: chain[k] = sha256(chain[k - 1]). The last element is the terminal hash
+ * and is published before any round is played. Rounds consume the chain
+ * backwards, so the seed of round n hashes to the seed of round n - 1 and,
+ * after n hashes, to the terminal hash. Only the hash of a round's seed is
+ * announced when the round starts; the seed itself is revealed at the crash.
+ *
+ * A chain covers a fixed number of rounds. When it runs out, the game moves
+ * on to the next chain, whose terminal hash is published while the previous
+ * one is still being played.
+ */
+
+// Seeds a chain keeps by default: every ceil(sqrt(length))-th one
+const defaultCheckpointInterval = length => Math.max(1, Math.ceil(Math.sqrt(length)));
+
+/**
+ * SHA-256 hex digest of a seed
+ * @param {string} value - Seed to hash
+ * @returns {string} Hex digest
+ */
+function hashSeed(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Secret root of one chain; the first chain hashes the root seed itself
+ * @param {string} rootSeed - Secret root of every chain
+ * @param {number} chainIndex - Chain number, from 0
+ * @returns {string} Root of the chain
+ */
+function chainRoot(rootSeed, chainIndex) {
+  return chainIndex === 0
+    ? rootSeed
+    : crypto.createHmac('sha256', rootSeed).update(`seed-chain:${chainIndex}`).digest('hex');
+}
+
+/**
+ * Hash one chain through to its terminal hash, keeping only checkpoints
+ * @param {string} root - Secret root of the chain
+ * @param {number} length - Number of playable seeds
+ * @param {number} interval - Distance between checkpoints
+ * @returns {Object} `terminalHash` and `seedAt(i)`, the i-th hash of the root
+ */
+function buildChain(root, length, interval) {
+  const checkpoints = [];
+  let seed = hashSeed(root);
+  for (let i = 0; i < length; i++) {
+    if (i % interval === 0) checkpoints.push(seed);
+    seed = hashSeed(seed);
+  }
+
+  return {
+    terminalHash: seed,
+    seedAt(i) {
+      let current = checkpoints[Math.floor(i / interval)];
+      for (let k = i % interval; k > 0; k--) {
+        current = hashSeed(current);
+      }
+      return current;
+    }
+  };
+}
+
+/**
+ * Build the reverse hash chains of server seeds
+ * Rounds 1 to `length` use chain 0, the next `length` rounds chain 1, and so
+ * on. Chain 0 is hashed from the root seed, later chains from an HMAC of it,
+ * so they stay secret until their seeds are revealed. Only the current and
+ * next chains are kept, and of each only a checkpoint every `checkpointInterval`
+ * seeds; the seeds between checkpoints are hashed again when needed.
+ * @param {string} rootSeed - Secret root of the chains
+ * @param {number} length - Number of playable seeds in each chain
+ * @param {Object} [options] - `checkpointInterval`, sqrt(length) by default
+ * @returns {Object} Seed chains
+ */
+function createSeedChain(rootSeed, length, { checkpointInterval = defaultCheckpointInterval(length) } = {}) {
+  if (!rootSeed) {
+    throw new Error('Seed chain requires a root seed');
+  }
+  if (!Number.isInteger(length) || length <= 0) {
+    throw new Error('Seed chain length must be a positive integer');
+  }
+  if (!Number.isInteger(checkpointInterval) || checkpointInterval <= 0) {
+    throw new Error('Seed chain checkpoint interval must be a positive integer');
+  }
+
+  const chains = new Map();
+
+  /**
+   * A chain, built on first use; older chains are dropped
+   * @param {number} chainIndex - Chain number
+   * @returns {Object} Chain from buildChain
+   */
+  function chainAt(chainIndex) {
+    if (!chains.has(chainIndex)) {
+      chains.set(chainIndex, buildChain(chainRoot(rootSeed, chainIndex), length, checkpointInterval));
+      for (const index of chains.keys()) {
+        if (index < chainIndex - 1) chains.delete(index);
+      }
+    }
+    return chains.get(chainIndex);
+  }
+
+  /**
+   * Chain a round is played on
+   * @param {number} roundNumber - Round number (1-based)
+   * @returns {number} Chain number
+   */
+  function chainIndexOf(roundNumber) {
+    if (!Number.isInteger(roundNumber) || roundNumber < 1) {
+      throw new Error(`Invalid round ${roundNumber}`);
+    }
+    return Math.floor((roundNumber - 1) / length);
+  }
+
+  /**
+   * Published commitment of a chain
+   * @param {number} chainIndex - Chain number
+   * @returns {Object} Chain number, terminal hash and the rounds it covers
+   */
+  function commitment(chainIndex) {
+    return {
+      chainIndex,
+      terminalHash: chainAt(chainIndex).terminalHash,
+      firstRound: chainIndex * length + 1,
+      lastRound: (chainIndex + 1) * length
+    };
+  }
+
+  return {
+    length,
+
+    /**
+     * Seed committed for a round; the first round of a chain uses the seed right before its terminal hash
+     * @param {number} roundNumber - Round number (1-based)
+     * @returns {Object} Server seed, its hash, its distance from the terminal hash, the chain and its terminal hash
+     */
+    getRoundSeed(roundNumber) {
+      const chainIndex = chainIndexOf(roundNumber);
+      const chainPosition = roundNumber - chainIndex * length;
+      const chain = chainAt(chainIndex);
+      const serverSeed = chain.seedAt(length - chainPosition);
+      return {
+        serverSeed,
+        seedHash: hashSeed(serverSeed),
+        chainPosition,
+        chainIndex,
+        terminalHash: chain.terminalHash
+      };
+    },
+
+    /**
+     * Commitments of the chain a round is played on and of the chain after it
+     * @param {number} roundNumber - Round number (1-based)
+     * @returns {Object} `current` and `next`, see commitment
+     */
+    getCommitment(roundNumber) {
+      const chainIndex = chainIndexOf(roundNumber);
+      return { current: commitment(chainIndex), next: commitment(chainIndex + 1) };
+    }
+  };
+}
+
+/**
+ * Derive a crash point from a revealed server seed and the public client seed
+ * @param {string} serverSeed - Revealed server seed
+ * @param {string} clientSeed - Public client seed/salt
+ * @param {Object} options - House edge and maximum crash point
+ * @returns {number} Crash point rounded down to two decimals
+ */
+function computeCrashPoint(serverSeed, clientSeed, { houseEdge = 0.01, maxCrash = Infinity } = {}) {
+  const hmac = crypto.createHmac('sha256', serverSeed).update(clientSeed).digest('hex');
+
+  // 52 bits fit losslessly in a double
+  const randomValue = parseInt(hmac.substring(0, 13), 16) / Math.pow(2, 52);
+
+  // P(crash >= x) = (1 - houseEdge) / x
+  const crashPoint = Math.floor((100 * (1 - houseEdge)) / (1 - randomValue)) / 100;
+
+  return Math.min(Math.max(1, crashPoint), maxCrash);
+}
+
+/**
+ * Check that a revealed seed belongs to the chain ending in terminalHash
+ * @param {string} serverSeed - Revealed server seed
+ * @param {number} chainPosition - Number of hashes between the seed and the terminal hash
+ * @param {string} terminalHash - Published terminal hash
+ * @returns {boolean} Whether hashing the seed chainPosition times yields terminalHash
+ */
+function verifySeedInChain(serverSeed, chainPosition, terminalHash) {
+  let current = serverSeed;
+  for (let i = 0; i < chainPosition; i++) {
+    current = hashSeed(current);
+  }
+  return current === terminalHash;
+}
+
+module.exports = {
+  hashSeed,
+  createSeedChain,
+  computeCrashPoint,
+  verifySeedInChain
+};
@@ -0,0 +1,295 @@
+/**
+ * Token-bucket rate limiting and the penalty policy for abusive clients
+ *
+ * Every rule is a bucket: `capacity` requests in a burst, refilled at
+ * `refillPerSecond`. A request is counted against the connection, the account
+ * and the IP address it came from, each with its own bucket; accounts and IPs
+ * get larger buckets since several tabs, or several players behind one NAT,
+ * share them. A request goes through only when every bucket has a token.
+ *
+ * Requests over a limit are dropped and logged as violations. A connection
+ * with too many violations is disconnected, and an IP or account with too
+ * many is blocked for a while: its sockets are dropped and refused, and its
+ * API requests answered with 429.
+ *
+ * State is kept in memory, so with several instances each enforces the
+ * limits on the clients connected to it.
+ */
+
+// Bucket size of each scope relative to the connection's
+const SCOPE_FACTORS = {
+  connection: 1,
+  account: 2,
+  ip: 5
+};
+
+const DEFAULT_RULES = {
+  placeBet: { capacity: 5, refillPerSecond: 1 },
+  cancelQueuedBet: { capacity: 5, refillPerSecond: 1 },
+  cashedOut: { capacity: 5, refillPerSecond: 2 },
+  setAutoBet: { capacity: 3, refillPerSecond: 0.2 },
+  stopAutoBet: { capacity: 5, refillPerSecond: 1 },
+  // Chat messages and commands, tips included: a short burst, then one every 2 seconds
+  chatMessage: { capacity: 3, refillPerSecond: 0.5 },
+  deleteChatMessage: { capacity: 10, refillPerSecond: 1 },
+  // Every balance request may fetch prices
+  getBalance: { capacity: 3, refillPerSecond: 0.2 },
+  // Socket handshakes, each of which registers the player with the game
+  connect: { capacity: 4, refillPerSecond: 0.1 },
+  // Any other socket event
+  socket: { capacity: 10, refillPerSecond: 2 },
+  api: { capacity: 30, refillPerSecond: 1 },
+  // Login and registration: slows down password guessing
+  auth: { capacity: 5, refillPerSecond: 1 / 60 }
+};
+
+const DEFAULT_POLICY = {
+  // Violations are counted over fixed windows of this length
+  windowMs: 60 * 1000,
+  // Violations of one connection before it is disconnected
+  disconnectAfter: 10,
+  // Violations of one IP or account before it is blocked
+  blockAfter: 30,
+  blockMs: 10 * 60 * 1000
+};
+
+// Violations kept for the operator report
+const RECENT_VIOLATIONS = 100;
+
+/**
+ * Describe a client for the logs
+ * @param {Object} client - `connection`, `account` and/or `ip`
+ * @returns {string} Description
+ */
+function describeClient(client) {
+  return Object.keys(SCOPE_FACTORS)
+    .filter(scope => client[scope])
+    .map(scope => `${scope} ${client[scope]}`)
+    .join(', ');
+}
+
+/**
+ * Create a rate limiter
+ * @param {Object} [options] - Limiter configuration
+ * @param {Object} [options.rules] - Buckets by rule name, merged over DEFAULT_RULES
+ * @param {Object} [options.policy] - Penalty thresholds, merged over DEFAULT_POLICY
+ * @param {Function} [options.clock] - Current time in ms
+ * @param {Object} [options.logger] - console-like logger
+ * @returns {Object} Rate limiter
+ */
+function createRateLimiter({ rules = {}, policy = {}, clock = Date.now, logger = console } = {}) {
+  const allRules = { ...DEFAULT_RULES, ...rules };
+  const settings = { ...DEFAULT_POLICY, ...policy };
+  const buckets = new Map();
+  const counters = new Map();
+  const blocks = new Map();
+  const recent = [];
+
+  /**
+   * Bucket of a rule for one client key, refilled up to now
+   * @param {string} rule - Rule name
+   * @param {string} scope - connection, account or ip
+   * @param {string} key - Client key in that scope
+   * @param {number} now - Current time in ms
+   * @returns {Object} `{ tokens, capacity, refillPerSecond, updatedAt }`
+   */
+  function bucketFor(rule, scope, key, now) {
+    const id = `${rule}:${scope}:${key}`;
+    const { capacity, refillPerSecond } = allRules[rule];
+    const factor = SCOPE_FACTORS[scope];
+    let bucket = buckets.get(id);
+    if (!bucket) {
+      bucket = { tokens: capacity * factor, capacity: capacity * factor, refillPerSecond: refillPerSecond * factor, updatedAt: now };
+      buckets.set(id, bucket);
+    }
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.refillPerSecond);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * End of a block on the client's IP or account
+   * @param {Object} client - `account` and/or `ip`
+   * @returns {Date|null} When the block ends, null when not blocked
+   */
+  function blockedUntil(client) {
+    const now = clock();
+    let until = null;
+    for (const scope of ['account', 'ip']) {
+      if (!client[scope]) continue;
+      const id = `${scope}:${client[scope]}`;
+      const end = blocks.get(id);
+      if (end === undefined) continue;
+      if (end <= now) {
+        blocks.delete(id);
+      } else if (!until || end > until) {
+        until = end;
+      }
+    }
+    return until === null ? null : new Date(until);
+  }
+
+  /**
+   * Take a token from each of the client's buckets for a rule
+   * @param {string} name - Rule name; unknown socket events share `socket`
+   * @param {Object} client - `connection`, `account` and/or `ip`
+   * @returns {Object} `{ allowed }`, with `scope` and `retryAfterMs` when refused or `blockedUntil` when blocked
+   */
+  function consume(name, client) {
+    // Made-up event names must not each get a fresh bucket
+    const rule = Object.prototype.hasOwnProperty.call(allRules, name) ? name : 'socket';
+    const blocked = blockedUntil(client);
+    if (blocked) {
+      return { allowed: false, blockedUntil: blocked, retryAfterMs: blocked.getTime() - clock() };
+    }
+
+    const now = clock();
+    const held = [];
+    for (const scope of Object.keys(SCOPE_FACTORS)) {
+      if (!client[scope]) continue;
+      const bucket = bucketFor(rule, scope, client[scope], now);
+      // Nothing is taken unless every bucket has a token
+      if (bucket.tokens < 1) {
+        return { allowed: false, scope, retryAfterMs: Math.ceil((1 - bucket.tokens) / bucket.refillPerSecond * 1000) };
+      }
+      held.push(bucket);
+    }
+    for (const bucket of held) {
+      bucket.tokens -= 1;
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Count a violation against a client key and tell whether it crossed a threshold
+   * @param {string} scope - connection, account or ip
+   * @param {string} key - Client key
+   * @param {number} threshold - Violations allowed per window
+   * @param {number} now - Current time in ms
+   * @returns {boolean} Whether the threshold was reached
+   */
+  function countViolation(scope, key, threshold, now) {
+    const id = `${scope}:${key}`;
+    let counter = counters.get(id);
+    if (!counter || now - counter.since >= settings.windowMs) {
+      counter = { count: 0, since: now };
+      counters.set(id, counter);
+    }
+    counter.count += 1;
+    return counter.count >= threshold;
+  }
+
+  /**
+   * Log a refused request or invalid payload and apply the penalty policy
+   * @param {Object} violation - `rule`, `reason` and the client's `connection`, `account` and/or `ip`
+   * @returns {Object} `{ disconnect, blockedUntil }`: whether to drop the connection and the end of a new block
+   */
+  function recordViolation({ rule, reason, ...client }) {
+    const now = clock();
+    let disconnect = false;
+    let blocked = null;
+
+    if (client.connection && countViolation('connection', client.connection, settings.disconnectAfter, now)) {
+      disconnect = true;
+    }
+    for (const scope of ['account', 'ip']) {
+      if (client[scope] && countViolation(scope, client[scope], settings.blockAfter, now)) {
+        blocks.set(`${scope}:${client[scope]}`, now + settings.blockMs);
+        counters.delete(`${scope}:${client[scope]}`);
+        blocked = new Date(now + settings.blockMs);
+        disconnect = true;
+        logger.warn(`⛔ Blocked ${scope} ${client[scope]} until ${blocked.toISOString()} after repeated violations`);
+      }
+    }
+
+    const entry = { at: new Date(now), rule, reason, ...client, disconnect, blockedUntil: blocked };
+    recent.push(entry);
+    if (recent.length > RECENT_VIOLATIONS) {
+      recent.shift();
+    }
+    logger.warn(`🚫 ${reason} on ${rule} from ${describeClient(client)}${disconnect ? ', disconnecting' : ''}`, { rule, ...client });
+    return { disconnect, blockedUntil: blocked };
+  }
+
+  /**
+   * Forget full buckets, old counters and expired blocks so idle clients cost no memory
+   */
+  function sweep() {
+    const now = clock();
+    for (const [id, bucket] of buckets) {
+      const tokens = bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.refillPerSecond;
+      if (tokens >= bucket.capacity) {
+        buckets.delete(id);
+      }
+    }
+    for (const [id, counter] of counters) {
+      if (now - counter.since >= settings.windowMs) {
+        counters.delete(id);
+      }
+    }
+    for (const [id, end] of blocks) {
+      if (end <= now) {
+        blocks.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Blocks in force and the latest violations, for operators
+   * @returns {Object} `{ blocks, violations }`, newest violation first
+   */
+  function getReport() {
+    sweep();
+    return {
+      blocks: [...blocks].map(([id, end]) => {
+        const [scope, ...key] = id.split(':');
+        return { scope, key: key.join(':'), until: new Date(end) };
+      }),
+      violations: [...recent].reverse()
+    };
+  }
+
+  /**
+   * Express middleware limiting requests by IP and, when signed in, by account
+   * @param {string} rule - Rule name
+   * @param {Function} [accountOf] - Account ID of a request, or null
+   * @returns {Function} Express middleware
+   */
+  function middleware(rule, accountOf = () => null) {
+    return (req, res, next) => {
+      const client = { account: accountOf(req), ip: req.ip };
+      const result = consume(rule, client);
+      if (result.allowed) {
+        return next();
+      }
+
+      if (!result.blockedUntil) {
+        recordViolation({ rule, reason: 'Rate limit exceeded', ...client });
+      }
+      res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+      res.status(429).json({
+        success: false,
+        message: result.blockedUntil
+          ? `Too many requests, blocked until ${result.blockedUntil.toISOString()}`
+          : 'Too many requests, please slow down',
+        retryAfterMs: result.retryAfterMs
+      });
+    };
+  }
+
+  return {
+    consume,
+    recordViolation,
+    blockedUntil,
+    sweep,
+    getReport,
+    middleware
+  };
+}
+
+module.exports = {
+  SCOPE_FACTORS,
+  DEFAULT_RULES,
+  DEFAULT_POLICY,
+  createRateLimiter
+};
@@ -0,0 +1,271 @@
+/**
+ * Responsible gambling controls
+ *
+ * Pure helpers: callers own persistence and enforcement, these only validate
+ * requests, work out which limits are in force and whether an amount breaks
+ * one of them.
+ *
+ * Players set USD limits on deposits, net losses and amounts wagered over
+ * rolling daily (24h), weekly (7 days) and monthly (30 days) windows.
+ * Tightening a limit applies at once; loosening or removing one is scheduled
+ * and only applies after a waiting period, so it cannot be done on a whim.
+ * A cooldown or self-exclusion blocks bets and deposits until it ends and can
+ * be extended but never shortened.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LIMIT_TYPES = ['deposit', 'loss', 'wager'];
+const LIMIT_PERIODS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+  monthly: 30 * DAY_MS
+};
+
+const COOLDOWN_DAYS = { min: 1, max: 42 };
+const SELF_EXCLUSION_MONTHS = [6, 12, 24, 60];
+const SESSION_REMINDER_MINUTES = { min: 5, max: 240 };
+
+/**
+ * Controls with nothing set
+ * @returns {Object} Empty controls
+ */
+function emptyControls() {
+  const limits = {};
+  for (const type of LIMIT_TYPES) {
+    limits[type] = {};
+    for (const period of Object.keys(LIMIT_PERIODS)) {
+      limits[type][period] = null;
+    }
+  }
+  return {
+    limits,
+    pendingLimits: [],
+    sessionReminderMinutes: null,
+    cooldownUntil: null,
+    selfExcludedUntil: null
+  };
+}
+
+/**
+ * Start of a rolling limit window
+ * @param {string} period - daily, weekly or monthly
+ * @param {number} now - Current time in ms
+ * @returns {Date} Start of the window
+ */
+function windowStart(period, now) {
+  return new Date(now - LIMIT_PERIODS[period]);
+}
+
+/**
+ * Controls in force at a given time, with scheduled changes that are due applied
+ * @param {Object|null} stored - Controls as stored on the player
+ * @param {number} now - Current time in ms
+ * @returns {Object} `controls` in force and the `applied` pending changes
+ */
+function currentControls(stored, now) {
+  const base = emptyControls();
+  const controls = {
+    ...base,
+    ...stored,
+    limits: {},
+    pendingLimits: []
+  };
+  for (const type of LIMIT_TYPES) {
+    controls.limits[type] = { ...base.limits[type], ...(stored && stored.limits && stored.limits[type]) };
+  }
+
+  const applied = [];
+  for (const change of (stored && stored.pendingLimits) || []) {
+    if (new Date(change.effectiveAt).getTime() <= now) {
+      controls.limits[change.type][change.period] = change.value;
+      applied.push(change);
+    } else {
+      controls.pendingLimits.push(change);
+    }
+  }
+  return { controls, applied };
+}
+
+/**
+ * Whether a value is a USD limit: a positive number, or null for no limit
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a valid limit
+ */
+function isLimit(value) {
+  return value === null || (typeof value === 'number' && Number.isFinite(value) && value > 0);
+}
+
+/**
+ * Apply a player's requested changes: tightening now, loosening after the waiting period
+ * @param {Object} controls - Controls in force (see currentControls)
+ * @param {Object} request - `limits` as `{ type: { period: usd|null } }` and/or `sessionReminderMinutes`
+ * @param {Object} options - `now` in ms and `delayMs`, the waiting period for loosening
+ * @returns {Object} `{ controls, decisions }` ready to persist, or `{ error }`
+ */
+function changeControls(controls, { limits = {}, sessionReminderMinutes } = {}, { now, delayMs }) {
+  if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) {
+    return { error: 'Limits must be an object' };
+  }
+  for (const [type, periods] of Object.entries(limits)) {
+    if (!LIMIT_TYPES.includes(type)) {
+      return { error: `Limit type must be one of ${LIMIT_TYPES.join(', ')}` };
+    }
+    if (typeof periods !== 'object' || periods === null) {
+      return { error: `${type} limits must be an object` };
+    }
+    for (const [period, value] of Object.entries(periods)) {
+      if (!LIMIT_PERIODS[period]) {
+        return { error: `Limit period must be one of ${Object.keys(LIMIT_PERIODS).join(', ')}` };
+      }
+      if (!isLimit(value)) {
+        return { error: 'Limits must be positive USD amounts or null' };
+      }
+    }
+  }
+  if (sessionReminderMinutes !== undefined && sessionReminderMinutes !== null && !(
+    Number.isInteger(sessionReminderMinutes) &&
+    sessionReminderMinutes >= SESSION_REMINDER_MINUTES.min &&
+    sessionReminderMinutes <= SESSION_REMINDER_MINUTES.max
+  )) {
+    return { error: `Session reminders must be every ${SESSION_REMINDER_MINUTES.min} to ${SESSION_REMINDER_MINUTES.max} minutes` };
+  }
+
+  const next = {
+    ...controls,
+    limits: {},
+    pendingLimits: [...controls.pendingLimits]
+  };
+  for (const type of LIMIT_TYPES) {
+    next.limits[type] = { ...controls.limits[type] };
+  }
+  if (sessionReminderMinutes !== undefined) {
+    next.sessionReminderMinutes = sessionReminderMinutes;
+  }
+
+  const decisions = [];
+  for (const [type, periods] of Object.entries(limits)) {
+    for (const [period, value] of Object.entries(periods)) {
+      const current = next.limits[type][period];
+      // A new request replaces any change still waiting for the same limit
+      const waiting = next.pendingLimits.length;
+      next.pendingLimits = next.pendingLimits.filter(change => change.type !== type || change.period !== period);
+
+      // Setting the current value again only matters when it cancels a waiting change
+      if (value === current && next.pendingLimits.length === waiting) continue;
+      const tightens = value === current || (value !== null && (current === null || value < current));
+      if (tightens) {
+        next.limits[type][period] = value;
+        decisions.push({ type, period, from: current, to: value, effectiveAt: new Date(now), immediate: true });
+      } else {
+        const change = { type, period, value, requestedAt: new Date(now), effectiveAt: new Date(now + delayMs) };
+        next.pendingLimits.push(change);
+        decisions.push({ type, period, from: current, to: value, effectiveAt: change.effectiveAt, immediate: false });
+      }
+    }
+  }
+  return { controls: next, decisions };
+}
+
+/**
+ * Start or extend a cooldown or self-exclusion; a shorter request keeps the current end
+ * @param {Object} controls - Controls in force
+ * @param {string} kind - cooldown or selfExclusion
+ * @param {number} duration - Days for a cooldown, months for a self-exclusion
+ * @param {number} now - Current time in ms
+ * @returns {Object} `{ controls, until }` ready to persist, or `{ error }`
+ */
+function startBreak(controls, kind, duration, now) {
+  let until;
+  if (kind === 'cooldown') {
+    if (!Number.isInteger(duration) || duration < COOLDOWN_DAYS.min || duration > COOLDOWN_DAYS.max) {
+      return { error: `A cooldown lasts ${COOLDOWN_DAYS.min} to ${COOLDOWN_DAYS.max} days` };
+    }
+    until = new Date(now + duration * DAY_MS);
+  } else if (kind === 'selfExclusion') {
+    if (!SELF_EXCLUSION_MONTHS.includes(duration)) {
+      return { error: `Self-exclusion lasts ${SELF_EXCLUSION_MONTHS.join(', ')} months` };
+    }
+    until = new Date(now);
+    until.setUTCMonth(until.getUTCMonth() + duration);
+  } else {
+    return { error: 'Unknown break' };
+  }
+
+  const field = kind === 'cooldown' ? 'cooldownUntil' : 'selfExcludedUntil';
+  const current = controls[field] ? new Date(controls[field]) : null;
+  if (current && current > until) {
+    until = current;
+  }
+  return { controls: { ...controls, [field]: until }, until };
+}
+
+/**
+ * Active cooldown or self-exclusion, the latter taking precedence
+ * @param {Object} controls - Controls in force
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} `{ rule, until, message }`, null when the player may play
+ */
+function activeBreak(controls, now) {
+  if (controls.selfExcludedUntil && new Date(controls.selfExcludedUntil).getTime() > now) {
+    const until = new Date(controls.selfExcludedUntil);
+    return { rule: 'selfExclusion', until, message: `You are self-excluded until ${until.toISOString()}` };
+  }
+  if (controls.cooldownUntil && new Date(controls.cooldownUntil).getTime() > now) {
+    const until = new Date(controls.cooldownUntil);
+    return { rule: 'cooldown', until, message: `You are taking a break until ${until.toISOString()}` };
+  }
+  return null;
+}
+
+/**
+ * Periods with a limit of the given type
+ * @param {Object} controls - Controls in force
+ * @param {string} type - deposit, loss or wager
+ * @returns {string[]} Periods
+ */
+function limitedPeriods(controls, type) {
+  return Object.keys(LIMIT_PERIODS).filter(period => controls.limits[type][period] !== null);
+}
+
+/**
+ * First limit an amount would break
+ * @param {Object} controls - Controls in force
+ * @param {string} type - deposit, loss or wager
+ * @param {Object} used - USD already used of this type, by period
+ * @param {number} amountUSD - Amount about to be deposited, wagered or put at risk
+ * @returns {Object|null} `{ rule, period, limitUSD, usedUSD, message }`, null when within every limit
+ */
+function findLimitBreach(controls, type, used, amountUSD) {
+  for (const period of limitedPeriods(controls, type)) {
+    const limitUSD = controls.limits[type][period];
+    const usedUSD = Math.max(0, used[period] || 0);
+    if (usedUSD + amountUSD > limitUSD) {
+      const left = Math.max(0, limitUSD - usedUSD);
+      return {
+        rule: type,
+        period,
+        limitUSD,
+        usedUSD,
+        message: `This would exceed your ${period} ${type} limit of $${limitUSD} ($${left.toFixed(2)} left)`
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  LIMIT_TYPES,
+  LIMIT_PERIODS,
+  COOLDOWN_DAYS,
+  SELF_EXCLUSION_MONTHS,
+  SESSION_REMINDER_MINUTES,
+  emptyControls,
+  windowStart,
+  currentControls,
+  changeControls,
+  startBreak,
+  activeBreak,
+  limitedPeriods,
+  findLimitBreach
+};
@@ -0,0 +1,392 @@
+const { hashSeed, computeCrashPoint } = require('./provablyFair');
+const { MIN_AUTO_CASHOUT } = require('./autoBet');
+const { toUnits, formatAmount, multiplyAmount } = require('./money');
+
+/**
+ * Offline simulation of the crash distribution and player strategies
+ *
+ * Rounds run through computeCrashPoint with server seeds from a hash chain,
+ * as in the game, and each strategy bets every round with an auto-cashout
+ * target. Bets settle by the game's rule: a target is paid when it is at or
+ * below the crash point, so a bet at exactly the crash point wins. Amounts
+ * are USD cents, and payouts round down like the game's.
+ *
+ * Rates and RTPs come with a 95% confidence interval and the value the
+ * distribution promises, P(crash >= x) = (1 - houseEdge) / x up to maxCrash,
+ * so a crash function that drifts shows up as an expected value outside
+ * the interval.
+ */
+
+// The server's defaults, see index.js
+const DEFAULT_HOUSE_EDGE = 0.01;
+const DEFAULT_MAX_CRASH = 120;
+const DEFAULT_ROUNDS = 1000000;
+const DEFAULT_SEED = 'crash-simulation';
+const DEFAULT_CLIENT_SEED = 'crypto-crash-game-client-seed';
+
+// z of a two-sided 95% confidence interval
+const Z_95 = 1.959964;
+
+// Lower bounds of the crash point histogram buckets; the last bucket holds the capped rounds
+const DEFAULT_HISTOGRAM_EDGES = [1, 1.01, 1.1, 1.5, 2, 3, 5, 10, 20, 50, 100];
+
+const STRATEGY_DEFAULTS = {
+  fixed: { target: 2, stake: 1 },
+  martingale: { target: 2, stake: 1, bankroll: 10000 },
+  random: { min: 1.01, max: 10, stake: 1 }
+};
+const STRATEGY_NAMES = Object.keys(STRATEGY_DEFAULTS);
+
+/**
+ * Error for a simulation setting that cannot be used
+ * @param {string} message - Reason shown to the user
+ * @returns {Error} Error with code SIMULATION_REJECTED
+ */
+function rejectSimulation(message) {
+  const error = new Error(message);
+  error.code = 'SIMULATION_REJECTED';
+  return error;
+}
+
+/**
+ * Parse a strategy such as `fixed:target=2,stake=5` or `random:min=1.5,max=20`
+ * Omitted settings take STRATEGY_DEFAULTS.
+ * @param {string} text - Strategy name and settings
+ * @param {number} [maxCrash] - Highest crash point, which no target may exceed
+ * @returns {Object} `{ name, settings, label }`
+ * @throws {Error} SIMULATION_REJECTED for an unknown strategy or setting
+ */
+function parseStrategy(text, maxCrash = DEFAULT_MAX_CRASH) {
+  const [name, list = ''] = text.split(':');
+  if (!STRATEGY_DEFAULTS[name]) {
+    throw rejectSimulation(`Strategy must be one of: ${STRATEGY_NAMES.join(', ')}`);
+  }
+
+  const settings = { ...STRATEGY_DEFAULTS[name] };
+  for (const entry of list.split(',').filter(Boolean)) {
+    const [key, value] = entry.split('=');
+    if (!(key in settings)) {
+      throw rejectSimulation(`Unknown ${name} setting: ${key}`);
+    }
+    const number = Number(value);
+    if (!value || !Number.isFinite(number) || number <= 0) {
+      throw rejectSimulation(`${name} ${key} must be a positive number`);
+    }
+    settings[key] = number;
+  }
+
+  const targets = name === 'random' ? [settings.min, settings.max] : [settings.target];
+  for (const target of targets) {
+    if (target < MIN_AUTO_CASHOUT || target > maxCrash || Math.abs(Math.round(target * 100) - target * 100) > 1e-9) {
+      throw rejectSimulation(`Targets must be whole hundredths between ${MIN_AUTO_CASHOUT}x and ${maxCrash}x`);
+    }
+  }
+  if (name === 'random' && settings.min >= settings.max) {
+    throw rejectSimulation('random min must be below max');
+  }
+  if (toUnits(settings.stake, 'USD') < 1) {
+    throw rejectSimulation('Stakes must be at least one cent');
+  }
+  if (name === 'martingale' && settings.bankroll < settings.stake) {
+    throw rejectSimulation('martingale bankroll must cover the first stake');
+  }
+
+  const label = `${name}:${Object.entries(settings).map(([key, value]) => `${key}=${value}`).join(',')}`;
+  return { name, settings, label };
+}
+
+/**
+ * Seeded generator of numbers in [0, 1), for the random strategy (mulberry32)
+ * @param {string} seed - Seed text
+ * @returns {Function} Generator
+ */
+function createRandom(seed) {
+  let state = parseInt(hashSeed(seed).slice(0, 8), 16);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Probability that a round's crash point is at least x
+ * @param {number} x - Multiplier
+ * @param {Object} options - `houseEdge` and `maxCrash`
+ * @returns {number} Probability
+ */
+function survival(x, { houseEdge, maxCrash }) {
+  if (x <= 1) return 1;
+  if (x > maxCrash) return 0;
+  return Math.min(1, (1 - houseEdge) / x);
+}
+
+/**
+ * Probability that a bet with an auto-cashout target is paid
+ * Crash points are whole hundredths, so a target between two of them is reached only by crashing at the upper one.
+ * @param {number} target - Auto-cashout target
+ * @param {Object} options - `houseEdge` and `maxCrash`
+ * @returns {number} Probability
+ */
+function winProbability(target, options) {
+  return survival(Math.ceil(Math.round(target * 1e6) / 1e4) / 100, options);
+}
+
+/**
+ * Wilson score interval of a proportion
+ * @param {number} successes - Count
+ * @param {number} trials - Trials
+ * @returns {Object} `{ value, low, high }`
+ */
+function proportionInterval(successes, trials) {
+  if (!trials) return { value: null, low: null, high: null };
+  const p = successes / trials;
+  const z2 = Z_95 * Z_95;
+  const centre = (p + z2 / (2 * trials)) / (1 + z2 / trials);
+  const margin = (Z_95 / (1 + z2 / trials)) * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials));
+  return { value: p, low: Math.max(0, centre - margin), high: Math.min(1, centre + margin) };
+}
+
+/**
+ * RTP, paid out over wagered, with its confidence interval
+ * The ratio's standard error is linearized, which holds for varying stakes such as a martingale's.
+ * @param {Object} sums - Sums of stakes, payouts and their squares and products
+ * @returns {Object} `{ value, low, high }`
+ */
+function ratioInterval({ stake, payout, stakeSquared, payoutSquared, product }) {
+  if (!stake) return { value: null, low: null, high: null };
+  const ratio = payout / stake;
+  const residuals = Math.max(0, payoutSquared - 2 * ratio * product + ratio * ratio * stakeSquared);
+  const margin = Z_95 * Math.sqrt(residuals) / stake;
+  return { value: ratio, low: Math.max(0, ratio - margin), high: ratio + margin };
+}
+
+/**
+ * Player following a strategy, one bet per round
+ * @param {Object} strategy - Parsed strategy
+ * @param {Function} random - Generator for the random strategy
+ * @returns {Object} Player with nextBet() and settle(stake, payout)
+ */
+function createPlayer({ name, settings }, random) {
+  const baseStake = toUnits(settings.stake, 'USD');
+  const bankroll = name === 'martingale' ? toUnits(settings.bankroll, 'USD') : null;
+  const player = { stake: baseStake, balance: bankroll, ruins: 0 };
+  const logMin = Math.log(settings.min);
+  const logRange = Math.log(settings.max) - logMin;
+
+  return {
+    player,
+
+    /**
+     * Stake and target of the next bet
+     * @returns {Object} `{ stake, target }` with the stake in cents
+     */
+    nextBet() {
+      // A martingale that cannot cover the doubled stake is ruined and starts over
+      if (bankroll !== null && player.stake > player.balance) {
+        player.ruins++;
+        player.balance = bankroll;
+        player.stake = baseStake;
+      }
+      // Spread evenly over the logarithm of the target, so low and high targets are both common
+      const target = name === 'random'
+        ? Math.round(Math.exp(logMin + random() * logRange) * 100) / 100
+        : settings.target;
+      return { stake: player.stake, target };
+    },
+
+    /**
+     * Record a bet's result
+     * @param {number} stake - Stake in cents
+     * @param {number} payout - Payout in cents, 0 when lost
+     */
+    settle(stake, payout) {
+      if (bankroll !== null) {
+        player.balance += payout - stake;
+        // Doubles after a loss and resets after a win, like the auto-bet martingale
+        player.stake = payout ? baseStake : stake * 2;
+      }
+    }
+  };
+}
+
+/**
+ * Run rounds and let each strategy bet on every one of them
+ * @param {Object} options - Simulation settings
+ * @param {number} [options.rounds] - Rounds to play
+ * @param {string} [options.seed] - Root of the server seed chain; equal seeds give equal results
+ * @param {string} [options.clientSeed] - Public client seed
+ * @param {number} [options.houseEdge] - House edge of the crash function
+ * @param {number} [options.maxCrash] - Highest crash point
+ * @param {number|null} [options.maxPayoutUSD] - Per-bet payout limit; bets reaching it are paid at the limit's multiplier
+ * @param {Array<Object>} options.strategies - Strategies from parseStrategy
+ * @param {number[]} [options.histogramEdges] - Lower bounds of the histogram buckets
+ * @param {Function} [options.onProgress] - Called with the rounds played every 100000 rounds
+ * @returns {Object} Report
+ */
+function runSimulation({
+  rounds = DEFAULT_ROUNDS,
+  seed = DEFAULT_SEED,
+  clientSeed = DEFAULT_CLIENT_SEED,
+  houseEdge = DEFAULT_HOUSE_EDGE,
+  maxCrash = DEFAULT_MAX_CRASH,
+  maxPayoutUSD = null,
+  strategies,
+  histogramEdges = DEFAULT_HISTOGRAM_EDGES,
+  onProgress = () => {}
+}) {
+  if (!Number.isInteger(rounds) || rounds < 1) {
+    throw rejectSimulation('Rounds must be a positive whole number');
+  }
+  if (!(houseEdge >= 0 && houseEdge < 1)) {
+    throw rejectSimulation('House edge must be at least 0 and below 1');
+  }
+  if (!(maxCrash > 1)) {
+    throw rejectSimulation('Maximum crash point must be above 1');
+  }
+  const distribution = { houseEdge, maxCrash };
+  const edges = histogramEdges.filter(edge => edge < maxCrash).concat(maxCrash);
+  const buckets = edges.map(() => 0);
+  const maxPayout = maxPayoutUSD === null ? null : toUnits(maxPayoutUSD, 'USD');
+
+  const players = strategies.map((strategy, index) => ({
+    strategy,
+    ...createPlayer(strategy, createRandom(`${seed}:${index}`)),
+    bets: 0,
+    lost: 0,
+    expectedLost: 0,
+    expectedPayout: 0,
+    sums: { stake: 0, payout: 0, stakeSquared: 0, payoutSquared: 0, product: 0 }
+  }));
+
+  let instantCrashes = 0;
+  let serverSeed = hashSeed(seed);
+  for (let round = 1; round <= rounds; round++) {
+    serverSeed = hashSeed(serverSeed);
+    const crashPoint = computeCrashPoint(serverSeed, clientSeed, distribution);
+    if (crashPoint === 1) instantCrashes++;
+
+    let bucket = edges.length - 1;
+    while (crashPoint < edges[bucket]) bucket--;
+    buckets[bucket]++;
+
+    for (const entry of players) {
+      const { stake, target } = entry.nextBet();
+      // The per-bet limit cashes out early, at the multiplier where the payout reaches it
+      const exit = maxPayout === null ? target : Math.min(target, maxPayout / stake);
+      const payout = exit <= crashPoint ? multiplyAmount(stake, exit) : 0;
+      entry.settle(stake, payout);
+
+      const paidProbability = winProbability(exit, distribution);
+      entry.bets++;
+      if (!payout) entry.lost++;
+      entry.expectedLost += 1 - paidProbability;
+      entry.expectedPayout += stake * exit * paidProbability;
+      entry.sums.stake += stake;
+      entry.sums.payout += payout;
+      entry.sums.stakeSquared += stake * stake;
+      entry.sums.payoutSquared += payout * payout;
+      entry.sums.product += stake * payout;
+    }
+
+    if (round % 100000 === 0) onProgress(round);
+  }
+
+  const histogram = edges.map((from, index) => {
+    const to = index + 1 < edges.length ? edges[index + 1] : null;
+    return {
+      from,
+      to,
+      count: buckets[index],
+      share: buckets[index] / rounds,
+      expected: survival(from, distribution) - (to === null ? 0 : survival(to, distribution))
+    };
+  });
+
+  const totals = { stake: 0, payout: 0, stakeSquared: 0, payoutSquared: 0, product: 0 };
+  const results = players.map(({ strategy, player, bets, lost, expectedLost, expectedPayout, sums }) => {
+    for (const key of Object.keys(totals)) totals[key] += sums[key];
+    return {
+      strategy: strategy.label,
+      bets,
+      wageredUSD: formatAmount(sums.stake, 'USD'),
+      paidOutUSD: formatAmount(sums.payout, 'USD'),
+      houseProfitUSD: formatAmount(sums.stake - sums.payout, 'USD'),
+      rtp: { ...ratioInterval(sums), expected: expectedPayout / sums.stake },
+      bustRate: { ...proportionInterval(lost, bets), expected: expectedLost / bets },
+      ruins: player.ruins
+    };
+  });
+
+  return {
+    settings: { rounds, seed, clientSeed, houseEdge, maxCrash, maxPayoutUSD, advertisedRTP: 1 - houseEdge, confidence: 0.95 },
+    crashPoints: {
+      instantCrashRate: { ...proportionInterval(instantCrashes, rounds), expected: 1 - survival(1.01, distribution) },
+      cappedRate: { ...proportionInterval(buckets[buckets.length - 1], rounds), expected: survival(maxCrash, distribution) },
+      histogram
+    },
+    strategies: results,
+    totals: {
+      wageredUSD: formatAmount(totals.stake, 'USD'),
+      paidOutUSD: formatAmount(totals.payout, 'USD'),
+      houseProfitUSD: formatAmount(totals.stake - totals.payout, 'USD'),
+      rtp: ratioInterval(totals)
+    }
+  };
+}
+
+/**
+ * CSV field, quoted when needed
+ * @param {*} value - Value
+ * @returns {string} Field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV table
+ * @param {string[]} header - Column names
+ * @param {Array<Array>} rows - Rows of values
+ * @returns {string} Lines
+ */
+function csvTable(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n');
+}
+
+/**
+ * A report as two CSV tables, strategies then the histogram, separated by a blank line
+ * @param {Object} report - Report from runSimulation
+ * @returns {string} CSV text
+ */
+function formatReportCsv(report) {
+  const strategies = csvTable(
+    ['strategy', 'bets', 'wagered_usd', 'paid_out_usd', 'house_profit_usd', 'rtp', 'rtp_low', 'rtp_high', 'rtp_expected', 'bust_rate', 'bust_rate_low', 'bust_rate_high', 'bust_rate_expected', 'ruins'],
+    report.strategies.map(result => [
+      result.strategy, result.bets, result.wageredUSD, result.paidOutUSD, result.houseProfitUSD,
+      result.rtp.value, result.rtp.low, result.rtp.high, result.rtp.expected,
+      result.bustRate.value, result.bustRate.low, result.bustRate.high, result.bustRate.expected,
+      result.ruins
+    ])
+  );
+  const histogram = csvTable(
+    ['crash_from', 'crash_to', 'count', 'share', 'expected'],
+    report.crashPoints.histogram.map(bucket => [bucket.from, bucket.to, bucket.count, bucket.share, bucket.expected])
+  );
+  return `${strategies}\n\n${histogram}\n`;
+}
+
+module.exports = {
+  DEFAULT_HOUSE_EDGE,
+  DEFAULT_MAX_CRASH,
+  DEFAULT_ROUNDS,
+  STRATEGY_NAMES,
+  parseStrategy,
+  survival,
+  winProbability,
+  proportionInterval,
+  runSimulation,
+  formatReportCsv
+};
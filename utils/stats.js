@@ -0,0 +1,311 @@
+const Round = require('../models/Round');
+const Bet = require('../models/Bet');
+const { formatAmount } = require('./money');
+
+/**
+ * Round history, player statistics and leaderboards
+ *
+ * Everything is aggregated from the Bet collection, which holds one entry per
+ * bet; a player may place several in a round. Only settled bets count: open
+ * bets have no result yet and refunded bets never played.
+ *
+ * Sums are taken over integer minor units and cents, so they are exact;
+ * results carry amounts as decimal strings.
+ */
+
+const LEADERBOARD_PERIODS = ['daily', 'weekly', 'allTime'];
+const LEADERBOARD_SIZE = 10;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SETTLED = { $in: ['cashedOut', 'lost'] };
+
+/**
+ * Start of a leaderboard period, in UTC; weeks start on Monday
+ * @param {string} period - daily, weekly or allTime
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} Start of the period, null for all time
+ */
+function periodStart(period, now = new Date()) {
+  if (period === 'allTime') return null;
+
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === 'weekly') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  }
+  return start;
+}
+
+/**
+ * Page and page size from query parameters, clamped to sane values
+ * @param {Object} query - `page` (from 1) and `limit`
+ * @returns {Object} `page`, `limit` and `skip`
+ */
+function parsePagination({ page, limit } = {}) {
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+}
+
+/**
+ * USD total in cents as a decimal string
+ * @param {number|null} cents - Sum in cents, null for an empty sum
+ * @returns {string} Amount, e.g. "12.50"
+ */
+function formatUSD(cents) {
+  return formatAmount(cents || 0, 'USD');
+}
+
+/**
+ * A bet entry as sent to clients, with amounts as decimal strings
+ * @param {Object} bet - Bet entry, amounts in minor units and cents
+ * @returns {Object} Bet entry
+ */
+function serializeBet(bet) {
+  return {
+    ...bet,
+    cryptoAmount: formatAmount(bet.cryptoAmount, bet.currency),
+    payoutCrypto: formatAmount(bet.payoutCrypto || 0, bet.currency),
+    usdAmount: formatUSD(bet.usdAmount),
+    payoutUSD: formatUSD(bet.payoutUSD),
+    profitUSD: formatUSD(bet.profitUSD)
+  };
+}
+
+/**
+ * Rounds, newest first, with their bet totals
+ * @param {Object} [filters] - Pagination and optional `status`, `from`, `to` (start time), `minCrash`, `maxCrash`, `playerId`
+ * @returns {Promise<Object>} `rounds`, `page`, `limit`, `total` and `pages`
+ */
+async function getRoundHistory({ status, from, to, minCrash, maxCrash, playerId, ...pagination } = {}) {
+  const { page, limit, skip } = parsePagination(pagination);
+
+  const match = {};
+  if (status) match.status = status;
+  if (from || to) {
+    match.startTime = {};
+    if (from) match.startTime.$gte = from;
+    if (to) match.startTime.$lte = to;
+  }
+  if (minCrash !== undefined || maxCrash !== undefined) {
+    match.crashPoint = {};
+    if (minCrash !== undefined) match.crashPoint.$gte = minCrash;
+    if (maxCrash !== undefined) match.crashPoint.$lte = maxCrash;
+  }
+  if (playerId) {
+    match.roundNumber = { $in: await Bet.distinct('roundNumber', { playerId }) };
+  }
+
+  const [result] = await Round.aggregate([
+    { $match: match },
+    { $sort: { roundNumber: -1 } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        rounds: [
+          { $skip: skip },
+          { $limit: limit },
+          { $lookup: { from: Bet.collection.name, localField: 'roundNumber', foreignField: 'roundNumber', as: 'bets' } },
+          {
+            $project: {
+              _id: 0,
+              roundNumber: 1,
+              status: 1,
+              crashPoint: 1,
+              seedHash: 1,
+              serverSeed: 1,
+              chainPosition: 1,
+              houseEdge: 1,
+              maxCrash: 1,
+              startTime: 1,
+              endTime: 1,
+              players: { $size: '$bets' },
+              wageredUSD: { $sum: '$bets.usdAmount' },
+              paidOutUSD: { $sum: '$bets.payoutUSD' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+  return {
+    rounds: result.rounds.map(round => ({
+      ...round,
+      wageredUSD: formatUSD(round.wageredUSD),
+      paidOutUSD: formatUSD(round.paidOutUSD)
+    })),
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit)
+  };
+}
+
+/**
+ * Bets of one round, biggest first
+ * @param {number} roundNumber - Round number
+ * @returns {Promise<Object[]>} Bet entries
+ */
+async function getRoundBets(roundNumber) {
+  const bets = await Bet.find(
+    { roundNumber },
+    { _id: 0, __v: 0, priceAtTime: 0 }
+  ).sort({ usdAmount: -1 }).lean();
+  return bets.map(serializeBet);
+}
+
+/**
+ * Betting statistics of one player
+ * @param {string} playerId - Player account ID
+ * @param {Object} [options] - `period`: daily, weekly or allTime (default)
+ * @returns {Promise<Object>} Totals in USD, win rate, best multiplier and per-currency totals
+ */
+async function getPlayerStats(playerId, { period = 'allTime' } = {}) {
+  const match = { playerId, status: SETTLED };
+  const since = periodStart(period);
+  if (since) match.settledAt = { $gte: since };
+
+  const [result] = await Bet.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        overall: [
+          {
+            $group: {
+              _id: null,
+              bets: { $sum: 1 },
+              wins: { $sum: { $cond: [{ $eq: ['$status', 'cashedOut'] }, 1, 0] } },
+              wageredUSD: { $sum: '$usdAmount' },
+              payoutUSD: { $sum: '$payoutUSD' },
+              profitUSD: { $sum: '$profitUSD' },
+              bestMultiplier: { $max: '$cashoutMultiplier' },
+              biggestWinUSD: { $max: { $cond: [{ $eq: ['$status', 'cashedOut'] }, '$profitUSD', null] } }
+            }
+          }
+        ],
+        byCurrency: [
+          {
+            $group: {
+              _id: '$currency',
+              bets: { $sum: 1 },
+              wagered: { $sum: '$cryptoAmount' },
+              paidOut: { $sum: '$payoutCrypto' },
+              wageredUSD: { $sum: '$usdAmount' },
+              profitUSD: { $sum: '$profitUSD' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const overall = result.overall[0] || { bets: 0, wins: 0, wageredUSD: 0, payoutUSD: 0, profitUSD: 0, bestMultiplier: null, biggestWinUSD: null };
+  const byCurrency = {};
+  for (const { _id, ...totals } of result.byCurrency) {
+    byCurrency[_id] = {
+      bets: totals.bets,
+      wagered: formatAmount(totals.wagered, _id),
+      paidOut: formatAmount(totals.paidOut, _id),
+      wageredUSD: formatUSD(totals.wageredUSD),
+      profitUSD: formatUSD(totals.profitUSD)
+    };
+  }
+
+  return {
+    playerId,
+    period,
+    since,
+    bets: overall.bets,
+    wins: overall.wins,
+    losses: overall.bets - overall.wins,
+    winRate: overall.bets ? overall.wins / overall.bets : 0,
+    wageredUSD: formatUSD(overall.wageredUSD),
+    payoutUSD: formatUSD(overall.payoutUSD),
+    profitUSD: formatUSD(overall.profitUSD),
+    bestMultiplier: overall.bestMultiplier,
+    biggestWinUSD: overall.biggestWinUSD === null ? null : formatUSD(overall.biggestWinUSD),
+    byCurrency
+  };
+}
+
+/**
+ * Players with the highest profit in USD over a period
+ * @param {string} period - daily, weekly or allTime
+ * @param {Object} [options] - `limit`: number of players
+ * @returns {Promise<Object[]>} Ranked entries with profit, amount wagered, bets and best multiplier
+ */
+async function getLeaderboard(period, { limit = LEADERBOARD_SIZE } = {}) {
+  const match = { status: SETTLED };
+  const since = periodStart(period);
+  if (since) match.settledAt = { $gte: since };
+
+  const entries = await Bet.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$playerId',
+        username: { $last: '$username' },
+        bets: { $sum: 1 },
+        wageredUSD: { $sum: '$usdAmount' },
+        profitUSD: { $sum: '$profitUSD' },
+        bestMultiplier: { $max: '$cashoutMultiplier' }
+      }
+    },
+    { $sort: { profitUSD: -1, wageredUSD: -1 } },
+    { $limit: limit }
+  ]);
+
+  return entries.map((entry, index) => ({
+    rank: index + 1,
+    playerId: entry._id,
+    username: entry.username,
+    bets: entry.bets,
+    wageredUSD: formatUSD(entry.wageredUSD),
+    profitUSD: formatUSD(entry.profitUSD),
+    bestMultiplier: entry.bestMultiplier
+  }));
+}
+
+/**
+ * Amount a player wagered and their net result since a given time
+ * Open bets count as wagered at no profit yet; refunded bets not at all.
+ * @param {string} playerId - Player account ID
+ * @param {Date} since - Earliest placement time
+ * @param {string[]} [excludeBetIds] - Bets left out, e.g. those the caller counts itself
+ * @returns {Promise<Object>} `wageredUSD` and `profitUSD` in cents
+ */
+async function getBettingTotals(playerId, since, excludeBetIds = []) {
+  const [totals] = await Bet.aggregate([
+    { $match: { playerId, placedAt: { $gte: since }, status: { $ne: 'refunded' }, betId: { $nin: excludeBetIds } } },
+    { $group: { _id: null, wageredUSD: { $sum: '$usdAmount' }, profitUSD: { $sum: '$profitUSD' } } }
+  ]);
+  return totals ? { wageredUSD: totals.wageredUSD, profitUSD: totals.profitUSD } : { wageredUSD: 0, profitUSD: 0 };
+}
+
+/**
+ * Daily, weekly and all-time leaderboards, as sent in the `leaderboard` event
+ * @param {Object} [options] - `limit`: players per leaderboard
+ * @returns {Promise<Object>} Leaderboards by period and when they were computed
+ */
+async function getLeaderboards(options) {
+  const leaderboards = {};
+  for (const period of LEADERBOARD_PERIODS) {
+    leaderboards[period] = await getLeaderboard(period, options);
+  }
+  return { ...leaderboards, updatedAt: new Date() };
+}
+
+module.exports = {
+  LEADERBOARD_PERIODS,
+  periodStart,
+  parsePagination,
+  getRoundHistory,
+  getRoundBets,
+  getPlayerStats,
+  getLeaderboard,
+  getLeaderboards,
+  getBettingTotals,
+  serializeBet
+};
@@ -0,0 +1,875 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const Round = require('../models/Round');
+const Bet = require('../models/Bet');
+const Tournament = require('../models/Tournament');
+const TournamentEntry = require('../models/TournamentEntry');
+const { applyBalanceChange } = require('./ledger');
+const { parseAmount, formatAmount, proportionalAmount } = require('./money');
+const { getAsset, ASSET_SYMBOLS } = require('./assets');
+const { currentControls, activeBreak } = require('./responsibleGambling');
+const logger = require('./logger').logger.child({ component: 'tournaments' });
+
+/**
+ * Tournaments
+ *
+ * Operators schedule timed competitions with an entry fee or free entry, the
+ * currencies whose bets count, a scoring rule and a prize table. Players
+ * join before the end; the fee is debited through the ledger. Only bets
+ * placed after joining and inside the tournament's window count.
+ *
+ * Scoring runs when the leader settles a round: the bets of every round
+ * stored since the last pass are added to the standings. Claiming the rounds
+ * and updating the entries happen in one MongoDB transaction, so each round
+ * is scored once even with several instances. Rounds missed while no leader
+ * ran are caught up on the next pass. Only the newest round can be in play;
+ * an older one left active by a failed settlement does not block scoring.
+ *
+ * A tournament closes once its end has passed and the round in play holds
+ * none of the bets placed before it. The prize pool, the guaranteed prize plus
+ * the entry fees, is shared out by the prize table and credited through the
+ * ledger. Every payout has its own idempotency key, so a close interrupted
+ * halfway is resumed by the next pass without paying anyone twice. Operators
+ * can cancel a tournament that has not closed; the entry fees are refunded
+ * the same way.
+ *
+ * Emits `standings` with the tournament as sent to clients whenever its
+ * standings, entrants or status change, and `balanceChanged` for every fee,
+ * prize and refund.
+ */
+
+const SCORING_RULES = ['profit', 'multiplier', 'streak'];
+const STATUSES = ['scheduled', 'closing', 'completed', 'cancelling', 'cancelled'];
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_DURATION_MS = 90 * 24 * 60 * 60 * 1000;
+const MAX_PRIZES = 100;
+const MAX_STREAK_ROUNDS = 100;
+// Entries in the `tournament` event
+const STANDINGS_SIZE = 10;
+const TOURNAMENT_FIELDS = ['name', 'description', 'startsAt', 'endsAt', 'prizeCurrency', 'entryFee', 'guaranteedPrize', 'currencies', 'scoring', 'prizes'];
+const SETTLED = { $in: ['cashedOut', 'lost'] };
+
+const events = new EventEmitter();
+
+/**
+ * Error for a request the player or operator can fix (shown to them as-is)
+ * @param {string} message - Reason
+ * @returns {Error} Error with code TOURNAMENT_REJECTED
+ */
+function rejectTournament(message) {
+  const error = new Error(message);
+  error.code = 'TOURNAMENT_REJECTED';
+  return error;
+}
+
+/**
+ * Date from an ISO string or a timestamp
+ * @param {*} value - Value sent by the operator
+ * @returns {Date|null} Date, null when invalid
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate a new tournament sent by an operator
+ * @param {*} data - Request body
+ * @param {number} now - Current time in ms
+ * @returns {Object} `{ tournament }` with amounts in minor units, or `{ error }`
+ */
+function validateTournament(data, now) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'Tournament must be an object' };
+  }
+  const unknown = Object.keys(data).find(key => !TOURNAMENT_FIELDS.includes(key));
+  if (unknown) {
+    return { error: `Unknown tournament field: ${unknown}` };
+  }
+
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return { error: `Name must be 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+  const description = data.description === undefined ? '' : data.description;
+  if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+    return { error: `Description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+
+  const startsAt = parseDate(data.startsAt);
+  const endsAt = parseDate(data.endsAt);
+  if (!startsAt || !endsAt) {
+    return { error: 'startsAt and endsAt must be dates' };
+  }
+  if (endsAt <= startsAt || endsAt.getTime() <= now) {
+    return { error: 'endsAt must be after startsAt and in the future' };
+  }
+  if (endsAt - startsAt > MAX_DURATION_MS) {
+    return { error: 'Tournaments last at most 90 days' };
+  }
+
+  const { prizeCurrency } = data;
+  if (!getAsset(prizeCurrency)) {
+    return { error: 'Unsupported prize currency' };
+  }
+  const entryFee = data.entryFee === undefined ? 0 : parseAmount(data.entryFee, prizeCurrency);
+  const guaranteedPrize = data.guaranteedPrize === undefined ? 0 : parseAmount(data.guaranteedPrize, prizeCurrency);
+  if (entryFee === null || guaranteedPrize === null) {
+    return { error: `Entry fee and guaranteed prize must be ${prizeCurrency} amounts` };
+  }
+  if (entryFee === 0 && guaranteedPrize === 0) {
+    return { error: 'A tournament needs an entry fee or a guaranteed prize' };
+  }
+
+  const { currencies } = data;
+  if (!Array.isArray(currencies) || !currencies.length || !currencies.every(currency => ASSET_SYMBOLS.includes(currency))) {
+    return { error: `Currencies must be a non-empty list of ${ASSET_SYMBOLS.join(', ')}` };
+  }
+
+  const scoring = data.scoring || {};
+  if (!SCORING_RULES.includes(scoring.rule)) {
+    return { error: `Scoring rule must be one of ${SCORING_RULES.join(', ')}` };
+  }
+  const unknownScoring = Object.keys(scoring).find(key => key !== 'rule' && !(key === 'rounds' && scoring.rule === 'streak'));
+  if (unknownScoring) {
+    return { error: `Unknown ${scoring.rule} scoring field: ${unknownScoring}` };
+  }
+  if (scoring.rule === 'streak' && !(Number.isInteger(scoring.rounds) && scoring.rounds >= 2 && scoring.rounds <= MAX_STREAK_ROUNDS)) {
+    return { error: `Streaks must be a whole number of rounds from 2 to ${MAX_STREAK_ROUNDS}` };
+  }
+
+  const { prizes } = data;
+  if (!Array.isArray(prizes) || !prizes.length || prizes.length > MAX_PRIZES) {
+    return { error: `Prizes must list from 1 to ${MAX_PRIZES} shares` };
+  }
+  // Shares are kept in hundredths of a percent so they add up exactly
+  const basisPoints = prizes.map(share => typeof share === 'number' ? Math.round(share * 100) : NaN);
+  if (!basisPoints.every((points, index) => points > 0 && Math.abs(points - prizes[index] * 100) < 1e-6)) {
+    return { error: 'Prize shares must be positive percentages with at most two decimals' };
+  }
+  if (basisPoints.reduce((sum, points) => sum + points, 0) > 10000) {
+    return { error: 'Prize shares add up to more than 100%' };
+  }
+
+  return {
+    tournament: {
+      name,
+      description: description.trim(),
+      startsAt,
+      endsAt,
+      prizeCurrency,
+      entryFee,
+      guaranteedPrize,
+      currencies: [...new Set(currencies)],
+      scoring: { rule: scoring.rule, rounds: scoring.rule === 'streak' ? scoring.rounds : null },
+      prizes
+    }
+  };
+}
+
+/**
+ * Prize pool of a tournament: the guaranteed prize and every entry fee
+ * @param {Object} tournament - Tournament
+ * @returns {number} Minor units of the prize currency
+ */
+function prizePool(tournament) {
+  return tournament.guaranteedPrize + tournament.entryFee * tournament.entrants;
+}
+
+/**
+ * Prize of each rank, rounded down; rounding leftovers stay with the house
+ * @param {number} pool - Prize pool in minor units
+ * @param {number[]} prizes - Percent of the pool for each rank
+ * @returns {number[]} Minor units for each rank, first place first
+ */
+function prizeAmounts(pool, prizes) {
+  return prizes.map(share => proportionalAmount(pool, Math.round(share * 100), 10000));
+}
+
+/**
+ * Result of each round a player bet in
+ * @param {Object[]} bets - Settled bets of one player
+ * @returns {Object[]} `{ roundNumber, profitUSD, multiplier, settledAt }` by round, oldest first; multiplier is null without a cashout
+ */
+function roundResults(bets) {
+  const rounds = new Map();
+  for (const bet of bets) {
+    const round = rounds.get(bet.roundNumber) || { roundNumber: bet.roundNumber, profitUSD: 0, multiplier: null, settledAt: null };
+    round.profitUSD += bet.profitUSD;
+    if (bet.cashoutMultiplier !== null && bet.cashoutMultiplier !== undefined) {
+      round.multiplier = Math.max(round.multiplier || 0, bet.cashoutMultiplier);
+    }
+    if (bet.settledAt && (!round.settledAt || bet.settledAt > round.settledAt)) {
+      round.settledAt = bet.settledAt;
+    }
+    rounds.set(bet.roundNumber, round);
+  }
+  return [...rounds.values()].sort((a, b) => a.roundNumber - b.roundNumber);
+}
+
+/**
+ * Standing of an entry after one more round
+ * @param {Object} entry - score, scoredAt, rounds, profitUSD, bestMultiplier and recentProfits
+ * @param {Object} round - Round result from roundResults
+ * @param {Object} scoring - Tournament scoring rule and streak length
+ * @returns {Object} The same fields, updated
+ */
+function scoreRound(entry, round, { rule, rounds: streakRounds }) {
+  const next = {
+    score: entry.score,
+    scoredAt: entry.scoredAt,
+    rounds: entry.rounds + 1,
+    profitUSD: entry.profitUSD + round.profitUSD,
+    bestMultiplier: round.multiplier === null ? entry.bestMultiplier : Math.max(entry.bestMultiplier || 0, round.multiplier),
+    recentProfits: entry.recentProfits
+  };
+
+  let score = entry.score;
+  if (rule === 'profit') {
+    score = next.profitUSD;
+  } else if (rule === 'multiplier') {
+    score = next.bestMultiplier;
+  } else {
+    const window = [...entry.recentProfits, round.profitUSD].slice(-streakRounds);
+    next.recentProfits = window.slice(1 - streakRounds);
+    if (window.length === streakRounds) {
+      const total = window.reduce((sum, profit) => sum + profit, 0);
+      score = score === null ? total : Math.max(score, total);
+    }
+  }
+
+  if (score !== entry.score) {
+    next.score = score;
+    next.scoredAt = round.settledAt;
+  }
+  return next;
+}
+
+/**
+ * Entries with a score, best first
+ * Ties go to whoever reached the score first, then to whoever joined first.
+ * @param {Object[]} entries - Tournament entries
+ * @returns {Object[]} Entries with `rank`
+ */
+function rankEntries(entries) {
+  const time = date => (date ? new Date(date).getTime() : Infinity);
+  return entries
+    .filter(entry => entry.score !== null && entry.score !== undefined)
+    .sort((a, b) => b.score - a.score || time(a.scoredAt) - time(b.scoredAt) || time(a.joinedAt) - time(b.joinedAt))
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+/**
+ * Score as shown to players
+ * @param {number|null} score - Stored score
+ * @param {string} rule - Scoring rule
+ * @returns {string|null} USD amount for profit and streak, multiplier for multiplier
+ */
+function formatScore(score, rule) {
+  if (score === null || score === undefined) return null;
+  return rule === 'multiplier' ? score.toFixed(2) : formatAmount(score, 'USD');
+}
+
+/**
+ * A tournament as sent to clients, with amounts as decimal strings
+ * @param {Object} tournament - Tournament document or plain object
+ * @param {Object[]} [standings] - Ranked entries to include
+ * @returns {Object} Tournament
+ */
+function serializeTournament(tournament, standings) {
+  const currency = tournament.prizeCurrency;
+  const pool = prizePool(tournament);
+  const serialized = {
+    tournamentId: String(tournament._id),
+    name: tournament.name,
+    description: tournament.description,
+    startsAt: tournament.startsAt,
+    endsAt: tournament.endsAt,
+    status: tournament.status,
+    prizeCurrency: currency,
+    entryFee: formatAmount(tournament.entryFee, currency),
+    guaranteedPrize: formatAmount(tournament.guaranteedPrize, currency),
+    pool: formatAmount(pool, currency),
+    currencies: tournament.currencies,
+    scoring: tournament.scoring,
+    prizes: prizeAmounts(pool, tournament.prizes).map((amount, index) => ({
+      rank: index + 1,
+      share: tournament.prizes[index],
+      amount: formatAmount(amount, currency)
+    })),
+    entrants: tournament.entrants,
+    closedAt: tournament.closedAt || null
+  };
+  if (standings) {
+    serialized.standings = standings.map(entry => serializeEntry(entry, tournament));
+  }
+  return serialized;
+}
+
+/**
+ * An entry as sent to clients
+ * @param {Object} entry - Ranked entry
+ * @param {Object} tournament - Its tournament
+ * @returns {Object} Rank, player, score, rounds, profit, best multiplier and prize
+ */
+function serializeEntry(entry, tournament) {
+  return {
+    rank: entry.rank,
+    playerId: entry.playerId,
+    username: entry.username,
+    score: formatScore(entry.score, tournament.scoring.rule),
+    rounds: entry.rounds,
+    profitUSD: formatAmount(entry.profitUSD, 'USD'),
+    bestMultiplier: entry.bestMultiplier,
+    prize: formatAmount(entry.prize || 0, tournament.prizeCurrency)
+  };
+}
+
+/**
+ * Ranked entries of a tournament; the final ranks once it has closed
+ * @param {Object} tournament - Tournament
+ * @param {number} [limit] - Number of entries
+ * @returns {Promise<Object[]>} Ranked entries
+ */
+async function getStandings(tournament, limit = STANDINGS_SIZE) {
+  const entries = await TournamentEntry.find({ tournamentId: tournament._id }).lean();
+  return rankEntries(entries).slice(0, limit);
+}
+
+/**
+ * Tell clients about a tournament's new standings, entrants or status
+ * @param {Object} tournament - Tournament
+ */
+async function publishStandings(tournament) {
+  events.emit('standings', serializeTournament(tournament, await getStandings(tournament)));
+}
+
+/**
+ * Tournaments, newest first
+ * @param {Object} [filter] - Optional `status`
+ * @returns {Promise<Object[]>} Tournaments as sent to clients
+ */
+async function listTournaments({ status } = {}) {
+  const tournaments = await Tournament.find(status ? { status } : {}).sort({ endsAt: -1 }).limit(100).lean();
+  return tournaments.map(tournament => serializeTournament(tournament));
+}
+
+/**
+ * A tournament with its standings and, when given a player, their entry
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} [options] - `limit` of standings and `playerId`
+ * @returns {Promise<Object|null>} Tournament as sent to clients with `standings` and `entry`, null when unknown
+ */
+async function getTournament(tournamentId, { limit = STANDINGS_SIZE, playerId } = {}) {
+  const tournament = mongoose.isValidObjectId(tournamentId) && await Tournament.findById(tournamentId).lean();
+  if (!tournament) return null;
+
+  const ranked = rankEntries(await TournamentEntry.find({ tournamentId: tournament._id }).lean());
+  const serialized = serializeTournament(tournament, ranked.slice(0, limit));
+  if (playerId) {
+    const entry = ranked.find(candidate => candidate.playerId === playerId) ||
+      await TournamentEntry.findOne({ tournamentId: tournament._id, playerId }).lean();
+    serialized.entry = entry ? serializeEntry(entry, tournament) : null;
+  }
+  return serialized;
+}
+
+/**
+ * Standings of every tournament that has not closed, for sockets that just connected
+ * @returns {Promise<Object[]>} Tournaments as sent to clients, with standings
+ */
+async function getOpenStandings() {
+  const tournaments = await Tournament.find({ status: 'scheduled' }).sort({ endsAt: 1 }).lean();
+  return Promise.all(tournaments.map(async tournament => serializeTournament(tournament, await getStandings(tournament))));
+}
+
+/**
+ * Enter a player in a tournament and charge the entry fee
+ * @param {string} playerId - Player ID
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<Object>} Tournament as sent to clients, with the player's entry
+ * @throws {Error} TOURNAMENT_REJECTED, or INSUFFICIENT_BALANCE for the fee
+ */
+async function joinTournament(playerId, tournamentId) {
+  const now = Date.now();
+  const tournament = mongoose.isValidObjectId(tournamentId) && await Tournament.findById(tournamentId);
+  if (!tournament) {
+    throw rejectTournament('Tournament not found');
+  }
+  if (tournament.status !== 'scheduled' || tournament.endsAt.getTime() <= now) {
+    throw rejectTournament('Tournament is closed for entries');
+  }
+
+  const player = await Player.findById(playerId, { username: 1, status: 1, responsibleGambling: 1 }).lean();
+  if (!player) {
+    throw rejectTournament('Player not found');
+  }
+  if (player.status !== 'active') {
+    throw rejectTournament(`Tournaments are not available while the account is ${player.status}`);
+  }
+  // Cooldowns and self-exclusion block entries as they block bets
+  const pause = activeBreak(currentControls(player.responsibleGambling, now).controls, now);
+  if (pause) {
+    throw rejectTournament(pause.message);
+  }
+
+  const currency = tournament.prizeCurrency;
+  const session = await mongoose.startSession();
+  let fee = null;
+  try {
+    await session.withTransaction(async () => {
+      await TournamentEntry.create([{ tournamentId: tournament._id, playerId, username: player.username, joinedAt: new Date(now) }], { session });
+      const opened = await Tournament.updateOne({ _id: tournament._id, status: 'scheduled' }, { $inc: { entrants: 1 } }, { session });
+      if (opened.modifiedCount === 0) {
+        throw rejectTournament('Tournament is closed for entries');
+      }
+      if (tournament.entryFee > 0) {
+        fee = await applyBalanceChange({
+          playerId,
+          currency,
+          cryptoAmount: tournament.entryFee,
+          transactionType: 'tournament',
+          direction: 'debit',
+          tournamentId: String(tournament._id),
+          idempotencyKey: `tournament:${tournament._id}:entry:${playerId}`
+        }, { session });
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw rejectTournament('You already entered this tournament');
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  if (fee) {
+    events.emit('balanceChanged', { playerId, currency, balance: fee.balance });
+  }
+  logger.info(`🎟️ ${player.username} entered tournament ${tournament.name}`, { playerId, tournamentId: String(tournament._id) });
+  const joined = await Tournament.findById(tournament._id).lean();
+  await publishStandings(joined);
+  return getTournament(String(tournament._id), { playerId });
+}
+
+const mongoTournamentStore = {
+  /**
+   * Newest round stored
+   * @returns {Promise<Object|null>} `{ roundNumber, status }`
+   */
+  latestRound() {
+    return Round.findOne({}, { roundNumber: 1, status: 1 }).sort({ roundNumber: -1 }).lean();
+  },
+
+  /**
+   * Store a new tournament
+   * @param {Object} fields - Tournament fields
+   * @returns {Promise<Object>} Tournament document
+   */
+  createTournament(fields) {
+    return Tournament.create(fields);
+  },
+
+  /**
+   * A tournament by ID
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object|null>} Tournament
+   */
+  findTournament(tournamentId) {
+    return Tournament.findById(tournamentId).lean();
+  },
+
+  /**
+   * Scheduled tournaments that have started
+   * @param {Date} now - Current time
+   * @returns {Promise<Object[]>} Tournaments
+   */
+  findStartedTournaments(now) {
+    return Tournament.find({ status: 'scheduled', startsAt: { $lte: now } }).lean();
+  },
+
+  /**
+   * Tournaments whose prizes or refunds are still being paid
+   * @returns {Promise<Object[]>} Tournaments in `closing` or `cancelling`
+   */
+  findUnfinishedTournaments() {
+    return Tournament.find({ status: { $in: ['closing', 'cancelling'] } }).lean();
+  },
+
+  /**
+   * Move a tournament from scheduled to closing
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object|null>} Closing tournament, null when another pass got there first
+   */
+  startClosing(tournamentId) {
+    return Tournament.findOneAndUpdate({ _id: tournamentId, status: 'scheduled' }, { $set: { status: 'closing' } }, { new: true }).lean();
+  },
+
+  /**
+   * Whether a round after the last settled one holds a bet placed before a tournament's end
+   * @param {Object} tournament - Tournament
+   * @param {number} throughRound - Last settled round
+   * @returns {Promise<boolean>} Whether its final standings have to wait
+   */
+  async hasUnsettledBets(tournament, throughRound) {
+    return Boolean(await Bet.exists({
+      roundNumber: { $gt: throughRound },
+      currency: { $in: tournament.currencies },
+      placedAt: { $lt: tournament.endsAt }
+    }));
+  },
+
+  /**
+   * Settled bets of a range of rounds that count for a tournament
+   * @param {Object} tournament - Tournament
+   * @param {number} fromRound - Last round already scored
+   * @param {number} throughRound - Last round to score
+   * @returns {Promise<Object[]>} Bets
+   */
+  findSettledBets(tournament, fromRound, throughRound) {
+    return Bet.find({
+      roundNumber: { $gt: fromRound, $lte: throughRound },
+      status: SETTLED,
+      currency: { $in: tournament.currencies },
+      placedAt: { $gte: tournament.startsAt, $lt: tournament.endsAt }
+    }, { playerId: 1, roundNumber: 1, profitUSD: 1, cashoutMultiplier: 1, placedAt: 1, settledAt: 1 }).lean();
+  },
+
+  /**
+   * Entries of a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @param {Object} [filter] - Further conditions, e.g. `{ refundedAt: null }`
+   * @returns {Promise<Object[]>} Entries
+   */
+  findEntries(tournamentId, filter = {}) {
+    return TournamentEntry.find({ tournamentId, ...filter }).lean();
+  },
+
+  /**
+   * Entries of some players in a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @param {string[]} playerIds - Player IDs
+   * @returns {Promise<Object[]>} Entries
+   */
+  findPlayerEntries(tournamentId, playerIds) {
+    return TournamentEntry.find({ tournamentId, playerId: { $in: playerIds } }).lean();
+  },
+
+  /**
+   * Claim a range of rounds for a tournament and store the standings they produced, in one MongoDB transaction
+   * @param {string} tournamentId - Tournament ID
+   * @param {number} fromRound - Last round scored, which the tournament must still have
+   * @param {number} throughRound - Last round now scored
+   * @param {Object[]} standings - `{ entryId, changes }` for every entry that moved
+   * @returns {Promise<boolean>} Whether this call claimed the rounds
+   */
+  async scoreRounds(tournamentId, fromRound, throughRound, standings) {
+    const session = await mongoose.startSession();
+    let claimed = false;
+    try {
+      await session.withTransaction(async () => {
+        const claim = await Tournament.updateOne(
+          { _id: tournamentId, status: 'scheduled', lastScoredRound: fromRound },
+          { $set: { lastScoredRound: throughRound } },
+          { session }
+        );
+        claimed = claim.modifiedCount === 1;
+        if (claimed && standings.length) {
+          await TournamentEntry.bulkWrite(standings.map(({ entryId, changes }) => ({
+            updateOne: { filter: { _id: entryId }, update: { $set: changes } }
+          })), { session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+    return claimed;
+  },
+
+  /**
+   * Store the final rank and prize of each ranked entry
+   * @param {Object[]} ranks - `{ entryId, rank, prize }`
+   */
+  async setRanks(ranks) {
+    await TournamentEntry.bulkWrite(ranks.map(({ entryId, rank, prize }) => ({
+      updateOne: { filter: { _id: entryId }, update: { $set: { rank, prize } } }
+    })));
+  },
+
+  /**
+   * Credit an entry through the ledger and mark it paid, in one MongoDB transaction
+   * @param {string} entryId - Entry ID
+   * @param {Object} change - Balance change, see utils/ledger.js
+   * @param {string} paidField - prizePaidAt or refundedAt
+   * @returns {Promise<Object>} `{ transaction, balance, duplicate }`
+   */
+  async creditEntry(entryId, change, paidField) {
+    const session = await mongoose.startSession();
+    let result;
+    try {
+      await session.withTransaction(async () => {
+        result = await applyBalanceChange(change, { session });
+        await TournamentEntry.updateOne({ _id: entryId }, { $set: { [paidField]: new Date() } }, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    return result;
+  },
+
+  /**
+   * Move a tournament out of closing or cancelling
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} status - Status it must still have
+   * @param {Object} changes - New status and closing time
+   */
+  async finishTournament(tournamentId, status, changes) {
+    await Tournament.updateOne({ _id: tournamentId, status }, { $set: changes });
+  }
+};
+
+/**
+ * Create the tournament runner: scheduling, scoring, closing and refunds
+ * @param {Object} [options] - Runner options
+ * @param {Object} [options.store] - Rounds, bets, tournaments, entries and the ledger, MongoDB by default
+ * @param {EventEmitter} [options.events] - Receives `standings` and `balanceChanged`
+ * @param {Function} [options.now] - Clock, for tests
+ * @param {Object} [options.logger] - console-like logger
+ * @returns {Object} `{ createTournament, lastSettledRound, scoreTournament, runTournamentPass, payPrizes, refundEntries }`
+ */
+function createTournamentRunner({ store = mongoTournamentStore, events: emitter = events, now = Date.now, logger: log = logger } = {}) {
+  /**
+   * Tell clients about a tournament's new standings, entrants or status
+   * @param {Object} tournament - Tournament
+   */
+  async function publish(tournament) {
+    const standings = rankEntries(await store.findEntries(tournament._id)).slice(0, STANDINGS_SIZE);
+    emitter.emit('standings', serializeTournament(tournament, standings));
+  }
+
+  /**
+   * Last round whose bets are all settled: the one before the round in play
+   * Only the newest round can be in play. An older round still marked active
+   * is one whose settlement failed; it does not hold scoring back, but its
+   * bets that were never settled do not count.
+   * @returns {Promise<number>} Round number, 0 before the first round
+   */
+  async function lastSettledRound() {
+    const latest = await store.latestRound();
+    if (!latest) return 0;
+    return latest.status === 'active' ? latest.roundNumber - 1 : latest.roundNumber;
+  }
+
+  /**
+   * Schedule a tournament
+   * @param {Object} fields - Validated tournament, see validateTournament
+   * @param {Object} options - `by`, the operator
+   * @returns {Promise<Object>} Tournament document
+   */
+  async function createTournament(fields, { by }) {
+    // Rounds settled before the tournament was created cannot count; a round
+    // still in play is scored once it settles, like any later round
+    const tournament = await store.createTournament({
+      ...fields,
+      lastScoredRound: await lastSettledRound(),
+      createdBy: by
+    });
+    log.info(`🏁 ${by} scheduled tournament ${tournament.name}`, { tournamentId: String(tournament._id) });
+    await publish(tournament);
+    return tournament;
+  }
+
+  /**
+   * Add the bets of the rounds settled since the last pass to a tournament's standings
+   * @param {Object} tournament - Scheduled tournament
+   * @param {number} throughRound - Last settled round
+   * @returns {Promise<boolean>} Whether this pass scored any rounds
+   */
+  async function scoreTournament(tournament, throughRound) {
+    const fromRound = tournament.lastScoredRound;
+    if (throughRound <= fromRound) return false;
+
+    const bets = await store.findSettledBets(tournament, fromRound, throughRound);
+    const playerIds = [...new Set(bets.map(bet => bet.playerId))];
+    const entries = playerIds.length ? await store.findPlayerEntries(tournament._id, playerIds) : [];
+
+    const standings = [];
+    for (const entry of entries) {
+      const rounds = roundResults(bets.filter(bet => bet.playerId === entry.playerId && bet.placedAt >= entry.joinedAt));
+      if (!rounds.length) continue;
+      let standing = entry;
+      for (const round of rounds) {
+        standing = scoreRound(standing, round, tournament.scoring);
+      }
+      const { score, scoredAt, profitUSD, bestMultiplier, recentProfits } = standing;
+      standings.push({ entryId: entry._id, changes: { score, scoredAt, rounds: standing.rounds, profitUSD, bestMultiplier, recentProfits } });
+    }
+
+    // Claiming the rounds and scoring them land together, so no round is scored twice or lost
+    const claimed = await store.scoreRounds(tournament._id, fromRound, throughRound, standings);
+    return claimed && standings.length > 0;
+  }
+
+  /**
+   * Pay the prizes of a closing tournament and complete it
+   * Safe to run again after an interruption: paid prizes are skipped.
+   * @param {Object} tournament - Tournament in `closing`
+   */
+  async function payPrizes(tournament) {
+    const tournamentId = String(tournament._id);
+    const currency = tournament.prizeCurrency;
+    const ranked = rankEntries(await store.findEntries(tournament._id));
+    const amounts = prizeAmounts(prizePool(tournament), tournament.prizes);
+
+    await store.setRanks(ranked.map(entry => ({ entryId: entry._id, rank: entry.rank, prize: amounts[entry.rank - 1] || 0 })));
+
+    for (const entry of ranked.slice(0, amounts.length)) {
+      const prize = amounts[entry.rank - 1];
+      if (!prize || entry.prizePaidAt) continue;
+
+      const result = await store.creditEntry(entry._id, {
+        playerId: entry.playerId,
+        currency,
+        cryptoAmount: prize,
+        transactionType: 'tournament',
+        direction: 'credit',
+        tournamentId,
+        idempotencyKey: `tournament:${tournamentId}:prize:${entry.playerId}`
+      }, 'prizePaidAt');
+      if (!result.duplicate) {
+        emitter.emit('balanceChanged', { playerId: entry.playerId, currency, balance: result.balance });
+        log.info(`🏆 ${entry.username} won ${formatAmount(prize, currency)} ${currency} in tournament ${tournament.name}`, { playerId: entry.playerId, tournamentId, rank: entry.rank });
+      }
+    }
+
+    await store.finishTournament(tournament._id, 'closing', { status: 'completed', closedAt: new Date(now()) });
+    log.info(`🏁 Tournament ${tournament.name} completed with ${ranked.length} ranked players`, { tournamentId });
+  }
+
+  /**
+   * Return the entry fees of a cancelled tournament
+   * Safe to run again after an interruption: refunded entries are skipped.
+   * @param {Object} tournament - Tournament in `cancelling`
+   */
+  async function refundEntries(tournament) {
+    const tournamentId = String(tournament._id);
+    const currency = tournament.prizeCurrency;
+    const entries = tournament.entryFee > 0
+      ? await store.findEntries(tournament._id, { refundedAt: null })
+      : [];
+
+    for (const entry of entries) {
+      const result = await store.creditEntry(entry._id, {
+        playerId: entry.playerId,
+        currency,
+        cryptoAmount: tournament.entryFee,
+        transactionType: 'tournament',
+        direction: 'credit',
+        tournamentId,
+        idempotencyKey: `tournament:${tournamentId}:refund:${entry.playerId}`
+      }, 'refundedAt');
+      if (!result.duplicate) {
+        emitter.emit('balanceChanged', { playerId: entry.playerId, currency, balance: result.balance });
+      }
+    }
+
+    await store.finishTournament(tournament._id, 'cancelling', { status: 'cancelled', closedAt: new Date(now()) });
+    log.info(`🚫 Tournament ${tournament.name} cancelled, ${entries.length} entry fees refunded`, { tournamentId });
+  }
+
+  /**
+   * Score settled rounds, close tournaments that have ended and finish interrupted closes
+   * @returns {Promise<void>} Resolves when the pass is done
+   */
+  async function runTournamentPass() {
+    const current = new Date(now());
+    const throughRound = await lastSettledRound();
+
+    for (const tournament of await store.findStartedTournaments(current)) {
+      const ended = tournament.endsAt <= current;
+      // Checked before scoring: the final standings wait for the round in play to settle
+      if (ended && await store.hasUnsettledBets(tournament, throughRound)) continue;
+
+      const scored = await scoreTournament(tournament, throughRound);
+      if (ended) {
+        const closing = await store.startClosing(tournament._id);
+        if (closing) {
+          await payPrizes(closing);
+          await publish(await store.findTournament(tournament._id));
+        }
+      } else if (scored) {
+        await publish(await store.findTournament(tournament._id));
+      }
+    }
+
+    // Closes and cancellations an earlier pass or another instance did not finish
+    for (const tournament of await store.findUnfinishedTournaments()) {
+      await (tournament.status === 'closing' ? payPrizes(tournament) : refundEntries(tournament));
+      await publish(await store.findTournament(tournament._id));
+    }
+  }
+
+  return { createTournament, lastSettledRound, scoreTournament, runTournamentPass, payPrizes, refundEntries };
+}
+
+const runner = createTournamentRunner();
+
+let pass = Promise.resolve();
+
+/**
+ * Run a tournament pass after any pass still running; call once a round is settled and periodically
+ * @returns {Promise<void>} Resolves when this pass is done
+ */
+function updateTournaments() {
+  pass = pass.catch(() => {}).then(runner.runTournamentPass);
+  return pass;
+}
+
+/**
+ * Cancel a tournament that has not closed and refund its entry fees
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} cancellation - `by`, the operator, and `reason`
+ * @returns {Promise<Object>} Tournament as sent to clients
+ * @throws {Error} TOURNAMENT_REJECTED for an unknown or closed tournament
+ */
+async function cancelTournament(tournamentId, { by, reason }) {
+  const tournament = mongoose.isValidObjectId(tournamentId) && await Tournament.findOneAndUpdate(
+    { _id: tournamentId, status: 'scheduled' },
+    { $set: { status: 'cancelling', cancelReason: reason } },
+    { new: true }
+  ).lean();
+  if (!tournament) {
+    throw rejectTournament('No scheduled tournament with this ID');
+  }
+  logger.info(`🚫 ${by} cancelled tournament ${tournament.name}: ${reason}`, { tournamentId });
+  await runner.refundEntries(tournament);
+  const cancelled = await Tournament.findById(tournament._id).lean();
+  await publishStandings(cancelled);
+  return serializeTournament(cancelled);
+}
+
+module.exports = {
+  events,
+  SCORING_RULES,
+  STATUSES,
+  validateTournament,
+  prizePool,
+  prizeAmounts,
+  roundResults,
+  scoreRound,
+  rankEntries,
+  formatScore,
+  serializeTournament,
+  createTournament: runner.createTournament,
+  listTournaments,
+  getTournament,
+  getOpenStandings,
+  joinTournament,
+  updateTournaments,
+  cancelTournament,
+  createTournamentRunner
+};